@@ -0,0 +1,80 @@
+// backend/course_bundle.js
+// Course content bundles from the command line (see utils/bundles.js)
+//
+//   node course_bundle.js export <courseId> [out.json|out.zip]    (stdout when no file is given)
+//   node course_bundle.js import <file.json|file.zip> [--dry-run] [--publish]
+require("dotenv").config();
+const fs = require("fs");
+
+const { pool, query } = require("./db_pg");
+const {
+  exportCourse,
+  bundleToJson,
+  bundleToZip,
+  parseBundle,
+  planImport,
+  importBundle,
+  formatPlan
+} = require("./utils/bundles");
+
+const USAGE = `Usage:
+  node course_bundle.js export <courseId> [out.json|out.zip]
+  node course_bundle.js import <file.json|file.zip> [--dry-run] [--publish]`;
+
+async function exportCmd(courseId, outFile) {
+  const bundle = await exportCourse({ query }, courseId);
+  if (!bundle) throw new Error(`Course not found: ${courseId}`);
+
+  if (!outFile) {
+    process.stdout.write(bundleToJson(bundle));
+    return;
+  }
+  fs.writeFileSync(outFile, outFile.endsWith(".zip") ? bundleToZip(bundle) : bundleToJson(bundle));
+  console.log(`✅ Exported ${courseId} (${bundle.lessons.length} lessons) to ${outFile}`);
+}
+
+async function importCmd(file, { dryRun, publish }) {
+  const bundle = parseBundle(fs.readFileSync(file));
+
+  if (dryRun) {
+    console.log(formatPlan(await planImport({ query }, bundle)));
+    console.log("(dry run, nothing was written)");
+    return;
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    const plan = await importBundle(client, bundle, { publish });
+    await client.query("COMMIT");
+
+    console.log(formatPlan(plan));
+    console.log(plan.published ? "✅ Imported and published." : "✅ Imported as drafts (publish from the admin).");
+  } catch (e) {
+    await client.query("ROLLBACK").catch(() => {});
+    throw e;
+  } finally {
+    client.release();
+  }
+}
+
+async function main() {
+  const [cmd, ...rest] = process.argv.slice(2);
+  const args = rest.filter((a) => !a.startsWith("--"));
+  const flags = new Set(rest.filter((a) => a.startsWith("--")));
+
+  if (cmd === "export" && args[0]) return exportCmd(args[0], args[1]);
+  if (cmd === "import" && args[0]) {
+    return importCmd(args[0], { dryRun: flags.has("--dry-run"), publish: flags.has("--publish") });
+  }
+
+  console.error(USAGE);
+  process.exitCode = 1;
+}
+
+main()
+  .catch((e) => {
+    console.error("Bundle error:", e.message);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
@@ -0,0 +1,22 @@
+// backend/middleware/course.js
+// Validates :courseId against the courses table and exposes the row as req.course
+// (admins previewing drafts, req.preview, may also open unpublished courses)
+
+const { findCourse } = require("../utils/courses");
+
+function requireCourse({ publishedOnly = false } = {}) {
+  return async function (req, res, next) {
+    try {
+      const course = await findCourse(req.params.courseId, { publishedOnly: publishedOnly && !req.preview });
+      if (!course) return res.status(404).json({ error: "Course not found" });
+
+      req.course = course;
+      req.courseId = course.id;
+      next();
+    } catch (err) {
+      next(err);
+    }
+  };
+}
+
+module.exports = { requireCourse };
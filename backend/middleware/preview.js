@@ -0,0 +1,11 @@
+// backend/middleware/preview.js
+// "Preview as student": ?preview=1 from an admin session makes student routes serve drafts
+// (utils/publishing.js). For anyone else the flag is ignored and published content is served.
+
+function previewMode(req, res, next) {
+  const user = req.session?.user;
+  req.preview = req.query.preview === "1" && !!user && user.role === "admin";
+  next();
+}
+
+module.exports = { previewMode };
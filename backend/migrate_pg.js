@@ -3,6 +3,7 @@ require("dotenv").config();
 console.log("USING DATABASE_URL =", process.env.DATABASE_URL);
 
 const { query } = require("./db_pg");
+const { signUnsignedCertificates } = require("./utils/certificates");
 
 async function migrate() {
   // ---------- USERS ----------
@@ -17,17 +18,53 @@ async function migrate() {
     );
   `);
 
+  // Name parts (auth.js) + admin disable flag
+  await query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS first_name TEXT;`);
+  await query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS last_name TEXT;`);
+  await query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS disabled_at TIMESTAMP;`);
+
   // ---------- COURSES ----------
   await query(`
     CREATE TABLE IF NOT EXISTS courses (
       id TEXT PRIMARY KEY,
-      title_en TEXT NOT NULL,
-      title_ti TEXT NOT NULL,
-      intro_en TEXT NOT NULL,
-      intro_ti TEXT NOT NULL
+      title JSONB NOT NULL DEFAULT '{}'::jsonb,
+      intro JSONB NOT NULL DEFAULT '{}'::jsonb
     );
   `);
 
+  // Localized text is one JSONB map per field, keyed by locale (utils/locales.js):
+  // title_en/title_ti columns become title = { "en": ..., "ti": ... } (empty texts left out)
+  await query(`
+    DO $$
+    BEGIN
+      IF EXISTS (
+        SELECT 1 FROM information_schema.columns
+         WHERE table_name = 'courses' AND column_name = 'title_en'
+      ) THEN
+        ALTER TABLE courses ADD COLUMN IF NOT EXISTS title JSONB NOT NULL DEFAULT '{}'::jsonb;
+        ALTER TABLE courses ADD COLUMN IF NOT EXISTS intro JSONB NOT NULL DEFAULT '{}'::jsonb;
+        UPDATE courses
+           SET title = jsonb_strip_nulls(jsonb_build_object('en', title_en, 'ti', NULLIF(title_ti, ''))),
+               intro = jsonb_strip_nulls(jsonb_build_object('en', intro_en, 'ti', NULLIF(intro_ti, '')));
+        ALTER TABLE courses DROP COLUMN title_en, DROP COLUMN title_ti,
+                            DROP COLUMN intro_en, DROP COLUMN intro_ti;
+      END IF;
+    END $$;
+  `);
+
+  // Admin-managed courses: ordering, visibility, archive
+  await query(`ALTER TABLE courses ADD COLUMN IF NOT EXISTS sort_order INT NOT NULL DEFAULT 0;`);
+  await query(`ALTER TABLE courses ADD COLUMN IF NOT EXISTS published BOOLEAN NOT NULL DEFAULT TRUE;`);
+  await query(`ALTER TABLE courses ADD COLUMN IF NOT EXISTS archived_at TIMESTAMP;`);
+  await query(`ALTER TABLE courses ADD COLUMN IF NOT EXISTS created_at TIMESTAMP NOT NULL DEFAULT NOW();`);
+
+  // Keep the original three levels in their old order on existing DBs
+  await query(`
+    UPDATE courses
+       SET sort_order = CASE id WHEN 'foundation' THEN 1 WHEN 'growth' THEN 2 WHEN 'excellence' THEN 3 END
+     WHERE sort_order = 0 AND id IN ('foundation','growth','excellence');
+  `);
+
   // ---------- LESSONS (FINAL: quiz JSONB) ----------
   // Create table with the correct schema (quiz JSONB)
   await query(`
@@ -35,12 +72,9 @@ async function migrate() {
       id SERIAL PRIMARY KEY,
       course_id TEXT NOT NULL REFERENCES courses(id) ON DELETE CASCADE,
       lesson_index INT NOT NULL,
-      title_en TEXT NOT NULL,
-      title_ti TEXT NOT NULL,
-      learn_en TEXT NOT NULL,
-      learn_ti TEXT NOT NULL,
-      task_en TEXT NOT NULL,
-      task_ti TEXT NOT NULL,
+      title JSONB NOT NULL DEFAULT '{}'::jsonb,
+      learn JSONB NOT NULL DEFAULT '{}'::jsonb,
+      task JSONB NOT NULL DEFAULT '{}'::jsonb,
       quiz JSONB NOT NULL DEFAULT '{"questions":[]}'::jsonb,
       UNIQUE(course_id, lesson_index)
     );
@@ -93,6 +127,90 @@ async function migrate() {
     ALTER COLUMN quiz SET NOT NULL;
   `);
 
+  // Soft delete (trash): a deleted lesson frees its lesson_index for live lessons
+  await query(`ALTER TABLE lessons ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP;`);
+  await query(`ALTER TABLE lessons ADD COLUMN IF NOT EXISTS deleted_by INT REFERENCES users(id) ON DELETE SET NULL;`);
+  await query(`ALTER TABLE lessons DROP CONSTRAINT IF EXISTS lessons_course_id_lesson_index_key;`);
+  await query(`CREATE UNIQUE INDEX IF NOT EXISTS uq_lessons_course_index_live
+    ON lessons(course_id, lesson_index) WHERE deleted_at IS NULL;`);
+
+  // Content history: one snapshot per admin save / restore (utils/lessons.js)
+  await query(`
+    CREATE TABLE IF NOT EXISTS lesson_revisions (
+      id SERIAL PRIMARY KEY,
+      lesson_id INT NOT NULL REFERENCES lessons(id) ON DELETE CASCADE,
+      course_id TEXT NOT NULL,
+      lesson_index INT NOT NULL,
+      title JSONB NOT NULL DEFAULT '{}'::jsonb,
+      learn JSONB NOT NULL DEFAULT '{}'::jsonb,
+      task JSONB NOT NULL DEFAULT '{}'::jsonb,
+      quiz JSONB NOT NULL,
+      kind TEXT NOT NULL DEFAULT 'save' CHECK (kind IN ('save', 'restore')),
+      restored_from INT REFERENCES lesson_revisions(id) ON DELETE SET NULL,
+      created_by INT REFERENCES users(id) ON DELETE SET NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT NOW()
+    );
+  `);
+  await query(`CREATE INDEX IF NOT EXISTS idx_lesson_revisions_lesson
+    ON lesson_revisions(lesson_id, id);`);
+
+  // course bundle imports (utils/bundles.js) are their own kind of revision
+  await query(`ALTER TABLE lesson_revisions DROP CONSTRAINT IF EXISTS lesson_revisions_kind_check;`);
+  await query(`ALTER TABLE lesson_revisions ADD CONSTRAINT lesson_revisions_kind_check
+    CHECK (kind IN ('save', 'restore', 'import'));`);
+
+  // lesson text columns -> locale maps (see courses above), history included
+  for (const table of ["lessons", "lesson_revisions"]) {
+    await query(`
+      DO $$
+      BEGIN
+        IF EXISTS (
+          SELECT 1 FROM information_schema.columns
+           WHERE table_name = '${table}' AND column_name = 'title_en'
+        ) THEN
+          ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS title JSONB NOT NULL DEFAULT '{}'::jsonb;
+          ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS learn JSONB NOT NULL DEFAULT '{}'::jsonb;
+          ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS task JSONB NOT NULL DEFAULT '{}'::jsonb;
+          UPDATE ${table}
+             SET title = jsonb_strip_nulls(jsonb_build_object('en', title_en, 'ti', NULLIF(title_ti, ''))),
+                 learn = jsonb_strip_nulls(jsonb_build_object('en', learn_en, 'ti', NULLIF(learn_ti, ''))),
+                 task = jsonb_strip_nulls(jsonb_build_object('en', task_en, 'ti', NULLIF(task_ti, '')));
+          ALTER TABLE ${table} DROP COLUMN title_en, DROP COLUMN title_ti,
+                               DROP COLUMN learn_en, DROP COLUMN learn_ti,
+                               DROP COLUMN task_en, DROP COLUMN task_ti;
+        END IF;
+      END $$;
+    `);
+  }
+
+  // existing lessons start their history with their current content
+  await query(`
+    INSERT INTO lesson_revisions
+      (lesson_id, course_id, lesson_index, title, learn, task, quiz)
+    SELECT l.id, l.course_id, l.lesson_index, l.title, l.learn, l.task, l.quiz
+      FROM lessons l
+     WHERE NOT EXISTS (SELECT 1 FROM lesson_revisions r WHERE r.lesson_id = l.id);
+  `);
+
+  // Lesson media: images + audio narration per language (utils/media.js, files in utils/storage.js)
+  await query(`
+    CREATE TABLE IF NOT EXISTS lesson_media (
+      id SERIAL PRIMARY KEY,
+      lesson_id INT NOT NULL REFERENCES lessons(id) ON DELETE CASCADE,
+      lang TEXT NOT NULL,
+      kind TEXT NOT NULL CHECK (kind IN ('image', 'audio')),
+      storage_key TEXT NOT NULL UNIQUE,
+      content_type TEXT NOT NULL,
+      size_bytes INT NOT NULL,
+      original_name TEXT,
+      created_by INT REFERENCES users(id) ON DELETE SET NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT NOW()
+    );
+  `);
+  await query(`CREATE INDEX IF NOT EXISTS idx_lesson_media_lesson ON lesson_media(lesson_id, id);`);
+  // any enabled locale (checked by the upload route)
+  await query(`ALTER TABLE lesson_media DROP CONSTRAINT IF EXISTS lesson_media_lang_check;`);
+
   // ---------- PROGRESS ----------
   await query(`
     CREATE TABLE IF NOT EXISTS progress (
@@ -108,26 +226,120 @@ async function migrate() {
     );
   `);
 
+  // ---------- LESSON QUIZ ATTEMPTS (graded on the server) ----------
+  await query(`
+    CREATE TABLE IF NOT EXISTS lesson_quiz_attempts (
+      id SERIAL PRIMARY KEY,
+      user_id INT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      course_id TEXT NOT NULL REFERENCES courses(id) ON DELETE CASCADE,
+      lesson_index INT NOT NULL,
+      lesson_id INT REFERENCES lessons(id) ON DELETE SET NULL,
+      score INT NOT NULL,
+      results JSONB NOT NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT NOW()
+    );
+  `);
+  await query(`CREATE INDEX IF NOT EXISTS idx_lesson_quiz_attempts_user_lesson
+    ON lesson_quiz_attempts(user_id, course_id, lesson_index);`);
+
+  // Progress follows lessons by id, not by lesson_index (which changes when lessons are reordered).
+  // Old rows map to the lesson at their index (a live one first, else the latest trashed one);
+  // rows with no lesson at all are dropped.
+  await query(`
+    DO $$
+    BEGIN
+      IF NOT EXISTS (
+        SELECT 1 FROM information_schema.columns
+         WHERE table_name = 'progress' AND column_name = 'lesson_id'
+      ) THEN
+        ALTER TABLE progress ADD COLUMN lesson_id INT REFERENCES lessons(id) ON DELETE CASCADE;
+        UPDATE progress p
+           SET lesson_id = (
+             SELECT l.id FROM lessons l
+              WHERE l.course_id = p.course_id AND l.lesson_index = p.lesson_index
+              ORDER BY l.deleted_at IS NOT NULL, l.deleted_at DESC
+              LIMIT 1
+           );
+        DELETE FROM progress WHERE lesson_id IS NULL;
+        ALTER TABLE progress ALTER COLUMN lesson_id SET NOT NULL;
+        ALTER TABLE progress DROP CONSTRAINT progress_pkey;
+        ALTER TABLE progress ADD CONSTRAINT progress_pkey PRIMARY KEY (user_id, lesson_id);
+        ALTER TABLE progress DROP COLUMN lesson_index;
+
+        -- quiz attempts keep lesson_index as recorded; counts go by lesson_id
+        UPDATE lesson_quiz_attempts a
+           SET lesson_id = l.id
+          FROM lessons l
+         WHERE a.lesson_id IS NULL AND l.course_id = a.course_id AND l.lesson_index = a.lesson_index
+           AND l.deleted_at IS NULL;
+      END IF;
+    END $$;
+  `);
+  await query(`CREATE INDEX IF NOT EXISTS idx_lesson_quiz_attempts_user_lesson_id
+    ON lesson_quiz_attempts(user_id, lesson_id);`);
+
   // ---------- CERTIFICATES ----------
+  // One current certificate per student and course; a reissue supersedes it with a new row
+  // (idx_certificates_current below).
   await query(`
     CREATE TABLE IF NOT EXISTS certificates (
       id SERIAL PRIMARY KEY,
       user_id INT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
       course_id TEXT NOT NULL REFERENCES courses(id) ON DELETE CASCADE,
-      issued_at TIMESTAMP NOT NULL DEFAULT NOW(),
-      UNIQUE(user_id, course_id)
+      issued_at TIMESTAMP NOT NULL DEFAULT NOW()
     );
   `);
+  // public_token: unguessable id for QR codes / verify links (the volatile default fills
+  // existing rows too); signed_data + signature: utils/certificates.js
+  await query(`ALTER TABLE certificates
+    ADD COLUMN IF NOT EXISTS public_token TEXT NOT NULL DEFAULT replace(gen_random_uuid()::text, '-', '');`);
+  await query(`CREATE UNIQUE INDEX IF NOT EXISTS idx_certificates_public_token ON certificates(public_token);`);
+  await query(`ALTER TABLE certificates ADD COLUMN IF NOT EXISTS signed_data JSONB;`);
+  await query(`ALTER TABLE certificates ADD COLUMN IF NOT EXISTS signature TEXT;`);
+  // revocation / reissue (utils/certificates.js): student_name overrides the account name on a
+  // reissued certificate; issued_by is the admin who reissued it (NULL: claimed by the student)
+  await query(`ALTER TABLE certificates ADD COLUMN IF NOT EXISTS student_name TEXT;`);
+  await query(`ALTER TABLE certificates ADD COLUMN IF NOT EXISTS issued_by INT REFERENCES users(id) ON DELETE SET NULL;`);
+  await query(`ALTER TABLE certificates ADD COLUMN IF NOT EXISTS revoked_at TIMESTAMP;`);
+  await query(`ALTER TABLE certificates ADD COLUMN IF NOT EXISTS revoked_reason TEXT;`);
+  await query(`ALTER TABLE certificates ADD COLUMN IF NOT EXISTS revoked_note TEXT;`);
+  await query(`ALTER TABLE certificates ADD COLUMN IF NOT EXISTS revoked_by INT REFERENCES users(id) ON DELETE SET NULL;`);
+  await query(`ALTER TABLE certificates ADD COLUMN IF NOT EXISTS superseded_at TIMESTAMP;`);
+  await query(`ALTER TABLE certificates
+    ADD COLUMN IF NOT EXISTS superseded_by INT REFERENCES certificates(id) ON DELETE SET NULL;`);
+  await query(`ALTER TABLE certificates DROP CONSTRAINT IF EXISTS certificates_user_id_course_id_key;`);
+  await query(`CREATE UNIQUE INDEX IF NOT EXISTS idx_certificates_current
+    ON certificates(user_id, course_id) WHERE superseded_at IS NULL;`);
+  // certificates issued before signing existed are signed once here, so verify pages only read
+  const signedCount = await signUnsignedCertificates();
+  if (signedCount) console.log(`✅ Signed ${signedCount} existing certificate(s).`);
+
+  // ---------- CERTIFICATE TEMPLATES ----------
+  // config: colors, layout, texts, logo, signatories (utils/certificate_templates.js);
+  // courses without a template use the default one (at most one is_default)
+  await query(`
+    CREATE TABLE IF NOT EXISTS certificate_templates (
+      id SERIAL PRIMARY KEY,
+      name TEXT NOT NULL,
+      config JSONB NOT NULL DEFAULT '{}'::jsonb,
+      is_default BOOLEAN NOT NULL DEFAULT FALSE,
+      created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+      updated_at TIMESTAMP NOT NULL DEFAULT NOW(),
+      updated_by INT REFERENCES users(id) ON DELETE SET NULL
+    );
+  `);
+  await query(`CREATE UNIQUE INDEX IF NOT EXISTS idx_certificate_templates_default
+    ON certificate_templates(is_default) WHERE is_default;`);
+  await query(`ALTER TABLE courses ADD COLUMN IF NOT EXISTS certificate_template_id INT
+    REFERENCES certificate_templates(id) ON DELETE SET NULL;`);
 
   // ---------- EXAMS ----------
-  // (Keeping as TEXT is OK if your code JSON.parse() it.
-  //  If you want, we can upgrade these to JSONB later.)
+  // exam_json: { "en": { questions: [...] }, "ti": {...}, ... } (English is graded)
   await query(`
     CREATE TABLE IF NOT EXISTS exam_defs (
       course_id TEXT PRIMARY KEY REFERENCES courses(id) ON DELETE CASCADE,
       pass_score INT NOT NULL DEFAULT 70,
-      exam_json_en TEXT NOT NULL,
-      exam_json_ti TEXT NOT NULL
+      exam_json JSONB NOT NULL DEFAULT '{}'::jsonb
     );
   `);
 
@@ -142,6 +354,246 @@ async function migrate() {
     );
   `);
 
+  // Multiple attempts per course: one row per submit (routes/exams.js)
+  await query(`ALTER TABLE exam_attempts ADD COLUMN IF NOT EXISTS id SERIAL;`);
+  await query(`ALTER TABLE exam_attempts ADD COLUMN IF NOT EXISTS answers JSONB;`);
+  await query(`ALTER TABLE exam_attempts ADD COLUMN IF NOT EXISTS created_at TIMESTAMP NOT NULL DEFAULT NOW();`);
+  await query(`
+    DO $$
+    BEGIN
+      IF EXISTS (
+        SELECT 1 FROM pg_constraint
+        WHERE conname = 'exam_attempts_pkey'
+          AND pg_get_constraintdef(oid) LIKE '%user_id, course_id%'
+      ) THEN
+        ALTER TABLE exam_attempts DROP CONSTRAINT exam_attempts_pkey;
+        ALTER TABLE exam_attempts ADD CONSTRAINT exam_attempts_pkey PRIMARY KEY (id);
+      END IF;
+    END $$;
+  `);
+  await query(`CREATE INDEX IF NOT EXISTS idx_exam_attempts_user_course
+    ON exam_attempts(user_id, course_id);`);
+
+  // What students see after submitting: score_only | correctness | full | full_after_pass
+  await query(`ALTER TABLE exam_defs ADD COLUMN IF NOT EXISTS review_policy TEXT NOT NULL DEFAULT 'correctness';`);
+
+  // Server-issued exam session: one per started attempt, graded on submit
+  await query(`
+    CREATE TABLE IF NOT EXISTS exam_sessions (
+      id SERIAL PRIMARY KEY,
+      user_id INT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      course_id TEXT NOT NULL REFERENCES courses(id) ON DELETE CASCADE,
+      question_order JSONB NOT NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+      submitted_at TIMESTAMP,
+      attempt_id INT REFERENCES exam_attempts(id) ON DELETE SET NULL
+    );
+  `);
+  await query(`CREATE INDEX IF NOT EXISTS idx_exam_sessions_user_course
+    ON exam_sessions(user_id, course_id);`);
+
+  // ---------- EXAM QUESTION BANK ----------
+  // Pool of questions per course; attempts are drawn from it using exam_defs.blueprint.
+  // question: { "en": {...}, "ti": {...}, ... } - English is graded, translations keep its option order.
+  await query(`
+    CREATE TABLE IF NOT EXISTS exam_questions (
+      id SERIAL PRIMARY KEY,
+      course_id TEXT NOT NULL REFERENCES courses(id) ON DELETE CASCADE,
+      lesson_index INT,
+      topic TEXT,
+      question JSONB NOT NULL,
+      active BOOLEAN NOT NULL DEFAULT TRUE,
+      created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+      updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+    );
+  `);
+  await query(`CREATE INDEX IF NOT EXISTS idx_exam_questions_course
+    ON exam_questions(course_id);`);
+  await query(`
+    DO $$
+    BEGIN
+      IF EXISTS (
+        SELECT 1 FROM information_schema.columns
+         WHERE table_name = 'exam_questions' AND column_name = 'question_en'
+      ) THEN
+        ALTER TABLE exam_questions ADD COLUMN IF NOT EXISTS question JSONB;
+        UPDATE exam_questions
+           SET question = jsonb_strip_nulls(jsonb_build_object('en', question_en, 'ti', question_ti));
+        ALTER TABLE exam_questions ALTER COLUMN question SET NOT NULL;
+        ALTER TABLE exam_questions DROP COLUMN question_en, DROP COLUMN question_ti;
+      END IF;
+    END $$;
+  `);
+
+  // Immutable content versions of bank questions (utils/exams.js saveQuestionRevision): attempts
+  // keep the revision each question was drawn in; exam_questions.revision_id is the current one.
+  await query(`
+    CREATE TABLE IF NOT EXISTS exam_question_revisions (
+      id SERIAL PRIMARY KEY,
+      question_id INT NOT NULL REFERENCES exam_questions(id) ON DELETE CASCADE,
+      question JSONB NOT NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+      created_by INT REFERENCES users(id) ON DELETE SET NULL
+    );
+  `);
+  await query(`CREATE INDEX IF NOT EXISTS idx_exam_question_revisions_question
+    ON exam_question_revisions(question_id);`);
+  await query(`ALTER TABLE exam_questions
+    ADD COLUMN IF NOT EXISTS revision_id INT REFERENCES exam_question_revisions(id);`);
+  // existing questions: their current content becomes the first revision
+  await query(`
+    WITH ins AS (
+      INSERT INTO exam_question_revisions (question_id, question)
+      SELECT id, question FROM exam_questions WHERE revision_id IS NULL
+      RETURNING id, question_id
+    )
+    UPDATE exam_questions q SET revision_id = ins.id FROM ins WHERE q.id = ins.question_id;
+  `);
+
+  // { count, minPerLesson, minPerTopic, shuffleOptions } (NULL = fixed exam_json questions)
+  await query(`ALTER TABLE exam_defs ADD COLUMN IF NOT EXISTS blueprint JSONB;`);
+
+  // Drawn items per attempt: [{ qid | qi, optionOrder }] (replaces question_order)
+  await query(`ALTER TABLE exam_sessions ADD COLUMN IF NOT EXISTS items JSONB;`);
+  await query(`ALTER TABLE exam_sessions ALTER COLUMN question_order DROP NOT NULL;`);
+
+  // Attempt policy per exam (max_attempts NULL = unlimited; score_policy: latest | best)
+  await query(`ALTER TABLE exam_defs ADD COLUMN IF NOT EXISTS max_attempts INT DEFAULT 3;`);
+  await query(`ALTER TABLE exam_defs ADD COLUMN IF NOT EXISTS cooldown_minutes INT NOT NULL DEFAULT 0;`);
+  await query(`ALTER TABLE exam_defs ADD COLUMN IF NOT EXISTS time_limit_minutes INT;`);
+  await query(`ALTER TABLE exam_defs ADD COLUMN IF NOT EXISTS score_policy TEXT NOT NULL DEFAULT 'latest';`);
+
+  // Reset attempts are kept for history but no longer count
+  await query(`ALTER TABLE exam_attempts ADD COLUMN IF NOT EXISTS voided_at TIMESTAMP;`);
+
+  // Admin grants/resets of exam attempts (always with a reason)
+  await query(`
+    CREATE TABLE IF NOT EXISTS exam_attempt_adjustments (
+      id SERIAL PRIMARY KEY,
+      user_id INT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      course_id TEXT NOT NULL REFERENCES courses(id) ON DELETE CASCADE,
+      kind TEXT NOT NULL CHECK (kind IN ('grant', 'reset')),
+      extra_attempts INT NOT NULL DEFAULT 0,
+      reason TEXT NOT NULL,
+      admin_id INT REFERENCES users(id) ON DELETE SET NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT NOW()
+    );
+  `);
+  await query(`CREATE INDEX IF NOT EXISTS idx_exam_attempt_adjustments_user_course
+    ON exam_attempt_adjustments(user_id, course_id);`);
+
+  // Timed attempts: explicit start, server deadline, autosaved answers
+  await query(`ALTER TABLE exam_sessions ADD COLUMN IF NOT EXISTS started_at TIMESTAMP;`);
+  await query(`ALTER TABLE exam_sessions ADD COLUMN IF NOT EXISTS deadline_at TIMESTAMP;`);
+  await query(`ALTER TABLE exam_sessions ADD COLUMN IF NOT EXISTS lang TEXT;`);
+  await query(`ALTER TABLE exam_sessions ADD COLUMN IF NOT EXISTS saved_answers JSONB;`);
+  await query(`ALTER TABLE exam_sessions ADD COLUMN IF NOT EXISTS saved_at TIMESTAMP;`);
+  await query(`ALTER TABLE exam_attempts ADD COLUMN IF NOT EXISTS started_at TIMESTAMP;`);
+  await query(`ALTER TABLE exam_attempts ADD COLUMN IF NOT EXISTS late BOOLEAN NOT NULL DEFAULT FALSE;`);
+
+  // Language the attempt was taken in (EN vs TI item analytics)
+  await query(`ALTER TABLE exam_attempts ADD COLUMN IF NOT EXISTS lang TEXT;`);
+
+  // Immutable exam definition revisions; exam_defs.revision_id is the current one.
+  // Sessions/attempts remember the revision they were drawn from / graded against.
+  await query(`
+    CREATE TABLE IF NOT EXISTS exam_def_revisions (
+      id SERIAL PRIMARY KEY,
+      course_id TEXT NOT NULL REFERENCES courses(id) ON DELETE CASCADE,
+      pass_score INT NOT NULL,
+      exam_json JSONB NOT NULL,
+      review_policy TEXT NOT NULL,
+      blueprint JSONB,
+      max_attempts INT,
+      cooldown_minutes INT NOT NULL DEFAULT 0,
+      time_limit_minutes INT,
+      score_policy TEXT NOT NULL,
+      restored_from INT REFERENCES exam_def_revisions(id) ON DELETE SET NULL,
+      created_by INT REFERENCES users(id) ON DELETE SET NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT NOW()
+    );
+  `);
+  await query(`CREATE INDEX IF NOT EXISTS idx_exam_def_revisions_course
+    ON exam_def_revisions(course_id, id);`);
+  await query(`ALTER TABLE exam_defs ADD COLUMN IF NOT EXISTS revision_id INT;`);
+  await query(`ALTER TABLE exam_sessions ADD COLUMN IF NOT EXISTS exam_revision_id INT;`);
+  await query(`ALTER TABLE exam_attempts ADD COLUMN IF NOT EXISTS exam_revision_id INT;`);
+
+  // exam_json_en/exam_json_ti -> exam_json locale map (a TI exam without questions is left out)
+  for (const table of ["exam_defs", "exam_def_revisions"]) {
+    await query(`
+      DO $$
+      BEGIN
+        IF EXISTS (
+          SELECT 1 FROM information_schema.columns
+           WHERE table_name = '${table}' AND column_name = 'exam_json_en'
+        ) THEN
+          ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS exam_json JSONB NOT NULL DEFAULT '{}'::jsonb;
+          UPDATE ${table}
+             SET exam_json = jsonb_strip_nulls(jsonb_build_object(
+               'en', exam_json_en::jsonb,
+               'ti', CASE WHEN jsonb_array_length(COALESCE(exam_json_ti::jsonb -> 'questions', '[]'::jsonb)) > 0
+                          THEN exam_json_ti::jsonb END
+             ));
+          ALTER TABLE ${table} DROP COLUMN exam_json_en, DROP COLUMN exam_json_ti;
+        END IF;
+      END $$;
+    `);
+  }
+
+  // existing exams become their own first revision
+  await query(`
+    WITH ins AS (
+      INSERT INTO exam_def_revisions
+        (course_id, pass_score, exam_json, review_policy, blueprint,
+         max_attempts, cooldown_minutes, time_limit_minutes, score_policy)
+      SELECT course_id, pass_score, exam_json, review_policy, blueprint,
+             max_attempts, cooldown_minutes, time_limit_minutes, score_policy
+        FROM exam_defs
+       WHERE revision_id IS NULL
+      RETURNING id, course_id
+    )
+    UPDATE exam_defs d SET revision_id = ins.id FROM ins WHERE d.course_id = ins.course_id;
+  `);
+
+  // ---------- DRAFT / PUBLISHED CONTENT ----------
+  // Admin saves are drafts; students see the published revisions (utils/publishing.js).
+  // Content that existed before was live, so it starts out published (only when the column is added).
+  await query(`
+    DO $$
+    BEGIN
+      IF NOT EXISTS (
+        SELECT 1 FROM information_schema.columns
+        WHERE table_name='lessons' AND column_name='published_revision_id'
+      ) THEN
+        ALTER TABLE lessons
+          ADD COLUMN published_revision_id INT REFERENCES lesson_revisions(id) ON DELETE SET NULL;
+        UPDATE lessons l
+           SET published_revision_id = (SELECT MAX(r.id) FROM lesson_revisions r WHERE r.lesson_id = l.id);
+      END IF;
+
+      IF NOT EXISTS (
+        SELECT 1 FROM information_schema.columns
+        WHERE table_name='exam_defs' AND column_name='published_revision_id'
+      ) THEN
+        ALTER TABLE exam_defs ADD COLUMN published_revision_id INT;
+        UPDATE exam_defs SET published_revision_id = revision_id;
+      END IF;
+
+      IF NOT EXISTS (
+        SELECT 1 FROM information_schema.columns
+        WHERE table_name='exam_questions' AND column_name='published_revision_id'
+      ) THEN
+        ALTER TABLE exam_questions
+          ADD COLUMN published_revision_id INT REFERENCES exam_question_revisions(id);
+        UPDATE exam_questions SET published_revision_id = revision_id;
+      END IF;
+    END $$;
+  `);
+  await query(`ALTER TABLE courses ADD COLUMN IF NOT EXISTS scheduled_publish_at TIMESTAMP;`);
+  await query(`ALTER TABLE courses ADD COLUMN IF NOT EXISTS content_published_at TIMESTAMP;`);
+  await query(`ALTER TABLE courses ADD COLUMN IF NOT EXISTS content_published_by INT REFERENCES users(id) ON DELETE SET NULL;`);
+
   // ---------- SESSIONS (connect-pg-simple) ----------
   await query(`
     CREATE TABLE IF NOT EXISTS "session" (
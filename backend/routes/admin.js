@@ -1,6 +1,29 @@
 // backend/routes/admin.js
 const express = require("express");
-const { query } = require("../db_pg");
+const { pool, query } = require("../db_pg");
+const { requireCourse } = require("../middleware/course");
+const { findCourse } = require("../utils/courses");
+const {
+  REVIEW_POLICIES,
+  SCORE_POLICIES,
+  DEFAULT_ATTEMPT_POLICY,
+  normalizeBlueprint,
+  examsFromJson,
+  validateExams,
+  saveExamRevision
+} = require("../utils/exams");
+const { validateQuestions } = require("../utils/grading");
+const { DEFAULT_LOCALE, cleanTextMap, textMapFrom } = require("../utils/locales");
+const { sanitizeMarkdown, renderMarkdown } = require("../utils/markdown");
+const {
+  sameLessonContent,
+  recordLessonRevision,
+  reorderLessons,
+  placeLesson,
+  trashLesson,
+  nextLessonIndex
+} = require("../utils/lessons");
+const { publishStatus } = require("../utils/publishing");
 
 const router = express.Router();
 
@@ -20,11 +43,6 @@ function quizSafe(v) {
   return safeJsonParse(v, { questions: [] });
 }
 
-/** Exam always returns { questions: [] } shape */
-function examSafe(v) {
-  return safeJsonParse(v, { questions: [] });
-}
-
 /**
  * Admin guard
  * Works with BOTH session formats:
@@ -44,15 +62,17 @@ function requireAdmin(req, res, next) {
 
 // -------------------- LESSONS --------------------
 // GET /api/admin/lessons/:courseId
-router.get("/lessons/:courseId", requireAdmin, async (req, res) => {
-  const courseId = String(req.params.courseId || "").trim();
+router.get("/lessons/:courseId", requireAdmin, requireCourse(), async (req, res) => {
+  const courseId = req.courseId;
 
   try {
+    // draft_revision_id: latest saved content (what publishing would show students)
     const r = await query(
       `SELECT id, course_id, lesson_index,
-              title_en, title_ti, learn_en, learn_ti, task_en, task_ti, quiz
+              title, learn, task, quiz, published_revision_id,
+              (SELECT MAX(r.id) FROM lesson_revisions r WHERE r.lesson_id = lessons.id) AS draft_revision_id
        FROM lessons
-       WHERE course_id=$1
+       WHERE course_id=$1 AND deleted_at IS NULL
        ORDER BY lesson_index ASC`,
       [courseId]
     );
@@ -61,13 +81,11 @@ router.get("/lessons/:courseId", requireAdmin, async (req, res) => {
       id: row.id,
       course_id: row.course_id,
       lesson_index: row.lesson_index,
-      title_en: row.title_en,
-      title_ti: row.title_ti,
-      learn_en: row.learn_en,
-      learn_ti: row.learn_ti,
-      task_en: row.task_en,
-      task_ti: row.task_ti,
+      title: row.title,
+      learn: row.learn,
+      task: row.task,
       quiz: quizSafe(row.quiz),
+      publishStatus: publishStatus(row.published_revision_id, row.draft_revision_id),
     }));
 
     return res.json({ lessons });
@@ -77,73 +95,136 @@ router.get("/lessons/:courseId", requireAdmin, async (req, res) => {
   }
 });
 
+// POST /api/admin/lessons/:courseId/reorder
+// Body: { ids: [lesson ids in the new order] } (every live lesson of the course)
+router.post("/lessons/:courseId/reorder", requireAdmin, requireCourse(), async (req, res) => {
+  const ids = req.body?.ids;
+  if (!Array.isArray(ids) || !ids.length || !ids.every((id) => Number.isInteger(id) && id > 0)) {
+    return res.status(400).json({ error: "ids array required" });
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    const lessons = await reorderLessons(client, req.courseId, ids);
+    await client.query("COMMIT");
+    return res.json({ ok: true, lessons });
+  } catch (e) {
+    await client.query("ROLLBACK").catch(() => {});
+    if (e.status) return res.status(e.status).json({ error: e.message });
+    console.error("ADMIN lesson reorder error:", e);
+    return res.status(500).json({ error: "Failed to reorder lessons" });
+  } finally {
+    client.release();
+  }
+});
+
+// POST /api/admin/markdown/preview
+// Body: { texts: { key: markdown } } -> { html: { key: html } } (lesson editor live preview)
+router.post("/markdown/preview", requireAdmin, (req, res) => {
+  const texts = req.body?.texts;
+  if (!texts || typeof texts !== "object" || Array.isArray(texts)) {
+    return res.status(400).json({ error: "texts object required" });
+  }
+
+  const entries = Object.entries(texts).slice(0, 10);
+  if (!entries.every(([, v]) => typeof v === "string" && v.length <= 100000)) {
+    return res.status(400).json({ error: "texts must be strings" });
+  }
+
+  const html = {};
+  for (const [key, value] of entries) html[key] = renderMarkdown(sanitizeMarkdown(value));
+  return res.json({ html });
+});
+
 // POST /api/admin/lesson/save
+// Body: { id?, courseId, lessonIndex?, title: { en, ti, ... }, learn: {...}, task: {...}, quiz }
+// lessonIndex is where the lesson goes (others shift to make room); leave it out to append.
+// English texts are required; other languages fall back to English (utils/locales.js).
 router.post("/lesson/save", requireAdmin, async (req, res) => {
   try {
     const b = req.body || {};
     const id = b.id ? Number(b.id) : null;
 
-    const courseId = String(b.courseId || b.course_id || "").trim();
-    const lessonIndex = Number(b.lessonIndex ?? b.lesson_index);
+    const course = await findCourse(b.courseId || b.course_id);
+    const courseId = course?.id;
+    const rawIndex = b.lessonIndex ?? b.lesson_index;
+    const lessonIndex = rawIndex === undefined || rawIndex === null || rawIndex === "" ? null : Number(rawIndex);
 
-    const title_en = String(b.title_en || "").trim();
-    const title_ti = String(b.title_ti || "").trim();
-    const learn_en = String(b.learn_en || "").trim();
-    const learn_ti = String(b.learn_ti || "").trim();
-    const task_en = String(b.task_en || "").trim();
-    const task_ti = String(b.task_ti || "").trim();
+    const title = cleanTextMap(textMapFrom(b, "title"));
+    // rich text (Markdown subset): raw HTML and unsafe links are stripped before storing
+    const learn = cleanTextMap(textMapFrom(b, "learn"), sanitizeMarkdown);
+    const task = cleanTextMap(textMapFrom(b, "task"), sanitizeMarkdown);
     const quiz = quizSafe(b.quiz);
 
-    if (!courseId) return res.status(400).json({ error: "courseId required" });
-    if (!Number.isInteger(lessonIndex)) return res.status(400).json({ error: "lessonIndex invalid" });
+    if (!courseId) return res.status(400).json({ error: "Unknown courseId" });
+    if (lessonIndex !== null && !(Number.isInteger(lessonIndex) && lessonIndex >= 0)) {
+      return res.status(400).json({ error: "lessonIndex invalid" });
+    }
 
-    if (!title_en || !title_ti || !learn_en || !learn_ti || !task_en || !task_ti) {
-      return res.status(400).json({ error: "All text fields are required" });
+    if (!title[DEFAULT_LOCALE] || !learn[DEFAULT_LOCALE] || !task[DEFAULT_LOCALE]) {
+      return res.status(400).json({ error: "English title, learn and task are required" });
     }
 
-    if (id) {
-      await query(
-        `UPDATE lessons
-         SET course_id=$1, lesson_index=$2,
-             title_en=$3, title_ti=$4,
-             learn_en=$5, learn_ti=$6,
-             task_en=$7, task_ti=$8,
-             quiz=$9::jsonb
-         WHERE id=$10`,
-        [
-          courseId,
-          lessonIndex,
-          title_en,
-          title_ti,
-          learn_en,
-          learn_ti,
-          task_en,
-          task_ti,
-          JSON.stringify(quiz),
-          id,
-        ]
-      );
-    } else {
-      await query(
-        `INSERT INTO lessons
-           (course_id, lesson_index, title_en, title_ti, learn_en, learn_ti, task_en, task_ti, quiz)
-         VALUES
-           ($1,$2,$3,$4,$5,$6,$7,$8,$9::jsonb)`,
-        [
-          courseId,
-          lessonIndex,
-          title_en,
-          title_ti,
-          learn_en,
-          learn_ti,
-          task_en,
-          task_ti,
-          JSON.stringify(quiz),
-        ]
-      );
+    const quizError = validateQuestions(quiz.questions || []);
+    if (quizError) return res.status(400).json({ error: `Quiz ${quizError}` });
+
+    const values = [JSON.stringify(title), JSON.stringify(learn), JSON.stringify(task), JSON.stringify(quiz)];
+    const adminId = req.session?.user?.id ?? null;
+
+    // save + placement + history snapshot together (utils/lessons.js)
+    const client = await pool.connect();
+    let lesson;
+    try {
+      await client.query("BEGIN");
+      // one placement change per course at a time
+      await client.query("SELECT id FROM courses WHERE id=$1 FOR UPDATE", [courseId]);
+
+      if (id) {
+        const curR = await client.query(
+          "SELECT * FROM lessons WHERE id=$1 AND course_id=$2 AND deleted_at IS NULL FOR UPDATE",
+          [id, courseId]
+        );
+        if (!curR.rows.length) {
+          await client.query("ROLLBACK");
+          return res.status(404).json({ error: "Lesson not found" });
+        }
+
+        const r = await client.query(
+          `UPDATE lessons
+           SET title=$1::jsonb, learn=$2::jsonb, task=$3::jsonb, quiz=$4::jsonb
+           WHERE id=$5
+           RETURNING *`,
+          [...values, id]
+        );
+        lesson = r.rows[0];
+        if (lessonIndex !== null && lessonIndex !== lesson.lesson_index) {
+          lesson.lesson_index = await placeLesson(client, courseId, id, lessonIndex);
+        }
+        if (!sameLessonContent(curR.rows[0], lesson)) await recordLessonRevision(client, lesson, { adminId });
+      } else {
+        const r = await client.query(
+          `INSERT INTO lessons
+             (course_id, lesson_index, title, learn, task, quiz)
+           VALUES
+             ($5,$6,$1::jsonb,$2::jsonb,$3::jsonb,$4::jsonb)
+           RETURNING *`,
+          [...values, courseId, await nextLessonIndex(client, courseId)]
+        );
+        lesson = r.rows[0];
+        if (lessonIndex !== null) lesson.lesson_index = await placeLesson(client, courseId, lesson.id, lessonIndex);
+        await recordLessonRevision(client, lesson, { adminId });
+      }
+
+      await client.query("COMMIT");
+    } catch (e) {
+      await client.query("ROLLBACK").catch(() => {});
+      throw e;
+    } finally {
+      client.release();
     }
 
-    return res.json({ ok: true });
+    return res.json({ ok: true, id: lesson.id, lessonIndex: lesson.lesson_index });
   } catch (e) {
     console.error("ADMIN lesson save error:", e);
     return res.status(500).json({ error: "Failed to save lesson" });
@@ -151,13 +232,38 @@ router.post("/lesson/save", requireAdmin, async (req, res) => {
 });
 
 // DELETE /api/admin/lesson/:id
+// Moves the lesson to the trash (see routes/admin_lesson_history.js to restore it) and closes the
+// gap it leaves: the live lessons are renumbered 0..n-1. The trashed row keeps its old lesson_index
+// as the place an undelete puts it back; exam bank questions tagged with it become untagged.
 router.delete("/lesson/:id", requireAdmin, async (req, res) => {
   try {
     const id = Number(req.params.id);
     if (!Number.isInteger(id)) return res.status(400).json({ error: "Invalid id" });
 
-    await query("DELETE FROM lessons WHERE id=$1", [id]);
-    return res.json({ ok: true });
+    const lessonR = await query("SELECT course_id FROM lessons WHERE id=$1 AND deleted_at IS NULL", [id]);
+    if (!lessonR.rows.length) return res.status(404).json({ error: "Lesson not found" });
+    const courseId = lessonR.rows[0].course_id;
+
+    const client = await pool.connect();
+    try {
+      await client.query("BEGIN");
+      // one placement change per course at a time
+      await client.query("SELECT id FROM courses WHERE id=$1 FOR UPDATE", [courseId]);
+
+      if (!(await trashLesson(client, courseId, id, req.session?.user?.id ?? null))) {
+        await client.query("ROLLBACK");
+        return res.status(404).json({ error: "Lesson not found" });
+      }
+
+      await client.query("COMMIT");
+    } catch (e) {
+      await client.query("ROLLBACK").catch(() => {});
+      throw e;
+    } finally {
+      client.release();
+    }
+
+    return res.json({ ok: true, trashed: true });
   } catch (e) {
     console.error("ADMIN lesson delete error:", e);
     return res.status(500).json({ error: "Failed to delete lesson" });
@@ -166,12 +272,14 @@ router.delete("/lesson/:id", requireAdmin, async (req, res) => {
 
 // -------------------- EXAMS --------------------
 // GET /api/admin/exam/:courseId
-router.get("/exam/:courseId", requireAdmin, async (req, res) => {
-  const courseId = String(req.params.courseId || "").trim();
+router.get("/exam/:courseId", requireAdmin, requireCourse(), async (req, res) => {
+  const courseId = req.courseId;
 
   try {
     const r = await query(
-      `SELECT course_id, pass_score, exam_json_en, exam_json_ti
+      `SELECT course_id, pass_score, exam_json, review_policy, blueprint,
+              max_attempts, cooldown_minutes, time_limit_minutes, score_policy, revision_id,
+              published_revision_id
        FROM exam_defs
        WHERE course_id=$1`,
       [courseId]
@@ -181,9 +289,16 @@ router.get("/exam/:courseId", requireAdmin, async (req, res) => {
       // return defaults so UI can still work
       return res.json({
         courseId,
+        revisionId: null,
+        publishedRevisionId: null,
         passScore: 70,
-        exam_en: { questions: [] },
-        exam_ti: { questions: [] },
+        reviewPolicy: "correctness",
+        blueprint: null,
+        maxAttempts: DEFAULT_ATTEMPT_POLICY.max_attempts,
+        cooldownMinutes: DEFAULT_ATTEMPT_POLICY.cooldown_minutes,
+        timeLimitMinutes: DEFAULT_ATTEMPT_POLICY.time_limit_minutes,
+        scorePolicy: DEFAULT_ATTEMPT_POLICY.score_policy,
+        exams: examsFromJson(null),
       });
     }
 
@@ -191,9 +306,16 @@ router.get("/exam/:courseId", requireAdmin, async (req, res) => {
 
     return res.json({
       courseId: row.course_id,
+      revisionId: row.revision_id ?? null,
+      publishedRevisionId: row.published_revision_id ?? null,
       passScore: Number(row.pass_score ?? 70),
-      exam_en: examSafe(row.exam_json_en),
-      exam_ti: examSafe(row.exam_json_ti),
+      reviewPolicy: row.review_policy,
+      blueprint: normalizeBlueprint(row.blueprint),
+      maxAttempts: row.max_attempts,
+      cooldownMinutes: row.cooldown_minutes,
+      timeLimitMinutes: row.time_limit_minutes,
+      scorePolicy: row.score_policy,
+      exams: examsFromJson(row.exam_json),
     });
   } catch (e) {
     console.error("ADMIN exam load error:", e);
@@ -201,32 +323,99 @@ router.get("/exam/:courseId", requireAdmin, async (req, res) => {
   }
 });
 
-// POST /api/admin/exam/:courseId
-router.post("/exam/:courseId", requireAdmin, async (req, res) => {
-  const courseId = String(req.params.courseId || "").trim();
+/** Optional whole number within [min, max]: undefined -> fallback, null/"" -> null, invalid -> NaN */
+function optionalInt(v, fallback, min, max) {
+  if (v === undefined) return fallback;
+  if (v === null || v === "") return null;
+  const n = Number(v);
+  return Number.isInteger(n) && n >= min && n <= max ? n : NaN;
+}
 
+/** Save an admin request body as the course's new exam revision (exam_def_revisions + exam_defs) */
+async function saveExamDef(courseId, req, res) {
   try {
-    const passScore = Number(req.body?.passScore ?? req.body?.pass_score ?? 70);
-
-    // accept either string JSON or object
-    const exam_en = examSafe(req.body?.exam_en ?? req.body?.exam_json_en);
-    const exam_ti = examSafe(req.body?.exam_ti ?? req.body?.exam_json_ti);
-
-    await query(
-      `INSERT INTO exam_defs (course_id, pass_score, exam_json_en, exam_json_ti)
-       VALUES ($1,$2,$3::jsonb,$4::jsonb)
-       ON CONFLICT (course_id) DO UPDATE SET
-         pass_score=EXCLUDED.pass_score,
-         exam_json_en=EXCLUDED.exam_json_en,
-         exam_json_ti=EXCLUDED.exam_json_ti`,
-      [courseId, passScore, JSON.stringify(exam_en), JSON.stringify(exam_ti)]
-    );
+    const b = req.body || {};
+    const passScore = optionalInt(b.passScore ?? b.pass_score, 70, 0, 100);
+    if (passScore === null || Number.isNaN(passScore)) {
+      return res.status(400).json({ error: "passScore must be a whole number 0..100" });
+    }
+    const reviewPolicy = String(b.reviewPolicy ?? b.review_policy ?? "correctness");
+    if (!REVIEW_POLICIES.includes(reviewPolicy)) {
+      return res.status(400).json({ error: `reviewPolicy must be one of: ${REVIEW_POLICIES.join(", ")}` });
+    }
+
+    // Attempt policy (maxAttempts/timeLimitMinutes null = unlimited)
+    const maxAttempts = optionalInt(b.maxAttempts, DEFAULT_ATTEMPT_POLICY.max_attempts, 1, 100);
+    const cooldownMinutes = optionalInt(b.cooldownMinutes, 0, 0, 60 * 24 * 30) ?? 0;
+    const timeLimitMinutes = optionalInt(b.timeLimitMinutes, null, 1, 600);
+    const scorePolicy = String(b.scorePolicy ?? DEFAULT_ATTEMPT_POLICY.score_policy);
+    if (Number.isNaN(maxAttempts)) return res.status(400).json({ error: "maxAttempts must be 1..100 or empty (unlimited)" });
+    if (Number.isNaN(cooldownMinutes)) return res.status(400).json({ error: "cooldownMinutes must be a whole number of minutes" });
+    if (Number.isNaN(timeLimitMinutes)) return res.status(400).json({ error: "timeLimitMinutes must be 1..600 or empty (no limit)" });
+    if (!SCORE_POLICIES.includes(scorePolicy)) {
+      return res.status(400).json({ error: `scorePolicy must be one of: ${SCORE_POLICIES.join(", ")}` });
+    }
+
+    // null/empty = fixed exam questions; otherwise draw from the question bank
+    const rawBlueprint = req.body?.blueprint ?? null;
+    const blueprint = rawBlueprint === null || rawBlueprint === "" ? null : normalizeBlueprint(rawBlueprint);
+    if (rawBlueprint !== null && rawBlueprint !== "" && !blueprint) {
+      return res.status(400).json({ error: "blueprint.count must be a positive integer" });
+    }
+
+    // { exams: { en: {...}, ti: {...} } } or exam_en / exam_ti; each may be string JSON or an object
+    const exams = examsFromJson(b.exams && typeof b.exams === "object" ? b.exams : textMapFrom(b, "exam"));
 
-    return res.json({ ok: true });
+    // EN is graded; translations must line up with it (same type, same number of options/items)
+    const examError = validateExams(exams);
+    if (examError) return res.status(400).json({ error: `Exam ${examError}` });
+
+    // every save is a new immutable revision (old attempts keep pointing at theirs)
+    const client = await pool.connect();
+    let revisionId;
+    try {
+      await client.query("BEGIN");
+      revisionId = await saveExamRevision(client, courseId, {
+        pass_score: passScore,
+        exams,
+        review_policy: reviewPolicy,
+        blueprint,
+        max_attempts: maxAttempts,
+        cooldown_minutes: cooldownMinutes,
+        time_limit_minutes: timeLimitMinutes,
+        score_policy: scorePolicy
+      }, { adminId: req.session?.user?.id ?? null });
+      await client.query("COMMIT");
+    } catch (e) {
+      await client.query("ROLLBACK").catch(() => {});
+      throw e;
+    } finally {
+      client.release();
+    }
+
+    return res.json({ ok: true, revisionId });
+  } catch (e) {
+    console.error("ADMIN exam save error:", e);
+    return res.status(500).json({ error: "Failed to save exam" });
+  }
+}
+
+// POST /api/admin/exam/save
+//   body: { courseId, passScore, reviewPolicy, blueprint, maxAttempts, cooldownMinutes,
+//           timeLimitMinutes, scorePolicy, exams: { en: { questions }, ti: {...}, ... } }
+// (must be registered before /exam/:courseId)
+router.post("/exam/save", requireAdmin, async (req, res) => {
+  try {
+    const course = await findCourse(req.body?.courseId || req.body?.course_id);
+    if (!course) return res.status(400).json({ error: "Unknown courseId" });
+    return saveExamDef(course.id, req, res);
   } catch (e) {
     console.error("ADMIN exam save error:", e);
     return res.status(500).json({ error: "Failed to save exam" });
   }
 });
 
+// POST /api/admin/exam/:courseId
+router.post("/exam/:courseId", requireAdmin, requireCourse(), (req, res) => saveExamDef(req.courseId, req, res));
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,269 @@
+// backend/routes/admin_certificate_templates.js
+//
+// Certificate templates (mounted at /api/admin), see utils/certificate_templates.js
+// Endpoints:
+//   GET    /api/admin/certificate-templates              (templates, courses + their template, built-in look)
+//   GET    /api/admin/certificate-templates/:id
+//   POST   /api/admin/certificate-templates              body: { name, isDefault, config }
+//   PUT    /api/admin/certificate-templates/:id          body: { name, isDefault, config }
+//   DELETE /api/admin/certificate-templates/:id          (its courses fall back to the default)
+//   POST   /api/admin/certificate-templates/images       body: PNG / JPEG file -> { image: { key }, url }
+//   POST   /api/admin/certificate-templates/preview      body: { config, courseId?, lang?, bilingual?, student? }
+//          -> PDF with sample data, for the editor's live preview (nothing is saved)
+//   PUT    /api/admin/courses/:courseId/certificate-template   body: { templateId: id | null }
+
+const express = require("express");
+const { z } = require("zod");
+const { pool, query } = require("../db_pg");
+const { requireAdmin } = require("../middleware/auth");
+const { requireCourse } = require("../middleware/course");
+const { findCourse } = require("../utils/courses");
+const { publicBase } = require("../utils/urls");
+const { mediaUrl } = require("../utils/storage");
+const { CERT_TEXT, TEXT_KEYS } = require("../utils/certificate_text");
+const {
+  BUILTIN_TEMPLATE,
+  COLOR_KEYS,
+  MAX_SIGNATORIES,
+  MAX_IMAGE_BYTES,
+  configSchema,
+  templateSchema,
+  resolveTemplate,
+  storeTemplateImage
+} = require("../utils/certificate_templates");
+const { sendCertificatePdf } = require("../utils/certificate_pdf");
+
+const router = express.Router();
+
+const previewSchema = z.object({
+  config: configSchema.default({}),
+  courseId: z.string().optional(),
+  lang: z.string().optional(),
+  bilingual: z.boolean().optional(),
+  student: z.string().trim().max(120).optional()
+});
+
+const imageBody = express.raw({ type: (req) => !req.is("application/json"), limit: MAX_IMAGE_BYTES });
+
+function zodMessage(err) {
+  const issue = err.issues?.[0];
+  return issue ? `${issue.path.join(".") || "body"}: ${issue.message}` : "Invalid input";
+}
+
+function parseId(v) {
+  const n = Number(v);
+  return Number.isInteger(n) && n > 0 ? n : null;
+}
+
+/** Links to the uploaded images of a config (key -> url), for the editor's thumbnails */
+function imageUrls(req, config) {
+  const refs = [config?.logo, ...(config?.signatories || []).map((s) => s?.signature)];
+  return Object.fromEntries(refs.filter((r) => r?.key).map((r) => [r.key, mediaUrl(req, r.key)]));
+}
+
+function templateRowToJson(req, row) {
+  return {
+    id: row.id,
+    name: row.name,
+    isDefault: !!row.is_default,
+    config: row.config || {},
+    imageUrls: imageUrls(req, row.config),
+    courseIds: row.course_ids || [],
+    updatedAt: row.updated_at,
+    updatedByName: row.updated_by_name || null
+  };
+}
+
+const TEMPLATE_SELECT = `
+  SELECT t.*, u.name AS updated_by_name,
+         ARRAY(SELECT c.id FROM courses c WHERE c.certificate_template_id = t.id ORDER BY c.sort_order, c.id) AS course_ids
+    FROM certificate_templates t
+    LEFT JOIN users u ON u.id = t.updated_by`;
+
+// GET /api/admin/certificate-templates
+router.get("/certificate-templates", requireAdmin, async (req, res) => {
+  try {
+    const templatesR = await query(`${TEMPLATE_SELECT} ORDER BY t.is_default DESC, t.name, t.id`);
+    const coursesR = await query(
+      `SELECT id, title->>'en' AS title_en, certificate_template_id, archived_at
+         FROM courses
+        ORDER BY (archived_at IS NOT NULL), sort_order, id`
+    );
+    return res.json({
+      templates: templatesR.rows.map((row) => templateRowToJson(req, row)),
+      courses: coursesR.rows.map((row) => ({
+        id: row.id,
+        title_en: row.title_en || row.id,
+        archived: !!row.archived_at,
+        templateId: row.certificate_template_id || null
+      })),
+      // what the editor starts from / shows as placeholders
+      builtin: BUILTIN_TEMPLATE,
+      builtinTexts: CERT_TEXT,
+      textKeys: TEXT_KEYS,
+      colorKeys: COLOR_KEYS,
+      maxSignatories: MAX_SIGNATORIES
+    });
+  } catch (e) {
+    console.error("ADMIN certificate templates list error:", e);
+    return res.status(500).json({ error: "Failed to load certificate templates" });
+  }
+});
+
+// GET /api/admin/certificate-templates/:id
+router.get("/certificate-templates/:id", requireAdmin, async (req, res) => {
+  try {
+    const id = parseId(req.params.id);
+    if (!id) return res.status(400).json({ error: "Invalid id" });
+
+    const r = await query(`${TEMPLATE_SELECT} WHERE t.id=$1`, [id]);
+    if (!r.rows.length) return res.status(404).json({ error: "Template not found" });
+    return res.json({ template: templateRowToJson(req, r.rows[0]) });
+  } catch (e) {
+    console.error("ADMIN certificate template load error:", e);
+    return res.status(500).json({ error: "Failed to load certificate template" });
+  }
+});
+
+/** Insert (id null) or update a template; at most one template is the default */
+async function saveTemplate(id, { name, isDefault, config }, adminId) {
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    if (isDefault) {
+      await client.query(
+        "UPDATE certificate_templates SET is_default = FALSE WHERE is_default AND id IS DISTINCT FROM $1",
+        [id]
+      );
+    }
+    const r = id
+      ? await client.query(
+        `UPDATE certificate_templates
+            SET name=$2, is_default=$3, config=$4::jsonb, updated_at=NOW(), updated_by=$5
+          WHERE id=$1
+          RETURNING id`,
+        [id, name, isDefault, JSON.stringify(config), adminId]
+      )
+      : await client.query(
+        `INSERT INTO certificate_templates (name, is_default, config, updated_by)
+         VALUES ($1, $2, $3::jsonb, $4)
+         RETURNING id`,
+        [name, isDefault, JSON.stringify(config), adminId]
+      );
+    await client.query("COMMIT");
+    return r.rows[0]?.id || null;
+  } catch (e) {
+    await client.query("ROLLBACK").catch(() => {});
+    throw e;
+  } finally {
+    client.release();
+  }
+}
+
+// POST /api/admin/certificate-templates
+router.post("/certificate-templates", requireAdmin, async (req, res) => {
+  try {
+    const parsed = templateSchema.safeParse(req.body || {});
+    if (!parsed.success) return res.status(400).json({ error: zodMessage(parsed.error) });
+
+    const id = await saveTemplate(null, parsed.data, req.session.user.id);
+    return res.json({ ok: true, id });
+  } catch (e) {
+    console.error("ADMIN certificate template create error:", e);
+    return res.status(500).json({ error: "Failed to create certificate template" });
+  }
+});
+
+// PUT /api/admin/certificate-templates/:id
+router.put("/certificate-templates/:id", requireAdmin, async (req, res) => {
+  try {
+    const id = parseId(req.params.id);
+    if (!id) return res.status(400).json({ error: "Invalid id" });
+
+    const parsed = templateSchema.safeParse(req.body || {});
+    if (!parsed.success) return res.status(400).json({ error: zodMessage(parsed.error) });
+
+    const saved = await saveTemplate(id, parsed.data, req.session.user.id);
+    if (!saved) return res.status(404).json({ error: "Template not found" });
+    return res.json({ ok: true, id });
+  } catch (e) {
+    console.error("ADMIN certificate template update error:", e);
+    return res.status(500).json({ error: "Failed to save certificate template" });
+  }
+});
+
+// DELETE /api/admin/certificate-templates/:id
+router.delete("/certificate-templates/:id", requireAdmin, async (req, res) => {
+  try {
+    const id = parseId(req.params.id);
+    if (!id) return res.status(400).json({ error: "Invalid id" });
+
+    // uploaded images stay in storage (a copied config may still use them)
+    const r = await query("DELETE FROM certificate_templates WHERE id=$1 RETURNING id", [id]);
+    if (!r.rows.length) return res.status(404).json({ error: "Template not found" });
+    return res.json({ ok: true });
+  } catch (e) {
+    console.error("ADMIN certificate template delete error:", e);
+    return res.status(500).json({ error: "Failed to delete certificate template" });
+  }
+});
+
+// POST /api/admin/certificate-templates/images
+router.post("/certificate-templates/images", requireAdmin, imageBody, async (req, res) => {
+  try {
+    const image = await storeTemplateImage(req.body, req.get("Content-Type"));
+    return res.json({ ok: true, image, url: mediaUrl(req, image.key) });
+  } catch (e) {
+    if (e.status) return res.status(e.status).json({ error: e.message });
+    console.error("ADMIN certificate image upload error:", e);
+    return res.status(500).json({ error: "Failed to upload image" });
+  }
+});
+
+// POST /api/admin/certificate-templates/preview
+router.post("/certificate-templates/preview", requireAdmin, async (req, res) => {
+  try {
+    const parsed = previewSchema.safeParse(req.body || {});
+    if (!parsed.success) return res.status(400).json({ error: zodMessage(parsed.error) });
+    const d = parsed.data;
+
+    const course = d.courseId ? await findCourse(d.courseId) : null;
+    await sendCertificatePdf(res, {
+      template: resolveTemplate(d.config),
+      lang: d.lang,
+      bilingual: !!d.bilingual,
+      student: d.student || "Sample Student",
+      courseTitles: course?.title || { en: "Sample Course" },
+      courseId: course?.id || "sample",
+      issuedAt: new Date(),
+      certificateId: "PREVIEW",
+      verifyUrl: `${publicBase(req)}/api/certificates/verify/preview`,
+      filename: "certificate-preview"
+    });
+  } catch (e) {
+    console.error("ADMIN certificate preview error:", e);
+    if (res.headersSent) return res.end();
+    return res.status(500).json({ error: "Failed to render preview" });
+  }
+});
+
+// PUT /api/admin/courses/:courseId/certificate-template
+router.put("/courses/:courseId/certificate-template", requireAdmin, requireCourse(), async (req, res) => {
+  try {
+    const parsed = z.object({ templateId: z.number().int().positive().nullable() }).safeParse(req.body || {});
+    if (!parsed.success) return res.status(400).json({ error: zodMessage(parsed.error) });
+    const { templateId } = parsed.data;
+
+    if (templateId) {
+      const t = await query("SELECT 1 FROM certificate_templates WHERE id=$1", [templateId]);
+      if (!t.rows.length) return res.status(404).json({ error: "Template not found" });
+    }
+    await query("UPDATE courses SET certificate_template_id=$2 WHERE id=$1", [req.courseId, templateId]);
+    return res.json({ ok: true, templateId });
+  } catch (e) {
+    console.error("ADMIN course certificate template error:", e);
+    return res.status(500).json({ error: "Failed to set certificate template" });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,83 @@
+// backend/routes/admin_course_bundles.js
+//
+// Course content import / export (mounted at /api/admin), see utils/bundles.js
+// Endpoints:
+//   GET  /api/admin/courses/:courseId/export?format=json|zip    (download)
+//   POST /api/admin/courses/import?dryRun=1&publish=1
+//        body: the bundle as JSON (application/json) or a zip (application/zip)
+//        dryRun=1 only returns the plan; publish=1 also publishes the course's drafts
+
+const express = require("express");
+const { pool, query } = require("../db_pg");
+const { requireAdmin } = require("../middleware/auth");
+const { requireCourse } = require("../middleware/course");
+const { exportCourse, bundleToJson, bundleToZip, parseBundle, planImport, importBundle } = require("../utils/bundles");
+
+const router = express.Router();
+
+// zip uploads arrive raw; JSON bundles go through the app-wide express.json()
+const zipBody = express.raw({ type: ["application/zip", "application/octet-stream"], limit: "10mb" });
+
+// GET /api/admin/courses/:courseId/export?format=json|zip
+router.get("/courses/:courseId/export", requireAdmin, requireCourse(), async (req, res) => {
+  try {
+    const bundle = await exportCourse({ query }, req.courseId);
+    if (!bundle) return res.status(404).json({ error: "Course not found" });
+
+    const stamp = bundle.exportedAt.slice(0, 10);
+    if (req.query.format === "zip") {
+      res.setHeader("Content-Type", "application/zip");
+      res.setHeader("Content-Disposition", `attachment; filename="${req.courseId}-${stamp}.zip"`);
+      return res.send(bundleToZip(bundle));
+    }
+
+    res.setHeader("Content-Type", "application/json; charset=utf-8");
+    res.setHeader("Content-Disposition", `attachment; filename="${req.courseId}-${stamp}.json"`);
+    return res.send(bundleToJson(bundle));
+  } catch (e) {
+    console.error("ADMIN course export error:", e);
+    return res.status(500).json({ error: "Failed to export course" });
+  }
+});
+
+// POST /api/admin/courses/import?dryRun=1&publish=1
+router.post("/courses/import", requireAdmin, zipBody, async (req, res) => {
+  let bundle;
+  try {
+    bundle = parseBundle(req.body);
+  } catch (e) {
+    return res.status(e.status || 400).json({ error: e.message });
+  }
+
+  if (req.query.dryRun === "1") {
+    try {
+      return res.json({ ok: true, dryRun: true, plan: await planImport({ query }, bundle) });
+    } catch (e) {
+      console.error("ADMIN course import plan error:", e);
+      return res.status(500).json({ error: "Failed to compare bundle" });
+    }
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    const plan = await importBundle(client, bundle, {
+      adminId: req.session?.user?.id ?? null,
+      publish: req.query.publish === "1"
+    });
+    await client.query("COMMIT");
+
+    return res.json({ ok: true, dryRun: false, plan });
+  } catch (e) {
+    await client.query("ROLLBACK").catch(() => {});
+    if (e.code === "23505") {
+      return res.status(409).json({ error: "Lessons changed while importing; run the import again" });
+    }
+    console.error("ADMIN course import error:", e);
+    return res.status(500).json({ error: "Failed to import course" });
+  } finally {
+    client.release();
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,280 @@
+// backend/routes/admin_courses.js
+//
+// Admin course management (mounted at /api/admin)
+// Endpoints:
+//   GET    /api/admin/courses
+//   POST   /api/admin/courses                 (create) body: { id, title: { en, ti, ... }, intro: {...}, ... }
+//   PUT    /api/admin/courses/:courseId       (edit)
+//   POST   /api/admin/courses/reorder         body: { ids: [...] }
+//   POST   /api/admin/courses/:courseId/archive
+//   POST   /api/admin/courses/:courseId/unarchive
+//   DELETE /api/admin/courses/:courseId       (only when no student has attempts/certificates)
+//   GET    /api/admin/courses/:courseId/drafts    (unpublished lesson/exam changes + schedule)
+//   POST   /api/admin/courses/:courseId/publish   (promote all drafts now)
+//   POST   /api/admin/courses/:courseId/schedule  body: { publishAt: ISO datetime | null }
+
+const express = require("express");
+const { z } = require("zod");
+const { pool, query } = require("../db_pg");
+const { requireAdmin } = require("../middleware/auth");
+const { requireCourse } = require("../middleware/course");
+const { COURSE_ID_RE } = require("../utils/courses");
+const { textMapSchema, textMapFrom } = require("../utils/locales");
+const { draftStatus, publishCourseDrafts } = require("../utils/publishing");
+
+const router = express.Router();
+
+// title / intro: { locale: text }, English required (other languages fall back to it)
+const courseFields = {
+  title: textMapSchema({ min: 2 }),
+  intro: textMapSchema({ min: 2 }),
+  sort_order: z.number().int().min(0).optional(),
+  published: z.boolean().optional()
+};
+
+const createSchema = z.object({
+  id: z.string().trim().toLowerCase().regex(COURSE_ID_RE, "id must be a lowercase slug (a-z, 0-9, - or _)"),
+  ...courseFields
+});
+
+const updateSchema = z.object(courseFields).partial();
+
+/** Request body with the old per-language keys (title_en, title_ti, ...) folded into maps */
+function courseBody(body) {
+  const b = { ...(body || {}) };
+  for (const field of ["title", "intro"]) {
+    const map = textMapFrom(b, field);
+    if (Object.keys(map).length) b[field] = map;
+  }
+  return b;
+}
+
+const scheduleSchema = z.object({
+  publishAt: z.string().datetime({ offset: true }).nullable()
+});
+
+function courseRowToJson(row) {
+  return {
+    id: row.id,
+    title: row.title,
+    intro: row.intro,
+    sort_order: row.sort_order,
+    published: !!row.published,
+    archived: !!row.archived_at,
+    archivedAt: row.archived_at || null,
+    lessonCount: row.lesson_count ?? undefined
+  };
+}
+
+function zodMessage(err) {
+  const issue = err.issues?.[0];
+  return issue ? `${issue.path.join(".") || "body"}: ${issue.message}` : "Invalid input";
+}
+
+// GET /api/admin/courses
+router.get("/courses", requireAdmin, async (req, res) => {
+  try {
+    const r = await query(
+      `SELECT c.id, c.title, c.intro,
+              c.sort_order, c.published, c.archived_at,
+              (SELECT COUNT(*)::int FROM lessons l WHERE l.course_id = c.id AND l.deleted_at IS NULL) AS lesson_count
+         FROM courses c
+        ORDER BY (c.archived_at IS NOT NULL), c.sort_order, c.id`
+    );
+    return res.json({ courses: r.rows.map(courseRowToJson) });
+  } catch (e) {
+    console.error("ADMIN courses list error:", e);
+    return res.status(500).json({ error: "Failed to load courses" });
+  }
+});
+
+// POST /api/admin/courses
+router.post("/courses", requireAdmin, async (req, res) => {
+  try {
+    const parsed = createSchema.safeParse(courseBody(req.body));
+    if (!parsed.success) return res.status(400).json({ error: zodMessage(parsed.error) });
+    const d = parsed.data;
+
+    // new courses go to the end unless a position is given
+    const sortR = await query("SELECT COALESCE(MAX(sort_order), 0) + 1 AS next FROM courses");
+    const sortOrder = d.sort_order ?? sortR.rows[0].next;
+
+    const r = await query(
+      `INSERT INTO courses (id, title, intro, sort_order, published)
+       VALUES ($1,$2::jsonb,$3::jsonb,$4,$5)
+       ON CONFLICT (id) DO NOTHING
+       RETURNING id, title, intro, sort_order, published, archived_at`,
+      [d.id, JSON.stringify(d.title), JSON.stringify(d.intro), sortOrder, d.published ?? false]
+    );
+    if (!r.rows.length) return res.status(409).json({ error: "A course with this id already exists" });
+
+    return res.json({ ok: true, course: courseRowToJson(r.rows[0]) });
+  } catch (e) {
+    console.error("ADMIN course create error:", e);
+    return res.status(500).json({ error: "Failed to create course" });
+  }
+});
+
+// POST /api/admin/courses/reorder
+router.post("/courses/reorder", requireAdmin, async (req, res) => {
+  const parsed = z.object({ ids: z.array(z.string().min(1)).min(1) }).safeParse(req.body || {});
+  if (!parsed.success) return res.status(400).json({ error: "ids array required" });
+  const { ids } = parsed.data;
+
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+
+    const known = await client.query("SELECT id FROM courses WHERE id = ANY($1::text[])", [ids]);
+    if (known.rows.length !== new Set(ids).size) {
+      await client.query("ROLLBACK");
+      return res.status(400).json({ error: "Unknown course id in list" });
+    }
+
+    for (let i = 0; i < ids.length; i++) {
+      await client.query("UPDATE courses SET sort_order=$1 WHERE id=$2", [i + 1, ids[i]]);
+    }
+
+    await client.query("COMMIT");
+    return res.json({ ok: true });
+  } catch (e) {
+    await client.query("ROLLBACK").catch(() => {});
+    console.error("ADMIN course reorder error:", e);
+    return res.status(500).json({ error: "Failed to reorder courses" });
+  } finally {
+    client.release();
+  }
+});
+
+// PUT /api/admin/courses/:courseId
+router.put("/courses/:courseId", requireAdmin, requireCourse(), async (req, res) => {
+  try {
+    const parsed = updateSchema.safeParse(courseBody(req.body));
+    if (!parsed.success) return res.status(400).json({ error: zodMessage(parsed.error) });
+
+    const d = parsed.data;
+    const c = req.course;
+
+    const r = await query(
+      `UPDATE courses
+          SET title=$1::jsonb, intro=$2::jsonb, sort_order=$3, published=$4
+        WHERE id=$5
+        RETURNING id, title, intro, sort_order, published, archived_at`,
+      [
+        JSON.stringify(d.title ?? c.title),
+        JSON.stringify(d.intro ?? c.intro),
+        d.sort_order ?? c.sort_order,
+        d.published ?? c.published,
+        c.id
+      ]
+    );
+
+    return res.json({ ok: true, course: courseRowToJson(r.rows[0]) });
+  } catch (e) {
+    console.error("ADMIN course update error:", e);
+    return res.status(500).json({ error: "Failed to update course" });
+  }
+});
+
+// POST /api/admin/courses/:courseId/archive
+router.post("/courses/:courseId/archive", requireAdmin, requireCourse(), async (req, res) => {
+  try {
+    await query("UPDATE courses SET archived_at=COALESCE(archived_at, NOW()) WHERE id=$1", [req.courseId]);
+    return res.json({ ok: true });
+  } catch (e) {
+    console.error("ADMIN course archive error:", e);
+    return res.status(500).json({ error: "Failed to archive course" });
+  }
+});
+
+// POST /api/admin/courses/:courseId/unarchive
+router.post("/courses/:courseId/unarchive", requireAdmin, requireCourse(), async (req, res) => {
+  try {
+    await query("UPDATE courses SET archived_at=NULL WHERE id=$1", [req.courseId]);
+    return res.json({ ok: true });
+  } catch (e) {
+    console.error("ADMIN course unarchive error:", e);
+    return res.status(500).json({ error: "Failed to unarchive course" });
+  }
+});
+
+// GET /api/admin/courses/:courseId/drafts
+router.get("/courses/:courseId/drafts", requireAdmin, requireCourse(), async (req, res) => {
+  try {
+    return res.json(await draftStatus({ query }, req.courseId));
+  } catch (e) {
+    console.error("ADMIN course drafts error:", e);
+    return res.status(500).json({ error: "Failed to load drafts" });
+  }
+});
+
+// POST /api/admin/courses/:courseId/publish
+// Students see every lesson and exam draft of the course at once (one transaction).
+router.post("/courses/:courseId/publish", requireAdmin, requireCourse(), async (req, res) => {
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    const published = await publishCourseDrafts(client, req.courseId, { adminId: req.session?.user?.id ?? null });
+    await client.query("COMMIT");
+
+    return res.json({ ok: true, ...published });
+  } catch (e) {
+    await client.query("ROLLBACK").catch(() => {});
+    console.error("ADMIN course publish error:", e);
+    return res.status(500).json({ error: "Failed to publish course" });
+  } finally {
+    client.release();
+  }
+});
+
+// POST /api/admin/courses/:courseId/schedule
+// Publishes the drafts there are at that time (utils/publishing.js publishDueCourses); null cancels.
+router.post("/courses/:courseId/schedule", requireAdmin, requireCourse(), async (req, res) => {
+  try {
+    const parsed = scheduleSchema.safeParse(req.body || {});
+    if (!parsed.success) return res.status(400).json({ error: zodMessage(parsed.error) });
+
+    const { publishAt } = parsed.data;
+    if (publishAt && new Date(publishAt).getTime() <= Date.now()) {
+      return res.status(400).json({ error: "publishAt must be in the future (use Publish now instead)" });
+    }
+
+    const r = await query(
+      "UPDATE courses SET scheduled_publish_at=$2 WHERE id=$1 RETURNING scheduled_publish_at",
+      [req.courseId, publishAt]
+    );
+    return res.json({ ok: true, scheduledPublishAt: r.rows[0]?.scheduled_publish_at || null });
+  } catch (e) {
+    console.error("ADMIN course schedule error:", e);
+    return res.status(500).json({ error: "Failed to schedule publishing" });
+  }
+});
+
+// DELETE /api/admin/courses/:courseId
+// Deleting cascades to lessons, progress, exams and certificates, so it is refused
+// once students have earned something in the course (archive it instead).
+router.delete("/courses/:courseId", requireAdmin, requireCourse(), async (req, res) => {
+  try {
+    const usedR = await query(
+      `SELECT
+         (SELECT COUNT(*)::int FROM certificates WHERE course_id=$1) AS certificates,
+         (SELECT COUNT(*)::int FROM exam_attempts WHERE course_id=$1) AS attempts`,
+      [req.courseId]
+    );
+    const used = usedR.rows[0];
+    if (used.certificates > 0 || used.attempts > 0) {
+      return res.status(409).json({
+        error: "Course has exam attempts or certificates. Archive it instead.",
+        details: used
+      });
+    }
+
+    await query("DELETE FROM courses WHERE id=$1", [req.courseId]);
+    return res.json({ ok: true });
+  } catch (e) {
+    console.error("ADMIN course delete error:", e);
+    return res.status(500).json({ error: "Failed to delete course" });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,269 @@
+// backend/routes/admin_exam_analytics.js
+//
+// Exam item analytics for content authors (mounted at /api/admin)
+// Endpoint:
+//   GET /api/admin/exam/:courseId/analytics
+//
+// Built from the per-question results stored in exam_attempts.answers (routes/exams.js).
+// Reset (voided) attempts are included: they are still real answers to the questions.
+// Fixed exam questions are reported per exam revision (question 3 of two revisions may differ).
+// Per question:
+//   correctRate       mean credit 0..1 (partial credit counts)
+//   options           how often each option was picked (single / multi / true-false), original order
+//   positions         how often each item / pair was placed right (order / match)
+//   wrongAnswers      most common wrong short answers
+//   breakdownResponses  answers the three breakdowns above count: bank questions can be edited, so
+//                     only results stored with the current version of the question (qv) are used;
+//                     older results without it only for fixed questions of their own exam revision
+//   discrimination    upper 27% minus lower 27% correct rate (by attempt score), null with too few attempts
+//   byLang            correct rate per language the attempts were taken in
+//   langGap           largest difference of a translation to English (that language minus EN), langGapLocale
+
+const express = require("express");
+const { query } = require("../db_pg");
+const { requireAdmin } = require("../middleware/auth");
+const { requireCourse } = require("../middleware/course");
+const { loadExamDef, loadExamRevision, loadQuestionPool, examQuestions } = require("../utils/exams");
+const { questionType, questionVersion, normalizeAnswerText } = require("../utils/grading");
+const { DEFAULT_LOCALE } = require("../utils/locales");
+
+const router = express.Router();
+
+const GROUP_FRACTION = 0.27;
+const MIN_ATTEMPTS_FOR_DISCRIMINATION = 10;
+const MIN_RESPONSES_FOR_FLAGS = 5;
+const MAX_WRONG_ANSWERS = 5;
+
+function round2(x) {
+  return x == null ? null : Math.round(x * 100) / 100;
+}
+
+function mean(values) {
+  return values.length ? values.reduce((a, b) => a + b, 0) / values.length : null;
+}
+
+/**
+ * One stored result -> { key, qid, qi, revisionId, version, credit, pickedOriginal }.
+ * Results from before the question bank ({ index, picked, correct, isCorrect })
+ * were always in fixed exam order with unshuffled options.
+ */
+function normalizeResult(r, revisionId) {
+  if (!r || typeof r !== "object") return null;
+
+  const legacy = !("qid" in r) && !("q" in r);
+  const qid = legacy ? null : r.qid ?? null;
+  const qi = legacy ? r.index : r.q ?? null;
+  if (qid == null && !Number.isInteger(qi)) return null;
+
+  return {
+    key: qid != null ? `qid:${qid}` : `q:${revisionId ?? "-"}:${qi}`,
+    qid,
+    qi: qid != null ? null : qi,
+    revisionId: qid != null ? null : revisionId,
+    version: r.qv ?? null,
+    credit: Number.isFinite(r.credit) ? r.credit : (r.isCorrect ? 1 : 0),
+    pickedOriginal: r.pickedOriginal !== undefined ? r.pickedOriginal : r.picked
+  };
+}
+
+/** Option rows for single / multi / truefalse questions */
+function optionStats(q, responses) {
+  const type = questionType(q);
+  const labels = type === "truefalse" ? ["True", "False"] : (q.options || []);
+  const correct = type === "truefalse"
+    ? [q.answer ? 0 : 1]
+    : type === "multi" ? (q.correctIndexes || []) : [q.correctIndex];
+
+  const counts = labels.map(() => 0);
+  let blank = 0;
+  for (const { pickedOriginal } of responses) {
+    const picked = type === "truefalse"
+      ? (typeof pickedOriginal === "boolean" ? [pickedOriginal ? 0 : 1] : [])
+      : (Array.isArray(pickedOriginal) ? pickedOriginal : [pickedOriginal]);
+    const valid = picked.filter((oi) => Number.isInteger(oi) && oi >= 0 && oi < counts.length);
+    if (!valid.length) blank++;
+    valid.forEach((oi) => { counts[oi]++; });
+  }
+
+  return {
+    options: labels.map((text, index) => ({
+      index,
+      text,
+      correct: correct.includes(index),
+      picked: counts[index],
+      rate: responses.length ? round2(counts[index] / responses.length) : null
+    })),
+    blank
+  };
+}
+
+/** Per item / pair: how often it was put in the right place (order / match) */
+function positionStats(q, responses) {
+  const type = questionType(q);
+  const labels = type === "order" ? (q.items || []) : (q.pairs || []).map((p) => p.left);
+  return labels.map((text, pos) => {
+    const right = responses.filter((r) => Array.isArray(r.pickedOriginal) && r.pickedOriginal[pos] === pos).length;
+    return { index: pos, text, rate: responses.length ? round2(right / responses.length) : null };
+  });
+}
+
+function wrongShortAnswers(responses) {
+  const counts = new Map();
+  for (const r of responses) {
+    if (r.credit >= 1) continue;
+    const text = normalizeAnswerText(r.pickedOriginal);
+    if (!text) continue;
+    counts.set(text, (counts.get(text) || 0) + 1);
+  }
+  return [...counts.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, MAX_WRONG_ANSWERS)
+    .map(([answer, count]) => ({ answer, count }));
+}
+
+function flagsFor(stats) {
+  const flags = [];
+  if (stats.responses < MIN_RESPONSES_FOR_FLAGS) return flags;
+  if (stats.correctRate >= 0.9) flags.push("too_easy");
+  if (stats.correctRate <= 0.3) flags.push("too_hard");
+  if (stats.discrimination != null && stats.discrimination < 0.1) flags.push("low_discrimination");
+  if (stats.breakdownResponses >= MIN_RESPONSES_FOR_FLAGS &&
+      (stats.options || []).some((o) => !o.correct && o.rate > stats.breakdownCorrectRate)) {
+    flags.push("misleading_distractor");
+  }
+  const en = stats.byLang[DEFAULT_LOCALE];
+  const gapped = Object.entries(stats.byLang).some(([locale, s]) =>
+    locale !== DEFAULT_LOCALE && en.responses >= MIN_RESPONSES_FOR_FLAGS && s.responses >= MIN_RESPONSES_FOR_FLAGS &&
+    Math.abs(s.correctRate - en.correctRate) >= 0.2);
+  if (gapped) flags.push("language_gap");
+  return flags;
+}
+
+/** Translation with the largest correct-rate difference to English: { locale, gap } or null */
+function largestLanguageGap(byLang) {
+  const en = byLang[DEFAULT_LOCALE];
+  if (!en.responses) return null;
+  let best = null;
+  for (const [locale, s] of Object.entries(byLang)) {
+    if (locale === DEFAULT_LOCALE || !s.responses) continue;
+    const gap = round2(s.correctRate - en.correctRate);
+    if (!best || Math.abs(gap) > Math.abs(best.gap)) best = { locale, gap };
+  }
+  return best;
+}
+
+// GET /api/admin/exam/:courseId/analytics
+router.get("/exam/:courseId/analytics", requireAdmin, requireCourse(), async (req, res) => {
+  try {
+    const courseId = req.courseId;
+
+    const [def, pool, attemptsR] = await Promise.all([
+      loadExamDef(courseId),
+      loadQuestionPool(courseId),
+      query(
+        `SELECT id, score, lang, answers, exam_revision_id
+           FROM exam_attempts
+          WHERE course_id = $1 AND answers IS NOT NULL`,
+        [courseId]
+      )
+    ]);
+    const poolById = new Map(pool.map((row) => [row.id, row]));
+    const attempts = attemptsR.rows;
+
+    // fixed questions come from the revision each attempt was graded against (no revision = current)
+    const revisions = new Map();
+    for (const id of new Set(attempts.map((a) => a.exam_revision_id).filter((x) => x != null))) {
+      revisions.set(id, id === def?.revision_id ? def : await loadExamRevision(id));
+    }
+    const fixedQuestion = (revisionId, qi) =>
+      examQuestions(revisionId != null ? revisions.get(revisionId) : def)[qi];
+    const langs = [...new Set([DEFAULT_LOCALE, ...attempts.map((a) => a.lang).filter(Boolean)])];
+
+    // upper / lower groups by attempt score (classic 27% split)
+    const ranked = attempts.slice().sort((a, b) => b.score - a.score);
+    const groupSize = Math.max(1, Math.round(attempts.length * GROUP_FRACTION));
+    const enoughForGroups = attempts.length >= MIN_ATTEMPTS_FOR_DISCRIMINATION;
+    const upper = new Set(enoughForGroups ? ranked.slice(0, groupSize).map((a) => a.id) : []);
+    const lower = new Set(enoughForGroups ? ranked.slice(-groupSize).map((a) => a.id) : []);
+
+    const byKey = new Map();
+    for (const attempt of attempts) {
+      for (const raw of Array.isArray(attempt.answers) ? attempt.answers : []) {
+        const r = normalizeResult(raw, attempt.exam_revision_id ?? null);
+        if (!r) continue;
+        if (!byKey.has(r.key)) byKey.set(r.key, { qid: r.qid, qi: r.qi, revisionId: r.revisionId, responses: [] });
+        byKey.get(r.key).responses.push({ ...r, attemptId: attempt.id, lang: attempt.lang });
+      }
+    }
+
+    const questions = [];
+    for (const [key, { qid, qi, revisionId, responses }] of byKey) {
+      const q = qid != null ? poolById.get(qid)?.question?.[DEFAULT_LOCALE] : fixedQuestion(revisionId, qi);
+      const credits = (list) => list.map((r) => r.credit);
+      const langStats = (lang) => {
+        const list = responses.filter((r) => r.lang === lang);
+        return { responses: list.length, correctRate: round2(mean(credits(list))) };
+      };
+
+      const upperRate = mean(credits(responses.filter((r) => upper.has(r.attemptId))));
+      const lowerRate = mean(credits(responses.filter((r) => lower.has(r.attemptId))));
+      const byLang = Object.fromEntries(langs.map((lang) => [lang, langStats(lang)]));
+      const gap = largestLanguageGap(byLang);
+
+      const stats = {
+        key,
+        qid,
+        qi,
+        revisionId,
+        currentRevision: qid != null || revisionId == null || revisionId === def?.revision_id,
+        exists: !!q,
+        text: q?.text ?? null,
+        type: q ? questionType(q) : null,
+        active: qid != null ? !!poolById.get(qid)?.active : null,
+        responses: responses.length,
+        correctRate: round2(mean(credits(responses))),
+        fullyCorrectRate: round2(responses.filter((r) => r.credit >= 1).length / responses.length),
+        discrimination: upperRate != null && lowerRate != null ? round2(upperRate - lowerRate) : null,
+        byLang,
+        langGap: gap?.gap ?? null,
+        langGapLocale: gap?.locale ?? null
+      };
+
+      // answer breakdowns read the answers against the current question: only answers to this version
+      const version = q ? questionVersion(q) : null;
+      const comparable = q
+        ? responses.filter((r) => (r.version != null ? r.version === version : r.revisionId != null))
+        : [];
+      stats.breakdownResponses = comparable.length;
+      stats.breakdownCorrectRate = round2(mean(credits(comparable)));
+
+      const type = stats.type;
+      if (comparable.length) {
+        if (type === "single" || type === "multi" || type === "truefalse") Object.assign(stats, optionStats(q, comparable));
+        if (type === "order" || type === "match") stats.positions = positionStats(q, comparable);
+        if (type === "short") stats.wrongAnswers = wrongShortAnswers(comparable);
+      }
+
+      stats.flags = flagsFor(stats);
+      questions.push(stats);
+    }
+
+    questions.sort((a, b) =>
+      (a.qid == null) - (b.qid == null) || (a.qid ?? 0) - (b.qid ?? 0) ||
+      (b.revisionId ?? 0) - (a.revisionId ?? 0) || (a.qi ?? 0) - (b.qi ?? 0));
+
+    return res.json({
+      courseId,
+      revisionId: def?.revision_id ?? null,
+      attemptCount: attempts.length,
+      byLang: Object.fromEntries(langs.map((lang) => [lang, attempts.filter((a) => a.lang === lang).length])),
+      discriminationAvailable: enoughForGroups,
+      questions
+    });
+  } catch (e) {
+    console.error("ADMIN exam analytics error:", e);
+    return res.status(500).json({ error: "Failed to load analytics" });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,234 @@
+// backend/routes/admin_exam_questions.js
+//
+// Exam question bank (mounted at /api/admin)
+// Endpoints:
+//   GET  /api/admin/exam/:courseId/questions
+//   POST /api/admin/exam/:courseId/questions              (create)
+//   POST /api/admin/exam/:courseId/questions/import-fixed (copy exam_defs questions into the bank)
+//   PUT  /api/admin/exam/:courseId/questions/:id          (edit / activate / deactivate)
+//
+// Questions are never hard-deleted: old attempts still point at them (active=false hides them from new draws).
+// Content is never changed in place either: every save of `question` adds an exam_question_revisions
+// row (utils/exams.js saveQuestionRevision), so attempts are reviewed and graded as they were drawn.
+// Content is a draft until the course is published (utils/publishing.js); lesson_index, topic and
+// active apply right away.
+// Body: { lesson_index, topic, active, question: { en: {...}, ti: {...}, ... } } - English is graded,
+// translations must match its type and option order (null leaves a language out). The old
+// question_en / question_ti keys still work and only change that language.
+
+const express = require("express");
+const { z } = require("zod");
+const { pool, query } = require("../db_pg");
+const { requireAdmin } = require("../middleware/auth");
+const { requireCourse } = require("../middleware/course");
+const { loadExamDef, examQuestions, saveQuestionRevision } = require("../utils/exams");
+const { validateQuestion } = require("../utils/grading");
+const { DEFAULT_LOCALE, LOCALE_CATALOG, LOCALE_CODES } = require("../utils/locales");
+const { publishStatus } = require("../utils/publishing");
+
+const router = express.Router();
+
+// Question JSON is checked by utils/grading.js (all question types)
+const fields = {
+  lesson_index: z.number().int().min(0).nullable().optional(),
+  topic: z.string().trim().max(80).nullable().optional(),
+  question: z.record(z.record(z.any()).nullable()),
+  active: z.boolean().optional()
+};
+
+const createSchema = z.object(fields);
+const updateSchema = z.object(fields).partial();
+
+function zodMessage(err) {
+  const issue = err.issues?.[0];
+  return issue ? `${issue.path.join(".") || "body"}: ${issue.message}` : "Invalid input";
+}
+
+/** The body with question_<locale> keys merged into `question` (on top of the current languages) */
+function questionBody(body, current = null) {
+  const b = { ...(body || {}) };
+  const legacy = LOCALE_CODES.filter((code) => b[`question_${code}`] !== undefined);
+  if (b.question === undefined && legacy.length) {
+    b.question = { ...(current || {}) };
+    for (const code of legacy) b.question[code] = b[`question_${code}`];
+  }
+  return b;
+}
+
+/** Known languages only, left-out ones dropped */
+function cleanQuestionMap(map) {
+  return Object.fromEntries(Object.entries(map).filter(([code, q]) => LOCALE_CATALOG[code] && q));
+}
+
+/** Error message for a question in all its languages, or null */
+function checkQuestion(question) {
+  const en = question[DEFAULT_LOCALE];
+  if (!en) return `question.${DEFAULT_LOCALE} is required`;
+  const enError = validateQuestion(en);
+  if (enError) return `question.${DEFAULT_LOCALE}: ${enError}`;
+  for (const [code, q] of Object.entries(question)) {
+    const trError = code === DEFAULT_LOCALE ? null : validateQuestion(q, { original: en });
+    if (trError) return `question.${code}: ${trError}`;
+  }
+  return null;
+}
+
+function questionRowToJson(row) {
+  return {
+    id: row.id,
+    course_id: row.course_id,
+    lesson_index: row.lesson_index,
+    topic: row.topic,
+    question: row.question,
+    revisionId: row.revision_id ?? null,
+    publishStatus: publishStatus(row.published_revision_id, row.revision_id),
+    active: !!row.active,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+// GET /api/admin/exam/:courseId/questions
+router.get("/exam/:courseId/questions", requireAdmin, requireCourse(), async (req, res) => {
+  try {
+    const r = await query(
+      `SELECT *
+         FROM exam_questions
+        WHERE course_id = $1
+        ORDER BY active DESC, lesson_index NULLS LAST, id`,
+      [req.courseId]
+    );
+    return res.json({ questions: r.rows.map(questionRowToJson) });
+  } catch (e) {
+    console.error("ADMIN exam questions list error:", e);
+    return res.status(500).json({ error: "Failed to load questions" });
+  }
+});
+
+/** Insert a bank question with its first revision (db: a transaction client). Returns the row. */
+async function insertQuestion(db, courseId, { lesson_index = null, topic = null, question, active = true }, adminId) {
+  const r = await db.query(
+    `INSERT INTO exam_questions (course_id, lesson_index, topic, question, active)
+     VALUES ($1, $2, $3, $4::jsonb, $5)
+     RETURNING id`,
+    [courseId, lesson_index, topic, JSON.stringify(question), active]
+  );
+  const id = r.rows[0].id;
+  await saveQuestionRevision(db, id, question, { adminId });
+  return (await db.query("SELECT * FROM exam_questions WHERE id = $1", [id])).rows[0];
+}
+
+// POST /api/admin/exam/:courseId/questions
+router.post("/exam/:courseId/questions", requireAdmin, requireCourse(), async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const parsed = createSchema.safeParse(questionBody(req.body));
+    if (!parsed.success) return res.status(400).json({ error: zodMessage(parsed.error) });
+    const d = parsed.data;
+
+    const question = cleanQuestionMap(d.question);
+    const invalid = checkQuestion(question);
+    if (invalid) return res.status(400).json({ error: invalid });
+
+    await client.query("BEGIN");
+    const row = await insertQuestion(
+      client,
+      req.courseId,
+      { lesson_index: d.lesson_index ?? null, topic: d.topic || null, question, active: d.active ?? true },
+      req.session?.user?.id ?? null
+    );
+    await client.query("COMMIT");
+    return res.status(201).json({ question: questionRowToJson(row) });
+  } catch (e) {
+    await client.query("ROLLBACK").catch(() => {});
+    console.error("ADMIN exam question create error:", e);
+    return res.status(500).json({ error: "Failed to create question" });
+  } finally {
+    client.release();
+  }
+});
+
+// POST /api/admin/exam/:courseId/questions/import-fixed
+// One-off helper: copy the fixed exam_defs questions (every language, by position) into the bank.
+router.post("/exam/:courseId/questions/import-fixed", requireAdmin, requireCourse(), async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const def = await loadExamDef(req.courseId);
+    const en = examQuestions(def);
+    const valid = en.map((q, i) => ({ q, i })).filter((x) => !validateQuestion(x.q));
+
+    await client.query("BEGIN");
+    for (const { q, i } of valid) {
+      // translations that don't fit are left out (students get English for those)
+      const question = { [DEFAULT_LOCALE]: q };
+      for (const [code, exam] of Object.entries(def.exams)) {
+        const tr = exam.questions[i];
+        if (code !== DEFAULT_LOCALE && tr && !validateQuestion(tr, { original: q })) question[code] = tr;
+      }
+      await insertQuestion(client, req.courseId, { question }, req.session?.user?.id ?? null);
+    }
+    await client.query("COMMIT");
+
+    return res.json({ ok: true, imported: valid.length, skipped: en.length - valid.length });
+  } catch (e) {
+    await client.query("ROLLBACK").catch(() => {});
+    console.error("ADMIN exam questions import error:", e);
+    return res.status(500).json({ error: "Failed to import questions" });
+  } finally {
+    client.release();
+  }
+});
+
+// PUT /api/admin/exam/:courseId/questions/:id
+// lesson_index / topic / active change in place; a changed `question` is saved as a new revision.
+router.put("/exam/:courseId/questions/:id", requireAdmin, requireCourse(), async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id)) return res.status(400).json({ error: "Invalid id" });
+
+    const curR = await query(
+      "SELECT * FROM exam_questions WHERE id = $1 AND course_id = $2",
+      [id, req.courseId]
+    );
+    const cur = curR.rows[0];
+    if (!cur) return res.status(404).json({ error: "Question not found" });
+
+    const parsed = updateSchema.safeParse(questionBody(req.body, cur.question));
+    if (!parsed.success) return res.status(400).json({ error: zodMessage(parsed.error) });
+    const d = parsed.data;
+
+    const question = d.question !== undefined ? cleanQuestionMap(d.question) : cur.question;
+    if (d.question !== undefined) {
+      const invalid = checkQuestion(question);
+      if (invalid) return res.status(400).json({ error: invalid });
+    }
+
+    await client.query("BEGIN");
+    await client.query(
+      `UPDATE exam_questions
+          SET lesson_index = $1, topic = $2, active = $3, updated_at = NOW()
+        WHERE id = $4`,
+      [
+        d.lesson_index !== undefined ? d.lesson_index : cur.lesson_index,
+        d.topic !== undefined ? d.topic || null : cur.topic,
+        d.active ?? cur.active,
+        id
+      ]
+    );
+    if (JSON.stringify(question) !== JSON.stringify(cur.question)) {
+      await saveQuestionRevision(client, id, question, { adminId: req.session?.user?.id ?? null });
+    }
+    const r = await client.query("SELECT * FROM exam_questions WHERE id = $1", [id]);
+    await client.query("COMMIT");
+    return res.json({ question: questionRowToJson(r.rows[0]) });
+  } catch (e) {
+    await client.query("ROLLBACK").catch(() => {});
+    console.error("ADMIN exam question update error:", e);
+    return res.status(500).json({ error: "Failed to update question" });
+  } finally {
+    client.release();
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,199 @@
+// backend/routes/admin_exam_revisions.js
+//
+// Exam definition history (mounted at /api/admin)
+// Endpoints:
+//   GET  /api/admin/exam/:courseId/revisions
+//   GET  /api/admin/exam/:courseId/revisions/:revId
+//   GET  /api/admin/exam/:courseId/revisions/:revId/diff?against=<revId>  (default: current revision)
+//   POST /api/admin/exam/:courseId/revisions/:revId/restore               (saved as a NEW revision)
+//
+// Revisions are immutable: every save (routes/admin.js) and every restore adds one,
+// and attempts keep the id of the revision they were graded against. The current revision is
+// the draft; students take exam_defs.published_revision_id (utils/publishing.js).
+
+const express = require("express");
+const { pool, query } = require("../db_pg");
+const { requireAdmin } = require("../middleware/auth");
+const { requireCourse } = require("../middleware/course");
+const { loadExamDef, loadExamRevision, saveExamRevision, examQuestions } = require("../utils/exams");
+const { DEFAULT_LOCALE } = require("../utils/locales");
+
+const router = express.Router();
+
+// Settings compared by the diff (def field -> label used by the admin UI)
+const SETTING_FIELDS = {
+  pass_score: "passScore",
+  review_policy: "reviewPolicy",
+  blueprint: "blueprint",
+  max_attempts: "maxAttempts",
+  cooldown_minutes: "cooldownMinutes",
+  time_limit_minutes: "timeLimitMinutes",
+  score_policy: "scorePolicy"
+};
+
+function revisionToJson(rev, currentId) {
+  return {
+    id: rev.revision_id,
+    current: rev.revision_id === currentId,
+    createdAt: rev.created_at,
+    createdBy: rev.created_by,
+    restoredFrom: rev.restored_from,
+    passScore: rev.pass_score,
+    reviewPolicy: rev.review_policy,
+    blueprint: rev.blueprint,
+    maxAttempts: rev.max_attempts,
+    cooldownMinutes: rev.cooldown_minutes,
+    timeLimitMinutes: rev.time_limit_minutes,
+    scorePolicy: rev.score_policy,
+    exams: rev.exams
+  };
+}
+
+/**
+ * Changes from revision a to revision b: settings + questions compared by position.
+ * A question whose English is unchanged shows up once per language whose translation changed.
+ */
+function diffRevisions(a, b) {
+  const same = (x, y) => JSON.stringify(x ?? null) === JSON.stringify(y ?? null);
+
+  const settings = Object.entries(SETTING_FIELDS)
+    .filter(([field]) => !same(a[field], b[field]))
+    .map(([field, name]) => ({ field: name, from: a[field] ?? null, to: b[field] ?? null }));
+
+  const questions = [];
+  const enA = examQuestions(a);
+  const enB = examQuestions(b);
+  const locales = [...new Set([...Object.keys(a.exams || {}), ...Object.keys(b.exams || {})])]
+    .filter((code) => code !== DEFAULT_LOCALE);
+  const n = Math.max(enA.length, enB.length);
+  for (let i = 0; i < n; i++) {
+    const from = enA[i];
+    const to = enB[i];
+    if (!from) questions.push({ index: i, change: "added", to });
+    else if (!to) questions.push({ index: i, change: "removed", from });
+    else if (!same(from, to)) questions.push({ index: i, change: "changed", from, to });
+    else {
+      for (const locale of locales) {
+        const trFrom = examQuestions(a, locale)[i] ?? null;
+        const trTo = examQuestions(b, locale)[i] ?? null;
+        if (!same(trFrom, trTo)) questions.push({ index: i, change: "translation", locale, from: trFrom, to: trTo });
+      }
+    }
+  }
+
+  return { settings, questions };
+}
+
+/** Revision of this course, or null */
+async function loadCourseRevision(courseId, revId) {
+  const id = Number(revId);
+  if (!Number.isInteger(id)) return null;
+  const rev = await loadExamRevision(id);
+  return rev && rev.course_id === courseId ? rev : null;
+}
+
+// GET /api/admin/exam/:courseId/revisions
+router.get("/exam/:courseId/revisions", requireAdmin, requireCourse(), async (req, res) => {
+  try {
+    const courseId = req.courseId;
+    const def = await loadExamDef(courseId);
+    const pubR = await query("SELECT published_revision_id FROM exam_defs WHERE course_id=$1", [courseId]);
+    const publishedId = pubR.rows[0]?.published_revision_id ?? null;
+
+    const r = await query(
+      `SELECT r.id, r.created_at, r.created_by, r.restored_from, r.pass_score,
+              jsonb_array_length(COALESCE(r.exam_json->'en'->'questions', '[]'::jsonb)) AS question_count,
+              u.name AS created_by_name,
+              (SELECT COUNT(*)::int FROM exam_attempts a WHERE a.exam_revision_id = r.id) AS attempt_count
+         FROM exam_def_revisions r
+         LEFT JOIN users u ON u.id = r.created_by
+        WHERE r.course_id = $1
+        ORDER BY r.id DESC`,
+      [courseId]
+    );
+
+    return res.json({
+      courseId,
+      currentRevisionId: def?.revision_id ?? null,
+      publishedRevisionId: publishedId,
+      revisions: r.rows.map((row) => ({
+        id: row.id,
+        current: row.id === def?.revision_id,
+        published: row.id === publishedId,
+        createdAt: row.created_at,
+        createdBy: row.created_by,
+        createdByName: row.created_by_name || null,
+        restoredFrom: row.restored_from,
+        passScore: row.pass_score,
+        questionCount: row.question_count,
+        attemptCount: row.attempt_count
+      }))
+    });
+  } catch (e) {
+    console.error("ADMIN exam revisions list error:", e);
+    return res.status(500).json({ error: "Failed to load revisions" });
+  }
+});
+
+// GET /api/admin/exam/:courseId/revisions/:revId
+router.get("/exam/:courseId/revisions/:revId", requireAdmin, requireCourse(), async (req, res) => {
+  try {
+    const rev = await loadCourseRevision(req.courseId, req.params.revId);
+    if (!rev) return res.status(404).json({ error: "Revision not found" });
+
+    const def = await loadExamDef(req.courseId);
+    return res.json({ revision: revisionToJson(rev, def?.revision_id) });
+  } catch (e) {
+    console.error("ADMIN exam revision load error:", e);
+    return res.status(500).json({ error: "Failed to load revision" });
+  }
+});
+
+// GET /api/admin/exam/:courseId/revisions/:revId/diff?against=<revId>
+router.get("/exam/:courseId/revisions/:revId/diff", requireAdmin, requireCourse(), async (req, res) => {
+  try {
+    const rev = await loadCourseRevision(req.courseId, req.params.revId);
+    if (!rev) return res.status(404).json({ error: "Revision not found" });
+
+    const def = await loadExamDef(req.courseId);
+    const againstId = req.query.against ?? def?.revision_id;
+    const against = await loadCourseRevision(req.courseId, againstId);
+    if (!against) return res.status(404).json({ error: "Revision to compare against not found" });
+
+    // what changes when going from `against` to `rev`
+    return res.json({
+      from: against.revision_id,
+      to: rev.revision_id,
+      ...diffRevisions(against, rev)
+    });
+  } catch (e) {
+    console.error("ADMIN exam revision diff error:", e);
+    return res.status(500).json({ error: "Failed to compare revisions" });
+  }
+});
+
+// POST /api/admin/exam/:courseId/revisions/:revId/restore
+router.post("/exam/:courseId/revisions/:revId/restore", requireAdmin, requireCourse(), async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const rev = await loadCourseRevision(req.courseId, req.params.revId);
+    if (!rev) return res.status(404).json({ error: "Revision not found" });
+
+    await client.query("BEGIN");
+    const revisionId = await saveExamRevision(client, req.courseId, rev, {
+      adminId: req.session?.user?.id ?? null,
+      restoredFrom: rev.revision_id
+    });
+    await client.query("COMMIT");
+
+    return res.json({ ok: true, revisionId });
+  } catch (e) {
+    await client.query("ROLLBACK").catch(() => {});
+    console.error("ADMIN exam revision restore error:", e);
+    return res.status(500).json({ error: "Failed to restore revision" });
+  } finally {
+    client.release();
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,265 @@
+// backend/routes/admin_lesson_history.js
+//
+// Lesson revision history + trash (mounted at /api/admin)
+// Endpoints:
+//   GET  /api/admin/lesson/:id/revisions
+//   GET  /api/admin/lesson/:id/revisions/:revId/diff?against=<revId|current>  (default: the revision before)
+//   POST /api/admin/lesson/:id/revisions/:revId/restore   (content only; recorded as a new revision)
+//   GET  /api/admin/lessons/:courseId/trash
+//   POST /api/admin/lesson/:id/undelete                   body: { lessonIndex? } (default: its old index;
+//                                                         lessons from there on move down one place)
+//
+// Revisions are written by POST /api/admin/lesson/save (routes/admin.js, utils/lessons.js).
+
+const express = require("express");
+const { pool, query } = require("../db_pg");
+const { requireAdmin } = require("../middleware/auth");
+const { requireCourse } = require("../middleware/course");
+const { diffLines } = require("../utils/diff");
+const { LOCALE_CODES } = require("../utils/locales");
+const {
+  LESSON_TEXT_FIELDS,
+  sameLessonContent,
+  recordLessonRevision,
+  placeLesson,
+  nextLessonIndex
+} = require("../utils/lessons");
+
+const router = express.Router();
+
+function parseId(v) {
+  const n = Number(v);
+  return Number.isInteger(n) && n > 0 ? n : null;
+}
+
+/** Line diff per field and language ("title_en", "learn_ti", ...) + the quiz JSON, from a to b */
+function contentDiff(a, b) {
+  const fields = {};
+  for (const f of LESSON_TEXT_FIELDS) {
+    for (const code of LOCALE_CODES) {
+      if (a?.[f]?.[code] == null && b?.[f]?.[code] == null) continue;
+      fields[`${f}_${code}`] = diffLines(String(a?.[f]?.[code] ?? ""), String(b?.[f]?.[code] ?? ""));
+    }
+  }
+  const quizText = (row) => (row ? JSON.stringify(row.quiz ?? { questions: [] }, null, 2) : "");
+  fields.quiz = diffLines(quizText(a), quizText(b));
+  return fields;
+}
+
+async function loadRevision(lessonId, revId) {
+  const r = await query("SELECT * FROM lesson_revisions WHERE id=$1 AND lesson_id=$2", [revId, lessonId]);
+  return r.rows[0] || null;
+}
+
+// GET /api/admin/lesson/:id/revisions
+router.get("/lesson/:id/revisions", requireAdmin, async (req, res) => {
+  try {
+    const id = parseId(req.params.id);
+    if (!id) return res.status(400).json({ error: "Invalid id" });
+
+    const lessonR = await query(
+      "SELECT id, course_id, lesson_index, title, deleted_at FROM lessons WHERE id=$1",
+      [id]
+    );
+    const lesson = lessonR.rows[0];
+    if (!lesson) return res.status(404).json({ error: "Lesson not found" });
+
+    const r = await query(
+      `SELECT r.id, r.kind, r.restored_from, r.lesson_index, r.title, r.created_at,
+              r.created_by, u.name AS created_by_name
+         FROM lesson_revisions r
+         LEFT JOIN users u ON u.id = r.created_by
+        WHERE r.lesson_id = $1
+        ORDER BY r.id DESC`,
+      [id]
+    );
+
+    return res.json({
+      lesson: {
+        id: lesson.id,
+        courseId: lesson.course_id,
+        lessonIndex: lesson.lesson_index,
+        title: lesson.title,
+        deletedAt: lesson.deleted_at || null
+      },
+      revisions: r.rows.map((row, i) => ({
+        id: row.id,
+        current: i === 0,
+        kind: row.kind,
+        restoredFrom: row.restored_from,
+        lessonIndex: row.lesson_index,
+        title: row.title,
+        createdAt: row.created_at,
+        createdBy: row.created_by,
+        createdByName: row.created_by_name || null
+      }))
+    });
+  } catch (e) {
+    console.error("ADMIN lesson revisions error:", e);
+    return res.status(500).json({ error: "Failed to load revisions" });
+  }
+});
+
+// GET /api/admin/lesson/:id/revisions/:revId/diff?against=<revId|current>
+// Line diff per field (title/learn/task per language, quiz JSON) from `against` to this revision.
+router.get("/lesson/:id/revisions/:revId/diff", requireAdmin, async (req, res) => {
+  try {
+    const id = parseId(req.params.id);
+    const revId = parseId(req.params.revId);
+    if (!id || !revId) return res.status(400).json({ error: "Invalid id" });
+
+    const rev = await loadRevision(id, revId);
+    if (!rev) return res.status(404).json({ error: "Revision not found" });
+
+    let against = null;
+    let againstLabel = null;
+    if (req.query.against === "current") {
+      const cur = await query("SELECT * FROM lessons WHERE id=$1", [id]);
+      against = cur.rows[0] || null;
+      againstLabel = "current";
+    } else if (req.query.against) {
+      const otherId = parseId(req.query.against);
+      against = otherId ? await loadRevision(id, otherId) : null;
+      if (!against) return res.status(404).json({ error: "Revision to compare against not found" });
+      againstLabel = against.id;
+    } else {
+      const prev = await query(
+        "SELECT * FROM lesson_revisions WHERE lesson_id=$1 AND id < $2 ORDER BY id DESC LIMIT 1",
+        [id, revId]
+      );
+      against = prev.rows[0] || null;
+      againstLabel = against ? against.id : null;
+    }
+
+    return res.json({ from: againstLabel, to: rev.id, fields: contentDiff(against, rev) });
+  } catch (e) {
+    console.error("ADMIN lesson revision diff error:", e);
+    return res.status(500).json({ error: "Failed to compare revisions" });
+  }
+});
+
+// POST /api/admin/lesson/:id/revisions/:revId/restore
+router.post("/lesson/:id/revisions/:revId/restore", requireAdmin, async (req, res) => {
+  const id = parseId(req.params.id);
+  const revId = parseId(req.params.revId);
+  if (!id || !revId) return res.status(400).json({ error: "Invalid id" });
+
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+
+    const revR = await client.query("SELECT * FROM lesson_revisions WHERE id=$1 AND lesson_id=$2", [revId, id]);
+    const rev = revR.rows[0];
+    const curR = await client.query("SELECT * FROM lessons WHERE id=$1 AND deleted_at IS NULL FOR UPDATE", [id]);
+    const cur = curR.rows[0];
+    if (!rev || !cur) {
+      await client.query("ROLLBACK");
+      return res.status(404).json({ error: rev ? "Lesson not found (restore it from the trash first)" : "Revision not found" });
+    }
+    if (sameLessonContent(cur, rev)) {
+      await client.query("ROLLBACK");
+      return res.json({ ok: true, unchanged: true });
+    }
+
+    const r = await client.query(
+      `UPDATE lessons
+          SET title=$1::jsonb, learn=$2::jsonb, task=$3::jsonb, quiz=$4::jsonb
+        WHERE id=$5
+        RETURNING *`,
+      [JSON.stringify(rev.title), JSON.stringify(rev.learn), JSON.stringify(rev.task), JSON.stringify(rev.quiz), id]
+    );
+    const revisionId = await recordLessonRevision(client, r.rows[0], {
+      adminId: req.session?.user?.id ?? null,
+      kind: "restore",
+      restoredFrom: rev.id
+    });
+
+    await client.query("COMMIT");
+    return res.json({ ok: true, revisionId });
+  } catch (e) {
+    await client.query("ROLLBACK").catch(() => {});
+    console.error("ADMIN lesson revision restore error:", e);
+    return res.status(500).json({ error: "Failed to restore revision" });
+  } finally {
+    client.release();
+  }
+});
+
+// GET /api/admin/lessons/:courseId/trash
+router.get("/lessons/:courseId/trash", requireAdmin, requireCourse(), async (req, res) => {
+  try {
+    const r = await query(
+      `SELECT l.id, l.lesson_index, l.title, l.deleted_at, u.name AS deleted_by_name,
+              EXISTS (
+                SELECT 1 FROM lessons x
+                 WHERE x.course_id = l.course_id AND x.lesson_index = l.lesson_index AND x.deleted_at IS NULL
+              ) AS index_taken
+         FROM lessons l
+         LEFT JOIN users u ON u.id = l.deleted_by
+        WHERE l.course_id = $1 AND l.deleted_at IS NOT NULL
+        ORDER BY l.deleted_at DESC`,
+      [req.courseId]
+    );
+
+    return res.json({
+      lessons: r.rows.map((row) => ({
+        id: row.id,
+        lessonIndex: row.lesson_index,
+        title: row.title,
+        deletedAt: row.deleted_at,
+        deletedByName: row.deleted_by_name || null,
+        indexTaken: !!row.index_taken
+      }))
+    });
+  } catch (e) {
+    console.error("ADMIN lesson trash error:", e);
+    return res.status(500).json({ error: "Failed to load trash" });
+  }
+});
+
+// POST /api/admin/lesson/:id/undelete
+router.post("/lesson/:id/undelete", requireAdmin, async (req, res) => {
+  try {
+    const id = parseId(req.params.id);
+    if (!id) return res.status(400).json({ error: "Invalid id" });
+
+    const curR = await query("SELECT id, course_id, lesson_index, deleted_at FROM lessons WHERE id=$1", [id]);
+    const cur = curR.rows[0];
+    if (!cur || !cur.deleted_at) return res.status(404).json({ error: "Lesson is not in the trash" });
+
+    const raw = req.body?.lessonIndex;
+    const wanted = raw === undefined || raw === null || raw === "" ? cur.lesson_index : Number(raw);
+    if (!Number.isInteger(wanted) || wanted < 0) return res.status(400).json({ error: "lessonIndex invalid" });
+
+    // back at the end of the course first, then moved into place (utils/lessons.js)
+    const client = await pool.connect();
+    let lessonIndex;
+    try {
+      await client.query("BEGIN");
+      await client.query("SELECT id FROM courses WHERE id=$1 FOR UPDATE", [cur.course_id]);
+      const r = await client.query(
+        `UPDATE lessons SET deleted_at=NULL, deleted_by=NULL, lesson_index=$2
+          WHERE id=$1 AND deleted_at IS NOT NULL`,
+        [id, await nextLessonIndex(client, cur.course_id)]
+      );
+      if (!r.rowCount) {
+        await client.query("ROLLBACK");
+        return res.status(404).json({ error: "Lesson is not in the trash" });
+      }
+      lessonIndex = await placeLesson(client, cur.course_id, id, wanted);
+      await client.query("COMMIT");
+    } catch (e) {
+      await client.query("ROLLBACK").catch(() => {});
+      throw e;
+    } finally {
+      client.release();
+    }
+
+    return res.json({ ok: true, lessonIndex });
+  } catch (e) {
+    console.error("ADMIN lesson undelete error:", e);
+    return res.status(500).json({ error: "Failed to restore lesson" });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,118 @@
+// backend/routes/admin_lesson_media.js
+//
+// Lesson media uploads (mounted at /api/admin), see utils/media.js
+// Endpoints:
+//   GET    /api/admin/lesson/:id/media
+//   POST   /api/admin/lesson/:id/media?lang=<enabled locale>&name=<file name>
+//          body: the file itself, Content-Type: its type (image/png, audio/mpeg, ...)
+//   DELETE /api/admin/media/:mediaId
+
+const express = require("express");
+const { query } = require("../db_pg");
+const { requireAdmin } = require("../middleware/auth");
+const { getStorage } = require("../utils/storage");
+const { isEnabledLocale } = require("../utils/locales");
+const {
+  MAX_BYTES,
+  checkUpload,
+  newMediaKey,
+  mediaRowToJson
+} = require("../utils/media");
+
+const router = express.Router();
+
+// any non-JSON body arrives raw; checkUpload decides what is allowed
+const fileBody = express.raw({
+  type: (req) => !req.is("application/json"),
+  limit: Math.max(...Object.values(MAX_BYTES))
+});
+
+function parseId(v) {
+  const n = Number(v);
+  return Number.isInteger(n) && n > 0 ? n : null;
+}
+
+// GET /api/admin/lesson/:id/media
+router.get("/lesson/:id/media", requireAdmin, async (req, res) => {
+  try {
+    const id = parseId(req.params.id);
+    if (!id) return res.status(400).json({ error: "Invalid id" });
+
+    const r = await query("SELECT * FROM lesson_media WHERE lesson_id=$1 ORDER BY lang, kind, id", [id]);
+    return res.json({ media: r.rows.map((row) => mediaRowToJson(req, row)) });
+  } catch (e) {
+    console.error("ADMIN lesson media list error:", e);
+    return res.status(500).json({ error: "Failed to load media" });
+  }
+});
+
+// POST /api/admin/lesson/:id/media?lang=<locale>&name=...
+router.post("/lesson/:id/media", requireAdmin, fileBody, async (req, res) => {
+  try {
+    const id = parseId(req.params.id);
+    if (!id) return res.status(400).json({ error: "Invalid id" });
+
+    const lang = String(req.query.lang || "");
+    if (!isEnabledLocale(lang)) return res.status(400).json({ error: "lang must be an enabled language" });
+
+    const lessonR = await query("SELECT id FROM lessons WHERE id=$1 AND deleted_at IS NULL", [id]);
+    if (!lessonR.rows.length) return res.status(404).json({ error: "Lesson not found" });
+
+    let type;
+    try {
+      type = checkUpload(req.body, req.get("Content-Type"));
+    } catch (e) {
+      return res.status(e.status || 400).json({ error: e.message });
+    }
+
+    const key = newMediaKey(id, lang, type.ext);
+    const storage = getStorage();
+    await storage.put(key, req.body, { contentType: type.contentType });
+
+    try {
+      const r = await query(
+        `INSERT INTO lesson_media
+           (lesson_id, lang, kind, storage_key, content_type, size_bytes, original_name, created_by)
+         VALUES ($1,$2,$3,$4,$5,$6,$7,$8)
+         RETURNING *`,
+        [
+          id,
+          lang,
+          type.kind,
+          key,
+          type.contentType,
+          req.body.length,
+          String(req.query.name || "").slice(0, 200) || null,
+          req.session?.user?.id ?? null
+        ]
+      );
+      return res.json({ ok: true, media: mediaRowToJson(req, r.rows[0]) });
+    } catch (e) {
+      await storage.remove(key).catch(() => {});
+      throw e;
+    }
+  } catch (e) {
+    console.error("ADMIN lesson media upload error:", e);
+    return res.status(500).json({ error: "Failed to upload media" });
+  }
+});
+
+// DELETE /api/admin/media/:mediaId
+router.delete("/media/:mediaId", requireAdmin, async (req, res) => {
+  try {
+    const id = parseId(req.params.mediaId);
+    if (!id) return res.status(400).json({ error: "Invalid id" });
+
+    const r = await query("DELETE FROM lesson_media WHERE id=$1 RETURNING storage_key", [id]);
+    if (!r.rows.length) return res.status(404).json({ error: "Media not found" });
+
+    // the row is gone either way; a file left behind is only wasted space
+    await getStorage().remove(r.rows[0].storage_key).catch((e) => console.error("MEDIA REMOVE ERROR:", e));
+    return res.json({ ok: true });
+  } catch (e) {
+    console.error("ADMIN lesson media delete error:", e);
+    return res.status(500).json({ error: "Failed to delete media" });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,38 @@
+// backend/routes/admin_translations.js
+//
+// Translation completeness (mounted at /api/admin), see utils/translation_report.js
+// Endpoints:
+//   GET /api/admin/translations/report?courseId=<id>&locale=<code>
+//       (all courses / every enabled translation locale when left out)
+
+const express = require("express");
+const { requireAdmin } = require("../middleware/auth");
+const { findCourse } = require("../utils/courses");
+const { DEFAULT_LOCALE, isEnabledLocale } = require("../utils/locales");
+const { translationReport } = require("../utils/translation_report");
+
+const router = express.Router();
+
+// GET /api/admin/translations/report
+router.get("/translations/report", requireAdmin, async (req, res) => {
+  try {
+    let courseId = null;
+    if (req.query.courseId) {
+      const course = await findCourse(String(req.query.courseId));
+      if (!course) return res.status(404).json({ error: "Course not found" });
+      courseId = course.id;
+    }
+
+    const locale = req.query.locale ? String(req.query.locale) : null;
+    if (locale && (locale === DEFAULT_LOCALE || !isEnabledLocale(locale))) {
+      return res.status(400).json({ error: "locale must be an enabled translation language" });
+    }
+
+    return res.json(await translationReport({ courseId, locale }));
+  } catch (e) {
+    console.error("ADMIN translation report error:", e);
+    return res.status(500).json({ error: "Failed to build translation report" });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,461 @@
+// backend/routes/admin_users.js
+//
+// Admin user management (mounted at /api/admin)
+// Endpoints:
+//   GET  /api/admin/users?search=&role=&page=&pageSize=
+//   GET  /api/admin/users/:id
+//   POST /api/admin/users/:id/role        body: { role: "student" | "admin" }
+//   POST /api/admin/users/:id/disable
+//   POST /api/admin/users/:id/enable
+//   POST /api/admin/users/:id/logout      (force logout everywhere)
+//   POST /api/admin/users/:id/exams/:courseId/grant   body: { extraAttempts, reason }
+//   POST /api/admin/users/:id/exams/:courseId/reset   body: { reason }  (voids counted attempts)
+//   POST /api/admin/users/:id/certificates/:certId/revoke    body: { reason, note }
+//   POST /api/admin/users/:id/certificates/:certId/reissue   body: { name }  (new certificate, old one superseded)
+
+const express = require("express");
+const { z } = require("zod");
+const { pool, query } = require("../db_pg");
+const { requireAdmin } = require("../middleware/auth");
+const { requireCourse } = require("../middleware/course");
+const { destroyUserSessions } = require("../utils/sessions");
+const { loadPublishedExamDef, attemptSummary } = require("../utils/exams");
+const {
+  REVOKE_REASONS,
+  certificateStatus,
+  revokeCertificate,
+  reissueCertificate
+} = require("../utils/certificates");
+const { publicBase } = require("../utils/urls");
+
+const router = express.Router();
+
+const ROLES = ["student", "admin"];
+const MAX_PAGE_SIZE = 100;
+
+const reasonSchema = z.string().trim().min(3, "reason is required").max(500);
+const grantSchema = z.object({
+  extraAttempts: z.number().int().min(1).max(20),
+  reason: reasonSchema
+});
+const revokeSchema = z.object({
+  reason: z.enum(Object.keys(REVOKE_REASONS)),
+  note: z.string().trim().max(500).optional().transform((s) => s || null)
+});
+const reissueSchema = z.object({
+  // corrected name on the certificate; empty: the account name
+  name: z.string().trim().max(120).optional().transform((s) => s || null)
+});
+
+function parseUserId(req) {
+  const id = Number(req.params.id);
+  return Number.isInteger(id) && id > 0 ? id : null;
+}
+
+function userRowToJson(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    first_name: row.first_name || "",
+    last_name: row.last_name || "",
+    email: row.email,
+    role: row.role,
+    disabled: !!row.disabled_at,
+    disabledAt: row.disabled_at || null,
+    createdAt: row.created_at
+  };
+}
+
+/**
+ * Admins must not lock themselves out (self-demote / self-disable).
+ */
+function isSelf(req, userId) {
+  return Number(req.session?.user?.id) === userId;
+}
+
+// GET /api/admin/users
+router.get("/users", requireAdmin, async (req, res) => {
+  try {
+    const search = String(req.query.search || "").trim();
+    const role = ROLES.includes(req.query.role) ? req.query.role : null;
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const pageSize = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(req.query.pageSize, 10) || 25));
+
+    const where = [];
+    const params = [];
+    if (search) {
+      // % and _ in the search box are literal characters, not wildcards
+      params.push(`%${search.replace(/[\\%_]/g, "\\$&")}%`);
+      where.push(`(name ILIKE $${params.length} ESCAPE '\\' OR email ILIKE $${params.length} ESCAPE '\\')`);
+    }
+    if (role) {
+      params.push(role);
+      where.push(`role = $${params.length}`);
+    }
+    const whereSql = where.length ? `WHERE ${where.join(" AND ")}` : "";
+
+    const totalR = await query(`SELECT COUNT(*)::int AS c FROM users ${whereSql}`, params);
+
+    const r = await query(
+      `SELECT id, name, first_name, last_name, email, role, disabled_at, created_at
+         FROM users
+         ${whereSql}
+        ORDER BY created_at DESC, id DESC
+        LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, pageSize, (page - 1) * pageSize]
+    );
+
+    return res.json({
+      users: r.rows.map(userRowToJson),
+      total: totalR.rows[0]?.c ?? 0,
+      page,
+      pageSize
+    });
+  } catch (e) {
+    console.error("ADMIN users list error:", e);
+    return res.status(500).json({ error: "Failed to load users" });
+  }
+});
+
+// GET /api/admin/users/:id
+router.get("/users/:id", requireAdmin, async (req, res) => {
+  try {
+    const userId = parseUserId(req);
+    if (!userId) return res.status(400).json({ error: "Invalid id" });
+
+    const userR = await query(
+      `SELECT id, name, first_name, last_name, email, role, disabled_at, created_at
+         FROM users WHERE id=$1`,
+      [userId]
+    );
+    if (!userR.rows.length) return res.status(404).json({ error: "User not found" });
+
+    const progressR = await query(
+      `SELECT c.id AS course_id, c.title->>'en' AS title_en,
+              (SELECT COUNT(*)::int FROM lessons l
+                WHERE l.course_id = c.id AND l.deleted_at IS NULL AND l.published_revision_id IS NOT NULL) AS total_lessons,
+              COUNT(*) FILTER (WHERE p.completed)::int AS completed_lessons,
+              ROUND(AVG(p.quiz_score))::int AS avg_quiz_score,
+              MAX(p.updated_at) AS last_activity_at
+         FROM courses c
+         LEFT JOIN (progress p
+                    JOIN lessons pl ON pl.id = p.lesson_id AND pl.deleted_at IS NULL)
+                ON p.course_id = c.id AND p.user_id = $1
+        GROUP BY c.id
+        ORDER BY c.id`,
+      [userId]
+    );
+
+    const attemptsR = await query(
+      `SELECT id, course_id, score, passed, created_at, voided_at, late
+         FROM exam_attempts
+        WHERE user_id=$1
+        ORDER BY created_at DESC NULLS LAST, id DESC`,
+      [userId]
+    );
+
+    const certsR = await query(
+      `SELECT c.id, c.course_id, c.issued_at, c.public_token, c.signed_data, c.student_name,
+              c.revoked_at, c.revoked_reason, c.revoked_note, c.superseded_at, c.superseded_by,
+              rb.name AS revoked_by_name, ib.name AS issued_by_name
+         FROM certificates c
+         LEFT JOIN users rb ON rb.id = c.revoked_by
+         LEFT JOIN users ib ON ib.id = c.issued_by
+        WHERE c.user_id=$1
+        ORDER BY c.issued_at ASC, c.id ASC`,
+      [userId]
+    );
+
+    const adjustmentsR = await query(
+      `SELECT a.id, a.course_id, a.kind, a.extra_attempts, a.reason, a.created_at,
+              u.name AS admin_name
+         FROM exam_attempt_adjustments a
+         LEFT JOIN users u ON u.id = a.admin_id
+        WHERE a.user_id=$1
+        ORDER BY a.created_at DESC, a.id DESC`,
+      [userId]
+    );
+
+    // attempt allowance per course, following each exam's policy
+    const examStatus = [];
+    for (const row of progressR.rows) {
+      const summary = await attemptSummary({ userId, courseId: row.course_id, def: await loadPublishedExamDef(row.course_id) });
+      examStatus.push({
+        courseId: row.course_id,
+        attemptCount: summary.attemptCount,
+        maxAttempts: summary.maxAttempts,
+        extraAttempts: summary.extraAttempts,
+        remainingAttempts: summary.remainingAttempts,
+        nextAttemptAt: summary.nextAttemptAt,
+        scorePolicy: summary.scorePolicy,
+        passed: summary.counted?.passed ?? false
+      });
+    }
+
+    return res.json({
+      user: userRowToJson(userR.rows[0]),
+      progress: progressR.rows.map((row) => ({
+        courseId: row.course_id,
+        courseTitle: row.title_en,
+        totalLessons: row.total_lessons ?? 0,
+        completedLessons: row.completed_lessons ?? 0,
+        avgQuizScore: row.avg_quiz_score ?? null,
+        lastActivityAt: row.last_activity_at || null
+      })),
+      examAttempts: attemptsR.rows.map((row) => ({
+        id: row.id,
+        courseId: row.course_id,
+        score: row.score,
+        passed: !!row.passed,
+        createdAt: row.created_at,
+        voidedAt: row.voided_at || null,
+        late: !!row.late
+      })),
+      examStatus,
+      examAdjustments: adjustmentsR.rows.map((row) => ({
+        id: row.id,
+        courseId: row.course_id,
+        kind: row.kind,
+        extraAttempts: row.extra_attempts,
+        reason: row.reason,
+        adminName: row.admin_name || null,
+        createdAt: row.created_at
+      })),
+      certificates: certsR.rows.map((row) => ({
+        id: row.id,
+        courseId: row.course_id,
+        issuedAt: row.issued_at,
+        status: certificateStatus(row),
+        name: row.signed_data?.student || row.student_name || null,
+        verifyUrl: `${publicBase(req)}/api/certificates/verify/${row.public_token}`,
+        issuedByName: row.issued_by_name || null,
+        revokedAt: row.revoked_at || null,
+        revokedReason: row.revoked_reason || null,
+        revokedNote: row.revoked_note || null,
+        revokedByName: row.revoked_by_name || null,
+        supersededAt: row.superseded_at || null,
+        supersededBy: row.superseded_by || null
+      })),
+      revokeReasons: REVOKE_REASONS
+    });
+  } catch (e) {
+    console.error("ADMIN user detail error:", e);
+    return res.status(500).json({ error: "Failed to load user" });
+  }
+});
+
+// POST /api/admin/users/:id/role
+router.post("/users/:id/role", requireAdmin, async (req, res) => {
+  try {
+    const userId = parseUserId(req);
+    if (!userId) return res.status(400).json({ error: "Invalid id" });
+
+    const parsed = z.object({ role: z.enum(ROLES) }).safeParse(req.body);
+    if (!parsed.success) return res.status(400).json({ error: "role must be student or admin" });
+
+    const { role } = parsed.data;
+    if (isSelf(req, userId) && role !== "admin") {
+      return res.status(400).json({ error: "You cannot remove your own admin role" });
+    }
+
+    const r = await query("UPDATE users SET role=$1 WHERE id=$2 RETURNING id", [role, userId]);
+    if (!r.rows.length) return res.status(404).json({ error: "User not found" });
+
+    // role lives in the session; make the user log in again to pick it up
+    await destroyUserSessions(userId);
+
+    return res.json({ ok: true, role });
+  } catch (e) {
+    console.error("ADMIN user role error:", e);
+    return res.status(500).json({ error: "Failed to change role" });
+  }
+});
+
+// POST /api/admin/users/:id/disable
+router.post("/users/:id/disable", requireAdmin, async (req, res) => {
+  try {
+    const userId = parseUserId(req);
+    if (!userId) return res.status(400).json({ error: "Invalid id" });
+    if (isSelf(req, userId)) return res.status(400).json({ error: "You cannot disable your own account" });
+
+    const r = await query(
+      "UPDATE users SET disabled_at=COALESCE(disabled_at, NOW()) WHERE id=$1 RETURNING id",
+      [userId]
+    );
+    if (!r.rows.length) return res.status(404).json({ error: "User not found" });
+
+    await destroyUserSessions(userId);
+
+    return res.json({ ok: true });
+  } catch (e) {
+    console.error("ADMIN user disable error:", e);
+    return res.status(500).json({ error: "Failed to disable user" });
+  }
+});
+
+// POST /api/admin/users/:id/enable
+router.post("/users/:id/enable", requireAdmin, async (req, res) => {
+  try {
+    const userId = parseUserId(req);
+    if (!userId) return res.status(400).json({ error: "Invalid id" });
+
+    const r = await query("UPDATE users SET disabled_at=NULL WHERE id=$1 RETURNING id", [userId]);
+    if (!r.rows.length) return res.status(404).json({ error: "User not found" });
+
+    return res.json({ ok: true });
+  } catch (e) {
+    console.error("ADMIN user enable error:", e);
+    return res.status(500).json({ error: "Failed to enable user" });
+  }
+});
+
+// POST /api/admin/users/:id/logout
+router.post("/users/:id/logout", requireAdmin, async (req, res) => {
+  try {
+    const userId = parseUserId(req);
+    if (!userId) return res.status(400).json({ error: "Invalid id" });
+
+    const removed = await destroyUserSessions(userId, {
+      exceptSid: isSelf(req, userId) ? req.sessionID : null
+    });
+
+    return res.json({ ok: true, sessionsRemoved: removed });
+  } catch (e) {
+    console.error("ADMIN user logout error:", e);
+    return res.status(500).json({ error: "Failed to log out user" });
+  }
+});
+
+async function userExists(userId) {
+  const r = await query("SELECT 1 FROM users WHERE id=$1", [userId]);
+  return r.rows.length > 0;
+}
+
+// POST /api/admin/users/:id/exams/:courseId/grant
+router.post("/users/:id/exams/:courseId/grant", requireAdmin, requireCourse(), async (req, res) => {
+  try {
+    const userId = parseUserId(req);
+    if (!userId) return res.status(400).json({ error: "Invalid id" });
+
+    const parsed = grantSchema.safeParse(req.body || {});
+    if (!parsed.success) {
+      return res.status(400).json({ error: parsed.error.issues[0]?.message || "Invalid input" });
+    }
+    if (!(await userExists(userId))) return res.status(404).json({ error: "User not found" });
+
+    const { extraAttempts, reason } = parsed.data;
+    await query(
+      `INSERT INTO exam_attempt_adjustments (user_id, course_id, kind, extra_attempts, reason, admin_id)
+       VALUES ($1, $2, 'grant', $3, $4, $5)`,
+      [userId, req.courseId, extraAttempts, reason, req.session.user.id]
+    );
+
+    const summary = await attemptSummary({ userId, courseId: req.courseId, def: await loadPublishedExamDef(req.courseId) });
+    return res.json({ ok: true, maxAttempts: summary.maxAttempts, remainingAttempts: summary.remainingAttempts });
+  } catch (e) {
+    console.error("ADMIN exam grant error:", e);
+    return res.status(500).json({ error: "Failed to grant attempts" });
+  }
+});
+
+// POST /api/admin/users/:id/exams/:courseId/reset
+// Attempts are voided (kept for history), not deleted; earlier grants stop counting.
+router.post("/users/:id/exams/:courseId/reset", requireAdmin, requireCourse(), async (req, res) => {
+  const userId = parseUserId(req);
+  if (!userId) return res.status(400).json({ error: "Invalid id" });
+
+  const parsed = z.object({ reason: reasonSchema }).safeParse(req.body || {});
+  if (!parsed.success) {
+    return res.status(400).json({ error: parsed.error.issues[0]?.message || "Invalid input" });
+  }
+
+  const client = await pool.connect();
+  try {
+    if (!(await userExists(userId))) return res.status(404).json({ error: "User not found" });
+
+    await client.query("BEGIN");
+    const voided = await client.query(
+      `UPDATE exam_attempts SET voided_at = NOW()
+        WHERE user_id=$1 AND course_id=$2 AND voided_at IS NULL`,
+      [userId, req.courseId]
+    );
+    await client.query(
+      `INSERT INTO exam_attempt_adjustments (user_id, course_id, kind, reason, admin_id)
+       VALUES ($1, $2, 'reset', $3, $4)`,
+      [userId, req.courseId, parsed.data.reason, req.session.user.id]
+    );
+    await client.query("COMMIT");
+
+    return res.json({ ok: true, attemptsVoided: voided.rowCount });
+  } catch (e) {
+    await client.query("ROLLBACK").catch(() => {});
+    console.error("ADMIN exam reset error:", e);
+    return res.status(500).json({ error: "Failed to reset attempts" });
+  } finally {
+    client.release();
+  }
+});
+
+/** Certificate `certId` of user `userId`, or null */
+async function userCertificate(userId, certId) {
+  const r = await query("SELECT id FROM certificates WHERE id=$1 AND user_id=$2", [certId, userId]);
+  return r.rows[0] || null;
+}
+
+function parseCertId(req) {
+  const id = Number(req.params.certId);
+  return Number.isInteger(id) && id > 0 ? id : null;
+}
+
+// POST /api/admin/users/:id/certificates/:certId/revoke
+// The verify pages show it as revoked (with the reason, not the note) from then on.
+router.post("/users/:id/certificates/:certId/revoke", requireAdmin, async (req, res) => {
+  try {
+    const userId = parseUserId(req);
+    const certId = parseCertId(req);
+    if (!userId || !certId) return res.status(400).json({ error: "Invalid id" });
+
+    const parsed = revokeSchema.safeParse(req.body || {});
+    if (!parsed.success) {
+      return res.status(400).json({ error: parsed.error.issues[0]?.message || "Invalid input" });
+    }
+    if (!(await userCertificate(userId, certId))) return res.status(404).json({ error: "Certificate not found" });
+
+    const cert = await revokeCertificate({ id: certId, ...parsed.data, adminId: req.session.user.id });
+    return res.json({ ok: true, revokedAt: cert.revoked_at });
+  } catch (e) {
+    if (e.status) return res.status(e.status).json({ error: e.message });
+    console.error("ADMIN certificate revoke error:", e);
+    return res.status(500).json({ error: "Failed to revoke certificate" });
+  }
+});
+
+// POST /api/admin/users/:id/certificates/:certId/reissue
+// Also how a revoked certificate is restored (e.g. revoked by mistake).
+router.post("/users/:id/certificates/:certId/reissue", requireAdmin, async (req, res) => {
+  try {
+    const userId = parseUserId(req);
+    const certId = parseCertId(req);
+    if (!userId || !certId) return res.status(400).json({ error: "Invalid id" });
+
+    const parsed = reissueSchema.safeParse(req.body || {});
+    if (!parsed.success) {
+      return res.status(400).json({ error: parsed.error.issues[0]?.message || "Invalid input" });
+    }
+    if (!(await userCertificate(userId, certId))) return res.status(404).json({ error: "Certificate not found" });
+
+    const cert = await reissueCertificate({ id: certId, name: parsed.data.name, adminId: req.session.user.id });
+    return res.json({
+      ok: true,
+      certificateId: cert.id,
+      name: cert.signed_data?.student || null,
+      verifyUrl: `${publicBase(req)}/api/certificates/verify/${cert.public_token}`
+    });
+  } catch (e) {
+    if (e.status) return res.status(e.status).json({ error: e.message });
+    console.error("ADMIN certificate reissue error:", e);
+    return res.status(500).json({ error: "Failed to reissue certificate" });
+  }
+});
+
+module.exports = router;
@@ -1,10 +1,27 @@
 // backend/routes/auth.js
 const express = require("express");
 const bcrypt = require("bcryptjs");
-const { query } = require("../db_pg");
+const rateLimit = require("express-rate-limit");
+const { pool, query } = require("../db_pg");
+const { sendMail } = require("../utils/mailer");
+const { destroyUserSessions } = require("../utils/sessions");
+const { RESET_TOKEN_TTL_MINUTES, issueResetToken, claimResetToken } = require("../utils/password_resets");
 
 const router = express.Router();
 
+// Where the student SPA lives (reset link points at its #/reset/<token> route)
+const STUDENT_APP_URL = (process.env.STUDENT_APP_URL || "https://www.riseeritrea.com/student/")
+  .replace(/\/+$/, "") + "/";
+
+// Slow down reset-link spam (per IP)
+const forgotLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  limit: 5,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: { error: "Too many reset requests. Please try again later." }
+});
+
 /** Normalize email */
 function normalizeEmail(email) {
   return String(email || "").trim().toLowerCase();
@@ -117,7 +134,7 @@ router.post("/login", async (req, res) => {
     if (!password) return res.status(400).json({ error: "Password is required" });
 
     const r = await query(
-      `SELECT id, name, first_name, last_name, email, password_hash, role
+      `SELECT id, name, first_name, last_name, email, password_hash, role, disabled_at
        FROM users
        WHERE email=$1`,
       [email]
@@ -132,6 +149,9 @@ router.post("/login", async (req, res) => {
     if (!ok) {
       return res.status(401).json({ error: "Invalid email or password" });
     }
+    if (userRow.disabled_at) {
+      return res.status(403).json({ error: "This account has been disabled. Please contact an admin." });
+    }
 
     await sessionRegenerate(req);
     req.session.user = safeUserRowToSessionUser(userRow);
@@ -144,6 +164,84 @@ router.post("/login", async (req, res) => {
   }
 });
 
+/**
+ * POST /api/auth/forgot-password
+ * Body: { email }
+ * Always answers ok (does not reveal whether the email is registered).
+ */
+router.post("/forgot-password", forgotLimiter, async (req, res) => {
+  try {
+    const email = normalizeEmail(req.body?.email);
+    if (!isValidEmail(email)) return res.status(400).json({ error: "Valid email is required" });
+
+    const r = await query("SELECT id, name, email FROM users WHERE email=$1", [email]);
+    const userRow = r.rows[0];
+
+    if (userRow) {
+      const token = await issueResetToken({ query }, userRow.id);
+
+      // not awaited: a slow mail provider would otherwise reveal which emails are registered
+      const link = `${STUDENT_APP_URL}#/reset/${token}`;
+      sendMail({
+        to: userRow.email,
+        subject: "Reset your Eritrean Success Journey password",
+        text:
+          `Hello ${userRow.name || ""},\n\n` +
+          `We received a request to reset your password. Open this link to choose a new one:\n\n` +
+          `${link}\n\n` +
+          `The link expires in ${RESET_TOKEN_TTL_MINUTES} minutes and can be used once.\n` +
+          `If you did not ask for this, you can ignore this email.`
+      }).catch((err) => console.error("RESET MAIL ERROR:", err));
+    }
+
+    return res.json({ ok: true });
+  } catch (err) {
+    console.error("FORGOT PASSWORD ERROR:", err);
+    return res.status(500).json({ error: "Server error" });
+  }
+});
+
+/**
+ * POST /api/auth/reset-password
+ * Body: { token, password }
+ * Single-use: the token is consumed, and every session of the user is logged out.
+ */
+router.post("/reset-password", async (req, res) => {
+  const token = String(req.body?.token || "").trim();
+  const password = String(req.body?.password || "");
+
+  if (!token) return res.status(400).json({ error: "Reset token is required" });
+  if (password.length < 6) {
+    return res.status(400).json({ error: "Password must be at least 6 characters" });
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+
+    const userId = await claimResetToken(client, token);
+    if (userId == null) {
+      await client.query("ROLLBACK");
+      return res.status(400).json({ error: "Reset link is invalid or has expired" });
+    }
+
+    const passwordHash = await bcrypt.hash(password, 10);
+    await client.query("UPDATE users SET password_hash=$1 WHERE id=$2", [passwordHash, userId]);
+
+    await client.query("COMMIT");
+
+    await destroyUserSessions(userId);
+
+    return res.json({ ok: true });
+  } catch (err) {
+    await client.query("ROLLBACK").catch(() => {});
+    console.error("RESET PASSWORD ERROR:", err);
+    return res.status(500).json({ error: "Server error" });
+  } finally {
+    client.release();
+  }
+});
+
 /**
  * POST /api/auth/logout
  */
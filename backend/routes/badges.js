@@ -0,0 +1,69 @@
+// backend/routes/badges.js
+// Open Badges 2.0 hosted verification (utils/badges.js). Public: badge wallets fetch these.
+//   GET /api/badges/issuer
+//   GET /api/badges/classes/:courseId
+//   GET /api/badges/classes/:courseId/image.png
+//   GET /api/badges/assertions/:token               (410 once revoked / superseded)
+//   GET /api/badges/assertions/:token/badge.png     (baked badge; ?download=1 saves it as a file)
+
+const express = require("express");
+const { requireCourse } = require("../middleware/course");
+const { loadCertificateByToken } = require("../utils/certificates");
+const {
+  issuerProfile,
+  badgeClass,
+  badgeAssertion,
+  badgeImagePng,
+  bakeBadge
+} = require("../utils/badges");
+
+const router = express.Router();
+
+const LD_JSON = "application/ld+json; charset=utf-8";
+
+function sendLd(res, status, body) {
+  return res.status(status).type(LD_JSON).send(JSON.stringify(body));
+}
+
+router.get("/issuer", (req, res) => sendLd(res, 200, issuerProfile(req)));
+
+// archived / unpublished courses keep their badge class: issued badges must still verify
+router.get("/classes/:courseId", requireCourse(), (req, res) => sendLd(res, 200, badgeClass(req, req.course)));
+
+router.get("/classes/:courseId/image.png", requireCourse(), (req, res) => {
+  res.setHeader("Cache-Control", "public, max-age=86400");
+  return res.type("png").send(badgeImagePng(req.courseId));
+});
+
+router.get("/assertions/:token", async (req, res) => {
+  try {
+    const cert = await loadCertificateByToken(req.params.token);
+    if (!cert) return res.status(404).json({ error: "Not found" });
+
+    const { status, body } = badgeAssertion(req, cert);
+    return sendLd(res, status, body);
+  } catch (e) {
+    console.error("GET /api/badges/assertions/:token error:", e);
+    return res.status(500).json({ error: "Server error" });
+  }
+});
+
+router.get("/assertions/:token/badge.png", async (req, res) => {
+  try {
+    const cert = await loadCertificateByToken(req.params.token);
+    if (!cert) return res.status(404).json({ error: "Not found" });
+
+    const { status, body } = badgeAssertion(req, cert);
+    if (status !== 200) return sendLd(res, status, body);
+
+    if (req.query.download) {
+      res.setHeader("Content-Disposition", `attachment; filename="badge-${cert.course_id}.png"`);
+    }
+    return res.type("png").send(bakeBadge(badgeImagePng(cert.course_id), body));
+  } catch (e) {
+    console.error("GET /api/badges/assertions/:token/badge.png error:", e);
+    return res.status(500).json({ error: "Server error" });
+  }
+});
+
+module.exports = router;
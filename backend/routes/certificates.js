@@ -5,59 +5,46 @@
 // Endpoints:
 //   GET  /api/certificates/:courseId/status     (auth)
 //   POST /api/certificates/:courseId/claim      (auth, idempotent)
-//   GET  /api/certificates/:courseId/pdf        (auth, one-page PDF)
-//   GET  /api/certificates/verify/:id           (public HTML)
-//   GET  /api/certificates/verify/:id.json      (public JSON)
+//   GET  /api/certificates/:courseId/pdf        (auth, one-page PDF drawn from the course's template,
+//                                                utils/certificate_pdf.js)
+//        ?lang=<locale>        wording, course title and date in that language (utils/certificate_text.js)
+//        ?layout=bilingual     the language with English under / next to it
+//   (status / claim also link the Open Badges version: badgeUrl, routes/badges.js)
+//   GET  /api/certificates/verify/:token        (public HTML, the QR code points here;
+//                                                shows revoked / superseded certificates as such)
+//   GET  /api/certificates/verify/:token.json   (public JSON)
+// :token is the certificate's random public token; the old numeric links answer 410.
+// GET /api/verify/:token (routes/verify.js) serves the admin SPA's #/verify page.
 
 const express = require("express");
-const path = require("path");
-const fs = require("fs");
-const PDFDocument = require("pdfkit");
-const QRCode = require("qrcode");
 const { query } = require("../db_pg");
 const { requireAuth } = require("../middleware/auth");
+const { requireCourse } = require("../middleware/course");
+const { loadPublishedExamDef, attemptSummary } = require("../utils/exams");
+const { publicBase } = require("../utils/urls");
+const { badgeUrls } = require("../utils/badges");
+const { DEFAULT_LOCALE } = require("../utils/locales");
+const { certificateDate } = require("../utils/certificate_text");
+const { courseTemplate } = require("../utils/certificate_templates");
+const { sendCertificatePdf } = require("../utils/certificate_pdf");
+const {
+  REVOKE_REASONS,
+  loadSignedCertificateById,
+  loadCertificateByToken,
+  verificationResult
+} = require("../utils/certificates");
 const OFFICIAL_SUFFIX_ENABLED = true;
 
 const router = express.Router();
 
-/* ---------------------------
-   CONFIG
----------------------------- */
-
-const FOUNDER_NAME = "Michael Afewerki";
-const FOUNDER_TITLE = "Founder, Eritrean Success Journey";
-const PROGRAM_TEAM = "Program Team";
-
-// Short inspiring line (best practice: short, strong, timeless)
-const INSPIRING_QUOTE =
-  "Education builds the future — success is earned one lesson at a time.";
-
-// Put your transparent signature PNG here:
-const SIGNATURE_PATH = path.join(__dirname, "..", "assets", "founder-signature-transparent.png");
-
 /* ---------------------------
    HELPERS
 ---------------------------- */
 
-function safeCourseId(courseId) {
-  const allowed = new Set(["foundation", "growth", "excellence"]);
-  return allowed.has(courseId) ? courseId : null;
-}
-
 function filenameSafe(s = "") {
   return String(s).toLowerCase().replace(/[^a-z0-9_-]+/g, "-");
 }
 
-function fmtDate(d) {
-  try {
-    const dt = new Date(d);
-    // Nice readable, stable formatting
-    return dt.toLocaleDateString("en-US", { year: "numeric", month: "long", day: "numeric" });
-  } catch {
-    return "";
-  }
-}
-
 function escapeHtml(str = "") {
   return String(str).replace(/[&<>"']/g, (m) => ({
     "&": "&amp;",
@@ -76,64 +63,57 @@ function titleCaseName(name = "") {
     .join(" ");
 }
 
+// PDF link in the language of the request (?lang=)
+function pdfUrl(req, courseId) {
+  const url = `${publicBase(req)}/api/certificates/${courseId}/pdf`;
+  return req.lang && req.lang !== DEFAULT_LOCALE ? `${url}?lang=${encodeURIComponent(req.lang)}` : url;
+}
+
+function verifyUrl(req, cert) {
+  return `${publicBase(req)}/api/certificates/verify/${cert.public_token}`;
+}
+
 // Read userId safely from your middleware style (req.user OR req.session.user)
 function getUserId(req) {
   return req.user?.id || req.session?.user?.id || null;
 }
 
-// public base for links embedded in PDF / verify pages
-function publicBase(req) {
-  // Recommended: set this in Render env
-  // PUBLIC_SITE_BASE_URL=https://api.riseeritrea.com
-  const env = process.env.PUBLIC_SITE_BASE_URL;
-  if (env) return env.replace(/\/+$/, "");
-
-  // fallback: infer from request
-  const proto = req.headers["x-forwarded-proto"] || req.protocol || "http";
-  const host = req.headers["x-forwarded-host"] || req.get("host");
-  return `${proto}://${host}`.replace(/\/+$/, "");
-}
-
 /* ---------------------------
    ELIGIBILITY + CERT
 ---------------------------- */
 
 async function checkEligibility({ userId, courseId }) {
   const totalR = await query(
-    "SELECT COUNT(*)::int AS c FROM lessons WHERE course_id=$1",
+    "SELECT COUNT(*)::int AS c FROM lessons WHERE course_id=$1 AND deleted_at IS NULL AND published_revision_id IS NOT NULL",
     [courseId]
   );
   const totalLessons = totalR.rows[0]?.c ?? 0;
 
   const doneR = await query(
-    "SELECT COUNT(*)::int AS c FROM progress WHERE user_id=$1 AND course_id=$2 AND completed=true",
+    `SELECT COUNT(*)::int AS c FROM progress p
+       JOIN lessons l ON l.id = p.lesson_id AND l.deleted_at IS NULL AND l.published_revision_id IS NOT NULL
+      WHERE p.user_id=$1 AND p.course_id=$2 AND p.completed=true`,
     [userId, courseId]
   );
   const completedLessons = doneR.rows[0]?.c ?? 0;
 
-  // latest attempt determines status
-  const examR = await query(
-    `SELECT passed, score, updated_at
-    FROM exam_attempts
-    WHERE user_id=$1 AND course_id=$2
-    ORDER BY updated_at DESC NULLS LAST
-    LIMIT 1`,
-    [userId, courseId]
-  );
+  // the exam's score policy decides which attempt counts (latest or best)
+  const { counted } = await attemptSummary({ userId, courseId, def: await loadPublishedExamDef(courseId) });
 
-  const examPassed = !!examR.rows[0]?.passed;
-  const examScore = (typeof examR.rows[0]?.score === "number") ? examR.rows[0].score : null;
+  const examPassed = !!counted?.passed;
+  const examScore = (typeof counted?.score === "number") ? counted.score : null;
 
   const eligible = totalLessons > 0 && completedLessons >= totalLessons && examPassed;
 
   return { eligible, totalLessons, completedLessons, examPassed, examScore };
 }
 
+// the student's current certificate (a reissue supersedes the old row; utils/certificates.js)
 async function getExistingCertificate({ userId, courseId }) {
   const r = await query(
-    `SELECT id, issued_at
+    `SELECT id, issued_at, public_token, revoked_at, revoked_reason
        FROM certificates
-      WHERE user_id=$1 AND course_id=$2
+      WHERE user_id=$1 AND course_id=$2 AND superseded_at IS NULL
       ORDER BY id ASC
       LIMIT 1`,
     [userId, courseId]
@@ -141,9 +121,16 @@ async function getExistingCertificate({ userId, courseId }) {
   return r.rows[0] || null;
 }
 
+// existing or new certificate, with its signed data (utils/certificates.js)
 async function ensureCertificate({ userId, courseId }) {
   const existing = await getExistingCertificate({ userId, courseId });
-  if (existing) return existing;
+  if (existing?.revoked_at) {
+    // revoked certificates stay revoked: only an admin reissue brings one back
+    const err = new Error("This certificate was revoked");
+    err.status = 403;
+    throw err;
+  }
+  if (existing) return loadSignedCertificateById(existing.id);
 
   const elig = await checkEligibility({ userId, courseId });
   if (!elig.eligible) {
@@ -156,7 +143,7 @@ async function ensureCertificate({ userId, courseId }) {
   await query(
     `INSERT INTO certificates (user_id, course_id)
      VALUES ($1,$2)
-     ON CONFLICT (user_id, course_id) DO NOTHING`,
+     ON CONFLICT (user_id, course_id) WHERE superseded_at IS NULL DO NOTHING`,
     [userId, courseId]
   );
 
@@ -166,16 +153,16 @@ async function ensureCertificate({ userId, courseId }) {
     err.status = 500;
     throw err;
   }
-  return created;
+  return loadSignedCertificateById(created.id);
 }
 
 async function getUserAndCourse({ userId, courseId }) {
   const userR = await query("SELECT name FROM users WHERE id=$1", [userId]);
-  const courseR = await query("SELECT title_en FROM courses WHERE id=$1", [courseId]);
+  const courseR = await query("SELECT title FROM courses WHERE id=$1", [courseId]);
 
   return {
     userName: userR.rows[0]?.name || "Student",
-    courseTitle: courseR.rows[0]?.title_en || courseId
+    courseTitles: courseR.rows[0]?.title || {}
   };
 }
 
@@ -183,12 +170,11 @@ async function getUserAndCourse({ userId, courseId }) {
    STATUS (frontend calls)
 ========================= */
 
-router.get("/:courseId/status", requireAuth, async (req, res) => {
+router.get("/:courseId/status", requireAuth, requireCourse(), async (req, res) => {
   try {
-    const courseId = safeCourseId(req.params.courseId);
+    const courseId = req.courseId;
     const userId = getUserId(req); // supports req.user OR req.session.user
 
-    if (!courseId) return res.status(400).json({ error: "Invalid courseId" });
     if (!userId) return res.status(401).json({ error: "Unauthorized" });
 
     const elig = await checkEligibility({ userId, courseId });
@@ -202,11 +188,17 @@ router.get("/:courseId/status", requireAuth, async (req, res) => {
       completedLessons: elig.completedLessons,
       examPassed: elig.examPassed,
       examScore: elig.examScore,
-      issued: !!cert,
-      certificateId: cert?.id || null,
+      issued: !!cert && !cert.revoked_at,
+      certificateId: cert?.public_token || null,
       issuedAt: cert?.issued_at || null,
-      pdfUrl: cert ? `${publicBase(req)}/api/certificates/${courseId}/pdf` : null,
-      verifyUrl: cert ? `${publicBase(req)}/api/certificates/verify/${cert.id}` : null
+      revoked: cert?.revoked_at
+        ? { revokedAt: cert.revoked_at, reason: REVOKE_REASONS[cert.revoked_reason] || REVOKE_REASONS.other }
+        : null,
+      pdfUrl: cert && !cert.revoked_at ? pdfUrl(req, courseId) : null,
+      verifyUrl: cert ? verifyUrl(req, cert) : null,
+      // Open Badges 2.0: baked PNG (download) and hosted assertion
+      badgeUrl: cert && !cert.revoked_at ? `${badgeUrls(req).bakedImage(cert.public_token)}?download=1` : null,
+      assertionUrl: cert && !cert.revoked_at ? badgeUrls(req).assertion(cert.public_token) : null
     });
   } catch (e) {
     console.error("CERT STATUS ERROR:", e);
@@ -218,12 +210,11 @@ router.get("/:courseId/status", requireAuth, async (req, res) => {
    CLAIM (IDEMPOTENT)
 ========================= */
 
-router.post("/:courseId/claim", requireAuth, async (req, res) => {
+router.post("/:courseId/claim", requireAuth, requireCourse(), async (req, res) => {
   try {
-    const courseId = safeCourseId(req.params.courseId);
+    const courseId = req.courseId;
     const userId = getUserId(req);
 
-    if (!courseId) return res.status(400).json({ error: "Invalid courseId" });
     if (!userId) return res.status(401).json({ error: "Unauthorized" });
 
     // optional: return details if not eligible
@@ -237,264 +228,55 @@ router.post("/:courseId/claim", requireAuth, async (req, res) => {
 
     return res.json({
       ok: true,
-      certificateId: cert.id,
+      certificateId: cert.public_token,
       issuedAt: cert.issued_at,
-      pdfUrl: `${publicBase(req)}/api/certificates/${courseId}/pdf`,
-      verifyUrl: `${publicBase(req)}/api/certificates/verify/${cert.id}`
+      pdfUrl: pdfUrl(req, courseId),
+      verifyUrl: verifyUrl(req, cert),
+      badgeUrl: `${badgeUrls(req).bakedImage(cert.public_token)}?download=1`,
+      assertionUrl: badgeUrls(req).assertion(cert.public_token)
     });
   } catch (e) {
+    if (e.status) return res.status(e.status).json({ error: e.message });
     console.error("CERT CLAIM ERROR:", e);
     return res.status(500).json({ error: "Server error" });
   }
 });
 
 /* =========================
-   PDF (WOW, ONE PAGE)
-========================= */
-
-/* =========================
-   PDF (WOW, ONE PAGE)
+   PDF (ONE PAGE)
    GET /api/certificates/:courseId/pdf
+   Drawn from the course's certificate template (utils/certificate_templates.js)
 ========================= */
 
-router.get("/:courseId/pdf", requireAuth, async (req, res) => {
+router.get("/:courseId/pdf", requireAuth, requireCourse(), async (req, res) => {
   try {
-    const courseId = safeCourseId(req.params.courseId);
+    const courseId = req.courseId;
     const userId = req.user?.id || req.session?.user?.id;
 
-    if (!courseId) return res.status(400).json({ error: "Invalid courseId" });
     if (!userId) return res.status(401).json({ error: "Unauthorized" });
 
     // Ensure certificate exists (idempotent creation)
     const cert = await ensureCertificate({ userId, courseId });
-    const { userName, courseTitle } = await getUserAndCourse({ userId, courseId });
-
-    const verifyUrl = `${publicBase(req)}/api/certificates/verify/${cert.id}`;
-
-    // ✅ HEADERS FIRST
-    res.setHeader("Content-Type", "application/pdf");
-    res.setHeader(
-      "Content-Disposition",
-      `inline; filename="certificate-${filenameSafe(courseId)}-${cert.id}.pdf"`
-    );
-
-    // ✅ One-page PDF (no auto page breaks from margins)
-    const doc = new PDFDocument({ size: "A4", margin: 0 });
-    doc.pipe(res);
-
-    const W = doc.page.width;   // ~595.28
-    const H = doc.page.height;  // ~841.89
-
-    // ---------- Background (clean + premium) ----------
-    doc.rect(0, 0, W, H).fill("#fbfbff"); // soft white
-
-    // Premium border
-    doc
-      .lineWidth(3)
-      .strokeColor("#c8a24a")
-      .rect(22, 22, W - 44, H - 44)
-      .stroke();
-
-    doc
-      .lineWidth(1)
-      .strokeColor("#e7d39b")
-      .rect(32, 32, W - 64, H - 64)
-      .stroke();
-
-    // Watermark
-    doc.save();
-    doc.rotate(-25, { origin: [W / 2, H / 2] });
-    doc.fillColor("#d9dde6");
-    doc.font("Helvetica-Bold").fontSize(64).opacity(0.18);
-    doc.text("ERITREAN SUCCESS JOURNEY", 0, H / 2 - 60, { align: "center", width: W });
-    doc.opacity(1);
-    doc.restore();
-
-    // ---------- Header ----------
-    doc.fillColor("#111827");
-    doc.font("Helvetica-Bold").fontSize(34);
-    doc.text("Certificate of Completion", 0, 95, { align: "center", width: W });
-
-    doc.fillColor("#374151");
-    doc.font("Helvetica").fontSize(12);
-    doc.text("Eritrean Success Journey", 0, 140, { align: "center", width: W });
-
-    // Quote
-    doc.fillColor("#1f4b99");
-    doc.font("Helvetica-Oblique").fontSize(12);
-    doc.text(`“${INSPIRING_QUOTE}”`, 80, 175, { align: "center", width: W - 160 });
-
-    // ---------- Student + Course ----------
-    doc.fillColor("#374151");
-    doc.font("Helvetica").fontSize(13);
-    doc.text("This certificate is proudly presented to", 0, 245, { align: "center", width: W });
-
-    // Name
-    doc.fillColor("#111827");
-    doc.font("Helvetica-Bold").fontSize(32);
-    const displayName = titleCaseName(userName);
-    doc.text(displayName, 70, 275, { align: "center", width: W - 140 });
-
-    // Officially certified badge text
-    doc.fillColor("#0f766e");
-    doc.font("Helvetica-Bold").fontSize(13);
-    doc.text("OFFICIALLY CERTIFIED", 0, 320, { align: "center", width: W });
-
-    doc.fillColor("#374151");
-    doc.font("Helvetica").fontSize(12);
-    doc.text("for successfully completing the course:", 0, 350, { align: "center", width: W });
-
-    doc.fillColor("#111827");
-    doc.font("Helvetica-Bold").fontSize(22);
-    doc.text(courseTitle, 60, 375, { align: "center", width: W - 120 });
-
-    // Decorative seal (simple premium circle)
-    doc
-      .lineWidth(2)
-      .strokeColor("#c8a24a")
-      .circle(W / 2, 470, 42)
-      .stroke();
-    doc
-      .lineWidth(1)
-      .strokeColor("#e7d39b")
-      .circle(W / 2, 470,34)
-      .stroke();
-
-    doc.fillColor("#c8a24a").font("Helvetica-Bold").fontSize(10);
-    doc.text("CERTIFIED", W / 2 - 30, 466, { width: 60, align: "center" });
-
-    // ---------------- Footer (ONE PAGE, SAFE LAYOUT) ----------------
-    const issued = fmtDate(cert.issued_at);
-
-    // Safety padding from bottom border so nothing gets cut
-    const pad = 22;
-    const safeBottom = 60; // increase if your border is thicker
-    const contentBottom = H - pad - safeBottom;
-
-    // Layout widths
-    const leftX = 70;
-    const leftBlockW = 240;
-    const rightBlockW = 220;
-    const gap = 20;
-    const rightX = W - leftX - rightBlockW;
-
-    // QR
-    const qrSize = 92;
-
-    // Signature
-    const sigW = 210;
-
-    // Text sizes (keep consistent)
-    const infoFont = 10;
-    const labelFont = 10;
-    const smallFont = 8;
-    const tinyFont = 7;
-
-    // Make sure displayName exists ABOVE (ONLY ONCE in your file)
-    // const displayName = titleCaseName(userName);
-
-    // ---------------- Measure dynamic heights ----------------
-    doc.font("Helvetica").fontSize(infoFont);
-    const leftInfoH = doc.heightOfString(`Issued on: ${issued}\nCertificate ID: ${cert.id}`, {
-      width: leftBlockW,
+    const { userName, courseTitles } = await getUserAndCourse({ userId, courseId });
+
+    await sendCertificatePdf(res, {
+      template: await courseTemplate(courseId),
+      lang: req.lang,
+      // the student's language with English under / next to it
+      bilingual: req.query.layout === "bilingual",
+      // the signed name (an admin reissue may have corrected it), as on the verify page
+      student: titleCaseName(cert.signed_data?.student || userName),
+      courseTitles,
+      courseId,
+      issuedAt: cert.issued_at,
+      certificateId: cert.public_token,
+      verifyUrl: verifyUrl(req, cert),
+      filename: `certificate-${filenameSafe(courseId)}-${cert.id}`
     });
-
-    doc.font("Helvetica-Bold").fontSize(labelFont);
-    const founderNameH = doc.heightOfString(FOUNDER_NAME, { width: leftBlockW, align: "center" });
-
-    doc.font("Helvetica").fontSize(labelFont);
-    const founderTitleH = doc.heightOfString(FOUNDER_TITLE, { width: leftBlockW, align: "center" });
-
-    doc.font("Helvetica-Bold").fontSize(labelFont);
-    const rightAuthH =
-      doc.heightOfString("Authorized by", { width: rightBlockW, align: "center" }) +
-      doc.heightOfString(PROGRAM_TEAM, { width: rightBlockW, align: "center" });
-
-    // Verify text height (under QR)
-    doc.font("Helvetica").fontSize(smallFont);
-    const scanLabelH = doc.heightOfString("Scan to verify", { width: rightBlockW, align: "center" });
-
-    doc.font("Helvetica").fontSize(tinyFont);
-    const verifyLineH = doc.heightOfString(verifyUrl, { width: W - 240, align: "left" });
-
-    // ---------------- Total footer height ----------------
-    const footerH =
-      leftInfoH +
-      10 +               // gap
-      18 +               // signature line spacing
-      8 +                // gap
-      (sigW * 0.35) +    // estimated signature image height (PNG scales)
-      6 +                // gap
-      founderNameH +
-      2 +
-      founderTitleH +
-      10 +               // gap to QR area
-      qrSize +
-      6 +
-      scanLabelH +
-      2 +
-      verifyLineH;
-
-    // Anchor footer so it always stays inside the page
-    const footerTopY = Math.max(560, contentBottom - footerH); // 560 prevents it going too high
-
-    // Relative positions
-    const leftInfoY = footerTopY;
-    const lineY = leftInfoY + leftInfoH + 16;
-    const sigY = lineY - 28; // place signature ABOVE the line so it’s visible
-    const founderTextY = lineY + 10;
-
-    // Right side alignment: keep QR below the authorization block
-    const rightTextY = footerTopY + 10;
-    const qrY = Math.max(lineY + 10, rightTextY + rightAuthH + 12);
-
-    // ---------------- Draw left info (Issued + ID) ----------------
-    doc.fillColor("#374151").font("Helvetica").fontSize(infoFont);
-    doc.text(`Issued on: ${issued}`, leftX, leftInfoY, { width: leftBlockW });
-    doc.text(`Certificate ID: ${cert.id}`, leftX, leftInfoY + 14, { width: leftBlockW });
-
-    // ---------------- Signature lines ----------------
-    doc.strokeColor("#cbd5e1").lineWidth(1);
-    doc.moveTo(leftX, lineY).lineTo(leftX + leftBlockW, lineY).stroke();
-    doc.moveTo(rightX, lineY).lineTo(rightX + rightBlockW, lineY).stroke();
-
-    // ---------------- Signature image (IMPORTANT: use SIGNATURE_PATH + sigBuf) ----------------
-    if (fs.existsSync(SIGNATURE_PATH)) {
-      const sigBuf = fs.readFileSync(SIGNATURE_PATH);
-
-      doc.save();
-      doc.opacity(1); // ensure watermark didn’t lower opacity
-      doc.image(sigBuf, leftX + 10, sigY, { width: sigW });
-      doc.restore();
-    }
-
-    // Founder text (under signature)
-    doc.fillColor("#111827").font("Helvetica-Bold").fontSize(labelFont);
-    doc.text(FOUNDER_NAME, leftX, founderTextY, { width: leftBlockW, align: "center" });
-
-    doc.fillColor("#6b7280").font("Helvetica").fontSize(9);
-    doc.text(FOUNDER_TITLE, leftX, founderTextY + 14, { width: leftBlockW, align: "center" });
-
-    // ---------------- Right block: Authorized by ----------------
-    doc.fillColor("#111827").font("Helvetica-Bold").fontSize(labelFont);
-    doc.text("Authorized by", rightX, rightTextY, { width: rightBlockW, align: "center" });
-    doc.text(PROGRAM_TEAM, rightX, rightTextY + 14, { width: rightBlockW, align: "center" });
-
-    // ---------------- QR Code (bottom right, not overlapping line/text) ----------------
-    const qrPng = await QRCode.toBuffer(verifyUrl, { type: "png" });
-    doc.image(qrPng, rightX + (rightBlockW - qrSize) / 2, qrY, { width: qrSize });
-
-    // Scan label
-    doc.fillColor("#6b7280").font("Helvetica").fontSize(smallFont);
-    doc.text("Scan to verify", rightX, qrY + qrSize + 6, { width: rightBlockW, align: "center" });
-
-    // Tiny verify URL (left aligned, under footer)
-    doc.fillColor("#1f4b99").font("Helvetica").fontSize(tinyFont);
-    doc.text(verifyUrl, 60, qrY + qrSize + 6, { width: W - 240, align: "left" });
-  doc.end();
-
   } catch (err) {
+    if (err.status && !res.headersSent) return res.status(err.status).json({ error: err.message });
     console.error("CERT PDF ERROR:", err);
+    if (res.headersSent) return res.end();
     return res.status(500).json({ error: "Server error generating certificate PDF" });
   }
 });
@@ -503,33 +285,36 @@ router.get("/:courseId/pdf", requireAuth, async (req, res) => {
    PUBLIC VERIFY JSON
 ========================= */
 
-router.get("/verify/:id.json", async (req, res) => {
+// certificates used to be verified by their sequential id, which let anyone list them all
+function isRetiredId(param) {
+  return /^\d+$/.test(String(param));
+}
+
+router.get("/verify/:token.json", async (req, res) => {
   try {
-    const id = parseInt(req.params.id, 10);
-    if (!id) return res.status(400).json({ ok: false, error: "Invalid id" });
-
-    const r = await query(
-      `SELECT c.id, c.course_id, c.issued_at,
-              u.name AS user_name,
-              co.title_en AS course_title
-         FROM certificates c
-         LEFT JOIN users u ON u.id = c.user_id
-         LEFT JOIN courses co ON co.id = c.course_id
-        WHERE c.id = $1
-        LIMIT 1`,
-      [id]
-    );
-
-    if (!r.rows.length) return res.status(404).json({ ok: false, error: "Not found" });
-
-    const row = r.rows[0];
+    if (isRetiredId(req.params.token)) {
+      return res.status(410).json({ ok: false, error: "This verification link was retired. Please use the QR code of a newly downloaded PDF." });
+    }
+
+    const cert = await loadCertificateByToken(req.params.token);
+    if (!cert) return res.status(404).json({ ok: false, error: "Not found" });
+
+    const v = verificationResult(cert);
     return res.json({
       ok: true,
-      certificateId: row.id,
-      student: row.user_name || "Student",
-      courseId: row.course_id,
-      courseTitle: row.course_title || row.course_id,
-      issuedAt: row.issued_at
+      valid: v.valid,
+      intact: v.intact,
+      status: v.status,
+      revokedAt: v.revokedAt,
+      revokedReason: v.revokedReason,
+      supersededAt: v.supersededAt,
+      replacedBy: v.replacementToken,
+      certificateId: v.token,
+      student: v.student,
+      courseId: v.courseId,
+      courseTitle: v.courseTitle,
+      issuedAt: v.issuedAt,
+      signed: v.signed
     });
   } catch (e) {
     console.error("CERT VERIFY JSON ERROR:", e);
@@ -541,42 +326,57 @@ router.get("/verify/:id.json", async (req, res) => {
    PUBLIC VERIFY HTML
 ========================= */
 
-router.get("/verify/:id", async (req, res) => {
-  try {
-    const id = parseInt(req.params.id, 10);
-    if (!id) return res.status(400).send("Invalid certificate id.");
-
-    const certRes = await query(
-      `SELECT c.id, c.course_id, c.issued_at,
-              u.name AS user_name,
-              co.title_en AS course_title
-         FROM certificates c
-         LEFT JOIN users u ON u.id = c.user_id
-         LEFT JOIN courses co ON co.id = c.course_id
-        WHERE c.id = $1
-        LIMIT 1`,
-      [id]
-    );
-
-    res.setHeader("Content-Type", "text/html; charset=utf-8");
-
-    if (!certRes.rows.length) {
-      return res.status(404).send(`
+function verifyMessagePage(title, message) {
+  return `
 <!doctype html>
 <html><head><meta charset="utf-8"/><meta name="viewport" content="width=device-width,initial-scale=1"/>
 <title>Certificate Verification</title></head>
 <body style="font-family:Arial,Helvetica,sans-serif;background:#f8fafc;padding:40px;color:#111827">
-  <h2>Certificate not found</h2>
-  <p>This certificate ID does not exist.</p>
-</body></html>`);
+  <h2>${escapeHtml(title)}</h2>
+  <p>${escapeHtml(message)}</p>
+</body></html>`;
+}
+
+router.get("/verify/:token", async (req, res) => {
+  try {
+    res.setHeader("Content-Type", "text/html; charset=utf-8");
+
+    if (isRetiredId(req.params.token)) {
+      return res.status(410).send(verifyMessagePage(
+        "Verification link retired",
+        "Certificates are now verified with a private code. Please ask the holder for the QR code of a newly downloaded PDF."
+      ));
+    }
+
+    const cert = await loadCertificateByToken(req.params.token);
+    if (!cert) {
+      return res.status(404).send(verifyMessagePage("Certificate not found", "This certificate ID does not exist."));
     }
 
-    const row = certRes.rows[0];
-    const student = row.user_name || "Student";
-    const courseTitle = row.course_title || row.course_id;
-    const issued = fmtDate(row.issued_at);
+    const v = verificationResult(cert);
+    const student = v.student || "Student";
+    const courseTitle = v.courseTitle || v.courseId;
+    const issued = v.issuedAt ? certificateDate(v.issuedAt) : "";
 
     const base = publicBase(req);
+    const jsonUrl = `${base}/api/certificates/verify/${encodeURIComponent(v.token)}.json`;
+
+    let badge = `<div class="badge">VERIFIED ✅</div>`;
+    let notice = "";
+    if (!v.intact) {
+      badge = `<div class="badge bad">NOT VERIFIED ❌</div>`;
+      notice = "The certificate data does not match its signature. Do not rely on the details below.";
+    } else if (v.status === "superseded") {
+      badge = `<div class="badge bad">SUPERSEDED</div>`;
+      notice = `This certificate was replaced by a reissued one on ${escapeHtml(certificateDate(v.supersededAt))}.`;
+      if (v.replacementToken) {
+        const nextUrl = `${base}/api/certificates/verify/${encodeURIComponent(v.replacementToken)}`;
+        notice += ` <a href="${escapeHtml(nextUrl)}">View the current certificate</a>.`;
+      }
+    } else if (v.status === "revoked") {
+      badge = `<div class="badge bad">REVOKED ❌</div>`;
+      notice = `This certificate was revoked on ${escapeHtml(certificateDate(v.revokedAt))}. Reason: ${escapeHtml(v.revokedReason)}.`;
+    }
 
     return res.send(`<!doctype html>
 <html>
@@ -589,10 +389,12 @@ router.get("/verify/:id", async (req, res) => {
     .wrap{max-width:820px;margin:0 auto;padding:40px 18px}
     .card{background:#fff;border:1px solid #e5e7eb;border-radius:14px;padding:28px}
     .badge{display:inline-block;padding:6px 10px;border-radius:999px;background:#ecfdf5;color:#065f46;font-weight:700;font-size:12px}
+    .badge.bad{background:#fef2f2;color:#991b1b}
     .muted{color:#6b7280}
     .row{display:flex;gap:18px;flex-wrap:wrap;margin-top:18px}
     .box{flex:1;min-width:240px;border:1px solid #e5e7eb;border-radius:12px;padding:14px}
     .title{font-size:26px;margin:12px 0 6px 0}
+    .mono{font-family:Consolas,Menlo,monospace;font-size:12px;word-break:break-all}
     a{color:#2563eb;text-decoration:none}
     a:hover{text-decoration:underline}
     .footer{margin-top:18px;font-size:12px;color:#6b7280}
@@ -601,9 +403,10 @@ router.get("/verify/:id", async (req, res) => {
 <body>
   <div class="wrap">
     <div class="card">
-      <div class="badge">VERIFIED ✅</div>
+      ${badge}
       <div class="title">Certificate Verification</div>
       <div class="muted">Eritrean Success Journey</div>
+      ${notice ? `<p style="color:#991b1b;margin-top:12px">${notice}</p>` : ""}
 
       <div class="row">
         <div class="box">
@@ -613,7 +416,7 @@ router.get("/verify/:id", async (req, res) => {
         <div class="box">
           <div class="muted">Course</div>
           <div style="font-size:18px;font-weight:700;margin-top:6px">${escapeHtml(courseTitle)}</div>
-          <div class="muted" style="margin-top:6px">Course ID: ${escapeHtml(row.course_id)}</div>
+          <div class="muted" style="margin-top:6px">Course ID: ${escapeHtml(v.courseId)}</div>
         </div>
       </div>
 
@@ -624,12 +427,20 @@ router.get("/verify/:id", async (req, res) => {
         </div>
         <div class="box">
           <div class="muted">Certificate ID</div>
-          <div style="font-weight:700;margin-top:6px">${row.id}</div>
+          <div class="mono" style="font-weight:700;margin-top:6px">${escapeHtml(v.token)}</div>
+        </div>
+      </div>
+
+      <div class="row">
+        <div class="box">
+          <div class="muted">Signature (${escapeHtml(v.signed.algorithm)})</div>
+          <div class="mono" style="margin-top:6px">${escapeHtml(v.signed.signature || "")}</div>
+          <div class="muted" style="margin-top:6px">${v.intact ? "Signed by Eritrean Success Journey; the details above are unchanged since issue." : "Signature check failed."}</div>
         </div>
       </div>
 
       <div class="footer">
-        <div>JSON: <a href="${base}/api/certificates/verify/${row.id}.json">${base}/api/certificates/verify/${row.id}.json</a></div>
+        <div>JSON: <a href="${escapeHtml(jsonUrl)}">${escapeHtml(jsonUrl)}</a></div>
       </div>
     </div>
   </div>
@@ -641,4 +452,4 @@ router.get("/verify/:id", async (req, res) => {
   }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -3,21 +3,23 @@
 
 const express = require("express");
 const { query } = require("../db_pg");
+const { localizedText } = require("../utils/locales");
 
 const router = express.Router();
 
 /**
- * GET /api/courses?lang=en|ti
- * Public: returns list of courses (localized)
+ * GET /api/courses?lang=<locale>
+ * Public: returns list of courses (localized, missing texts from the fallback languages)
  */
 router.get("/", async (req, res) => {
   try {
-    const lang = req.query.lang === "ti" ? "ti" : "en";
+    const lang = req.lang; // from server.js middleware
 
     const r = await query(
-      `SELECT id, title_en, title_ti, intro_en, intro_ti
+      `SELECT id, title, intro, sort_order
        FROM courses
-       ORDER BY id`
+       WHERE published = true AND archived_at IS NULL
+       ORDER BY sort_order, id`
     );
 
     // Optional caching for public content (adjust as you like)
@@ -26,8 +28,9 @@ router.get("/", async (req, res) => {
     return res.json({
       courses: r.rows.map((x) => ({
         id: x.id,
-        title: lang === "ti" ? x.title_ti : x.title_en,
-        intro: lang === "ti" ? x.intro_ti : x.intro_en
+        title: localizedText(x.title, lang),
+        intro: localizedText(x.intro, lang),
+        sortOrder: x.sort_order
       }))
     });
   } catch (err) {
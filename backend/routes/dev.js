@@ -22,13 +22,8 @@ router.post("/pass-exam", requireAuth, async (req, res) => {
   }
 
   await query(
-    `INSERT INTO exam_attempts (user_id, course_id, score, passed, updated_at)
-     VALUES ($1,$2,$3,true,NOW())
-     ON CONFLICT (user_id, course_id)
-     DO UPDATE SET
-       score = EXCLUDED.score,
-       passed = true,
-       updated_at = NOW()`,
+    `INSERT INTO exam_attempts (user_id, course_id, score, passed, created_at, updated_at)
+     VALUES ($1,$2,$3,true,NOW(),NOW())`,
     [userId, courseId, Math.max(0, Math.min(100, score))]
   );
 
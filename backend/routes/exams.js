@@ -1,221 +1,643 @@
 // backend/routes/exams.js
-// REPLACE WHOLE FILE ✅
 //
 // Endpoints:
 // - GET  /api/exams/status/:courseId
-// - GET  /api/exams/:courseId?lang=en|ti
+// - GET  /api/exams/:courseId?lang=<locale>  (intro, or the attempt in progress)
+// - POST /api/exams/:courseId/start?lang=     (starts / resumes an attempt)
+// - POST /api/exams/:courseId/save            (autosave answers of the attempt in progress)
 // - POST /api/exams/:courseId/submit
+// - GET  /api/exams/:courseId/attempts        (attempt history)
+// - GET  /api/exams/:courseId/attempts/:id?lang= (question-by-question review)
+//
+// Questions are shown in the student's language (?lang=, utils/locales.js) when the translation
+// fits the English question, else in its fallback language; English is always what is graded.
 //
 // Behavior:
-// - Stores a NEW attempt row on each submit
-// - Enforces MAX_ATTEMPTS_PER_COURSE (set to null for unlimited)
-// - Returns per-question results for frontend marking
+// - Start issues an attempt (exam_sessions row) with its drawn questions + option order
+//   (question bank + blueprint, or the fixed exam shuffled) and, for timed exams, a deadline
+// - Questions (never answer keys) are only sent for a started attempt
+// - Submit maps the shown answers back to the original options, grades and stores a NEW attempt row
+// - After the deadline (+ LATE_GRACE_SECONDS) the last autosaved answers are graded instead and the
+//   attempt is marked late; expired attempts nobody submitted are graded the same way on the next visit
+// - Students get the PUBLISHED exam revision and bank questions (utils/publishing.js); with
+//   ?preview=1 an admin gets a draw from the drafts instead, which can't be started, saved or submitted
+// - Enforces the exam's attempt policy (exam_defs: max_attempts, cooldown_minutes, score_policy;
+//   admin grants/resets in exam_attempt_adjustments, see utils/exams.js attemptSummary)
+// - Returns per-question results (after submit and in the review) filtered by the exam's review policy
 
 const express = require("express");
-const { query } = require("../db_pg");
+const { pool, query } = require("../db_pg");
 const { requireAuth } = require("../middleware/auth");
+const { requireCourse } = require("../middleware/course");
+const {
+  loadExamDef,
+  loadPublishedExamDef,
+  examDefForRevision,
+  loadQuestionPool,
+  drawAttemptItems,
+  loadItemRevisions,
+  resolveItem,
+  localizedQuestion,
+  attemptPayload,
+  LATE_GRACE_SECONDS,
+  isPastDeadline,
+  submissionAnswers,
+  attemptSummary,
+  attemptBlockedError,
+  reviewResults
+} = require("../utils/exams");
+const { publicQuestion, gradeQuestion, withTranslatedAnswers, questionVersion } = require("../utils/grading");
+const { resolveLocale } = require("../utils/locales");
+const { publishDueCourses } = require("../utils/publishing");
 
 const router = express.Router();
 
-// ✅ change this (null = unlimited)
-const MAX_ATTEMPTS_PER_COURSE = 3;
+const SESSION_COLUMNS =
+  "id, items, exam_revision_id, started_at, deadline_at, lang, saved_answers, saved_at, submitted_at";
 
 function getLang(req) {
-  return req.query.lang === "ti" ? "ti" : "en";
+  return resolveLocale(req.query.lang);
+}
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+/**
+ * Resolve every item of a session in the version it was drawn in (bank questions edited since
+ * then come from exam_question_revisions), or null if any question is gone / changed shape
+ */
+async function resolveItems(items, def, poolById) {
+  if (!Array.isArray(items) || !items.length) return null;
+  const revisions = await loadItemRevisions(items, poolById);
+  const resolved = items.map((item) => resolveItem(item, def, poolById, revisions));
+  return resolved.every(Boolean) ? resolved : null;
+}
+
+/** Every bank question of the items is still in the version it was drawn in */
+function itemsCurrent(items, poolById) {
+  return (items || []).every((item) => item.qid == null || poolById.get(item.qid)?.revision_id === item.rev);
+}
+
+/**
+ * Latest unsubmitted session for this user/course, or a new one with a fresh draw.
+ * A not yet started session from an older exam revision (or whose questions were edited or are
+ * gone) is replaced.
+ * Returns { session, resolved } or null when nothing can be drawn.
+ */
+async function getOrCreateSession({ userId, courseId, def, poolById }) {
+  const openR = await query(
+    `SELECT ${SESSION_COLUMNS}
+     FROM exam_sessions
+     WHERE user_id = $1 AND course_id = $2 AND submitted_at IS NULL
+     ORDER BY id DESC
+     LIMIT 1`,
+    [userId, courseId]
+  );
+  const open = openR.rows[0];
+  const sameRevision = open && (open.exam_revision_id ?? null) === def.revision_id;
+  const openResolved = sameRevision && itemsCurrent(open.items, poolById)
+    && await resolveItems(open.items, def, poolById);
+  if (openResolved) return { session: open, resolved: openResolved };
+
+  const items = drawAttemptItems(def, [...poolById.values()]);
+  const resolved = await resolveItems(items, def, poolById);
+  if (!resolved) return null;
+
+  const ins = await query(
+    `INSERT INTO exam_sessions (user_id, course_id, items, exam_revision_id)
+     VALUES ($1, $2, $3::jsonb, $4)
+     RETURNING ${SESSION_COLUMNS}`,
+    [userId, courseId, JSON.stringify(items), def.revision_id]
+  );
+  return { session: ins.rows[0], resolved };
+}
+
+/**
+ * Started, unsubmitted attempt of this user/course, or null.
+ * Returns { session, resolved, def } where def is the exam revision it was drawn from.
+ */
+async function findStartedSession({ userId, courseId, def, poolById }) {
+  const r = await query(
+    `SELECT ${SESSION_COLUMNS}
+     FROM exam_sessions
+     WHERE user_id = $1 AND course_id = $2 AND submitted_at IS NULL AND started_at IS NOT NULL
+     ORDER BY id DESC
+     LIMIT 1`,
+    [userId, courseId]
+  );
+  const session = r.rows[0];
+  if (!session) return null;
+  const sessionDef = await examDefForRevision(def, session.exam_revision_id);
+  const resolved = await resolveItems(session.items, sessionDef, poolById);
+  return resolved ? { session, resolved, def: sessionDef } : null;
+}
+
+/** Bank questions by id: what students draw, or with `drafts` the admin's draft content */
+async function loadPoolById(courseId, { drafts = false } = {}) {
+  const rows = await loadQuestionPool(courseId, { published: !drafts });
+  return new Map(rows.map((row) => [row.id, row]));
+}
+
+/**
+ * Admin "preview as student": a fresh draw from the DRAFT exam, shaped like a started attempt
+ * but with no session behind it (attemptId null), so nothing can be saved or submitted.
+ */
+async function previewPayload({ courseId, lang }) {
+  const def = await loadExamDef(courseId);
+  if (!def) throw httpError(404, "Exam not found");
+
+  const poolById = await loadPoolById(courseId, { drafts: true });
+  const items = drawAttemptItems(def, [...poolById.values()]);
+  const resolved = await resolveItems(items, def, poolById);
+  if (!resolved) throw httpError(409, "The draft exam has no questions to draw");
+
+  const session = { id: null, items, started_at: null, deadline_at: null, saved_answers: null };
+  return { ...attemptPayload({ courseId, def, lang, session, resolved }), preview: true };
 }
 
-function safeJsonParse(str, fallback = null) {
+/**
+ * Grade a session against the exam revision it was drawn from, close it (only once, even on
+ * double-submit) and store a NEW attempt row stamped with that revision.
+ * Throws (err.status 409) when it was already submitted or its questions are gone.
+ */
+async function gradeSession({ userId, courseId, def: currentDef, session, answers, lang, late }) {
+  const def = await examDefForRevision(currentDef, session.exam_revision_id);
+  const items = session.items;
+  const resolved = await resolveItems(items, def, await loadPoolById(courseId));
+  if (!resolved) throw httpError(409, "The exam changed since this attempt started. Please reload.");
+
+  // Answers are in shown positions; optionOrder maps them back (utils/grading.js).
+  // picked/correct are stored as shown, pickedOriginal as in the question.
+  const given = Array.isArray(answers) ? answers : [];
+  let credit = 0;
+  const results = items.map((item, i) => {
+    // short answers may be given in the language the question was shown in
+    const { en } = resolved[i];
+    const shown = localizedQuestion(resolved[i], lang);
+    const tr = shown === en ? null : shown;
+    const r = gradeQuestion(withTranslatedAnswers(en, tr), given[i], item.optionOrder);
+    if (tr && r.explanation !== undefined && tr.explanation) r.explanation = tr.explanation;
+    credit += r.credit;
+    return {
+      index: i,
+      qid: item.qid ?? null,
+      rev: item.rev ?? null,
+      q: item.qi ?? null,
+      qv: questionVersion(en),
+      optionOrder: item.optionOrder,
+      ...r
+    };
+  });
+
+  const score = Math.round((credit / items.length) * 100);
+  const passed = score >= def.pass_score;
+
+  // closing the session and storing its attempt succeed or fail together
+  const client = await pool.connect();
+  let attemptId;
   try {
-    return JSON.parse(str);
-  } catch {
-    return fallback;
+    await client.query("BEGIN");
+    const closed = await client.query(
+      `UPDATE exam_sessions SET submitted_at = NOW()
+       WHERE id = $1 AND submitted_at IS NULL
+       RETURNING id`,
+      [session.id]
+    );
+    if (!closed.rows.length) throw httpError(409, "This attempt was already submitted");
+
+    const ins = await client.query(
+      `INSERT INTO exam_attempts
+        (user_id, course_id, score, passed, answers, started_at, late, lang, exam_revision_id, created_at, updated_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, NOW(), NOW())
+       RETURNING id`,
+      [
+        userId, courseId, score, passed, JSON.stringify(results),
+        session.started_at, !!late, lang || null, def.revision_id
+      ]
+    );
+    attemptId = ins.rows[0].id;
+    await client.query("UPDATE exam_sessions SET attempt_id = $1 WHERE id = $2", [attemptId, session.id]);
+    await client.query("COMMIT");
+  } catch (e) {
+    await client.query("ROLLBACK").catch(() => {});
+    throw e;
+  } finally {
+    client.release();
   }
+
+  return { attemptId, score, passed, results, def };
+}
+
+/**
+ * Timed attempts the student walked away from still count:
+ * they are graded with whatever was autosaved before the deadline.
+ */
+async function finalizeExpiredSessions({ userId, courseId, def }) {
+  if (!def) return;
+
+  const r = await query(
+    `SELECT ${SESSION_COLUMNS}
+     FROM exam_sessions
+     WHERE user_id = $1 AND course_id = $2 AND submitted_at IS NULL
+       AND deadline_at IS NOT NULL
+       AND deadline_at + make_interval(secs => $3) < NOW()
+     ORDER BY id`,
+    [userId, courseId, LATE_GRACE_SECONDS]
+  );
+
+  for (const session of r.rows) {
+    try {
+      await gradeSession({
+        userId, courseId, def, session,
+        answers: session.saved_answers,
+        lang: session.lang,
+        late: true
+      });
+    } catch (err) {
+      if (err.status !== 409) throw err;
+      // questions changed since then: nothing fair to grade, just close it
+      await query(
+        "UPDATE exam_sessions SET submitted_at = NOW() WHERE id = $1 AND submitted_at IS NULL",
+        [session.id]
+      );
+    }
+  }
+}
+
+/** Started, unsubmitted session by id (throws 404/409 via err.status) */
+async function loadOpenSession({ attemptId, userId, courseId }) {
+  const r = await query(
+    `SELECT ${SESSION_COLUMNS}
+     FROM exam_sessions
+     WHERE id = $1 AND user_id = $2 AND course_id = $3`,
+    [attemptId, userId, courseId]
+  );
+  const session = r.rows[0];
+  if (!session) throw httpError(404, "Attempt not found");
+  if (session.submitted_at) throw httpError(409, "This attempt was already submitted");
+  if (!session.started_at) throw httpError(409, "Start the exam first");
+  return session;
 }
 
 /**
  * GET /api/exams/status/:courseId
- * returns latest attempt + attemptCount (+ maxAttempts)
+ * returns the counted attempt (latest or best, per exam policy) + attempt allowance
  */
-router.get("/status/:courseId", requireAuth, async (req, res) => {
+router.get("/status/:courseId", requireAuth, requireCourse(), async (req, res) => {
   try {
     const userId = req.user?.id;
-    const courseId = String(req.params.courseId || "").trim();
+    const courseId = req.courseId;
 
     if (!userId) return res.status(401).json({ error: "Unauthorized" });
-    if (!courseId) return res.status(400).json({ error: "Missing courseId" });
 
-    const countR = await query(
-      `SELECT COUNT(*)::int AS c
-       FROM exam_attempts
-       WHERE user_id = $1 AND course_id = $2`,
-      [userId, courseId]
-    );
+    const def = await loadPublishedExamDef(courseId);
+    await finalizeExpiredSessions({ userId, courseId, def });
+    const summary = await attemptSummary({ userId, courseId, def });
+    const counted = summary.counted;
+
+    res.json({
+      courseId,
+      passScore: def?.pass_score ?? null,
+      attemptCount: summary.attemptCount,
+      maxAttempts: summary.maxAttempts,
+      extraAttempts: summary.extraAttempts,
+      remainingAttempts: summary.remainingAttempts,
+      cooldownMinutes: summary.cooldownMinutes,
+      timeLimitMinutes: summary.timeLimitMinutes,
+      scorePolicy: summary.scorePolicy,
+      canAttempt: summary.canAttempt,
+      blockedReason: summary.blockedReason,
+      nextAttemptAt: summary.nextAttemptAt,
+      attempted: !!counted,
+      score: counted?.score ?? null,
+      passed: counted?.passed ?? false,
+      latestScore: summary.latest?.score ?? null,
+      created_at: counted?.created_at ?? null,
+      updated_at: counted?.updated_at ?? null
+    });
+  } catch (err) {
+    console.error("EXAMS STATUS ERROR:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+/**
+ * GET /api/exams/:courseId?lang=<locale>
+ * The attempt in progress (questions, deadline, autosaved answers),
+ * or { started: false, ... } with what the student needs to know before starting.
+ */
+router.get("/:courseId", requireAuth, requireCourse({ publishedOnly: true }), async (req, res) => {
+  try {
+    const userId = req.user?.id;
+    const courseId = req.courseId;
+    const lang = getLang(req);
+
+    if (!userId) return res.status(401).json({ error: "Unauthorized" });
+
+    if (req.preview) return res.json(await previewPayload({ courseId, lang }));
+
+    await publishDueCourses(courseId);
+    const def = await loadPublishedExamDef(courseId);
+    if (!def) return res.status(404).json({ error: "Exam not found", courseId });
+
+    await finalizeExpiredSessions({ userId, courseId, def });
+
+    const current = await findStartedSession({ userId, courseId, def, poolById: await loadPoolById(courseId) });
+    if (current) return res.json(attemptPayload({ courseId, def, lang, ...current }));
+
+    const summary = await attemptSummary({ userId, courseId, def });
+    res.json({
+      courseId,
+      started: false,
+      passScore: def.pass_score,
+      reviewPolicy: def.review_policy,
+      timeLimitMinutes: def.time_limit_minutes,
+      canAttempt: summary.canAttempt,
+      blockedReason: summary.blockedReason,
+      nextAttemptAt: summary.nextAttemptAt
+    });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error("EXAMS GET ERROR:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+function attemptRowToJson(row, countedId) {
+  const results = Array.isArray(row.answers) ? row.answers.filter((r) => r && typeof r === "object") : [];
+  return {
+    id: row.id,
+    score: row.score,
+    passed: !!row.passed,
+    late: !!row.late,
+    examRevisionId: row.exam_revision_id ?? null,
+    counted: row.id === countedId,
+    voided: !!row.voided_at,
+    startedAt: row.started_at || null,
+    createdAt: row.created_at,
+    questionCount: results.length,
+    correctCount: results.filter((r) => r.isCorrect).length
+  };
+}
+
+/**
+ * GET /api/exams/:courseId/attempts
+ * The student's submitted attempts (newest first), incl. ones an admin reset (voided: true).
+ */
+router.get("/:courseId/attempts", requireAuth, requireCourse(), async (req, res) => {
+  try {
+    const userId = req.user?.id;
+    const courseId = req.courseId;
+
+    if (!userId) return res.status(401).json({ error: "Unauthorized" });
 
-    const latestR = await query(
-      `SELECT id, score, passed, created_at, updated_at
+    const def = await loadPublishedExamDef(courseId);
+    await finalizeExpiredSessions({ userId, courseId, def });
+    const summary = await attemptSummary({ userId, courseId, def });
+
+    const r = await query(
+      `SELECT id, score, passed, late, answers, exam_revision_id, started_at, created_at, voided_at
        FROM exam_attempts
        WHERE user_id = $1 AND course_id = $2
-       ORDER BY created_at DESC NULLS LAST, id DESC
-       LIMIT 1`,
+       ORDER BY created_at DESC NULLS LAST, id DESC`,
       [userId, courseId]
     );
 
-    const attemptCount = countR.rows[0]?.c ?? 0;
-    const latest = latestR.rows[0] || null;
-
     res.json({
       courseId,
-      attemptCount,
-      maxAttempts: MAX_ATTEMPTS_PER_COURSE,
-      attempted: !!latest,
-      score: latest?.score ?? null,
-      passed: latest?.passed ?? false,
-      created_at: latest?.created_at ?? null,
-      updated_at: latest?.updated_at ?? null
+      reviewPolicy: def?.review_policy ?? "correctness",
+      scorePolicy: summary.scorePolicy,
+      attempts: r.rows.map((row) => attemptRowToJson(row, summary.counted?.id))
     });
   } catch (err) {
-    console.error("EXAMS STATUS ERROR:", err);
+    console.error("EXAMS ATTEMPTS ERROR:", err);
     res.status(500).json({ error: "Server error" });
   }
 });
 
 /**
- * GET /api/exams/:courseId?lang=en|ti
- * returns exam definition + passScore
+ * GET /api/exams/:courseId/attempts/:id?lang=<locale>
+ * One attempt question by question: the question as it was shown (same option order)
+ * + the stored result, filtered by the exam's review policy.
+ * question is null when it no longer exists (fixed question of a lost revision / changed shape).
  */
-router.get("/:courseId", requireAuth, async (req, res) => {
+router.get("/:courseId/attempts/:id", requireAuth, requireCourse(), async (req, res) => {
   try {
-    const courseId = String(req.params.courseId || "").trim();
+    const userId = req.user?.id;
+    const courseId = req.courseId;
     const lang = getLang(req);
+    const id = Number(req.params.id);
 
-    if (!courseId) return res.status(400).json({ error: "Missing courseId" });
+    if (!userId) return res.status(401).json({ error: "Unauthorized" });
+    if (!Number.isInteger(id)) return res.status(400).json({ error: "Invalid attempt id" });
 
     const r = await query(
-      `SELECT pass_score, exam_json_en, exam_json_ti
-       FROM exam_defs
-       WHERE course_id = $1`,
-      [courseId]
+      `SELECT id, score, passed, late, answers, exam_revision_id, started_at, created_at, voided_at
+       FROM exam_attempts
+       WHERE id = $1 AND user_id = $2 AND course_id = $3`,
+      [id, userId, courseId]
     );
+    const row = r.rows[0];
+    if (!row) return res.status(404).json({ error: "Attempt not found" });
 
-    if (!r.rows.length) {
-      return res.status(404).json({ error: "Exam not found", courseId });
-    }
+    const def = await loadPublishedExamDef(courseId);
+    const summary = await attemptSummary({ userId, courseId, def });
+    const reviewPolicy = def?.review_policy ?? "correctness";
 
-    const def = r.rows[0];
-    const jsonStr = lang === "ti" ? def.exam_json_ti : def.exam_json_en;
-    const exam = safeJsonParse(jsonStr, null);
+    // full_after_pass: once the exam is passed, every attempt may be reviewed in full
+    const stored = Array.isArray(row.answers) ? row.answers.filter((x) => x && typeof x === "object") : [];
+    const reviewed = reviewResults(stored, reviewPolicy, row.passed || !!summary.counted?.passed);
+    const poolById = def ? await loadPoolById(courseId) : new Map();
+    // fixed questions are looked up in the exam revision the attempt was graded against
+    const attemptDef = def && await examDefForRevision(def, row.exam_revision_id);
 
-    if (!exam || !Array.isArray(exam.questions) || exam.questions.length === 0) {
-      return res.status(500).json({
-        error: "Exam JSON invalid in DB",
-        courseId,
-        lang
-      });
-    }
+    const items = stored.map((src) => ({
+      index: src.index,
+      qid: src.qid ?? undefined,
+      rev: src.rev ?? undefined,
+      qi: src.q ?? undefined,
+      optionOrder: src.optionOrder || []
+    }));
+    const revisions = await loadItemRevisions(items, poolById);
+
+    const questions = reviewed.map((result) => {
+      const item = items.find((x) => x.index === result.index) || { optionOrder: [] };
+      const resolved = attemptDef && (item.qid != null || item.qi != null)
+        ? resolveItem(item, attemptDef, poolById, revisions)
+        : null;
+
+      const question = resolved ? publicQuestion(localizedQuestion(resolved, lang), item.optionOrder) : null;
+      return { ...result, question };
+    });
 
     res.json({
       courseId,
-      passScore: def.pass_score,
-      exam
+      reviewPolicy,
+      attempt: attemptRowToJson(row, summary.counted?.id),
+      questions
     });
   } catch (err) {
-    console.error("EXAMS GET ERROR:", err);
+    console.error("EXAMS ATTEMPT REVIEW ERROR:", err);
     res.status(500).json({ error: "Server error" });
   }
 });
 
 /**
- * POST /api/exams/:courseId/submit
- * Body: { answers: number[] }
+ * POST /api/exams/:courseId/start?lang=<locale>
+ * Starts a new attempt (records started_at + the deadline from exam_defs.time_limit_minutes)
+ * or resumes the one in progress. Returns the same payload as GET for a started attempt.
  */
-router.post("/:courseId/submit", requireAuth, async (req, res) => {
+router.post("/:courseId/start", requireAuth, requireCourse({ publishedOnly: true }), async (req, res) => {
   try {
     const userId = req.user?.id;
-    const courseId = String(req.params.courseId || "").trim();
+    const courseId = req.courseId;
+    const lang = getLang(req);
+
+    if (!userId) return res.status(401).json({ error: "Unauthorized" });
+    if (req.preview) return res.status(409).json({ error: "Preview only: exam answers are not saved" });
+
+    const def = await loadPublishedExamDef(courseId);
+    if (!def) return res.status(404).json({ error: "Exam not found", courseId });
+
+    await finalizeExpiredSessions({ userId, courseId, def });
+
+    const poolById = await loadPoolById(courseId);
+    const current = await findStartedSession({ userId, courseId, def, poolById });
+    if (current) return res.json(attemptPayload({ courseId, def, lang, ...current }));
+
+    // no new attempt while out of attempts or in the cooldown after the last one
+    const summary = await attemptSummary({ userId, courseId, def });
+    if (!summary.canAttempt) return res.status(403).json(attemptBlockedError(summary));
+
+    const drawn = await getOrCreateSession({ userId, courseId, def, poolById });
+    if (!drawn) {
+      return res.status(500).json({ error: "Exam questions missing/invalid", courseId });
+    }
+
+    const startedR = await query(
+      `UPDATE exam_sessions
+          SET started_at = NOW(),
+              deadline_at = CASE WHEN $2::int IS NULL THEN NULL
+                                 ELSE NOW() + make_interval(mins => $2::int) END,
+              lang = $3
+        WHERE id = $1 AND submitted_at IS NULL
+        RETURNING ${SESSION_COLUMNS}`,
+      [drawn.session.id, def.time_limit_minutes, lang]
+    );
+    if (!startedR.rows.length) return res.status(409).json({ error: "Please try again" });
+
+    res.json(attemptPayload({ courseId, def, lang, session: startedR.rows[0], resolved: drawn.resolved }));
+  } catch (err) {
+    console.error("EXAMS START ERROR:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+/**
+ * POST /api/exams/:courseId/save
+ * Body: { attemptId, answers: [] }  (same shape as submit; unanswered = null)
+ * Rejected with 409 once the deadline has passed.
+ */
+router.post("/:courseId/save", requireAuth, requireCourse({ publishedOnly: true }), async (req, res) => {
+  try {
+    const userId = req.user?.id;
+    const courseId = req.courseId;
     const { answers } = req.body || {};
+    const attemptId = Number(req.body?.attemptId);
 
     if (!userId) return res.status(401).json({ error: "Unauthorized" });
-    if (!courseId) return res.status(400).json({ error: "Missing courseId" });
+    if (req.preview) return res.status(409).json({ error: "Preview only: exam answers are not saved" });
     if (!Array.isArray(answers)) return res.status(400).json({ error: "Answers array required" });
+    if (!Number.isInteger(attemptId)) return res.status(400).json({ error: "attemptId required" });
 
-    // ✅ attempt limit (if enabled)
-    if (Number.isFinite(MAX_ATTEMPTS_PER_COURSE)) {
-      const countR = await query(
-        `SELECT COUNT(*)::int AS c
-         FROM exam_attempts
-         WHERE user_id = $1 AND course_id = $2`,
-        [userId, courseId]
-      );
-      const attemptCount = countR.rows[0]?.c ?? 0;
-
-      if (attemptCount >= MAX_ATTEMPTS_PER_COURSE) {
-        return res.status(403).json({
-          error: "Maximum attempts reached",
-          attemptCount,
-          maxAttempts: MAX_ATTEMPTS_PER_COURSE
-        });
-      }
-    }
+    const session = await loadOpenSession({ attemptId, userId, courseId });
+    if (isPastDeadline(session)) return res.status(409).json({ error: "Time is up", timeUp: true });
 
-    // Load exam definition (use EN as grading source of truth)
-    const defR = await query(
-      `SELECT pass_score, exam_json_en
-       FROM exam_defs
-       WHERE course_id = $1`,
-      [courseId]
+    const r = await query(
+      `UPDATE exam_sessions SET saved_answers = $1::jsonb, saved_at = NOW()
+       WHERE id = $2 AND submitted_at IS NULL
+       RETURNING saved_at`,
+      [JSON.stringify(answers.slice(0, session.items.length)), session.id]
     );
-    if (!defR.rows.length) return res.status(404).json({ error: "Exam not found", courseId });
+    if (!r.rows.length) return res.status(409).json({ error: "This attempt was already submitted" });
 
-    const def = defR.rows[0];
-    const exam = safeJsonParse(def.exam_json_en, null);
-    const questions = exam?.questions || [];
+    res.json({ ok: true, savedAt: r.rows[0].saved_at });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error("EXAMS SAVE ERROR:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
 
-    if (!Array.isArray(questions) || questions.length === 0) {
-      return res.status(500).json({ error: "Exam questions missing/invalid", courseId });
+/**
+ * POST /api/exams/:courseId/submit
+ * Body: { attemptId, answers: [] }  (one answer per question, in the order the questions were served in;
+ *   number | number[] | boolean | string depending on the question type, see utils/grading.js)
+ * After the deadline the posted answers are ignored: the autosaved ones are graded and the attempt is late.
+ */
+router.post("/:courseId/submit", requireAuth, requireCourse({ publishedOnly: true }), async (req, res) => {
+  try {
+    const userId = req.user?.id;
+    const courseId = req.courseId;
+    const { answers } = req.body || {};
+    const attemptId = Number(req.body?.attemptId);
+
+    if (!userId) return res.status(401).json({ error: "Unauthorized" });
+    if (req.preview) return res.status(409).json({ error: "Preview only: exam answers are not saved" });
+    if (!Array.isArray(answers)) return res.status(400).json({ error: "Answers array required" });
+    if (!Number.isInteger(attemptId)) {
+      return res.status(400).json({ error: "attemptId required (reload the exam)" });
     }
 
-    // Compute results
-    let correctCount = 0;
-    const results = questions.map((q, i) => {
-      const picked = Number.isFinite(answers[i]) ? answers[i] : -1;
-      const correct = q.correctIndex;
-      const isCorrect = picked === correct;
-      if (isCorrect) correctCount++;
-      return { index: i, picked, correct, isCorrect };
-    });
+    // Load exam definition (use EN as grading source of truth)
+    const def = await loadPublishedExamDef(courseId);
+    if (!def) return res.status(404).json({ error: "Exam not found", courseId });
 
-    const score = Math.round((correctCount / questions.length) * 100);
-    const passScore = def.pass_score;
-    const passed = score >= passScore;
+    // attempt limit (the cooldown was checked when the attempt was started)
+    const before = await attemptSummary({ userId, courseId, def });
+    if (before.remainingAttempts === 0) return res.status(403).json(attemptBlockedError(before));
 
-    // Insert NEW attempt row
-    await query(
-      `INSERT INTO exam_attempts
-        (user_id, course_id, score, passed, answers, created_at, updated_at)
-       VALUES ($1, $2, $3, $4, $5, NOW(), NOW())`,
-      [userId, courseId, score, passed, JSON.stringify(results)]
-    );
+    const session = await loadOpenSession({ attemptId, userId, courseId });
+    const submitted = submissionAnswers(session, answers);
+    const late = submitted.late;
 
-    // return updated attempt count too (nice for UI)
-    const countAfter = await query(
-      `SELECT COUNT(*)::int AS c
-       FROM exam_attempts
-       WHERE user_id = $1 AND course_id = $2`,
-      [userId, courseId]
-    );
+    const { score, passed, results, def: gradedDef } = await gradeSession({
+      userId,
+      courseId,
+      def,
+      session,
+      answers: submitted.answers,
+      // graded in the language the questions were shown in, not the one of this request
+      lang: session.lang || getLang(req),
+      late
+    });
+
+    // return updated attempt state too (nice for UI)
+    const after = await attemptSummary({ userId, courseId, def });
 
     return res.json({
       passed,
       score,
-      passScore,
-      results,
-      attemptCount: countAfter.rows[0]?.c ?? null,
-      maxAttempts: MAX_ATTEMPTS_PER_COURSE
+      passScore: gradedDef.pass_score,
+      late,
+      reviewPolicy: gradedDef.review_policy,
+      results: reviewResults(results, gradedDef.review_policy, passed),
+      attemptCount: after.attemptCount,
+      maxAttempts: after.maxAttempts,
+      remainingAttempts: after.remainingAttempts,
+      nextAttemptAt: after.nextAttemptAt,
+      scorePolicy: after.scorePolicy,
+      countedScore: after.counted?.score ?? null,
+      countedPassed: after.counted?.passed ?? false
     });
   } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
     console.error("EXAMS SUBMIT ERROR:", err);
     return res.status(500).json({ error: "Server error" });
   }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
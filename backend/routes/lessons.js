@@ -2,6 +2,13 @@
 
 const express = require("express");
 const { query } = require("../db_pg");
+const { requireAuth } = require("../middleware/auth");
+const { requireCourse } = require("../middleware/course");
+const { publicQuestion, gradeQuestions, stableOrder } = require("../utils/grading");
+const { publishDueCourses } = require("../utils/publishing");
+const { renderMarkdown } = require("../utils/markdown");
+const { lessonAudio } = require("../utils/media");
+const { localizedText } = require("../utils/locales");
 
 const router = express.Router();
 
@@ -18,6 +25,17 @@ function quizSafe(v) {
   }
 }
 
+/**
+ * Lessons as students see them, aliased "l" (placement) and "c" (content): the published
+ * revision, or the draft itself when an admin previews (?preview=1, utils/publishing.js).
+ * Lessons that were never published only show up in the preview.
+ */
+function lessonSource(preview) {
+  return preview
+    ? "lessons l JOIN lessons c ON c.id = l.id"
+    : "lessons l JOIN lesson_revisions c ON c.id = l.published_revision_id";
+}
+
 /**
  * -----------------------------
  * STUDENT / PUBLIC
@@ -27,48 +45,132 @@ function quizSafe(v) {
 /**
  * PUBLIC / STUDENT
  * Mounted at: /api/lessons
- * GET /api/lessons/:courseId?lang=en|ti
+ * GET /api/lessons/:courseId?lang=<locale>   (missing texts come from the fallback languages)
  */
-router.get("/:courseId", async (req, res) => {
+router.get("/:courseId", requireCourse({ publishedOnly: true }), async (req, res) => {
   try {
-    const courseId = String(req.params.courseId || "").trim();
-    if (!courseId) return res.status(400).json({ error: "Missing courseId" });
+    const courseId = req.courseId;
+
+    const lang = req.lang; // from server.js middleware
 
-    const lang = req.lang || "en"; // from server.js middleware
+    await publishDueCourses(courseId);
 
     const r = await query(
-      `SELECT id, course_id, lesson_index,
-              title_en, title_ti,
-              learn_en, learn_ti,
-              task_en, task_ti,
-              quiz
-       FROM lessons
-       WHERE course_id=$1
-       ORDER BY lesson_index ASC`,
+      `SELECT l.id, l.course_id, l.lesson_index,
+              c.title, c.learn, c.task, c.quiz
+       FROM ${lessonSource(req.preview)}
+       WHERE l.course_id=$1 AND l.deleted_at IS NULL
+       ORDER BY l.lesson_index ASC`,
       [courseId]
     );
 
-    const lessons = r.rows.map((row) => ({
-      id: row.id,
-      courseId: row.course_id,
-      lessonIndex: row.lesson_index,
+    const audio = await lessonAudio(req, r.rows.map((row) => row.id), lang);
 
+    const lessons = r.rows.map((row) => {
       // Student-friendly fields (language resolved)
-      title: lang === "ti" ? (row.title_ti || row.title_en || "") : (row.title_en || ""),
-      learn: lang === "ti" ? (row.learn_ti || row.learn_en || "") : (row.learn_en || ""),
-      task:  lang === "ti" ? (row.task_ti  || row.task_en  || "") : (row.task_en  || ""),
+      const learn = localizedText(row.learn, lang);
+      const task = localizedText(row.task, lang);
 
-      // keep quiz safe (student needs it for lesson quiz)
-      quiz: quizSafe(row.quiz),
-    }));
+      return {
+        id: row.id,
+        courseId: row.course_id,
+        lessonIndex: row.lesson_index,
+
+        title: localizedText(row.title, lang),
+        learn,
+        task,
+        // rendered Markdown subset (utils/markdown.js), safe for innerHTML
+        learnHtml: renderMarkdown(learn),
+        taskHtml: renderMarkdown(task),
+        // narration of the Learn text: [{ url, contentType }] (utils/media.js)
+        audio: audio[row.id] || [],
+
+        // student view of the quiz: answer keys stay on the server
+        quiz: { questions: (quizSafe(row.quiz).questions || []).map((q) => publicQuestion(q, stableOrder(q))) },
+      };
+    });
 
-    return res.json({ lessons });
+    return res.json({ lessons, ...(req.preview ? { preview: true } : {}) });
   } catch (e) {
     console.error("GET /api/lessons/:courseId error:", e);
     return res.status(500).json({ error: "Server error" });
   }
 });
 
+/**
+ * STUDENT
+ * POST /api/lessons/:courseId/:lessonIndex/quiz/submit
+ * Body: { answers: [] }  (one answer per question, shape depends on the question type)
+ * Grades on the server, records the attempt and sets progress.quiz_score (best score).
+ */
+router.post("/:courseId/:lessonIndex/quiz/submit", requireAuth, requireCourse({ publishedOnly: true }), async (req, res) => {
+  try {
+    const userId = req.user?.id;
+    const courseId = req.courseId;
+    const lessonIndex = Number(req.params.lessonIndex);
+    const { answers } = req.body || {};
+
+    if (!userId) return res.status(401).json({ error: "Unauthorized" });
+    if (!Number.isInteger(lessonIndex) || lessonIndex < 0) {
+      return res.status(400).json({ error: "Invalid lessonIndex" });
+    }
+    if (!Array.isArray(answers)) return res.status(400).json({ error: "Answers array required" });
+
+    const lessonR = await query(
+      `SELECT l.id, c.quiz FROM ${lessonSource(req.preview)}
+       WHERE l.course_id=$1 AND l.lesson_index=$2 AND l.deleted_at IS NULL`,
+      [courseId, lessonIndex]
+    );
+    if (!lessonR.rows.length) return res.status(404).json({ error: "Lesson not found" });
+
+    const lesson = lessonR.rows[0];
+    const questions = quizSafe(lesson.quiz).questions || [];
+    if (!questions.length) return res.status(400).json({ error: "This lesson has no quiz" });
+
+    const { score, results } = gradeQuestions(questions, answers, questions.map(stableOrder));
+    const shownResults = results.map(({ index, picked, correct, isCorrect, credit, explanation }) => (
+      { index, picked, correct, isCorrect, credit, explanation }
+    ));
+
+    // admin preview: graded against the draft, nothing is recorded
+    if (req.preview) {
+      return res.json({ score, bestScore: score, attemptCount: 0, preview: true, results: shownResults });
+    }
+
+    await query(
+      `INSERT INTO lesson_quiz_attempts (user_id, course_id, lesson_index, lesson_id, score, results)
+       VALUES ($1, $2, $3, $4, $5, $6::jsonb)`,
+      [userId, courseId, lessonIndex, lesson.id, score, JSON.stringify(results)]
+    );
+
+    const progR = await query(
+      `INSERT INTO progress (user_id, course_id, lesson_id, completed, quiz_score, updated_at)
+       VALUES ($1, $2, $3, false, $4, NOW())
+       ON CONFLICT (user_id, lesson_id) DO UPDATE SET
+         quiz_score = GREATEST(COALESCE(progress.quiz_score, 0), EXCLUDED.quiz_score),
+         updated_at = NOW()
+       RETURNING quiz_score`,
+      [userId, courseId, lesson.id, score]
+    );
+
+    const countR = await query(
+      "SELECT COUNT(*)::int AS c FROM lesson_quiz_attempts WHERE user_id=$1 AND lesson_id=$2",
+      [userId, lesson.id]
+    );
+
+    return res.json({
+      score,
+      bestScore: progR.rows[0]?.quiz_score ?? score,
+      attemptCount: countR.rows[0]?.c ?? 1,
+      // lesson quizzes are practice: show the correct answers right away
+      results: shownResults
+    });
+  } catch (e) {
+    console.error("LESSON QUIZ SUBMIT ERROR:", e);
+    return res.status(500).json({ error: "Server error" });
+  }
+});
+
 /**
  * -----------------------------
  * ADMIN GUARD
@@ -95,9 +197,9 @@ function requireAdmin(req, res, next) {
  * GET /api/admin/lessons/:courseId
  * -----------------------------
  */
-router.get("/admin/:courseId", requireAdmin, async (req, res) => {
+router.get("/admin/:courseId", requireAdmin, requireCourse(), async (req, res) => {
   try {
-    const courseId = String(req.params.courseId || "").trim();
+    const courseId = req.courseId;
 
     const r = await query(
       `
@@ -105,15 +207,12 @@ router.get("/admin/:courseId", requireAdmin, async (req, res) => {
         id,
         course_id,
         lesson_index,
-        title_en,
-        title_ti,
-        learn_en,
-        learn_ti,
-        task_en,
-        task_ti,
+        title,
+        learn,
+        task,
         quiz
       FROM lessons
-      WHERE course_id = $1
+      WHERE course_id = $1 AND deleted_at IS NULL
       ORDER BY lesson_index ASC
       `,
       [courseId]
@@ -124,12 +223,9 @@ router.get("/admin/:courseId", requireAdmin, async (req, res) => {
         id: row.id,
         course_id: row.course_id,
         lesson_index: row.lesson_index,
-        title_en: row.title_en,
-        title_ti: row.title_ti,
-        learn_en: row.learn_en,
-        learn_ti: row.learn_ti,
-        task_en: row.task_en,
-        task_ti: row.task_ti,
+        title: row.title,
+        learn: row.learn,
+        task: row.task,
         quiz: quizSafe(row.quiz)
       }))
     });
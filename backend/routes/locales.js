@@ -0,0 +1,18 @@
+// backend/routes/locales.js
+// GET /api/locales — enabled languages (utils/locales.js), for the student and admin language pickers:
+//   { default: "en", locales: [{ code, name, nativeName, dir, fallbacks }] }
+// fallbacks: what is shown, in order, when a text isn't translated yet.
+
+const express = require("express");
+const { DEFAULT_LOCALE, enabledLocales, fallbackChain, localeInfo } = require("../utils/locales");
+
+const router = express.Router();
+
+router.get("/", (req, res) => {
+  return res.json({
+    default: DEFAULT_LOCALE,
+    locales: enabledLocales().map((code) => ({ ...localeInfo(code), fallbacks: fallbackChain(code).slice(1) }))
+  });
+});
+
+module.exports = router;
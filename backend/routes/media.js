@@ -0,0 +1,40 @@
+// backend/routes/media.js
+// GET /api/media/:key — uploaded lesson media for storage drivers that keep files on this
+// server (utils/storage.js). Public like lesson content; supports range requests (audio seeking).
+
+const express = require("express");
+const { KEY_RE, getStorage } = require("../utils/storage");
+const { MEDIA_TYPES } = require("../utils/media");
+
+const router = express.Router();
+
+const TYPE_BY_EXT = Object.fromEntries(Object.entries(MEDIA_TYPES).map(([type, t]) => [t.ext, type]));
+
+router.get("/:key", (req, res) => {
+  const key = req.params.key;
+  const storage = getStorage();
+  if (!KEY_RE.test(key) || key.includes("..") || !storage.filePath) {
+    return res.status(404).json({ error: "Not found" });
+  }
+
+  const type = TYPE_BY_EXT[key.split(".").pop()];
+  if (!type) return res.status(404).json({ error: "Not found" });
+
+  // keys are never reused, so files can be cached for good
+  res.sendFile(
+    storage.filePath(key),
+    {
+      maxAge: "365d",
+      immutable: true,
+      headers: { "Content-Type": type, "X-Content-Type-Options": "nosniff" }
+    },
+    (err) => {
+      if (!err || res.headersSent) return;
+      if (err.code === "ENOENT" || err.status === 404) return res.status(404).json({ error: "Not found" });
+      console.error("MEDIA SEND ERROR:", err);
+      return res.status(500).json({ error: "Server error" });
+    }
+  );
+});
+
+module.exports = router;
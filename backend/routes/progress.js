@@ -3,6 +3,8 @@ const express = require("express");
 const { z } = require("zod");
 const { query } = require("../db_pg");
 const { requireAuth } = require("../middleware/auth");
+const { requireCourse } = require("../middleware/course");
+const { findCourse } = require("../utils/courses");
 
 const router = express.Router();
 
@@ -14,22 +16,30 @@ router.get("/status", requireAuth, async (req, res) => {
   try {
     const userId = req.user?.id;
 
-    const courses = await query("SELECT id FROM courses ORDER BY id");
+    const courses = await query(
+      `SELECT id FROM courses
+       WHERE published = true AND archived_at IS NULL
+       ORDER BY sort_order, id`
+    );
     const out = [];
 
     for (const c of courses.rows) {
       const total = await query(
-        "SELECT COUNT(*)::int AS c FROM lessons WHERE course_id=$1",
+        "SELECT COUNT(*)::int AS c FROM lessons WHERE course_id=$1 AND deleted_at IS NULL AND published_revision_id IS NOT NULL",
         [c.id]
       );
 
       const done = await query(
-        "SELECT COUNT(*)::int AS c FROM progress WHERE user_id=$1 AND course_id=$2 AND completed=true",
+        `SELECT COUNT(*)::int AS c FROM progress p
+           JOIN lessons l ON l.id = p.lesson_id AND l.deleted_at IS NULL AND l.published_revision_id IS NOT NULL
+          WHERE p.user_id=$1 AND p.course_id=$2 AND p.completed=true`,
         [userId, c.id]
       );
 
       const cert = await query(
-        "SELECT 1 FROM certificates WHERE user_id=$1 AND course_id=$2 LIMIT 1",
+        `SELECT 1 FROM certificates
+          WHERE user_id=$1 AND course_id=$2 AND superseded_at IS NULL AND revoked_at IS NULL
+          LIMIT 1`,
         [userId, c.id]
       );
 
@@ -50,25 +60,28 @@ router.get("/status", requireAuth, async (req, res) => {
 
 /**
  * GET /api/progress/course/:courseId
- * Returns per-lesson progress for a course
+ * Returns per-lesson progress for a course, keyed by lesson id (stable) and by current lessonIndex
  */
-router.get("/course/:courseId", requireAuth, async (req, res) => {
+router.get("/course/:courseId", requireAuth, requireCourse(), async (req, res) => {
   try {
     const userId = req.user?.id;
-    const courseId = String(req.params.courseId || "").trim();
+    const courseId = req.courseId;
 
-    // lessons progress
+    // lessons progress (trashed lessons are left out)
     const r = await query(
-      `SELECT lesson_index, completed, quiz_score, reflection, reflection_updated_at, updated_at
-       FROM progress
-       WHERE user_id=$1 AND course_id=$2
-       ORDER BY lesson_index`,
+      `SELECT p.lesson_id, l.lesson_index, p.completed, p.quiz_score
+       FROM progress p
+       JOIN lessons l ON l.id = p.lesson_id AND l.deleted_at IS NULL
+       WHERE p.user_id=$1 AND p.course_id=$2
+       ORDER BY l.lesson_index`,
       [userId, courseId]
     );
 
+    const byLessonId = {};
     const byLessonIndex = {};
     for (const row of r.rows) {
-      byLessonIndex[row.lesson_index] = {
+      byLessonId[row.lesson_id] = byLessonIndex[row.lesson_index] = {
+        lessonId: row.lesson_id,
         completed: !!row.completed,
         quizScore: row.quiz_score ?? null
       };
@@ -76,12 +89,14 @@ router.get("/course/:courseId", requireAuth, async (req, res) => {
 
     // 🔽 ADD THESE TWO QUERIES
     const totalQ = await query(
-      "SELECT COUNT(*)::int AS c FROM lessons WHERE course_id=$1",
+      "SELECT COUNT(*)::int AS c FROM lessons WHERE course_id=$1 AND deleted_at IS NULL AND published_revision_id IS NOT NULL",
       [courseId]
     );
 
     const doneQ = await query(
-      "SELECT COUNT(*)::int AS c FROM progress WHERE user_id=$1 AND course_id=$2 AND completed=true",
+      `SELECT COUNT(*)::int AS c FROM progress p
+         JOIN lessons l ON l.id = p.lesson_id AND l.deleted_at IS NULL AND l.published_revision_id IS NOT NULL
+        WHERE p.user_id=$1 AND p.course_id=$2 AND p.completed=true`,
       [userId, courseId]
     );
 
@@ -103,6 +118,7 @@ router.get("/course/:courseId", requireAuth, async (req, res) => {
       lessonsTotal: totalLessons,
       lessonsCompleted: completedLessons,
 
+      byLessonId,
       byLessonIndex
     });
   } catch (err) {
@@ -112,12 +128,16 @@ router.get("/course/:courseId", requireAuth, async (req, res) => {
 });
 
 router.post("/update", requireAuth, async (req, res) => {
+  // lessonId is preferred; lessonIndex (the lesson's current place) is still accepted
   const schema = z.object({
     courseId: z.string().min(1),
-    lessonIndex: z.number().int().min(0),
+    lessonId: z.number().int().positive().optional(),
+    lessonIndex: z.number().int().min(0).optional(),
     completed: z.boolean().optional(),
-    quizScore: z.number().int().min(0).max(100).optional(),
+    // quiz_score is NOT accepted here: it is set by POST /api/lessons/:courseId/:lessonIndex/quiz/submit
     reflection: z.string().max(2000).optional()
+  }).refine((d) => d.lessonId !== undefined || d.lessonIndex !== undefined, {
+    message: "lessonId or lessonIndex required"
   });
 
   const parsed = schema.safeParse(req.body);
@@ -125,20 +145,33 @@ router.post("/update", requireAuth, async (req, res) => {
     return res.status(400).json({ error: "Invalid input", details: parsed.error.issues });
   }
 
+  // admin "preview as student" never records progress
+  if (req.preview) return res.status(409).json({ error: "Preview only: progress is not saved" });
+
   const userId = req.user?.id;
-  const { courseId, lessonIndex, completed, quizScore, reflection } = parsed.data;
+  const { courseId, lessonId, lessonIndex, completed, reflection } = parsed.data;
 
   // Convert missing optional fields to null for SQL params.
-  // IMPORTANT: We cast $6::text inside SQL so NULL is safe (fixes 42P08).
+  // IMPORTANT: We cast $5::text inside SQL so NULL is safe (fixes 42P08).
   const completedParam = typeof completed === "boolean" ? completed : null;
-  const quizScoreParam = typeof quizScore === "number" ? quizScore : null;
   const reflectionParam = typeof reflection === "string" ? reflection : null;
 
   try {
+    const course = await findCourse(courseId, { publishedOnly: true });
+    if (!course) return res.status(404).json({ error: "Course not found" });
+
+    const lessonR = await query(
+      `SELECT id FROM lessons
+        WHERE course_id=$1 AND deleted_at IS NULL AND published_revision_id IS NOT NULL
+          AND CASE WHEN $2::int IS NOT NULL THEN id = $2::int ELSE lesson_index = $3::int END`,
+      [course.id, lessonId ?? null, lessonIndex ?? null]
+    );
+    if (!lessonR.rows.length) return res.status(404).json({ error: "Lesson not found" });
+
     await query(
       `INSERT INTO progress (
-        user_id, course_id, lesson_index,
-        completed, quiz_score, reflection,
+        user_id, course_id, lesson_id,
+        completed, reflection,
         reflection_updated_at,
         updated_at
       )
@@ -147,26 +180,23 @@ router.post("/update", requireAuth, async (req, res) => {
         $2::text,
         $3::int,
         COALESCE($4::boolean, false),
-        $5::int,
-        $6::text,
-        CASE WHEN $6 IS NOT NULL THEN NOW() ELSE NULL END,
+        $5::text,
+        CASE WHEN $5 IS NOT NULL THEN NOW() ELSE NULL END,
         NOW()
       )
-      ON CONFLICT (user_id, course_id, lesson_index) DO UPDATE SET
+      ON CONFLICT (user_id, lesson_id) DO UPDATE SET
         completed = COALESCE($4::boolean, progress.completed),
-        quiz_score = COALESCE($5::int, progress.quiz_score),
-        reflection = COALESCE($6::text, progress.reflection),
+        reflection = COALESCE($5::text, progress.reflection),
         reflection_updated_at = CASE
-          WHEN $6 IS NOT NULL THEN NOW()
+          WHEN $5 IS NOT NULL THEN NOW()
           ELSE progress.reflection_updated_at
         END,
         updated_at = NOW()`,
       [
         userId,
-        courseId,
-        lessonIndex,
+        course.id,
+        lessonR.rows[0].id,
         completedParam,
-        quizScoreParam,
         reflectionParam
       ]
     );
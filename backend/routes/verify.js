@@ -0,0 +1,42 @@
+// backend/routes/verify.js
+// GET /api/verify/:token — public certificate check for the admin SPA's #/verify/<token> page:
+//   { valid, intact, status, revokedAt, revokedReason, supersededAt, replacedBy,
+//     certificateId, name, courseId, courseTitle, issuedOn, issuedAt, signed: { algorithm, data, signature } }
+// intact: the signed certificate data is unchanged; valid: intact and neither revoked nor
+// superseded (status; utils/certificates.js). Shows only what the certificate itself shows.
+
+const express = require("express");
+const { loadCertificateByToken, verificationResult } = require("../utils/certificates");
+const { certificateDate } = require("../utils/certificate_text");
+
+const router = express.Router();
+
+router.get("/:token", async (req, res) => {
+  try {
+    const cert = await loadCertificateByToken(req.params.token);
+    if (!cert) return res.status(404).json({ valid: false, error: "Certificate not found" });
+
+    const v = verificationResult(cert);
+    return res.json({
+      valid: v.valid,
+      intact: v.intact,
+      status: v.status,
+      revokedAt: v.revokedAt,
+      revokedReason: v.revokedReason,
+      supersededAt: v.supersededAt,
+      replacedBy: v.replacementToken,
+      certificateId: v.token,
+      name: v.student,
+      courseId: v.courseId,
+      courseTitle: v.courseTitle,
+      issuedOn: v.issuedAt ? certificateDate(v.issuedAt) : null,
+      issuedAt: v.issuedAt,
+      signed: v.signed
+    });
+  } catch (e) {
+    console.error("GET /api/verify/:token error:", e);
+    return res.status(500).json({ error: "Server error" });
+  }
+});
+
+module.exports = router;
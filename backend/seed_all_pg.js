@@ -1,6 +1,10 @@
 require("dotenv").config();
 const bcrypt = require("bcryptjs");
-const { query } = require("./db_pg");
+const { pool, query } = require("./db_pg");
+const { DEFAULT_ATTEMPT_POLICY, loadExamDef, saveExamRevision } = require("./utils/exams");
+const { sameLessonContent, recordLessonRevision } = require("./utils/lessons");
+const { publishCourseDrafts } = require("./utils/publishing");
+const { textMapFrom } = require("./utils/locales");
 
 function q(text, options, correctIndex){ return { text, options, correctIndex }; }
 function quiz(questions){ return { questions }; }
@@ -8,41 +12,60 @@ function exam(questions){ return { questions }; }
 
 async function upsertCourse(c){
   await query(
-    `INSERT INTO courses (id, title_en, title_ti, intro_en, intro_ti)
-     VALUES ($1,$2,$3,$4,$5)
+    `INSERT INTO courses (id, title, intro, sort_order)
+     VALUES ($1,$2::jsonb,$3::jsonb,$4)
      ON CONFLICT (id) DO UPDATE SET
-       title_en=EXCLUDED.title_en,
-       title_ti=EXCLUDED.title_ti,
-       intro_en=EXCLUDED.intro_en,
-       intro_ti=EXCLUDED.intro_ti`,
-    [c.id, c.title_en, c.title_ti, c.intro_en, c.intro_ti]
+       title=EXCLUDED.title,
+       intro=EXCLUDED.intro,
+       sort_order=EXCLUDED.sort_order`,
+    [c.id, JSON.stringify(textMapFrom(c, "title")), JSON.stringify(textMapFrom(c, "intro")), c.sort_order ?? 0]
   );
 }
 
 async function upsertLesson(l){
-  await query(
-    `INSERT INTO lessons (course_id, lesson_index, title_en, title_ti, learn_en, learn_ti, task_en, task_ti, quiz)
-     VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9::jsonb)
-     ON CONFLICT (course_id, lesson_index) DO UPDATE SET
-       title_en=EXCLUDED.title_en,
-       title_ti=EXCLUDED.title_ti,
-       learn_en=EXCLUDED.learn_en,
-       learn_ti=EXCLUDED.learn_ti,
-       task_en=EXCLUDED.task_en,
-       task_ti=EXCLUDED.task_ti,
-       quiz=EXCLUDED.quiz`,
+  const r = await query(
+    `INSERT INTO lessons (course_id, lesson_index, title, learn, task, quiz)
+     VALUES ($1,$2,$3::jsonb,$4::jsonb,$5::jsonb,$6::jsonb)
+     ON CONFLICT (course_id, lesson_index) WHERE deleted_at IS NULL DO UPDATE SET
+       title=EXCLUDED.title,
+       learn=EXCLUDED.learn,
+       task=EXCLUDED.task,
+       quiz=EXCLUDED.quiz
+     RETURNING *`,
     [
       l.course_id,
       l.lesson_index,
-      l.title_en,
-      l.title_ti,
-      l.learn_en,
-      l.learn_ti,
-      l.task_en,
-      l.task_ti,
+      JSON.stringify(textMapFrom(l, "title")), // { en, ti }
+      JSON.stringify(textMapFrom(l, "learn")),
+      JSON.stringify(textMapFrom(l, "task")),
       JSON.stringify(l.quiz) // 👈 ensure jsonb
     ]
   );
+
+  // keep the lesson history (and what gets published) in step with the seeded content
+  const lesson = r.rows[0];
+  const latest = await query(
+    "SELECT * FROM lesson_revisions WHERE lesson_id=$1 ORDER BY id DESC LIMIT 1",
+    [lesson.id]
+  );
+  if (!sameLessonContent(latest.rows[0], lesson)) await recordLessonRevision({ query }, lesson);
+}
+
+// seeded content goes live right away (admin edits stay drafts until published)
+async function publishSeeded(courseIds){
+  for (const courseId of courseIds) {
+    const client = await pool.connect();
+    try {
+      await client.query("BEGIN");
+      await publishCourseDrafts(client, courseId);
+      await client.query("COMMIT");
+    } catch (e) {
+      await client.query("ROLLBACK").catch(() => {});
+      throw e;
+    } finally {
+      client.release();
+    }
+  }
 }
 
 async function upsertExam(courseId, passScore, enExam){
@@ -54,15 +77,16 @@ async function upsertExam(courseId, passScore, enExam){
     }))
   };
 
-  await query(
-    `INSERT INTO exam_defs (course_id, pass_score, exam_json_en, exam_json_ti)
-     VALUES ($1,$2,$3,$4)
-     ON CONFLICT (course_id) DO UPDATE SET
-       pass_score=EXCLUDED.pass_score,
-       exam_json_en=EXCLUDED.exam_json_en,
-       exam_json_ti=EXCLUDED.exam_json_ti`,
-    [courseId, passScore, JSON.stringify(enExam), JSON.stringify(tiExam)]
-  );
+  // keeps the exam's other settings; saved as a new revision like admin edits
+  const current = await loadExamDef(courseId);
+  await saveExamRevision({ query }, courseId, {
+    ...DEFAULT_ATTEMPT_POLICY,
+    review_policy: "correctness",
+    blueprint: null,
+    ...current,
+    pass_score: passScore,
+    exams: { en: enExam, ti: tiExam }
+  });
 }
 
 async function ensureAdmin(){
@@ -105,6 +129,7 @@ async function seed(){
   // courses
   await upsertCourse({
     id: "foundation",
+    sort_order: 1,
     title_en: "Level 1: Foundation",
     title_ti: "ደረጃ 1፡ መሠረት",
     intro_en: "Build your mindset, confidence, and study basics.",
@@ -112,6 +137,7 @@ async function seed(){
   });
   await upsertCourse({
     id: "growth",
+    sort_order: 2,
     title_en: "Level 2: Growth",
     title_ti: "ደረጃ 2፡ እድገት",
     intro_en: "Build discipline, habits, communication, and consistency.",
@@ -119,6 +145,7 @@ async function seed(){
   });
   await upsertCourse({
     id: "excellence",
+    sort_order: 3,
     title_en: "Level 3: Excellence",
     title_ti: "ደረጃ 3፡ ብልጽግና",
     intro_en: "Leadership, vision, integrity, and long-term success.",
@@ -341,6 +368,9 @@ async function seed(){
   ]));
   console.log("✅ Seeded exams.");
 
+  await publishSeeded(["foundation", "growth", "excellence"]);
+  console.log("✅ Published seeded content.");
+
   await ensureAdmin();
 }
 
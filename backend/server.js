@@ -20,6 +20,11 @@ app.set("trust proxy", 1);
 // ---------- ENV ----------
 const isProd = process.env.NODE_ENV === "production";
 
+// certificate signatures (utils/certificates.js): fail at startup, not on the first certificate
+require("./utils/certificates").signingSecret();
+// password reset mail (utils/mailer.js): no console/file transport in production
+require("./utils/mailer").mailTransport();
+
 // Comma-separated list in Render env var:
 // CORS_ORIGIN=https://riseeritrea.com,https://www.riseeritrea.com
 const corsOrigins = (process.env.CORS_ORIGIN || "")
@@ -83,13 +88,16 @@ if (PgSession && process.env.DATABASE_URL) {
 
 app.use(session(sessionOptions));
 
-// ---- Language middleware ----
+// ---- Language middleware (?lang=<locale>, enabled locales only: utils/locales.js) ----
+const { resolveLocale } = require("./utils/locales");
 app.use((req, res, next) => {
-  const q = String(req.query.lang || "").toLowerCase();
-  req.lang = q === "ti" || q === "en" ? q : "en";
+  req.lang = resolveLocale(req.query.lang);
   next();
 });
 
+// ---- Admin "preview as student" (?preview=1) ----
+app.use(require("./middleware/preview").previewMode);
+
 // Simple API home (prevents "Cannot GET /")
 app.get("/", (req, res) => {
   res.status(200).send("Eritrean Success Journey API is running ✅ Use /health");
@@ -103,16 +111,33 @@ app.get("/api/health", (req, res) => {
 });
 // ---------- ROUTES ----------
 app.use("/api/auth", require("./routes/auth"));
+app.use("/api/locales", require("./routes/locales"));
 app.use("/api/courses", require("./routes/courses"));
 app.use("/api/lessons", require("./routes/lessons"));
 app.use("/api/progress", require("./routes/progress"));
 app.use("/api/exams", require("./routes/exams"));
 app.use("/api/certificates", require("./routes/certificates"));
+app.use("/api/verify", require("./routes/verify"));
+app.use("/api/badges", require("./routes/badges"));
+app.use("/api/media", require("./routes/media"));
 app.use("/api/admin", require("./routes/admin"));
+app.use("/api/admin", require("./routes/admin_users"));
+app.use("/api/admin", require("./routes/admin_courses"));
+app.use("/api/admin", require("./routes/admin_exam_questions"));
+app.use("/api/admin", require("./routes/admin_exam_analytics"));
+app.use("/api/admin", require("./routes/admin_exam_revisions"));
+app.use("/api/admin", require("./routes/admin_lesson_history"));
+app.use("/api/admin", require("./routes/admin_course_bundles"));
+app.use("/api/admin", require("./routes/admin_lesson_media"));
+app.use("/api/admin", require("./routes/admin_translations"));
+app.use("/api/admin", require("./routes/admin_certificate_templates"));
 
 // ---------- ERROR HANDLER (keep CORS headers) ----------
 app.use((err, req, res, next) => {
-  console.error("SERVER ERROR:", err);
+  // body-parser errors carry a 4xx status (413 too large, 400 bad JSON, 415 ...)
+  const status = err.status || err.statusCode;
+  const clientError = status >= 400 && status < 500;
+  if (!clientError) console.error("SERVER ERROR:", err);
 
   // Ensure CORS headers even on errors
   const origin = req.headers.origin;
@@ -121,7 +146,7 @@ app.use((err, req, res, next) => {
     res.setHeader("Access-Control-Allow-Credentials", "true");
   }
 
-  res.status(500).json({ error: err.message || "Server error" });
+  res.status(clientError ? status : 500).json({ error: err.message || "Server error" });
 });
 
 // ---------- START ----------
@@ -131,4 +156,11 @@ app.listen(PORT, () => {
   console.log("NODE_ENV =", process.env.NODE_ENV);
   console.log("CORS_ORIGIN =", process.env.CORS_ORIGIN);
   console.log("SESSION_DOMAIN =", process.env.SESSION_DOMAIN);
-});
\ No newline at end of file
+});
+
+// ---------- SCHEDULED PUBLISHING ----------
+// Student routes also publish a due course before reading it; this catches the rest.
+const { publishDueCourses } = require("./utils/publishing");
+setInterval(() => {
+  publishDueCourses().catch((e) => console.error("SCHEDULED PUBLISH ERROR:", e));
+}, 60 * 1000).unref();
\ No newline at end of file
@@ -0,0 +1,120 @@
+// backend/test/badges.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const zlib = require("zlib");
+
+process.env.CERT_SIGNING_SECRET = "test-cert-secret";
+process.env.PUBLIC_SITE_BASE_URL = "https://api.example.com/";
+const { OB_CONTEXT, badgeAssertion, badgeImagePng, bakeBadge } = require("../utils/badges");
+const { certifiedData, sign } = require("../utils/certificates");
+
+function crc32(buf) {
+  let c = 0xffffffff;
+  for (const b of buf) {
+    c ^= b;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+const TOKEN = "0123456789abcdef0123456789abcdef";
+
+/** [{ type, data }] of a PNG, checking every chunk's CRC-32 */
+function pngChunks(png) {
+  assert.deepEqual(png.subarray(0, 8), PNG_SIGNATURE);
+  const chunks = [];
+  let p = 8;
+  while (p < png.length) {
+    const len = png.readUInt32BE(p);
+    const type = png.toString("latin1", p + 4, p + 8);
+    const data = png.subarray(p + 8, p + 8 + len);
+    assert.equal(png.readUInt32BE(p + 8 + len), crc32(png.subarray(p + 4, p + 8 + len)), `CRC of ${type}`);
+    chunks.push({ type, data });
+    p += 12 + len;
+  }
+  assert.equal(p, png.length);
+  return chunks;
+}
+
+function certRow(overrides = {}) {
+  const data = certifiedData({
+    token: TOKEN,
+    courseId: "foundation",
+    courseTitle: "Foundation",
+    student: "Sample Student",
+    issuedAt: "2026-01-02T03:04:05Z"
+  });
+  return { public_token: TOKEN, course_id: "foundation", signed_data: data, signature: sign(data), user_email: "Student@Example.com ", ...overrides };
+}
+
+test("badge image is a valid 256px RGBA PNG, one per course", () => {
+  const png = badgeImagePng("foundation");
+  const chunks = pngChunks(png);
+  assert.deepEqual(chunks.map((c) => c.type), ["IHDR", "IDAT", "IEND"]);
+
+  const ihdr = chunks[0].data;
+  assert.equal(ihdr.readUInt32BE(0), 256);
+  assert.equal(ihdr.readUInt32BE(4), 256);
+  assert.equal(ihdr[8], 8);
+  assert.equal(ihdr[9], 6);
+  assert.equal(zlib.inflateSync(chunks[1].data).length, 256 * (256 * 4 + 1));
+
+  assert.equal(badgeImagePng("foundation"), png);
+  assert.notDeepEqual(badgeImagePng("growth"), png);
+});
+
+test("baking adds the assertion as an iTXt chunk before IEND", () => {
+  const png = badgeImagePng("foundation");
+  const assertion = { "@context": OB_CONTEXT, id: "https://api.example.com/api/badges/assertions/x", name: "ትምህርቲ" };
+  const baked = bakeBadge(png, assertion);
+  const chunks = pngChunks(baked);
+
+  assert.deepEqual(chunks.map((c) => c.type), ["IHDR", "IDAT", "iTXt", "IEND"]);
+  const text = chunks[2].data;
+  const keywordEnd = text.indexOf(0);
+  assert.equal(text.toString("latin1", 0, keywordEnd), "openbadges");
+  assert.deepEqual([...text.subarray(keywordEnd + 1, keywordEnd + 5)], [0, 0, 0, 0]); // uncompressed, no language
+  assert.deepEqual(JSON.parse(text.subarray(keywordEnd + 5).toString("utf8")), assertion);
+
+  // the image itself is unchanged
+  assert.deepEqual(baked.subarray(0, png.length - 12), png.subarray(0, png.length - 12));
+});
+
+test("hosted assertion of a valid certificate", () => {
+  const { status, body } = badgeAssertion({ headers: {} }, certRow());
+  assert.equal(status, 200);
+  assert.equal(body.type, "Assertion");
+  assert.equal(body.id, `https://api.example.com/api/badges/assertions/${TOKEN}`);
+  assert.equal(body.badge, "https://api.example.com/api/badges/classes/foundation");
+  assert.equal(body.issuedOn, "2026-01-02T03:04:05.000Z");
+  assert.deepEqual(body.verification, { type: "HostedBadge" });
+
+  // hashed, salted email: sha256(normalized email + salt)
+  const { recipient } = body;
+  assert.equal(recipient.hashed, true);
+  assert.doesNotMatch(JSON.stringify(body), /student@example\.com/i);
+  const identity = crypto.createHash("sha256").update(`student@example.com${recipient.salt}`).digest("hex");
+  assert.equal(recipient.identity, `sha256$${identity}`);
+  assert.deepEqual(badgeAssertion({ headers: {} }, certRow()).body.recipient, recipient);
+});
+
+test("revoked, superseded and tampered certificates answer 410", () => {
+  const revoked = badgeAssertion({ headers: {} }, certRow({ revoked_at: new Date(), revoked_reason: "issued_in_error" }));
+  assert.equal(revoked.status, 410);
+  assert.deepEqual(revoked.body, {
+    "@context": OB_CONTEXT,
+    id: `https://api.example.com/api/badges/assertions/${TOKEN}`,
+    revoked: true,
+    revocationReason: "Issued in error"
+  });
+
+  const replaced = badgeAssertion({ headers: {} }, certRow({ superseded_at: new Date() }));
+  assert.equal(replaced.body.revocationReason, "Replaced by a reissued certificate");
+
+  const row = certRow();
+  const tampered = badgeAssertion({ headers: {} }, { ...row, signed_data: { ...row.signed_data, student: "X" } });
+  assert.equal(tampered.status, 410);
+  assert.equal(tampered.body.revocationReason, "The certificate data failed verification");
+});
@@ -0,0 +1,122 @@
+// backend/test/certificates.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+process.env.CERT_SIGNING_SECRET = "test-cert-secret";
+const {
+  TOKEN_RE,
+  signingSecret,
+  canonical,
+  sign,
+  signatureMatches,
+  certifiedData,
+  verificationResult
+} = require("../utils/certificates");
+
+const TOKEN = "0123456789abcdef0123456789abcdef";
+
+function certRow(overrides = {}) {
+  const data = certifiedData({
+    token: TOKEN,
+    courseId: "foundation",
+    courseTitle: "Foundation",
+    student: "Sample Student",
+    issuedAt: "2026-01-02T03:04:05Z"
+  });
+  return {
+    public_token: TOKEN,
+    course_id: "foundation",
+    signed_data: data,
+    signature: sign(data),
+    revoked_at: null,
+    revoked_reason: null,
+    superseded_at: null,
+    superseded_by_token: null,
+    ...overrides
+  };
+}
+
+test("canonical JSON does not depend on key order", () => {
+  assert.equal(canonical({ b: 1, a: { d: [1, { y: 2, x: 1 }], c: null } }), canonical({ a: { c: null, d: [1, { x: 1, y: 2 }] }, b: 1 }));
+  assert.equal(canonical({ a: undefined }), `{"a":null}`);
+});
+
+test("signatures verify and break when the data changes", () => {
+  const data = { token: TOKEN, student: "A" };
+  const signature = sign(data);
+  assert.match(signature, /^hmac-sha256:[A-Za-z0-9_-]+$/);
+  assert.equal(signatureMatches({ student: "A", token: TOKEN }, signature), true);
+  assert.equal(signatureMatches({ ...data, student: "B" }, signature), false);
+  assert.equal(signatureMatches(data, signature.slice(0, -1)), false);
+  assert.equal(signatureMatches(data, null), false);
+  assert.equal(signatureMatches(null, signature), false);
+});
+
+test("signatures depend on the signing secret", () => {
+  const data = { token: TOKEN };
+  const signature = sign(data);
+  process.env.CERT_SIGNING_SECRET = "another-secret";
+  try {
+    assert.equal(signatureMatches(data, signature), false);
+  } finally {
+    process.env.CERT_SIGNING_SECRET = "test-cert-secret";
+  }
+});
+
+test("production requires a dedicated signing secret", () => {
+  const { CERT_SIGNING_SECRET, NODE_ENV, SESSION_SECRET } = process.env;
+  try {
+    delete process.env.CERT_SIGNING_SECRET;
+    process.env.SESSION_SECRET = "session-secret";
+    process.env.NODE_ENV = "production";
+    assert.throws(() => signingSecret(), /CERT_SIGNING_SECRET/);
+    process.env.NODE_ENV = "development";
+    assert.notEqual(signingSecret(), "session-secret");
+  } finally {
+    process.env.CERT_SIGNING_SECRET = CERT_SIGNING_SECRET;
+    if (NODE_ENV === undefined) delete process.env.NODE_ENV;
+    else process.env.NODE_ENV = NODE_ENV;
+    if (SESSION_SECRET === undefined) delete process.env.SESSION_SECRET;
+    else process.env.SESSION_SECRET = SESSION_SECRET;
+  }
+});
+
+test("an untouched active certificate is valid", () => {
+  const v = verificationResult(certRow());
+  assert.equal(v.valid, true);
+  assert.equal(v.intact, true);
+  assert.equal(v.status, "active");
+  assert.equal(v.student, "Sample Student");
+  assert.equal(v.issuedAt, "2026-01-02T03:04:05.000Z");
+});
+
+test("edited data or data of another certificate is not intact", () => {
+  const row = certRow();
+  const edited = verificationResult({ ...row, signed_data: { ...row.signed_data, student: "Someone Else" } });
+  assert.equal(edited.signatureValid, false);
+  assert.equal(edited.valid, false);
+
+  const moved = verificationResult({ ...row, public_token: "ffffffffffffffffffffffffffffffff" });
+  assert.equal(moved.signatureValid, true);
+  assert.equal(moved.intact, false);
+  assert.equal(verificationResult({ ...row, course_id: "growth" }).intact, false);
+});
+
+test("revoked and superseded certificates are intact but not valid", () => {
+  const revoked = verificationResult(certRow({ revoked_at: new Date(), revoked_reason: "cheating" }));
+  assert.equal(revoked.intact, true);
+  assert.equal(revoked.valid, false);
+  assert.equal(revoked.status, "revoked");
+  assert.equal(revoked.revokedReason, "Academic dishonesty");
+
+  const replaced = verificationResult(certRow({ superseded_at: new Date(), superseded_by_token: "b".repeat(32) }));
+  assert.equal(replaced.status, "superseded");
+  assert.equal(replaced.valid, false);
+  assert.equal(replaced.replacementToken, "b".repeat(32));
+});
+
+test("public tokens are random strings, not sequential ids", () => {
+  assert.equal(TOKEN_RE.test(TOKEN), true);
+  assert.equal(TOKEN_RE.test("42"), false);
+  assert.equal(TOKEN_RE.test("../etc/passwd"), false);
+});
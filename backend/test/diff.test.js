@@ -0,0 +1,35 @@
+// backend/test/diff.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { diffLines, hasChanges } = require("../utils/diff");
+
+const ops = (a, b) => diffLines(a, b).map((o) => `${{ same: " ", del: "-", add: "+" }[o.op]}${o.text}`);
+
+test("same text has no changes", () => {
+  const d = diffLines("a\nb", "a\r\nb");
+  assert.deepEqual(d, [{ op: "same", text: "a" }, { op: "same", text: "b" }]);
+  assert.equal(hasChanges(d), false);
+});
+
+test("shows changed lines as removed then added", () => {
+  assert.deepEqual(ops("a\nb\nc", "a\nB\nc"), [" a", "-b", "+B", " c"]);
+  assert.equal(hasChanges(diffLines("a", "b")), true);
+});
+
+test("keeps the longest common run of lines", () => {
+  assert.deepEqual(ops("x\na\nb\nc", "a\nb\nc\ny"), ["-x", " a", " b", " c", "+y"]);
+});
+
+test("empty sides are all added / all removed", () => {
+  assert.deepEqual(ops("", "a\nb"), ["+a", "+b"]);
+  assert.deepEqual(ops("a", null), ["-a"]);
+  assert.deepEqual(diffLines("", ""), []);
+});
+
+test("very large inputs fall back to remove-all, add-all", () => {
+  const a = Array.from({ length: 2500 }, (_, i) => `a${i}`).join("\n");
+  const b = Array.from({ length: 2500 }, (_, i) => (i === 0 ? "changed" : `a${i}`)).join("\n");
+  const d = diffLines(a, b);
+  assert.equal(d.length, 5000);
+  assert.equal(d.filter((o) => o.op === "same").length, 0);
+});
@@ -0,0 +1,150 @@
+// backend/test/exams.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  DEFAULT_ATTEMPT_POLICY,
+  drawAttemptItems,
+  resolveItem,
+  attemptPayload,
+  LATE_GRACE_SECONDS,
+  isPastDeadline,
+  submissionAnswers,
+  attemptAllowance,
+  attemptBlockedError,
+  reviewResults
+} = require("../utils/exams");
+
+const v1 = { en: { text: "Capital of Eritrea?", options: ["Asmara", "Keren"], correctIndex: 0 } };
+const v2 = { en: { text: "Capital of Eritrea?", options: ["Keren", "Asmara"], correctIndex: 1 } };
+const bankDef = { exams: { en: { questions: [] } }, blueprint: { count: 1, minPerLesson: 0, minPerTopic: {}, shuffleOptions: false } };
+
+test("bank items are stamped with the revision they were drawn in", () => {
+  const pool = [{ id: 7, lesson_index: null, topic: null, active: true, question: v1, revision_id: 41 }];
+  assert.deepEqual(drawAttemptItems(bankDef, pool), [{ qid: 7, rev: 41, optionOrder: [0, 1] }]);
+});
+
+test("an edited bank question still resolves to the revision the attempt was drawn in", () => {
+  const item = { qid: 7, rev: 41, optionOrder: [0, 1] };
+  const poolById = new Map([[7, { id: 7, active: true, question: v2, revision_id: 42 }]]);
+
+  assert.equal(resolveItem(item, bankDef, poolById, new Map([[41, v1]])).en, v1.en);
+  // the old revision wasn't loaded: never fall back to the edited content
+  assert.equal(resolveItem(item, bankDef, poolById, new Map()), null);
+  // current revision and items from before revisions existed use the current content
+  assert.equal(resolveItem({ ...item, rev: 42 }, bankDef, poolById).en, v2.en);
+  assert.equal(resolveItem({ qid: 7, optionOrder: [0, 1] }, bankDef, poolById).en, v2.en);
+});
+
+test("fixed exam items resolve against the definition they were drawn from", () => {
+  const def = { exams: { en: { questions: [v1.en] }, ti: { questions: [{ text: "ርእሰ ከተማ ኤርትራ?", options: ["ኣስመራ", "ከረን"] }] } } };
+  const resolved = resolveItem({ qi: 0, optionOrder: [1, 0] }, def, new Map());
+  assert.equal(resolved.en, v1.en);
+  assert.deepEqual(Object.keys(resolved.byLocale), ["en", "ti"]);
+  assert.equal(resolveItem({ qi: 3, optionOrder: [0, 1] }, def, new Map()), null);
+});
+
+test("a started attempt is sent without answer keys, in the shown option order", () => {
+  const en = [
+    { text: "2 + 2?", options: ["3", "4", "5"], correctIndex: 1, explanation: "2 + 2 = 4" },
+    { type: "multi", text: "Even?", options: ["1", "2", "4"], correctIndexes: [1, 2] },
+    { type: "short", text: "Capital?", answer: "Asmara", accepted: ["Asmera"] },
+    { type: "match", text: "Match", pairs: [{ left: "A", right: "1" }, { left: "B", right: "2" }] }
+  ];
+  const ti = { type: "short", text: "ርእሰ ከተማ?", answer: "ኣስመራ", accepted: ["ኣስመራ"], explanation: "ኣስመራ" };
+  const resolved = en.map((q, i) => ({ en: q, byLocale: i === 2 ? { en: q, ti } : { en: q } }));
+  const session = {
+    id: 9,
+    items: [{ qi: 0, optionOrder: [2, 0, 1] }, { qi: 1, optionOrder: [0, 1, 2] }, { qi: 2, optionOrder: [] }, { qi: 3, optionOrder: [1, 0] }],
+    started_at: new Date(),
+    deadline_at: null,
+    saved_answers: [1, null, null, null]
+  };
+  const def = { pass_score: 70, review_policy: "full", time_limit_minutes: null };
+
+  const payload = attemptPayload({ courseId: "foundation", def, lang: "ti", session, resolved });
+
+  assert.doesNotMatch(JSON.stringify(payload), /correctIndex|accepted|answer"|explanation|Asmara/);
+  assert.deepEqual(payload.exam.questions[0], { type: "single", text: "2 + 2?", options: ["5", "3", "4"] });
+  assert.deepEqual(payload.exam.questions[2], { type: "short", text: "ርእሰ ከተማ?" });
+  assert.deepEqual(payload.exam.questions[3].right, ["2", "1"]);
+  assert.equal(payload.attemptId, 9);
+  assert.deepEqual(payload.savedAnswers, [1, null, null, null]);
+});
+
+const at = (iso, score = 50) => ({ id: iso, score, passed: score >= 70, created_at: new Date(iso) });
+
+test("attempts run out at max_attempts and grants add to it", () => {
+  const def = { ...DEFAULT_ATTEMPT_POLICY, max_attempts: 2 };
+  const attempts = [at("2026-01-02T10:00:00Z"), at("2026-01-01T10:00:00Z")];
+
+  const out = attemptAllowance({ attempts, def });
+  assert.equal(out.remainingAttempts, 0);
+  assert.equal(out.canAttempt, false);
+  assert.equal(out.blockedReason, "max_attempts");
+  assert.equal(attemptBlockedError(out).error, "Maximum attempts reached");
+
+  const granted = attemptAllowance({ attempts, extraAttempts: 1, def });
+  assert.equal(granted.maxAttempts, 3);
+  assert.equal(granted.remainingAttempts, 1);
+  assert.equal(granted.canAttempt, true);
+
+  const unlimited = attemptAllowance({ attempts, def: { ...def, max_attempts: null } });
+  assert.equal(unlimited.maxAttempts, null);
+  assert.equal(unlimited.canAttempt, true);
+});
+
+test("a cooldown blocks the next attempt until it has passed", () => {
+  const def = { ...DEFAULT_ATTEMPT_POLICY, max_attempts: null, cooldown_minutes: 60 };
+  const attempts = [at("2026-01-01T10:00:00Z")];
+
+  const waiting = attemptAllowance({ attempts, def, now: new Date("2026-01-01T10:30:00Z") });
+  assert.equal(waiting.blockedReason, "cooldown");
+  assert.equal(waiting.nextAttemptAt.toISOString(), "2026-01-01T11:00:00.000Z");
+  assert.equal(attemptBlockedError(waiting).error, "Please wait before your next attempt");
+
+  const later = attemptAllowance({ attempts, def, now: new Date("2026-01-01T11:00:01Z") });
+  assert.equal(later.canAttempt, true);
+  assert.equal(later.nextAttemptAt, null);
+});
+
+test("the score policy picks the latest or the best attempt", () => {
+  const attempts = [at("2026-01-03T10:00:00Z", 40), at("2026-01-02T10:00:00Z", 90), at("2026-01-01T10:00:00Z", 60)];
+
+  assert.equal(attemptAllowance({ attempts, def: DEFAULT_ATTEMPT_POLICY }).counted.score, 40);
+  assert.equal(attemptAllowance({ attempts, def: { ...DEFAULT_ATTEMPT_POLICY, score_policy: "best" } }).counted.score, 90);
+  assert.equal(attemptAllowance({ attempts: [], def: null }).counted, null);
+});
+
+test("timed sessions close after the deadline plus the grace period", () => {
+  const deadline = Date.parse("2026-01-01T10:30:00Z");
+  const session = { deadline_at: new Date(deadline) };
+
+  assert.equal(isPastDeadline({ deadline_at: null }, deadline + 3600e3), false);
+  assert.equal(isPastDeadline(session, deadline - 1000), false);
+  assert.equal(isPastDeadline(session, deadline + LATE_GRACE_SECONDS * 1000), false);
+  assert.equal(isPastDeadline(session, deadline + LATE_GRACE_SECONDS * 1000 + 1), true);
+});
+
+test("a late submit grades the autosaved answers, not the posted ones", () => {
+  const deadline = Date.parse("2026-01-01T10:30:00Z");
+  const session = { deadline_at: new Date(deadline), saved_answers: [0, 1] };
+
+  assert.deepEqual(submissionAnswers(session, [2, 2], deadline + 5000), { late: false, answers: [2, 2] });
+  assert.deepEqual(submissionAnswers(session, [2, 2], deadline + 3600e3), { late: true, answers: [0, 1] });
+  assert.deepEqual(submissionAnswers({ deadline_at: null }, [2], deadline + 3600e3), { late: false, answers: [2] });
+});
+
+test("the review policy decides how much of a graded attempt a student sees", () => {
+  const results = [
+    { index: 0, qid: 7, rev: 41, picked: 1, correct: 2, isCorrect: false, credit: 0, explanation: "Because" },
+    { index: 1, qid: 8, rev: 43, picked: 0, correct: 0, isCorrect: true, credit: 1 }
+  ];
+
+  assert.deepEqual(reviewResults(results, "score_only", true), []);
+  assert.deepEqual(reviewResults(results, "correctness", true)[0], { index: 0, picked: 1, isCorrect: false, credit: 0 });
+  assert.deepEqual(reviewResults(results, "full", false)[0], {
+    index: 0, picked: 1, correct: 2, isCorrect: false, credit: 0, explanation: "Because"
+  });
+  assert.equal(reviewResults(results, "full_after_pass", false)[0].correct, undefined);
+  assert.equal(reviewResults(results, "full_after_pass", true)[0].correct, 2);
+});
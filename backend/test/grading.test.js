@@ -0,0 +1,127 @@
+// backend/test/grading.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  questionType,
+  questionVersion,
+  scrambledOrder,
+  stableOrder,
+  publicQuestion,
+  normalizeAnswerText,
+  gradeQuestion,
+  gradeQuestions,
+  withTranslatedAnswers,
+  translationFits,
+  validateQuestion,
+  validateQuestions
+} = require("../utils/grading");
+
+const single = { text: "2 + 2?", options: ["3", "4", "5"], correctIndex: 1 };
+const multi = { type: "multi", text: "Even?", options: ["1", "2", "3", "4"], correctIndexes: [1, 3] };
+const order = { type: "order", text: "Sort", items: ["a", "b", "c"] };
+const match = { type: "match", text: "Match", pairs: [{ left: "A", right: "1" }, { left: "B", right: "2" }] };
+
+test("single choice maps shown positions back through the option order", () => {
+  // shown: ["5", "3", "4"]
+  const perm = [2, 0, 1];
+  assert.deepEqual(publicQuestion(single, perm), { type: "single", text: "2 + 2?", options: ["5", "3", "4"] });
+
+  const right = gradeQuestion(single, 2, perm);
+  assert.equal(right.isCorrect, true);
+  assert.equal(right.credit, 1);
+  assert.equal(right.correct, 2);
+  assert.equal(right.pickedOriginal, 1);
+
+  const wrong = gradeQuestion(single, 1, perm);
+  assert.equal(wrong.isCorrect, false);
+  assert.equal(wrong.credit, 0);
+  assert.equal(gradeQuestion(single, 7, perm).picked, -1);
+});
+
+test("multi select gives partial credit and takes wrong picks off", () => {
+  assert.equal(gradeQuestion(multi, [1, 3]).credit, 1);
+  assert.equal(gradeQuestion(multi, [1]).credit, 0.5);
+  assert.equal(gradeQuestion(multi, [1, 0]).credit, 0);
+  assert.equal(gradeQuestion(multi, [0, 2]).credit, 0);
+  assert.equal(gradeQuestion(multi, [1, 3, 0]).isCorrect, false);
+});
+
+test("true / false only accepts booleans", () => {
+  const q = { type: "truefalse", text: "Sky is blue", answer: true, explanation: "Rayleigh" };
+  assert.equal(gradeQuestion(q, true).isCorrect, true);
+  assert.equal(gradeQuestion(q, "true").isCorrect, false);
+  assert.equal(gradeQuestion(q, false).explanation, "Rayleigh");
+});
+
+test("short answers are compared normalized, Ethiopic homophones included", () => {
+  const q = { type: "short", text: "Capital?", accepted: ["Asmara", "ኣስመራ"] };
+  assert.equal(gradeQuestion(q, "  asmára! ").isCorrect, true);
+  assert.equal(gradeQuestion(q, "ኣስመራ።").isCorrect, true);
+  assert.equal(gradeQuestion(q, "").isCorrect, false);
+  assert.equal(normalizeAnswerText("Ge'ez"), "geez");
+  assert.equal(normalizeAnswerText("ሐሰት"), normalizeAnswerText("ሀሰት"));
+});
+
+test("order and match give credit per item in place", () => {
+  assert.equal(gradeQuestion(order, [0, 1, 2]).credit, 1);
+  assert.equal(gradeQuestion(order, [0, 2, 1]).credit, 1 / 3);
+  // shown reversed: the right answer is [2, 1, 0]
+  assert.equal(gradeQuestion(order, [2, 1, 0], [2, 1, 0]).isCorrect, true);
+
+  assert.equal(gradeQuestion(match, [1, 0], [1, 0]).isCorrect, true);
+  assert.equal(gradeQuestion(match, [0, 0], [1, 0]).credit, 0.5);
+  assert.deepEqual(publicQuestion(match, [1, 0]), { type: "match", text: "Match", left: ["A", "B"], right: ["2", "1"] });
+});
+
+test("public questions carry no answer keys", () => {
+  for (const q of [single, multi, order, match, { type: "short", text: "x", accepted: ["y"] }]) {
+    const shown = JSON.stringify(publicQuestion(q));
+    assert.doesNotMatch(shown, /correctIndex|accepted|answer/);
+  }
+});
+
+test("gradeQuestions averages credit into a 0..100 score", () => {
+  const { score, results } = gradeQuestions([single, multi], [1, [1]]);
+  assert.equal(score, 75);
+  assert.deepEqual(results.map((r) => r.index), [0, 1]);
+  assert.equal(gradeQuestions([], []).score, 0);
+});
+
+test("order / match questions are never shown in answer order", () => {
+  assert.notDeepEqual(scrambledOrder(3, () => 0), [0, 1, 2]);
+  assert.notDeepEqual(scrambledOrder(2, (max) => max - 1), [0, 1]);
+  const perm = stableOrder(order);
+  assert.deepEqual(perm, stableOrder(order));
+  assert.notDeepEqual(perm, [0, 1, 2]);
+  assert.deepEqual([...perm].sort(), [0, 1, 2]);
+  assert.deepEqual(stableOrder(single), [0, 1, 2]);
+});
+
+test("translations must fit the English question", () => {
+  assert.equal(translationFits(single, { text: "2 + 2?", options: ["3", "4", "5"] }), true);
+  assert.equal(translationFits(single, { text: "2 + 2?", options: ["3", "4"] }), false);
+  assert.equal(translationFits(single, { type: "multi", text: "x", options: ["3", "4", "5"] }), false);
+  assert.equal(translationFits(single, { options: ["3", "4", "5"] }), false);
+
+  const short = { type: "short", text: "Capital?", accepted: ["Asmara"] };
+  assert.deepEqual(withTranslatedAnswers(short, { accepted: ["ኣስመራ"] }).accepted, ["Asmara", "ኣስመራ"]);
+  assert.equal(withTranslatedAnswers(single, { accepted: ["x"] }), single);
+});
+
+test("validation reports the first problem", () => {
+  assert.equal(validateQuestion(single), null);
+  assert.equal(validateQuestion({ ...single, correctIndex: 3 }), "correctIndex is out of range");
+  assert.equal(validateQuestion({ type: "essay", text: "x" }), "type must be one of: single, multi, truefalse, short, order, match");
+  assert.equal(validateQuestion({ ...multi, correctIndexes: [] }), "correctIndexes needs at least one option");
+  assert.equal(validateQuestions([single, { text: "" }]), "question 2: text is required");
+  assert.match(validateQuestions([single], { translations: [{ text: "x", options: ["1"] }] }), /^translated question 1: /);
+});
+
+test("question versions change with the answer key, not with the wording", () => {
+  const v = questionVersion(single);
+  assert.equal(questionVersion({ ...single }), v);
+  assert.equal(questionVersion({ ...single, text: "Two plus two?", explanation: "Count" }), v);
+  assert.notEqual(questionVersion({ ...single, options: ["3", "4", "6"] }), v);
+  assert.notEqual(questionVersion({ ...single, correctIndex: 0 }), v);
+  assert.equal(questionType({ type: "unknown" }), "single");
+});
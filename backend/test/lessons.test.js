@@ -0,0 +1,68 @@
+// backend/test/lessons.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { trashLesson } = require("../utils/lessons");
+
+/** In-memory stand-in for a transaction client: just the statements trashLesson runs */
+function fakeDb(lessons, questions) {
+  return {
+    async query(sql, params = []) {
+      const text = sql.replace(/\s+/g, " ");
+      if (text.startsWith("UPDATE lessons SET deleted_at")) {
+        const l = lessons.find((x) => x.id === params[0] && !x.deleted);
+        if (l) l.deleted = true;
+        return { rows: l ? [{ lesson_index: l.lesson_index }] : [] };
+      }
+      if (text.startsWith("SELECT id")) {
+        const live = lessons.filter((x) => !x.deleted).sort((a, b) => a.lesson_index - b.lesson_index);
+        return { rows: live.map((x) => ({ id: x.id, lesson_index: x.lesson_index })) };
+      }
+      if (text.startsWith("UPDATE lessons SET lesson_index = -1")) {
+        for (const l of lessons) if (params[0].includes(l.id)) l.lesson_index = -1 - l.lesson_index;
+        return { rows: [] };
+      }
+      if (text.startsWith("UPDATE lessons l SET")) {
+        params[0].forEach((id, i) => (lessons.find((x) => x.id === id).lesson_index = params[1][i]));
+        return { rows: [] };
+      }
+      if (text.startsWith("UPDATE exam_questions SET lesson_index = NULL")) {
+        for (const q of questions) if (q.lesson_index === params[1]) q.lesson_index = null;
+        return { rows: [] };
+      }
+      if (text.startsWith("UPDATE exam_questions q SET")) {
+        const to = new Map(params[1].map((from, i) => [from, params[2][i]]));
+        for (const q of questions) if (to.has(q.lesson_index)) q.lesson_index = to.get(q.lesson_index);
+        return { rows: [] };
+      }
+      throw new Error(`unexpected query: ${text}`);
+    }
+  };
+}
+
+test("trashing a lesson untags its exam questions and moves the later lessons' tags along", async () => {
+  const lessons = [
+    { id: 10, lesson_index: 0 },
+    { id: 11, lesson_index: 1 },
+    { id: 12, lesson_index: 2 }
+  ];
+  const questions = [
+    { id: "a", lesson_index: 0 },
+    { id: "b", lesson_index: 1 },
+    { id: "c", lesson_index: 2 },
+    { id: "d", lesson_index: null }
+  ];
+  const db = fakeDb(lessons, questions);
+
+  assert.equal(await trashLesson(db, "foundation", 11), true);
+
+  assert.deepEqual(lessons.filter((l) => !l.deleted).map((l) => [l.id, l.lesson_index]), [[10, 0], [12, 1]]);
+  assert.deepEqual(questions.map((q) => [q.id, q.lesson_index]), [["a", 0], ["b", null], ["c", 1], ["d", null]]);
+});
+
+test("trashing a lesson that is not live changes nothing", async () => {
+  const lessons = [{ id: 10, lesson_index: 0, deleted: true }];
+  const questions = [{ id: "a", lesson_index: 0 }];
+
+  assert.equal(await trashLesson(fakeDb(lessons, questions), "foundation", 10), false);
+  assert.deepEqual(questions, [{ id: "a", lesson_index: 0 }]);
+});
@@ -0,0 +1,92 @@
+// backend/test/markdown.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { sanitizeMarkdown, renderMarkdown, safeUrl } = require("../utils/markdown");
+
+test("renders headings, lists, emphasis and code", () => {
+  assert.equal(renderMarkdown("# Title"), "<h3>Title</h3>");
+  assert.equal(renderMarkdown("- one\n- **two**"), "<ul><li>one</li><li><strong>two</strong></li></ul>");
+  assert.equal(renderMarkdown("1. a\n2. b"), "<ol><li>a</li><li>b</li></ol>");
+  assert.equal(renderMarkdown("*em* and `**not bold**`"), "<p><em>em</em> and <code>**not bold**</code></p>");
+  assert.equal(renderMarkdown("line one\nline two\n\nnext"), "<p>line one<br />line two</p><p>next</p>");
+  assert.equal(renderMarkdown(""), "");
+});
+
+test("renders callouts and quotes", () => {
+  assert.match(renderMarkdown("> [!TIP] Save early"), /^<div class="callout callout-tip">.*<p>Save early<\/p><\/div><\/div>$/);
+  assert.equal(renderMarkdown("> quoted"), "<blockquote><p>quoted</p></blockquote>");
+});
+
+test("escapes raw HTML when rendering", () => {
+  assert.equal(renderMarkdown("<script>alert(1)</script>"), "<p>&lt;script&gt;alert(1)&lt;/script&gt;</p>");
+  assert.equal(renderMarkdown("`<b>`"), "<p><code>&lt;b&gt;</code></p>");
+});
+
+test("renders links and images, external links in a new tab", () => {
+  assert.equal(
+    renderMarkdown("[site](https://example.com)"),
+    `<p><a href="https://example.com" target="_blank" rel="noopener noreferrer">site</a></p>`
+  );
+  assert.equal(renderMarkdown("[top](#top)"), `<p><a href="#top">top</a></p>`);
+  assert.equal(renderMarkdown("![alt](/img/a.png)"), `<p><img src="/img/a.png" alt="alt" loading="lazy" /></p>`);
+});
+
+test("renders an image inside a link", () => {
+  const html = renderMarkdown("[![i](http://a/b.png)](http://c)");
+  assert.equal(
+    html,
+    `<p><a href="http://c" target="_blank" rel="noopener noreferrer"><img src="http://a/b.png" alt="i" loading="lazy" /></a></p>`
+  );
+  assert.doesNotMatch(html, /\u0000/);
+});
+
+test("renders code and emphasis inside link labels", () => {
+  assert.equal(
+    renderMarkdown("[**b** `c`](/x)"),
+    `<p><a href="/x"><strong>b</strong> <code>c</code></a></p>`
+  );
+});
+
+test("keeps parentheses in link destinations", () => {
+  assert.equal(
+    renderMarkdown("[Asmara](https://en.wikipedia.org/wiki/Asmara_(city)) city"),
+    `<p><a href="https://en.wikipedia.org/wiki/Asmara_(city)" target="_blank" rel="noopener noreferrer">Asmara</a> city</p>`
+  );
+  assert.equal(renderMarkdown("![x](<a b.png>)"), `<p><img src="a b.png" alt="x" loading="lazy" /></p>`);
+});
+
+test("drops unsafe link targets", () => {
+  assert.equal(renderMarkdown("[x](javascript:alert(1))"), "<p>x</p>");
+  assert.equal(renderMarkdown("![x](data:image/png;base64,AAAA)"), "<p>x</p>");
+  assert.equal(safeUrl("//evil.example"), null);
+  assert.equal(safeUrl("mailto:a@b.c"), "mailto:a@b.c");
+});
+
+test("drops unsafe link targets hidden by whitespace or control characters", () => {
+  assert.equal(renderMarkdown("[x](< java\tscript:alert(1)>)"), "<p>x</p>");
+  assert.equal(renderMarkdown("[x](\u0001javascript:alert(1))"), "<p>x</p>");
+  assert.equal(renderMarkdown("![y](< data:image/png;base64,AAAA>)"), "<p>y</p>");
+  assert.equal(safeUrl("\u0000javascript:alert(1)"), null);
+  assert.equal(safeUrl("j a v a s c r i p t:alert(1)"), null);
+  assert.equal(safeUrl("/\t/evil.example"), null);
+});
+
+test("sanitize strips raw HTML, comments and unsafe links", () => {
+  assert.equal(sanitizeMarkdown("a <b>bold</b> <img src=x onerror=alert(1)> b"), "a bold  b");
+  assert.equal(sanitizeMarkdown("a<!-- note -->b"), "ab");
+  assert.equal(sanitizeMarkdown("[x](javascript:alert(1)) ![y](vbscript:z)"), "x y");
+  assert.equal(sanitizeMarkdown("a < b and c > d"), "a < b and c > d");
+  assert.equal(sanitizeMarkdown("\r\nline\u0007\r\n"), "line");
+});
+
+test("sanitize keeps code spans and fenced code as written", () => {
+  assert.equal(sanitizeMarkdown("Use `<script>` tags"), "Use `<script>` tags");
+  const fenced = "```html\n<div class=\"x\"><!-- c --></div>\n```\nafter <i>x</i>";
+  assert.equal(sanitizeMarkdown(fenced), "```html\n<div class=\"x\"><!-- c --></div>\n```\nafter x");
+  assert.equal(sanitizeMarkdown("```\n<p>unclosed"), "```\n<p>unclosed");
+});
+
+test("sanitize keeps safe links with parentheses and <url> destinations", () => {
+  const src = "[A](https://en.wikipedia.org/wiki/Asmara_(city)) [B](<https://e.com/a b>)";
+  assert.equal(sanitizeMarkdown(src), src);
+});
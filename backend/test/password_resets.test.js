@@ -0,0 +1,68 @@
+// backend/test/password_resets.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { hashResetToken, issueResetToken, claimResetToken } = require("../utils/password_resets");
+
+/** In-memory password_resets table: just the statements the helpers run */
+function fakeDb() {
+  const rows = [];
+  return {
+    rows,
+    async query(sql, params = []) {
+      const text = sql.replace(/\s+/g, " ").trim();
+      const now = Date.now();
+      if (text.startsWith("INSERT INTO password_resets")) {
+        rows.push({ user_id: params[0], token_hash: params[1], expires_at: now + params[2] * 60000, used_at: null });
+        return { rows: [] };
+      }
+      if (text.includes("WHERE token_hash=$1")) {
+        const row = rows.find((r) => r.token_hash === params[0] && r.used_at == null && r.expires_at > now);
+        if (row) row.used_at = now;
+        return { rows: row ? [{ user_id: row.user_id }] : [] };
+      }
+      if (text.includes("WHERE user_id=$1")) {
+        for (const r of rows) if (r.user_id === params[0] && r.used_at == null) r.used_at = now;
+        return { rows: [] };
+      }
+      throw new Error(`unexpected query: ${text}`);
+    }
+  };
+}
+
+test("only the hash of a reset token is stored", async () => {
+  const db = fakeDb();
+  const token = await issueResetToken(db, 5);
+
+  assert.match(token, /^[0-9a-f]{64}$/);
+  assert.equal(db.rows.length, 1);
+  assert.equal(db.rows[0].token_hash, hashResetToken(token));
+  assert.notEqual(db.rows[0].token_hash, token);
+  assert.equal(hashResetToken(token), hashResetToken(token));
+  assert.notEqual(hashResetToken(token), hashResetToken(`${token}x`));
+});
+
+test("a reset token can be claimed once", async () => {
+  const db = fakeDb();
+  const token = await issueResetToken(db, 5);
+
+  assert.equal(await claimResetToken(db, token), 5);
+  assert.equal(await claimResetToken(db, token), null);
+  assert.equal(await claimResetToken(db, "not-a-token"), null);
+});
+
+test("only the newest reset link works", async () => {
+  const db = fakeDb();
+  const first = await issueResetToken(db, 5);
+  const second = await issueResetToken(db, 5);
+
+  assert.equal(await claimResetToken(db, first), null);
+  assert.equal(await claimResetToken(db, second), 5);
+});
+
+test("expired reset tokens are rejected", async () => {
+  const db = fakeDb();
+  const token = await issueResetToken(db, 5);
+  db.rows[0].expires_at = Date.now() - 1000;
+
+  assert.equal(await claimResetToken(db, token), null);
+});
@@ -0,0 +1,91 @@
+// backend/test/publishing.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { publishStatus, draftStatus, publishCourseDrafts } = require("../utils/publishing");
+
+test("publish status compares the published and the newest revision", () => {
+  assert.equal(publishStatus(null, 3), "draft");
+  assert.equal(publishStatus(3, 3), "published");
+  assert.equal(publishStatus(3, 4), "changed");
+});
+
+/**
+ * In-memory course content with a draft (newest) and a published revision per lesson, bank
+ * question and exam: just the statements utils/publishing.js runs.
+ */
+function fakeDb({ lessons = [], questions = [], exam = null }) {
+  const course = { scheduled_publish_at: new Date(), content_published_at: null };
+  const unpublished = (rows) => rows.filter((r) => r.draft != null && r.published !== r.draft);
+  return {
+    course,
+    async query(sql) {
+      const text = sql.replace(/\s+/g, " ").trim();
+      if (text.startsWith("SELECT l.id")) {
+        return {
+          rows: unpublished(lessons).map((l) => ({
+            id: l.id, lesson_index: l.id, title_en: `Lesson ${l.id}`, published_revision_id: l.published, draft_id: l.draft
+          }))
+        };
+      }
+      if (text.startsWith("SELECT id, question->'en'")) {
+        return {
+          rows: unpublished(questions).map((q) => ({
+            id: q.id, text_en: `Q${q.id}`, revision_id: q.draft, published_revision_id: q.published
+          }))
+        };
+      }
+      if (text.startsWith("SELECT revision_id, published_revision_id FROM exam_defs")) {
+        return { rows: exam ? [{ revision_id: exam.draft, published_revision_id: exam.published }] : [] };
+      }
+      if (text.startsWith("SELECT c.scheduled_publish_at")) return { rows: [course] };
+      if (text.startsWith("SELECT id FROM courses")) return { rows: [{ id: "foundation" }] };
+      if (text.startsWith("UPDATE lessons") || text.startsWith("UPDATE exam_questions")) {
+        const rows = unpublished(text.startsWith("UPDATE lessons") ? lessons : questions);
+        for (const r of rows) r.published = r.draft;
+        return { rows: rows.map((r) => ({ id: r.id })) };
+      }
+      if (text.startsWith("UPDATE exam_defs")) {
+        const changed = exam && exam.published !== exam.draft;
+        if (changed) exam.published = exam.draft;
+        return { rows: changed ? [{ revision_id: exam.draft }] : [] };
+      }
+      if (text.startsWith("UPDATE courses")) {
+        course.scheduled_publish_at = null;
+        course.content_published_at = new Date();
+        return { rows: [] };
+      }
+      throw new Error(`unexpected query: ${text}`);
+    }
+  };
+}
+
+test("drafts of lessons, bank questions and the exam are listed until the course is published", async () => {
+  const content = {
+    lessons: [{ id: 1, draft: 10, published: 10 }, { id: 2, draft: 12, published: 11 }, { id: 3, draft: 13, published: null }],
+    questions: [{ id: 7, draft: 41, published: 41 }, { id: 8, draft: 43, published: 42 }, { id: 9, draft: 44, published: null }],
+    exam: { draft: 5, published: 4 }
+  };
+  const db = fakeDb(content);
+
+  const before = await draftStatus(db, "foundation");
+  assert.equal(before.hasDrafts, true);
+  assert.deepEqual(before.lessons.map((l) => [l.id, l.status]), [[2, "changed"], [3, "new"]]);
+  assert.deepEqual(before.questions.map((q) => [q.id, q.status]), [[8, "changed"], [9, "new"]]);
+  assert.equal(before.exam.changed, true);
+
+  const published = await publishCourseDrafts(db, "foundation");
+  assert.deepEqual(published, { lessons: [2, 3], questions: [8, 9], examRevisionId: 5 });
+  assert.equal(db.course.scheduled_publish_at, null);
+
+  const after = await draftStatus(db, "foundation");
+  assert.equal(after.hasDrafts, false);
+  assert.deepEqual(after.questions, []);
+  assert.deepEqual(content.questions.map((q) => q.published), [41, 43, 44]);
+});
+
+test("a bank question edit alone is a draft of the course", async () => {
+  const db = fakeDb({ questions: [{ id: 8, draft: 43, published: 42 }], exam: { draft: 5, published: 5 } });
+  const status = await draftStatus(db, "foundation");
+  assert.equal(status.hasDrafts, true);
+  assert.equal(status.exam.changed, false);
+});
@@ -0,0 +1,52 @@
+// backend/test/zip.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { isZip, createZip, readZip } = require("../utils/zip");
+
+test("round-trips files, including UTF-8 names and binary data", () => {
+  const binary = Buffer.from([0, 1, 2, 250, 255]);
+  const zip = createZip([
+    { name: "course.json", data: JSON.stringify({ id: "foundation" }) },
+    { name: "lessons/ትምህርቲ.md", data: "ሰላም" },
+    { name: "media/a.bin", data: binary }
+  ]);
+
+  assert.ok(isZip(zip));
+  const files = readZip(zip);
+  assert.deepEqual([...files.keys()], ["course.json", "lessons/ትምህርቲ.md", "media/a.bin"]);
+  assert.deepEqual(JSON.parse(files.get("course.json")), { id: "foundation" });
+  assert.equal(files.get("lessons/ትምህርቲ.md").toString("utf8"), "ሰላም");
+  assert.deepEqual(files.get("media/a.bin"), binary);
+});
+
+test("reads an empty archive", () => {
+  assert.equal(readZip(createZip([])).size, 0);
+});
+
+test("isZip rejects other data", () => {
+  assert.equal(isZip(Buffer.from("{}")), false);
+  assert.equal(isZip("PK\u0003\u0004"), false);
+});
+
+test("rejects data that is not a zip", () => {
+  assert.throws(() => readZip(Buffer.alloc(64)), /Not a zip file/);
+});
+
+test("rejects entries that fail their checksum", () => {
+  const zip = Buffer.from(createZip([{ name: "a.txt", data: "hello" }]));
+  // CRC-32 of the entry in the central directory (its offset is in the end record)
+  const central = zip.readUInt32LE(zip.length - 22 + 16);
+  zip.writeUInt32LE(zip.readUInt32LE(central + 16) ^ 1, central + 16);
+  assert.throws(() => readZip(zip), /failed its checksum: a\.txt/);
+});
+
+test("caps the uncompressed size", () => {
+  const zip = createZip([{ name: "big.txt", data: "x".repeat(10000) }]);
+  assert.throws(() => readZip(zip, { maxBytes: 1000 }), /too large/);
+  assert.equal(readZip(zip, { maxBytes: 10000 }).get("big.txt").length, 10000);
+});
+
+test("skips directory entries", () => {
+  const files = readZip(createZip([{ name: "media/", data: "" }, { name: "media/x.txt", data: "x" }]));
+  assert.deepEqual([...files.keys()], ["media/x.txt"]);
+});
@@ -0,0 +1,229 @@
+// backend/utils/badges.js
+// Certificates as Open Badges 2.0 (hosted verification), for digital wallets and portfolios.
+// https://www.imsglobal.org/sites/default/files/Badges/OBv2p0Final/index.html
+//
+//   Issuer      GET /api/badges/issuer
+//   BadgeClass  GET /api/badges/classes/:courseId            (one per course; image.png next to it)
+//   Assertion   GET /api/badges/assertions/:token            (one per certificate, by its public token;
+//                                                           410 + revocationReason once revoked / superseded)
+//   Baked PNG   GET /api/badges/assertions/:token/badge.png  (badge image with the assertion embedded)
+//
+// The recipient is the student's email, salted and hashed: wallets match it against the email the
+// student signs in with, and the assertion doesn't publish it.
+
+const crypto = require("crypto");
+const zlib = require("zlib");
+const { publicBase } = require("./urls");
+const { signingSecret, verificationResult } = require("./certificates");
+
+const OB_CONTEXT = "https://w3id.org/openbadges/v2";
+const ISSUER_NAME = "Eritrean Success Journey";
+const ISSUER_URL = new URL(process.env.STUDENT_APP_URL || "https://www.riseeritrea.com/student/").origin;
+const CRITERIA = "Complete every lesson of the course and pass its final exam.";
+
+function badgeUrls(req) {
+  const base = `${publicBase(req)}/api/badges`;
+  return {
+    issuer: `${base}/issuer`,
+    badgeClass: (courseId) => `${base}/classes/${encodeURIComponent(courseId)}`,
+    classImage: (courseId) => `${base}/classes/${encodeURIComponent(courseId)}/image.png`,
+    assertion: (token) => `${base}/assertions/${encodeURIComponent(token)}`,
+    bakedImage: (token) => `${base}/assertions/${encodeURIComponent(token)}/badge.png`
+  };
+}
+
+function issuerProfile(req) {
+  return {
+    "@context": OB_CONTEXT,
+    type: "Issuer",
+    id: badgeUrls(req).issuer,
+    name: ISSUER_NAME,
+    url: ISSUER_URL
+  };
+}
+
+/** BadgeClass of a course row (English texts) */
+function badgeClass(req, course) {
+  const urls = badgeUrls(req);
+  const title = course.title?.en || course.id;
+  return {
+    "@context": OB_CONTEXT,
+    type: "BadgeClass",
+    id: urls.badgeClass(course.id),
+    name: title,
+    description: course.intro?.en || `Completed the ${title} course of ${ISSUER_NAME}.`,
+    image: urls.classImage(course.id),
+    criteria: { narrative: CRITERIA },
+    issuer: urls.issuer
+  };
+}
+
+/** sha256 identity of an email; the salt is derived from the certificate, so it stays stable */
+function hashedRecipient(email, token) {
+  const salt = crypto.createHmac("sha256", signingSecret()).update(`badge-salt:${token}`).digest("hex").slice(0, 16);
+  const identity = crypto.createHash("sha256").update(String(email || "").trim().toLowerCase() + salt).digest("hex");
+  return { type: "email", hashed: true, salt, identity: `sha256$${identity}` };
+}
+
+/**
+ * Hosted assertion of a certificate row (utils/certificates.js loaders).
+ * Returns { status, body }: 200 with the assertion, or 410 with the revocation stub that
+ * Open Badges verifiers expect.
+ */
+function badgeAssertion(req, cert) {
+  const urls = badgeUrls(req);
+  const v = verificationResult(cert);
+  const id = urls.assertion(v.token);
+
+  if (!v.valid) {
+    const revocationReason = !v.intact
+      ? "The certificate data failed verification"
+      : v.status === "superseded"
+        ? "Replaced by a reissued certificate"
+        : v.revokedReason;
+    return { status: 410, body: { "@context": OB_CONTEXT, id, revoked: true, revocationReason } };
+  }
+
+  return {
+    status: 200,
+    body: {
+      "@context": OB_CONTEXT,
+      type: "Assertion",
+      id,
+      recipient: hashedRecipient(cert.user_email, v.token),
+      badge: urls.badgeClass(v.courseId),
+      issuedOn: v.issuedAt,
+      image: urls.bakedImage(v.token),
+      evidence: `${publicBase(req)}/api/certificates/verify/${encodeURIComponent(v.token)}`,
+      verification: { type: "HostedBadge" }
+    }
+  };
+}
+
+/* ---------------------------
+   PNG (badge image + baking)
+---------------------------- */
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buf) {
+  let c = 0xffffffff;
+  for (const b of buf) c = CRC_TABLE[(c ^ b) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+function pngChunk(type, data) {
+  const body = Buffer.concat([Buffer.from(type, "latin1"), data]);
+  const len = Buffer.alloc(4);
+  len.writeUInt32BE(data.length);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([len, body, crc]);
+}
+
+// colour of a course badge: a stable hue per course id, green to red (not the gold of the ring)
+function courseColor(courseId) {
+  const hue = 0.35 + (0.6 * crypto.createHash("sha256").update(String(courseId)).digest()[0]) / 255;
+  const f = (n) => {
+    const k = (n + hue * 12) % 12;
+    return Math.round(255 * (0.42 - 0.3 * Math.max(-1, Math.min(k - 3, 9 - k, 1))));
+  };
+  return [f(0), f(8), f(4)];
+}
+
+function inStar(x, y, R) {
+  // five-pointed star (outer radius R, inner 0.4 R), point up
+  const pts = [];
+  for (let i = 0; i < 10; i++) {
+    const a = -Math.PI / 2 + (i * Math.PI) / 5;
+    const r = i % 2 ? R * 0.4 : R;
+    pts.push([r * Math.cos(a), r * Math.sin(a)]);
+  }
+  let inside = false;
+  for (let i = 0, j = pts.length - 1; i < pts.length; j = i++) {
+    const [xi, yi] = pts[i];
+    const [xj, yj] = pts[j];
+    if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) inside = !inside;
+  }
+  return inside;
+}
+
+const imageCache = new Map();
+
+/** Round 256px badge for a course: gold ring, course-coloured disc, white star (cached) */
+function badgeImagePng(courseId) {
+  if (imageCache.has(courseId)) return imageCache.get(courseId);
+
+  const size = 256;
+  const half = size / 2;
+  const gold = [200, 162, 74];
+  const disc = courseColor(courseId);
+  const white = [255, 255, 255];
+  const SS = 3; // supersampling per axis, for smooth edges
+
+  const raw = Buffer.alloc(size * (size * 4 + 1));
+  for (let py = 0; py < size; py++) {
+    const row = py * (size * 4 + 1);
+    raw[row] = 0; // filter: none
+    for (let px = 0; px < size; px++) {
+      let r = 0, g = 0, b = 0, a = 0;
+      for (let sy = 0; sy < SS; sy++) {
+        for (let sx = 0; sx < SS; sx++) {
+          const x = px + (sx + 0.5) / SS - half;
+          const y = py + (sy + 0.5) / SS - half;
+          const d = Math.hypot(x, y) / half;
+          if (d > 1) continue;
+          const c = d > 0.86 ? gold : inStar(x, y, half * 0.55) ? white : disc;
+          r += c[0]; g += c[1]; b += c[2]; a++;
+        }
+      }
+      const o = row + 1 + px * 4;
+      if (a) {
+        raw[o] = Math.round(r / a);
+        raw[o + 1] = Math.round(g / a);
+        raw[o + 2] = Math.round(b / a);
+      }
+      raw[o + 3] = Math.round((255 * a) / (SS * SS));
+    }
+  }
+
+  const ihdr = Buffer.alloc(13);
+  ihdr.writeUInt32BE(size, 0);
+  ihdr.writeUInt32BE(size, 4);
+  ihdr[8] = 8; // bit depth
+  ihdr[9] = 6; // RGBA
+  const png = Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    pngChunk("IHDR", ihdr),
+    pngChunk("IDAT", zlib.deflateSync(raw)),
+    pngChunk("IEND", Buffer.alloc(0))
+  ]);
+  imageCache.set(courseId, png);
+  return png;
+}
+
+/** "Baked" badge: the PNG with the assertion in an iTXt chunk keyed "openbadges" */
+function bakeBadge(png, assertion) {
+  const iend = png.length - 12; // IEND is always the last 12 bytes
+  const text = Buffer.concat([
+    Buffer.from("openbadges\0", "latin1"),
+    Buffer.from([0, 0]), // uncompressed
+    Buffer.from("\0\0", "latin1"), // no language tag / translated keyword
+    Buffer.from(JSON.stringify(assertion), "utf8")
+  ]);
+  return Buffer.concat([png.subarray(0, iend), pngChunk("iTXt", text), png.subarray(iend)]);
+}
+
+module.exports = {
+  OB_CONTEXT,
+  badgeUrls,
+  issuerProfile,
+  badgeClass,
+  badgeAssertion,
+  badgeImagePng,
+  bakeBadge
+};
@@ -0,0 +1,406 @@
+// backend/utils/bundles.js
+// Course content bundles: export a course as a versioned JSON (or ZIP) file and import it back,
+// so content can move between staging and production and be kept in git.
+//
+// Bundle (version 2; texts are maps keyed by locale, utils/locales.js):
+//   { format: "esj-course-bundle", version: 2, exportedAt,
+//     course:  { id, title: { en, ti, ... }, intro: {...}, sort_order, published },
+//     lessons: [{ lesson_index, title: {...}, learn: {...}, task: {...}, quiz }],
+//     exam:    { pass_score, review_policy, blueprint, max_attempts, cooldown_minutes,
+//                time_limit_minutes, score_policy, exams: { en: { questions }, ti: {...} } } | null }
+// Version 1 bundles (title_en / title_ti, exam_en / exam_ti, ...) are still imported.
+// ZIP layout: course.json (format, version, exportedAt, course), exam.json, lessons/NN.json.
+//
+// Exports hold the latest saved (draft) content. Imports upsert: the course by id, lessons by
+// lesson_index and the exam as a new revision, each only when it differs, with history recorded
+// like admin saves. Imported changes are drafts until published (utils/publishing.js) unless
+// `publish` is set. Lessons missing from the bundle are left alone; the exam question bank is
+// not part of bundles.
+// Used by routes/admin_course_bundles.js and the course_bundle.js CLI.
+
+const { z } = require("zod");
+const { COURSE_ID_RE } = require("./courses");
+const {
+  REVIEW_POLICIES,
+  SCORE_POLICIES,
+  DEF_COLUMNS,
+  examDefFromRow,
+  examsFromJson,
+  validateExams,
+  normalizeBlueprint,
+  saveExamRevision
+} = require("./exams");
+const { validateQuestions } = require("./grading");
+const { DEFAULT_LOCALE, textMapFrom, textMapSchema } = require("./locales");
+const { LESSON_CONTENT_FIELDS, recordLessonRevision } = require("./lessons");
+const { publishCourseDrafts } = require("./publishing");
+const { sanitizeMarkdown } = require("./markdown");
+const { isZip, createZip, readZip } = require("./zip");
+
+const BUNDLE_FORMAT = "esj-course-bundle";
+const BUNDLE_VERSION = 2;
+
+const COURSE_FIELDS = ["title", "intro", "sort_order", "published"];
+const EXAM_FIELDS = [
+  "pass_score",
+  "review_policy",
+  "blueprint",
+  "max_attempts",
+  "cooldown_minutes",
+  "time_limit_minutes",
+  "score_policy",
+  "exams"
+];
+
+const questionList = z.object({ questions: z.array(z.any()) }).passthrough();
+// learn / task text is stored sanitized, like admin saves (utils/markdown.js)
+const richText = textMapSchema({ clean: sanitizeMarkdown });
+
+const bundleSchema = z.object({
+  format: z.literal(BUNDLE_FORMAT),
+  version: z.number().int().min(1),
+  exportedAt: z.string().optional(),
+  course: z.object({
+    id: z.string().trim().toLowerCase().regex(COURSE_ID_RE, "must be a lowercase slug (a-z, 0-9, - or _)"),
+    title: textMapSchema({ min: 2 }),
+    intro: textMapSchema({ min: 2 }),
+    sort_order: z.number().int().min(0).default(0),
+    published: z.boolean().default(false)
+  }),
+  lessons: z.array(z.object({
+    lesson_index: z.number().int().min(0),
+    title: textMapSchema(),
+    learn: richText,
+    task: richText,
+    quiz: questionList.default({ questions: [] })
+  })),
+  exam: z.object({
+    pass_score: z.number().int().min(0).max(100),
+    review_policy: z.enum(REVIEW_POLICIES),
+    blueprint: z.any().nullable().default(null),
+    max_attempts: z.number().int().min(1).max(100).nullable(),
+    cooldown_minutes: z.number().int().min(0).max(60 * 24 * 30).default(0),
+    time_limit_minutes: z.number().int().min(1).max(600).nullable().default(null),
+    score_policy: z.enum(SCORE_POLICIES),
+    exams: z.record(questionList).refine((m) => m[DEFAULT_LOCALE], { message: "English questions are required" })
+  }).nullable().default(null)
+});
+
+function bundleError(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+/** JSON with object keys sorted, so jsonb key order doesn't count as a change */
+function canonical(v) {
+  if (Array.isArray(v)) return `[${v.map(canonical).join(",")}]`;
+  if (v && typeof v === "object") {
+    return `{${Object.keys(v).sort().map((k) => `${JSON.stringify(k)}:${canonical(v[k])}`).join(",")}}`;
+  }
+  return JSON.stringify(v ?? null);
+}
+
+function changedFields(from, to, fields) {
+  return fields.filter((f) => canonical(from?.[f]) !== canonical(to?.[f]));
+}
+
+/** Version 1 bundle (one column per language) in the version 2 shape */
+function upgradeV1(raw) {
+  const texts = (obj, fields) => {
+    const out = { ...obj };
+    for (const f of fields) out[f] = textMapFrom(obj, f);
+    return out;
+  };
+  const exam = raw.exam && { ...raw.exam, exams: raw.exam.exams || textMapFrom(raw.exam, "exam") };
+  return {
+    ...raw,
+    course: raw.course && texts(raw.course, ["title", "intro"]),
+    lessons: Array.isArray(raw.lessons) ? raw.lessons.map((l) => texts(l, ["title", "learn", "task"])) : raw.lessons,
+    exam
+  };
+}
+
+/* ---------------- export ---------------- */
+
+/** Bundle of a course's latest saved content, or null when the course doesn't exist */
+async function exportCourse(db, courseId) {
+  const courseR = await db.query(
+    "SELECT id, title, intro, sort_order, published FROM courses WHERE id=$1",
+    [courseId]
+  );
+  const course = courseR.rows[0];
+  if (!course) return null;
+
+  const lessonsR = await db.query(
+    `SELECT lesson_index, title, learn, task, quiz
+       FROM lessons
+      WHERE course_id=$1 AND deleted_at IS NULL
+      ORDER BY lesson_index`,
+    [courseId]
+  );
+
+  const examR = await db.query(`SELECT revision_id, ${DEF_COLUMNS} FROM exam_defs WHERE course_id=$1`, [courseId]);
+  const def = examR.rows[0] ? examDefFromRow(examR.rows[0]) : null;
+
+  return {
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    exportedAt: new Date().toISOString(),
+    course: { ...course, published: !!course.published },
+    lessons: lessonsR.rows.map((l) => ({ ...l, quiz: l.quiz || { questions: [] } })),
+    exam: def
+      ? {
+          pass_score: def.pass_score,
+          review_policy: def.review_policy,
+          blueprint: def.blueprint,
+          max_attempts: def.max_attempts,
+          cooldown_minutes: def.cooldown_minutes,
+          time_limit_minutes: def.time_limit_minutes,
+          score_policy: def.score_policy,
+          exams: def.exams
+        }
+      : null
+  };
+}
+
+function lessonFileName(index) {
+  return `lessons/${String(index).padStart(2, "0")}.json`;
+}
+
+/** Pretty JSON (stable diffs in git) */
+function bundleToJson(bundle) {
+  return `${JSON.stringify(bundle, null, 2)}\n`;
+}
+
+function bundleToZip(bundle) {
+  const { lessons, exam, ...head } = bundle;
+  const files = [{ name: "course.json", data: bundleToJson(head) }];
+  if (exam) files.push({ name: "exam.json", data: bundleToJson(exam) });
+  for (const l of lessons) files.push({ name: lessonFileName(l.lesson_index), data: bundleToJson(l) });
+  return createZip(files);
+}
+
+/* ---------------- parse + validate ---------------- */
+
+function parseJson(textValue, name) {
+  try {
+    return JSON.parse(textValue);
+  } catch {
+    throw bundleError(`${name} is not valid JSON`);
+  }
+}
+
+function rawFromZip(buf) {
+  let files;
+  try {
+    files = readZip(buf);
+  } catch (e) {
+    throw bundleError(e.message);
+  }
+
+  const head = files.get("course.json");
+  if (!head) throw bundleError("course.json missing from the zip");
+  const exam = files.get("exam.json");
+
+  const lessons = [...files.keys()]
+    .filter((name) => /^lessons\/[^/]+\.json$/.test(name))
+    .sort()
+    .map((name) => parseJson(files.get(name).toString("utf8"), name));
+
+  return {
+    ...parseJson(head.toString("utf8"), "course.json"),
+    lessons,
+    exam: exam ? parseJson(exam.toString("utf8"), "exam.json") : null
+  };
+}
+
+/**
+ * Validated bundle from a zip Buffer, JSON text/Buffer or an already parsed object.
+ * Throws (err.status 400) with a message naming the first problem.
+ */
+function parseBundle(input) {
+  let raw = input;
+  if (Buffer.isBuffer(input)) raw = isZip(input) ? rawFromZip(input) : input.toString("utf8");
+  if (typeof raw === "string") raw = parseJson(raw, "Bundle");
+  if (!raw || typeof raw !== "object") throw bundleError("Bundle must be a JSON object");
+
+  if (raw.format !== BUNDLE_FORMAT) throw bundleError(`Not a course bundle (format must be "${BUNDLE_FORMAT}")`);
+  if (Number(raw.version) > BUNDLE_VERSION) {
+    throw bundleError(`Bundle version ${raw.version} is newer than this server supports (${BUNDLE_VERSION})`);
+  }
+  if (Number(raw.version) < 2) raw = upgradeV1(raw);
+
+  const parsed = bundleSchema.safeParse(raw);
+  if (!parsed.success) {
+    const issue = parsed.error.issues[0];
+    throw bundleError(`${issue.path.join(".") || "bundle"}: ${issue.message}`);
+  }
+  const bundle = parsed.data;
+
+  const seen = new Set();
+  for (const l of bundle.lessons) {
+    if (seen.has(l.lesson_index)) throw bundleError(`lesson_index ${l.lesson_index} appears twice`);
+    seen.add(l.lesson_index);
+
+    const quizError = validateQuestions(l.quiz.questions);
+    if (quizError) throw bundleError(`lesson ${l.lesson_index} quiz ${quizError}`);
+  }
+  bundle.lessons.sort((a, b) => a.lesson_index - b.lesson_index);
+
+  if (bundle.exam) {
+    const { exam } = bundle;
+    if (exam.blueprint !== null) {
+      exam.blueprint = normalizeBlueprint(exam.blueprint);
+      if (!exam.blueprint) throw bundleError("exam.blueprint: count must be a positive integer");
+    }
+    exam.exams = examsFromJson(exam.exams);
+    const examError = validateExams(exam.exams);
+    if (examError) throw bundleError(`exam ${examError}`);
+  }
+
+  return bundle;
+}
+
+/* ---------------- import ---------------- */
+
+/**
+ * What importing the bundle would change (nothing is written).
+ * action: "create" | "update" | "unchanged"; fields: the ones that differ.
+ */
+async function planImport(db, bundle) {
+  const c = bundle.course;
+  const courseR = await db.query(
+    "SELECT id, title, intro, sort_order, published FROM courses WHERE id=$1",
+    [c.id]
+  );
+  const existingCourse = courseR.rows[0];
+
+  const lessonsR = existingCourse
+    ? await db.query(
+        `SELECT id, lesson_index, ${LESSON_CONTENT_FIELDS.join(", ")}
+           FROM lessons
+          WHERE course_id=$1 AND deleted_at IS NULL`,
+        [c.id]
+      )
+    : { rows: [] };
+  const byIndex = new Map(lessonsR.rows.map((l) => [l.lesson_index, l]));
+
+  const examR = existingCourse
+    ? await db.query(`SELECT revision_id, ${DEF_COLUMNS} FROM exam_defs WHERE course_id=$1`, [c.id])
+    : { rows: [] };
+  const existingExam = examR.rows[0] ? examDefFromRow(examR.rows[0]) : null;
+
+  const entry = (existing, fields) => {
+    if (!existing) return { action: "create", fields: [] };
+    return { action: fields.length ? "update" : "unchanged", fields };
+  };
+
+  const lessons = bundle.lessons.map((l) => {
+    const existing = byIndex.get(l.lesson_index);
+    return {
+      lessonIndex: l.lesson_index,
+      id: existing?.id ?? null,
+      title_en: l.title[DEFAULT_LOCALE],
+      ...entry(existing, existing ? changedFields(existing, l, LESSON_CONTENT_FIELDS) : [])
+    };
+  });
+
+  const bundleIndexes = new Set(bundle.lessons.map((l) => l.lesson_index));
+  const notInBundle = lessonsR.rows
+    .filter((l) => !bundleIndexes.has(l.lesson_index))
+    .map((l) => l.lesson_index)
+    .sort((a, b) => a - b);
+
+  let exam = { action: "none", fields: [] };
+  if (bundle.exam) {
+    exam = entry(existingExam, existingExam ? changedFields(existingExam, bundle.exam, EXAM_FIELDS) : []);
+  }
+
+  const course = entry(existingCourse, existingCourse ? changedFields(existingCourse, c, COURSE_FIELDS) : []);
+  const plan = { courseId: c.id, course, lessons, notInBundle, exam };
+
+  const actions = [plan.course, ...lessons, exam].map((x) => x.action);
+  plan.summary = {
+    create: actions.filter((a) => a === "create").length,
+    update: actions.filter((a) => a === "update").length,
+    unchanged: actions.filter((a) => a === "unchanged").length
+  };
+  plan.hasChanges = plan.summary.create + plan.summary.update > 0;
+  return plan;
+}
+
+/**
+ * Apply a bundle inside the caller's transaction (db: transaction client).
+ * Returns the plan that was applied (+ published: publishCourseDrafts result when publish is set).
+ */
+async function importBundle(db, bundle, { adminId = null, publish = false } = {}) {
+  const c = bundle.course;
+  const plan = await planImport(db, bundle);
+
+  if (plan.course.action !== "unchanged") {
+    await db.query(
+      `INSERT INTO courses (id, title, intro, sort_order, published)
+       VALUES ($1,$2::jsonb,$3::jsonb,$4,$5)
+       ON CONFLICT (id) DO UPDATE SET
+         title=EXCLUDED.title, intro=EXCLUDED.intro,
+         sort_order=EXCLUDED.sort_order, published=EXCLUDED.published`,
+      [c.id, JSON.stringify(c.title), JSON.stringify(c.intro), c.sort_order, c.published]
+    );
+  }
+
+  for (const [i, item] of plan.lessons.entries()) {
+    if (item.action === "unchanged") continue;
+    const l = bundle.lessons[i];
+    const values = LESSON_CONTENT_FIELDS.map((f) => JSON.stringify(l[f]));
+
+    const r = item.action === "create"
+      ? await db.query(
+          `INSERT INTO lessons (course_id, lesson_index, title, learn, task, quiz)
+           VALUES ($5,$6,$1::jsonb,$2::jsonb,$3::jsonb,$4::jsonb)
+           RETURNING *`,
+          [...values, c.id, l.lesson_index]
+        )
+      : await db.query(
+          `UPDATE lessons
+              SET title=$1::jsonb, learn=$2::jsonb, task=$3::jsonb, quiz=$4::jsonb
+            WHERE id=$5
+            RETURNING *`,
+          [...values, item.id]
+        );
+    item.id = r.rows[0].id;
+    await recordLessonRevision(db, r.rows[0], { adminId, kind: "import" });
+  }
+
+  if (plan.exam.action === "create" || plan.exam.action === "update") {
+    plan.exam.revisionId = await saveExamRevision(db, c.id, bundle.exam, { adminId });
+  }
+
+  if (publish) plan.published = await publishCourseDrafts(db, c.id, { adminId });
+  return plan;
+}
+
+/** Plain-text plan for the CLI */
+function formatPlan(plan) {
+  const fields = (x) => (x.fields.length ? ` (${x.fields.join(", ")})` : "");
+  const lines = [`course ${plan.courseId}: ${plan.course.action}${fields(plan.course)}`];
+  for (const l of plan.lessons) {
+    lines.push(`  lesson ${l.lessonIndex} "${l.title_en}": ${l.action}${fields(l)}`);
+  }
+  if (plan.notInBundle.length) lines.push(`  lessons not in the bundle (left as is): ${plan.notInBundle.join(", ")}`);
+  lines.push(`  exam: ${plan.exam.action}${fields(plan.exam)}`);
+  lines.push(`${plan.summary.create} to create, ${plan.summary.update} to update, ${plan.summary.unchanged} unchanged`);
+  return lines.join("\n");
+}
+
+module.exports = {
+  BUNDLE_FORMAT,
+  BUNDLE_VERSION,
+  exportCourse,
+  bundleToJson,
+  bundleToZip,
+  parseBundle,
+  planImport,
+  importBundle,
+  formatPlan
+};
@@ -0,0 +1,295 @@
+// backend/utils/certificate_pdf.js
+// Draws a one-page A4 certificate from a template (utils/certificate_templates.js), for the
+// student PDF (routes/certificates.js) and the admin template preview.
+//
+// Layout, top to bottom: optional logo, heading, organisation, quote, "presented to", student
+// name, "officially certified", course title, seal; footer with issue date / certificate id,
+// signatories and the verification QR code. In the bilingual layout English lines follow the
+// translated ones and push the rest of the page down.
+
+const PDFDocument = require("pdfkit");
+const QRCode = require("qrcode");
+const { DEFAULT_LOCALE, localizedText } = require("./locales");
+const { certificateText, certificateFonts, certificateDate } = require("./certificate_text");
+const { readTemplateImage } = require("./certificate_templates");
+
+/** Everything drawn on the page, in the certificate's language(s) */
+function certificateContent({ template, lang, bilingual, student, courseTitles, courseId }) {
+  const text = certificateText(lang, template.texts);
+  const en = certificateText(DEFAULT_LOCALE, template.texts);
+  const both = !!bilingual && text.locale !== DEFAULT_LOCALE;
+  const courseTitle = localizedText(courseTitles, text.locale) || courseId;
+  const courseTitleEn = localizedText(courseTitles, DEFAULT_LOCALE) || courseId;
+  const signatories = template.signatories.map((s) => {
+    const title = s.title?.[text.locale] || s.title?.[DEFAULT_LOCALE] || "";
+    const titleEn = s.title?.[DEFAULT_LOCALE] || "";
+    return { ...s, title: both && titleEn && titleEn !== title ? `${title} / ${titleEn}` : title };
+  });
+  return {
+    text,
+    en,
+    bilingual: both,
+    student,
+    courseTitle,
+    courseTitleEn,
+    signatories,
+    label: (key) => (both ? `${text[key]} / ${en[key]}` : text[key])
+  };
+}
+
+function drawCertificate(doc, { template, content: c, font, issuedOn, certificateId, verifyUrl, images }) {
+  const { colors, layout } = template;
+  const { text, en, bilingual, label } = c;
+
+  const W = doc.page.width;   // ~595.28
+  const H = doc.page.height;  // ~841.89
+
+  // ---------- Background + border ----------
+  doc.rect(0, 0, W, H).fill(colors.background);
+
+  if (layout.border !== "none") {
+    doc.lineWidth(3).strokeColor(colors.border).rect(22, 22, W - 44, H - 44).stroke();
+  }
+  if (layout.border === "double") {
+    doc.lineWidth(1).strokeColor(colors.borderInner).rect(32, 32, W - 64, H - 64).stroke();
+  }
+
+  // Watermark
+  if (layout.watermark && text.watermark) {
+    doc.save();
+    doc.rotate(-25, { origin: [W / 2, H / 2] });
+    doc.fillColor(colors.watermark);
+    doc.font(font.bold).fontSize(64).opacity(0.18);
+    doc.text(text.watermark, 0, H / 2 - 60, { align: "center", width: W });
+    doc.opacity(1);
+    doc.restore();
+  }
+
+  if (images.logo) {
+    doc.image(images.logo, W / 2 - 90, 44, { fit: [180, 44], align: "center", valign: "center" });
+  }
+
+  // ---------- Header, student + course ----------
+  // Each block starts at its usual height; bilingual English lines push the following ones down.
+  let y = 0;
+  const block = (top, str, { font: f, size, color, x = 0, width = W }) => {
+    y = Math.max(y, top);
+    doc.fillColor(color).font(f).fontSize(size);
+    doc.text(str, x, y, { align: "center", width });
+    y += doc.heightOfString(str, { width, align: "center" });
+  };
+  // English under a translated line, smaller and grey
+  const english = (str, { size, x = 0, width = W }) => {
+    if (!bilingual) return;
+    y += 2;
+    doc.fillColor(colors.muted).font(font.regular).fontSize(size);
+    doc.text(str, x, y, { align: "center", width });
+    y += doc.heightOfString(str, { width, align: "center" });
+  };
+
+  block(95, text.heading, { font: font.bold, size: 34, color: colors.heading });
+  english(en.heading, { size: 14 });
+
+  block(140, text.org, { font: font.regular, size: 12, color: colors.text });
+
+  if (layout.quote && text.quote) {
+    block(175, `“${text.quote}”`, { font: font.italic, size: 12, color: colors.quote, x: 80, width: W - 160 });
+  }
+
+  block(245, text.presentedTo, { font: font.regular, size: 13, color: colors.text });
+  english(en.presentedTo, { size: 10 });
+
+  // Name
+  block(275, c.student, { font: font.bold, size: 32, color: colors.heading, x: 70, width: W - 140 });
+
+  // Officially certified badge text
+  if (layout.certified) block(320, label("certified"), { font: font.bold, size: 13, color: colors.certified });
+
+  block(350, text.completed, { font: font.regular, size: 12, color: colors.text });
+  english(en.completed, { size: 10 });
+
+  block(375, c.courseTitle, { font: font.bold, size: 22, color: colors.heading, x: 60, width: W - 120 });
+  if (c.courseTitleEn !== c.courseTitle) english(c.courseTitleEn, { size: 14, x: 60, width: W - 120 });
+
+  // Decorative seal (simple premium circle)
+  if (layout.seal) {
+    const sealY = Math.max(470, y + 52);
+    doc.lineWidth(2).strokeColor(colors.seal).circle(W / 2, sealY, 42).stroke();
+    doc.lineWidth(1).strokeColor(colors.borderInner).circle(W / 2, sealY, 34).stroke();
+
+    doc.fillColor(colors.seal).font(font.bold).fontSize(10);
+    doc.text(text.seal, W / 2 - 30, sealY - 4, { width: 60, align: "center" });
+  }
+
+  // ---------------- Footer (ONE PAGE, SAFE LAYOUT) ----------------
+  // One signatory: issue date / id top left, signatory under them, "Authorized by" and the QR
+  // code on the right. Two signatories: both sign side by side, date / id and QR code below.
+  const issuedLine = `${label("issuedOn")}: ${issuedOn}`;
+  const idLine = `${label("certificateId")}: ${certificateId}`;
+  const [leftSigner, rightSigner] = c.signatories;
+
+  // Safety padding from bottom border so nothing gets cut
+  const pad = 22;
+  const safeBottom = 60; // increase if your border is thicker
+  const contentBottom = H - pad - safeBottom;
+
+  // Layout widths
+  const leftX = 70;
+  const leftBlockW = 240;
+  const rightBlockW = 220;
+  const rightX = W - leftX - rightBlockW;
+
+  const qrSize = 92;
+  // signature images fit in a box this high, right above the signature line
+  const sigH = images.signatures.some(Boolean) ? 50 : 0;
+
+  // Text sizes (keep consistent)
+  const infoFont = 10;
+  const labelFont = 10;
+  const titleFont = 9;
+  const smallFont = 8;
+  const tinyFont = 7;
+
+  // ---------------- Measure dynamic heights ----------------
+  doc.font(font.regular).fontSize(infoFont);
+  const issuedH = doc.heightOfString(issuedLine, { width: leftBlockW });
+  const leftInfoH = issuedH + doc.heightOfString(idLine, { width: leftBlockW });
+
+  // name + title under a signature line
+  const signerH = (s, width) => {
+    if (!s) return 0;
+    doc.font(font.bold).fontSize(labelFont);
+    const nameH = doc.heightOfString(s.name, { width, align: "center" });
+    doc.font(font.regular).fontSize(titleFont);
+    return nameH + 4 + (s.title ? doc.heightOfString(s.title, { width, align: "center" }) : 0);
+  };
+  const signersH = Math.max(signerH(leftSigner, leftBlockW), signerH(rightSigner, rightBlockW));
+
+  doc.font(font.bold).fontSize(labelFont);
+  const authorizedH = doc.heightOfString(label("authorizedBy"), { width: rightBlockW, align: "center" });
+  const rightAuthH = authorizedH + doc.heightOfString(label("programTeam"), { width: rightBlockW, align: "center" });
+
+  doc.font(font.regular).fontSize(smallFont);
+  const scanLabelH = doc.heightOfString(label("scan"), { width: rightBlockW, align: "center" });
+
+  // verify URL: under the footer, or under date / id (two signatories)
+  const urlWidth = rightSigner ? leftBlockW : W - 240;
+  doc.font(font.regular).fontSize(tinyFont);
+  const verifyLineH = doc.heightOfString(verifyUrl, { width: urlWidth, align: "left" });
+
+  // ---------------- Total footer height ----------------
+  const qrBlockH = qrSize + 6 + scanLabelH;
+  const footerH = rightSigner
+    ? sigH + 10 + signersH + 12 + Math.max(qrBlockH, leftInfoH + 6 + verifyLineH)
+    : leftInfoH + 16 + sigH + 10 + signersH + 10 + qrBlockH + 2 + verifyLineH;
+
+  // Anchor footer so it always stays inside the page
+  const footerTopY = Math.max(560, contentBottom - footerH); // 560 prevents it going too high
+
+  // Relative positions
+  const lineY = rightSigner ? footerTopY + sigH : footerTopY + leftInfoH + 16 + sigH;
+  const signerTextY = lineY + 10;
+  const rightTextY = footerTopY + 10;
+  const qrY = rightSigner
+    ? signerTextY + signersH + 12
+    : Math.max(lineY + 10, rightTextY + rightAuthH + 12);
+  const infoY = rightSigner ? qrY : footerTopY;
+
+  // ---------------- Left info (Issued + ID) ----------------
+  doc.fillColor(colors.text).font(font.regular).fontSize(infoFont);
+  doc.text(issuedLine, leftX, infoY, { width: leftBlockW });
+  doc.text(idLine, leftX, infoY + issuedH, { width: leftBlockW });
+
+  // ---------------- Signature lines + signatories ----------------
+  doc.strokeColor(colors.line).lineWidth(1);
+  if (leftSigner) doc.moveTo(leftX, lineY).lineTo(leftX + leftBlockW, lineY).stroke();
+  doc.moveTo(rightX, lineY).lineTo(rightX + rightBlockW, lineY).stroke();
+
+  const drawSigner = (s, image, x, width) => {
+    if (!s) return;
+    if (image) {
+      doc.save();
+      doc.opacity(1); // ensure watermark didn’t lower opacity
+      doc.image(image, x + 10, lineY - sigH - 2, { fit: [width - 20, sigH], align: "center", valign: "bottom" });
+      doc.restore();
+    }
+    doc.fillColor(colors.heading).font(font.bold).fontSize(labelFont);
+    doc.text(s.name, x, signerTextY, { width, align: "center" });
+    if (s.title) {
+      doc.fillColor(colors.muted).font(font.regular).fontSize(titleFont);
+      doc.text(s.title, x, doc.y + 4, { width, align: "center" });
+    }
+  };
+  drawSigner(leftSigner, images.signatures[0], leftX, leftBlockW);
+
+  if (rightSigner) {
+    drawSigner(rightSigner, images.signatures[1], rightX, rightBlockW);
+  } else {
+    doc.fillColor(colors.heading).font(font.bold).fontSize(labelFont);
+    doc.text(label("authorizedBy"), rightX, rightTextY, { width: rightBlockW, align: "center" });
+    doc.text(label("programTeam"), rightX, rightTextY + authorizedH, { width: rightBlockW, align: "center" });
+  }
+
+  // ---------------- QR Code (bottom right, not overlapping line/text) ----------------
+  doc.image(images.qr, rightX + (rightBlockW - qrSize) / 2, qrY, { width: qrSize });
+
+  doc.fillColor(colors.muted).font(font.regular).fontSize(smallFont);
+  doc.text(label("scan"), rightX, qrY + qrSize + 6, { width: rightBlockW, align: "center" });
+
+  // Tiny verify URL
+  const urlY = rightSigner ? infoY + leftInfoH + 6 : qrY + qrSize + 6;
+  doc.fillColor(colors.link).font(font.regular).fontSize(tinyFont);
+  doc.text(verifyUrl, rightSigner ? leftX : 60, urlY, { width: urlWidth, align: "left" });
+}
+
+/**
+ * Streams a certificate PDF to `res`.
+ * template: resolved template; lang / bilingual: wording; student: name as printed;
+ * courseTitles: text map; filename: without extension (the language is appended).
+ * Images and the QR code are loaded before anything is sent, so errors still get a JSON answer.
+ */
+async function sendCertificatePdf(res, {
+  template, lang, bilingual = false, student, courseTitles, courseId,
+  issuedAt, certificateId, verifyUrl, filename
+}) {
+  const content = certificateContent({ template, lang, bilingual, student, courseTitles, courseId });
+  const [logo, ...signatures] = await Promise.all([
+    template.logo ? readTemplateImage(template.logo) : null,
+    ...content.signatories.map((s) => (s.signature ? readTemplateImage(s.signature) : null))
+  ]);
+  const qr = await QRCode.toBuffer(verifyUrl, { type: "png" });
+
+  const { text, en } = content;
+  res.setHeader("Content-Type", "application/pdf");
+  res.setHeader(
+    "Content-Disposition",
+    `inline; filename="${filename}${text.locale === DEFAULT_LOCALE ? "" : `-${text.locale}`}.pdf"`
+  );
+
+  // ✅ One-page PDF (no auto page breaks from margins)
+  const doc = new PDFDocument({ size: "A4", margin: 0 });
+  doc.pipe(res);
+
+  // Helvetica, or an embedded font when a text needs another script (Ge'ez names, Tigrinya wording)
+  const font = certificateFonts(doc, [
+    ...Object.values(text),
+    ...(content.bilingual ? Object.values(en) : []),
+    student,
+    content.courseTitle,
+    content.bilingual ? content.courseTitleEn : "",
+    ...content.signatories.flatMap((s) => [s.name, s.title])
+  ]);
+
+  drawCertificate(doc, {
+    template,
+    content,
+    font,
+    issuedOn: certificateDate(issuedAt, text.dateLocale),
+    certificateId,
+    verifyUrl,
+    images: { logo, signatures, qr }
+  });
+  doc.end();
+}
+
+module.exports = { sendCertificatePdf };
@@ -0,0 +1,192 @@
+// backend/utils/certificate_templates.js
+// Certificate templates: the look of a certificate PDF (utils/certificate_pdf.js), stored in
+// certificate_templates.config and chosen per course (courses.certificate_template_id).
+// A course without a template uses the default template (is_default), else BUILTIN_TEMPLATE.
+//
+// config (every part optional; missing parts come from BUILTIN_TEMPLATE):
+//   colors       { background, border, borderInner, heading, text, muted, quote, certified, seal,
+//                  watermark, link, line }                                   "#rrggbb"
+//   layout       { border: "double" | "single" | "none", watermark, quote, seal, certified }  (booleans: shown)
+//   texts        { heading: { en, ti }, org: {...}, ... }  replaces the built-in wording per language
+//                (keys: utils/certificate_text.js TEXT_KEYS)
+//   logo         image ref or null, drawn above the heading
+//   signatories  up to 2 × { name, title: { en, ti }, signature: image ref or null }; the first signs
+//                on the left, the second on the right (else "Authorized by / Program Team" is shown)
+// image ref: { key } - an upload in utils/storage.js (cert-....png / .jpg, POST
+//            /api/admin/certificate-templates/images), or { asset } - a file in backend/assets
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { z } = require("zod");
+const { query } = require("../db_pg");
+const { CERT_TEXT, TEXT_KEYS } = require("./certificate_text");
+const { cleanTextMap } = require("./locales");
+const { getStorage } = require("./storage");
+
+const ASSET_DIR = path.join(__dirname, "..", "assets");
+
+// PDFKit draws PNG and JPEG only
+const IMAGE_TYPES = { "image/png": "png", "image/jpeg": "jpg" };
+const MAX_IMAGE_BYTES = 2 * 1024 * 1024;
+const IMAGE_KEY_RE = /^cert-[a-f0-9]{16}\.(png|jpg)$/;
+const ASSET_RE = /^[a-z0-9][a-z0-9_-]*\.(png|jpe?g)$/;
+
+const MAX_SIGNATORIES = 2;
+
+const BUILTIN_TEMPLATE = {
+  colors: {
+    background: "#fbfbff",
+    border: "#c8a24a",
+    borderInner: "#e7d39b",
+    heading: "#111827",
+    text: "#374151",
+    muted: "#6b7280",
+    quote: "#1f4b99",
+    certified: "#0f766e",
+    seal: "#c8a24a",
+    watermark: "#d9dde6",
+    link: "#1f4b99",
+    line: "#cbd5e1"
+  },
+  layout: { border: "double", watermark: true, quote: true, seal: true, certified: true },
+  texts: {},
+  logo: null,
+  signatories: [
+    {
+      name: "Michael Afewerki",
+      title: Object.fromEntries(Object.entries(CERT_TEXT).map(([code, t]) => [code, t.founderTitle])),
+      // drop a transparent PNG with this name into backend/assets to show the founder's signature
+      signature: { asset: "founder-signature-transparent.png" }
+    }
+  ]
+};
+
+const COLOR_KEYS = Object.keys(BUILTIN_TEMPLATE.colors);
+
+const colorSchema = z.string().regex(/^#[0-9a-fA-F]{6}$/, "colors must look like #1f4b99");
+const imageRefSchema = z.union([
+  z.object({ key: z.string().regex(IMAGE_KEY_RE, "unknown image") }).strict(),
+  z.object({ asset: z.string().regex(ASSET_RE, "unknown asset") }).strict()
+]).nullable();
+const textMap = z.record(z.string().max(300)).transform((m) => cleanTextMap(m));
+
+const configSchema = z.object({
+  colors: z.object(Object.fromEntries(COLOR_KEYS.map((k) => [k, colorSchema.optional()]))).strict().optional(),
+  layout: z.object({
+    border: z.enum(["double", "single", "none"]).optional(),
+    watermark: z.boolean().optional(),
+    quote: z.boolean().optional(),
+    seal: z.boolean().optional(),
+    certified: z.boolean().optional()
+  }).strict().optional(),
+  texts: z.object(Object.fromEntries(TEXT_KEYS.map((k) => [k, textMap.optional()]))).strict().optional(),
+  logo: imageRefSchema.optional(),
+  signatories: z.array(z.object({
+    name: z.string().trim().min(1, "signatory name is required").max(120),
+    title: textMap.optional().default({}),
+    signature: imageRefSchema.optional().default(null)
+  })).max(MAX_SIGNATORIES, `at most ${MAX_SIGNATORIES} signatories`).optional()
+}).strict();
+
+const templateSchema = z.object({
+  name: z.string().trim().min(1, "name is required").max(120),
+  isDefault: z.boolean().optional().default(false),
+  config: configSchema.default({})
+});
+
+function parseJson(v) {
+  if (!v) return {};
+  if (typeof v === "object") return v;
+  try {
+    return JSON.parse(v);
+  } catch {
+    return {};
+  }
+}
+
+/** A stored / edited config with every missing part taken from BUILTIN_TEMPLATE */
+function resolveTemplate(config) {
+  const c = parseJson(config);
+  return {
+    colors: { ...BUILTIN_TEMPLATE.colors, ...(c.colors || {}) },
+    layout: { ...BUILTIN_TEMPLATE.layout, ...(c.layout || {}) },
+    texts: { ...(c.texts || {}) },
+    logo: c.logo !== undefined ? c.logo : BUILTIN_TEMPLATE.logo,
+    signatories: Array.isArray(c.signatories) ? c.signatories.slice(0, MAX_SIGNATORIES) : BUILTIN_TEMPLATE.signatories
+  };
+}
+
+/** Resolved template of a course: its own, else the default one, else the built-in look */
+async function courseTemplate(courseId) {
+  const r = await query(
+    `SELECT t.config
+       FROM certificate_templates t
+      WHERE t.id = (SELECT certificate_template_id FROM courses WHERE id = $1)
+         OR t.is_default
+      ORDER BY t.is_default ASC
+      LIMIT 1`,
+    [courseId]
+  );
+  return resolveTemplate(r.rows[0]?.config);
+}
+
+/* ---------------------------
+   IMAGES
+---------------------------- */
+
+function imageError(message, status = 400) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+/** Checks an uploaded logo / signature and stores it; returns its image ref */
+async function storeTemplateImage(buf, declaredType) {
+  if (!Buffer.isBuffer(buf) || !buf.length) throw imageError("Empty upload");
+  const contentType = String(declaredType || "").split(";")[0].trim().toLowerCase();
+  const ext = IMAGE_TYPES[contentType];
+  if (!ext) throw imageError("Only PNG and JPEG images can be used on certificates", 415);
+  const isPng = buf[0] === 0x89 && buf.toString("latin1", 1, 4) === "PNG";
+  const isJpeg = buf[0] === 0xff && buf[1] === 0xd8 && buf[2] === 0xff;
+  if ((ext === "png" && !isPng) || (ext === "jpg" && !isJpeg)) {
+    throw imageError("The file content does not match its type", 415);
+  }
+  if (buf.length > MAX_IMAGE_BYTES) throw imageError(`Images can be at most ${MAX_IMAGE_BYTES / 1024 / 1024} MB`, 413);
+
+  const key = `cert-${crypto.randomBytes(8).toString("hex")}.${ext}`;
+  await getStorage().put(key, buf, { contentType });
+  return { key };
+}
+
+/** Bytes of an image ref, or null when it is missing (a certificate is still drawn without it) */
+async function readTemplateImage(ref) {
+  try {
+    if (ref?.asset && ASSET_RE.test(ref.asset)) {
+      const file = path.join(ASSET_DIR, ref.asset);
+      return fs.existsSync(file) ? await fs.promises.readFile(file) : null;
+    }
+    if (ref?.key && IMAGE_KEY_RE.test(ref.key)) {
+      const storage = getStorage();
+      if (storage.filePath) return await fs.promises.readFile(storage.filePath(ref.key));
+      const r = await fetch(storage.url(ref.key));
+      return r.ok ? Buffer.from(await r.arrayBuffer()) : null;
+    }
+  } catch (e) {
+    console.error("CERT TEMPLATE IMAGE ERROR:", e.message);
+  }
+  return null;
+}
+
+module.exports = {
+  BUILTIN_TEMPLATE,
+  COLOR_KEYS,
+  MAX_SIGNATORIES,
+  MAX_IMAGE_BYTES,
+  configSchema,
+  templateSchema,
+  resolveTemplate,
+  courseTemplate,
+  storeTemplateImage,
+  readTemplateImage
+};
@@ -0,0 +1,111 @@
+// backend/utils/certificate_text.js
+// Certificate wording per language and the fonts that can draw it (PDF: utils/certificate_pdf.js).
+//
+// A language without wording here gets the wording of its fallback chain (utils/locales.js),
+// so ?lang=am prints the Tigrinya certificate when LOCALE_FALLBACKS=am:ti, else the English one.
+// Certificate templates (utils/certificate_templates.js) can replace any of these texts per language.
+// The built-in PDF font (Helvetica) has Latin letters only: when any text on the certificate
+// (wording, student name, course title) uses another script, the bundled font for it is
+// embedded instead (assets/fonts, SIL Open Font License).
+
+const fs = require("fs");
+const path = require("path");
+const { DEFAULT_LOCALE, ETHIOPIC_RE, fallbackChain } = require("./locales");
+
+const CERT_TEXT = {
+  en: {
+    dateLocale: "en-US",
+    heading: "Certificate of Completion",
+    org: "Eritrean Success Journey",
+    quote: "Education builds the future — success is earned one lesson at a time.",
+    presentedTo: "This certificate is proudly presented to",
+    certified: "OFFICIALLY CERTIFIED",
+    completed: "for successfully completing the course:",
+    seal: "CERTIFIED",
+    watermark: "ERITREAN SUCCESS JOURNEY",
+    issuedOn: "Issued on",
+    certificateId: "Certificate ID",
+    founderTitle: "Founder, Eritrean Success Journey",
+    authorizedBy: "Authorized by",
+    programTeam: "Program Team",
+    scan: "Scan to verify"
+  },
+  ti: {
+    dateLocale: "ti-ER",
+    heading: "ምስክር ወረቐት ምዝዛም",
+    org: "ጉዕዞ ዓወት ኤርትራ",
+    quote: "ትምህርቲ መጻኢ ይሃንጽ — ዓወት ሓደ ትምህርቲ ብሓደ ትምህርቲ ይርከብ።",
+    presentedTo: "እዚ ምስክር ወረቐት ብኽብሪ ይወሃብ ን",
+    certified: "ወግዓዊ ምስክርነት",
+    completed: "ነዚ ዝስዕብ ኮርስ ብዓወት ስለ ዝዛዘመ፡",
+    seal: "ተረጋጊጹ",
+    watermark: "ጉዕዞ ዓወት ኤርትራ",
+    issuedOn: "ዝተዋህበሉ ዕለት",
+    certificateId: "ቁጽሪ ምስክር ወረቐት",
+    founderTitle: "መስራቲ፡ ጉዕዞ ዓወት ኤርትራ",
+    authorizedBy: "ብፍቓድ",
+    programTeam: "ጉጅለ መደብ",
+    scan: "ንምርግጋጽ ስካን ግበሩ"
+  }
+};
+
+const FONT_DIR = path.join(__dirname, "..", "assets", "fonts");
+
+// Helvetica is built into every PDF reader; the others are embedded when their script is used
+const LATIN_FONTS = { regular: "Helvetica", bold: "Helvetica-Bold", italic: "Helvetica-Oblique" };
+const BUNDLED_FONTS = [
+  {
+    script: ETHIOPIC_RE,
+    regular: path.join(FONT_DIR, "NotoSansEthiopic-Regular.ttf"),
+    bold: path.join(FONT_DIR, "NotoSansEthiopic-Bold.ttf")
+  }
+];
+
+// texts a template may replace
+const TEXT_KEYS = Object.keys(CERT_TEXT.en).filter((k) => k !== "dateLocale");
+
+/**
+ * Wording for `locale` (first language of its fallback chain that has one), with its locale.
+ * overrides: { heading: { en, ti }, ... } from a template; only the chosen language's own
+ * text is used, so a certificate never mixes languages.
+ */
+function certificateText(locale, overrides = {}) {
+  const code = fallbackChain(locale).find((c) => CERT_TEXT[c]) || DEFAULT_LOCALE;
+  const text = { locale: code, ...CERT_TEXT[code] };
+  for (const key of TEXT_KEYS) {
+    const v = overrides?.[key]?.[code];
+    if (typeof v === "string" && v.trim()) text[key] = v.trim();
+  }
+  return text;
+}
+
+/**
+ * Font names for a PDFKit document that can draw every string in `texts`
+ * ({ regular, bold, italic }; bundled fonts are registered on `doc` and have no italic).
+ */
+function certificateFonts(doc, texts) {
+  const all = texts.filter(Boolean).join(" ");
+  const font = BUNDLED_FONTS.find((f) => f.script.test(all));
+  if (!font) return LATIN_FONTS;
+
+  if (!fs.existsSync(font.regular) || !fs.existsSync(font.bold)) {
+    console.warn(`Certificate font missing (${path.basename(font.regular)}), falling back to Helvetica`);
+    return LATIN_FONTS;
+  }
+  doc.registerFont("cert-regular", font.regular);
+  doc.registerFont("cert-bold", font.bold);
+  return { regular: "cert-regular", bold: "cert-bold", italic: "cert-regular" };
+}
+
+/** Date as written in the certificate's language ("March 5, 2026", "መጋቢት 5, 2026") */
+function certificateDate(d, dateLocale = CERT_TEXT.en.dateLocale) {
+  const dt = new Date(d);
+  if (Number.isNaN(dt.getTime())) return "";
+  try {
+    return dt.toLocaleDateString(dateLocale, { year: "numeric", month: "long", day: "numeric" });
+  } catch {
+    return dt.toLocaleDateString(CERT_TEXT.en.dateLocale, { year: "numeric", month: "long", day: "numeric" });
+  }
+}
+
+module.exports = { CERT_TEXT, TEXT_KEYS, certificateText, certificateFonts, certificateDate };
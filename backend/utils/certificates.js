@@ -0,0 +1,269 @@
+// backend/utils/certificates.js
+// Public verification of certificates.
+//
+// Every certificate has a random public token (certificates.public_token, set by the database):
+// QR codes and verify links use it, never the sequential id, so certificates can't be enumerated.
+// At issue time the certified data is frozen in certificates.signed_data and signed with
+// HMAC-SHA256 (CERT_SIGNING_SECRET); verification recomputes the signature, so a verify page
+// can show that the name, course and date were not changed afterwards.
+// Certificates issued before signing existed are signed by migrate_pg.js (signUnsignedCertificates),
+// so loading and verifying a certificate never writes.
+//
+// Status (not signed, it changes after issue):
+//   active      - the student's current certificate
+//   revoked     - withdrawn by an admin (revoked_reason: REVOKE_REASONS)
+//   superseded  - replaced by a reissued certificate (superseded_by), e.g. to correct the name
+// Only active certificates verify as valid.
+
+const crypto = require("crypto");
+const { pool, query } = require("../db_pg");
+
+const SIGNATURE_ALGORITHM = "HMAC-SHA256";
+const SIGNATURE_PREFIX = "hmac-sha256:";
+
+// the database default is 32 hex characters; anything that isn't 22..64 base64url characters
+// is rejected before querying
+const TOKEN_RE = /^[A-Za-z0-9_-]{22,64}$/;
+
+const REVOKE_REASONS = {
+  cheating: "Academic dishonesty",
+  issued_in_error: "Issued in error",
+  other: "Other"
+};
+
+// local development only: anyone can sign with it
+const DEV_SIGNING_SECRET = "dev-cert-signing-secret";
+
+let warnedSecret = false;
+
+/**
+ * CERT_SIGNING_SECRET. It is never shared with the session secret; production refuses to sign
+ * without it (server.js checks at startup).
+ */
+function signingSecret() {
+  const secret = process.env.CERT_SIGNING_SECRET;
+  if (secret) return secret;
+  if (process.env.NODE_ENV === "production") {
+    throw new Error("CERT_SIGNING_SECRET must be set in production");
+  }
+  if (!warnedSecret) {
+    console.warn("CERT_SIGNING_SECRET is not set: certificates are signed with a development key");
+    warnedSecret = true;
+  }
+  return DEV_SIGNING_SECRET;
+}
+
+/** JSON with object keys sorted, so the signature doesn't depend on key order (jsonb reorders keys) */
+function canonical(v) {
+  if (Array.isArray(v)) return `[${v.map(canonical).join(",")}]`;
+  if (v && typeof v === "object") {
+    return `{${Object.keys(v).sort().map((k) => `${JSON.stringify(k)}:${canonical(v[k])}`).join(",")}}`;
+  }
+  return JSON.stringify(v ?? null);
+}
+
+function sign(data) {
+  const mac = crypto.createHmac("sha256", signingSecret()).update(canonical(data)).digest("base64url");
+  return `${SIGNATURE_PREFIX}${mac}`;
+}
+
+function signatureMatches(data, signature) {
+  if (!data || typeof signature !== "string") return false;
+  const expected = Buffer.from(sign(data));
+  const given = Buffer.from(signature);
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+}
+
+/** The data a certificate certifies (what verify pages show) */
+function certifiedData({ token, courseId, courseTitle, student, issuedAt }) {
+  return {
+    v: 1,
+    token,
+    courseId,
+    courseTitle,
+    student,
+    issuedAt: new Date(issuedAt).toISOString()
+  };
+}
+
+const CERT_COLUMNS = `c.id, c.user_id, c.course_id, c.issued_at, c.public_token, c.signed_data, c.signature,
+       c.student_name, c.issued_by, c.revoked_at, c.revoked_reason, c.revoked_note, c.revoked_by,
+       c.superseded_at, c.superseded_by,
+       (SELECT n.public_token FROM certificates n WHERE n.id = c.superseded_by) AS superseded_by_token,
+       u.name AS user_name, u.email AS user_email, co.title->>'en' AS course_title`;
+
+/** Freezes and signs the data of a certificate row that has no signature yet (issue time, backfill) */
+async function signCertificate(row) {
+  const data = certifiedData({
+    token: row.public_token,
+    courseId: row.course_id,
+    courseTitle: row.course_title || row.course_id,
+    student: row.student_name || row.user_name || "Student",
+    issuedAt: row.issued_at
+  });
+  const signature = sign(data);
+  // a concurrent request may have signed it first: keep whichever was stored
+  const r = await query(
+    `UPDATE certificates SET signed_data = COALESCE(signed_data, $2::jsonb), signature = COALESCE(signature, $3)
+      WHERE id = $1
+      RETURNING signed_data, signature`,
+    [row.id, JSON.stringify(data), signature]
+  );
+  return { ...row, ...r.rows[0] };
+}
+
+async function loadCertificate(where, params) {
+  const r = await query(
+    `SELECT ${CERT_COLUMNS}
+       FROM certificates c
+       LEFT JOIN users u ON u.id = c.user_id
+       LEFT JOIN courses co ON co.id = c.course_id
+      WHERE ${where}
+      LIMIT 1`,
+    params
+  );
+  return r.rows[0] || null;
+}
+
+/** Certificate by id (null when missing) */
+function loadCertificateById(id) {
+  return loadCertificate("c.id = $1", [id]);
+}
+
+/** Certificate by id, signed now if it was just issued (null when missing) */
+async function loadSignedCertificateById(id) {
+  const row = await loadCertificateById(id);
+  return row && !row.signature ? signCertificate(row) : row;
+}
+
+/** Certificate by public token (null when missing or not a token) */
+function loadCertificateByToken(token) {
+  if (!TOKEN_RE.test(String(token || ""))) return null;
+  return loadCertificate("c.public_token = $1", [token]);
+}
+
+/** Signs every certificate that has no signature yet (migrate_pg.js); returns how many */
+async function signUnsignedCertificates() {
+  const r = await query(
+    `SELECT ${CERT_COLUMNS}
+       FROM certificates c
+       LEFT JOIN users u ON u.id = c.user_id
+       LEFT JOIN courses co ON co.id = c.course_id
+      WHERE c.signature IS NULL
+      ORDER BY c.id`
+  );
+  for (const row of r.rows) await signCertificate(row);
+  return r.rows.length;
+}
+
+function certificateStatus(row) {
+  if (row.superseded_at) return "superseded";
+  if (row.revoked_at) return "revoked";
+  return "active";
+}
+
+/**
+ * Public verification result. intact: the stored data carries a correct signature and belongs
+ * to this certificate; valid: intact and still active. Only the signed data is shown, not the
+ * current account (nor the admin's revocation note).
+ */
+function verificationResult(row) {
+  const data = row.signed_data || {};
+  const signatureValid = signatureMatches(row.signed_data, row.signature);
+  const intact = signatureValid && data.token === row.public_token && data.courseId === row.course_id;
+  const status = certificateStatus(row);
+  return {
+    valid: intact && status === "active",
+    intact,
+    signatureValid,
+    status,
+    revokedAt: row.revoked_at || null,
+    revokedReason: row.revoked_at ? REVOKE_REASONS[row.revoked_reason] || REVOKE_REASONS.other : null,
+    supersededAt: row.superseded_at || null,
+    replacementToken: row.superseded_by_token || null,
+    token: row.public_token,
+    student: data.student ?? null,
+    courseId: data.courseId ?? row.course_id,
+    courseTitle: data.courseTitle ?? null,
+    issuedAt: data.issuedAt ?? null,
+    signed: { algorithm: SIGNATURE_ALGORITHM, data: row.signed_data, signature: row.signature }
+  };
+}
+
+function statusError(message, status) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+/** Revokes an active certificate (throws 404 / 409 via err.status) */
+async function revokeCertificate({ id, reason, note = null, adminId }) {
+  const r = await query(
+    `UPDATE certificates
+        SET revoked_at = NOW(), revoked_reason = $2, revoked_note = $3, revoked_by = $4
+      WHERE id = $1 AND revoked_at IS NULL AND superseded_at IS NULL
+      RETURNING id`,
+    [id, reason, note, adminId]
+  );
+  if (r.rows.length) return loadCertificateById(id);
+
+  const cur = await query("SELECT superseded_at FROM certificates WHERE id = $1", [id]);
+  if (!cur.rows.length) throw statusError("Certificate not found", 404);
+  throw statusError(cur.rows[0].superseded_at ? "Certificate was already reissued" : "Certificate is already revoked", 409);
+}
+
+/**
+ * Replaces the current certificate (revoked or not) with a new, signed one: new token and issue
+ * date, `name` on it (default: the account name). The old one verifies as superseded.
+ */
+async function reissueCertificate({ id, name = null, adminId }) {
+  const client = await pool.connect();
+  let newId;
+  try {
+    await client.query("BEGIN");
+    const cur = await client.query(
+      "SELECT id, user_id, course_id, superseded_at FROM certificates WHERE id = $1 FOR UPDATE",
+      [id]
+    );
+    if (!cur.rows.length) throw statusError("Certificate not found", 404);
+    const old = cur.rows[0];
+    if (old.superseded_at) throw statusError("Certificate was already reissued; reissue the current one", 409);
+
+    // free the "current" slot (idx_certificates_current) before inserting the replacement
+    await client.query("UPDATE certificates SET superseded_at = NOW() WHERE id = $1", [id]);
+    const ins = await client.query(
+      `INSERT INTO certificates (user_id, course_id, student_name, issued_by)
+       VALUES ($1, $2, $3, $4)
+       RETURNING id`,
+      [old.user_id, old.course_id, name, adminId]
+    );
+    newId = ins.rows[0].id;
+    await client.query("UPDATE certificates SET superseded_by = $2 WHERE id = $1", [id, newId]);
+    await client.query("COMMIT");
+  } catch (e) {
+    await client.query("ROLLBACK").catch(() => {});
+    throw e;
+  } finally {
+    client.release();
+  }
+  return loadSignedCertificateById(newId);
+}
+
+module.exports = {
+  TOKEN_RE,
+  REVOKE_REASONS,
+  signingSecret,
+  SIGNATURE_ALGORITHM,
+  canonical,
+  sign,
+  signatureMatches,
+  certifiedData,
+  loadCertificateById,
+  loadSignedCertificateById,
+  loadCertificateByToken,
+  signUnsignedCertificates,
+  certificateStatus,
+  verificationResult,
+  revokeCertificate,
+  reissueCertificate
+};
@@ -0,0 +1,38 @@
+// backend/utils/courses.js
+// Course lookups shared by routes (course ids live in the `courses` table, not in code).
+
+const { query } = require("../db_pg");
+
+// lowercase slug: "foundation", "level-4", "math_basics"
+const COURSE_ID_RE = /^[a-z0-9][a-z0-9_-]{1,39}$/;
+
+function normalizeCourseId(v) {
+  return String(v || "").trim().toLowerCase();
+}
+
+function isValidCourseId(v) {
+  return COURSE_ID_RE.test(String(v || ""));
+}
+
+/**
+ * Load a course row by id.
+ * publishedOnly: hide unpublished / archived courses (student-facing routes).
+ * Returns the row or null.
+ */
+async function findCourse(courseId, { publishedOnly = false } = {}) {
+  const id = normalizeCourseId(courseId);
+  if (!isValidCourseId(id)) return null;
+
+  const r = await query(
+    `SELECT id, title, intro, sort_order, published, archived_at
+       FROM courses
+      WHERE id=$1`,
+    [id]
+  );
+  const row = r.rows[0] || null;
+  if (!row) return null;
+  if (publishedOnly && (!row.published || row.archived_at)) return null;
+  return row;
+}
+
+module.exports = { COURSE_ID_RE, normalizeCourseId, isValidCourseId, findCourse };
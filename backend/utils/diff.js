@@ -0,0 +1,57 @@
+// backend/utils/diff.js
+// Line diff for admin revision views (lesson history).
+//
+// diffLines(a, b) -> [{ op: "same" | "del" | "add", text }]
+// Classic LCS table; very large inputs fall back to "everything removed, everything added".
+
+const MAX_CELLS = 4_000_000;
+
+function splitLines(s) {
+  const text = String(s ?? "").replace(/\r\n/g, "\n");
+  return text === "" ? [] : text.split("\n");
+}
+
+function diffLines(a, b) {
+  const x = splitLines(a);
+  const y = splitLines(b);
+
+  if (x.length * y.length > MAX_CELLS) {
+    return [
+      ...x.map((text) => ({ op: "del", text })),
+      ...y.map((text) => ({ op: "add", text }))
+    ];
+  }
+
+  // lcs[i][j] = LCS length of x[i..] and y[j..]
+  const lcs = Array.from({ length: x.length + 1 }, () => new Uint32Array(y.length + 1));
+  for (let i = x.length - 1; i >= 0; i--) {
+    for (let j = y.length - 1; j >= 0; j--) {
+      lcs[i][j] = x[i] === y[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const out = [];
+  let i = 0;
+  let j = 0;
+  while (i < x.length && j < y.length) {
+    if (x[i] === y[j]) {
+      out.push({ op: "same", text: x[i] });
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      out.push({ op: "del", text: x[i++] });
+    } else {
+      out.push({ op: "add", text: y[j++] });
+    }
+  }
+  while (i < x.length) out.push({ op: "del", text: x[i++] });
+  while (j < y.length) out.push({ op: "add", text: y[j++] });
+  return out;
+}
+
+/** True when the diff has any change */
+function hasChanges(ops) {
+  return ops.some((o) => o.op !== "same");
+}
+
+module.exports = { diffLines, hasChanges };
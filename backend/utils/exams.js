@@ -0,0 +1,550 @@
+// backend/utils/exams.js
+// Exam definition helpers shared by student and admin exam routes.
+//
+// An attempt is a list of "items" drawn when the student opens the exam:
+//   { qid, rev, optionOrder } - question from the course question bank (exam_questions), in the
+//                               version it was drawn in (rev: exam_question_revisions id)
+//   { qi,  optionOrder }      - question i of the fixed exam_defs JSON (no bank / no blueprint)
+// optionOrder[shown] = original index in the question's shuffled list (options / order items /
+// match right side), so answers can be mapped back for grading (utils/grading.js).
+//
+// Exam definitions are versioned: exam_defs holds the current (draft) revision (revision_id),
+// every save adds an immutable exam_def_revisions row, and sessions/attempts keep their revision
+// id so "qi" items are always resolved against the questions they were drawn from. Students get
+// exam_defs.published_revision_id (loadPublishedExamDef). Bank questions are versioned the same
+// way: every content edit adds an exam_question_revisions row (saveQuestionRevision) and "qid"
+// items keep the revision they were drawn in (items from before that fall back to the current one).
+// Students draw exam_questions.published_revision_id, admin previews the drafts (loadQuestionPool).
+//
+// Questions come in every language of the exam (def.exams / exam_questions.question, keyed by
+// locale): English is graded, translations are shown instead when they fit it (localizedQuestion).
+
+const crypto = require("crypto");
+const { query } = require("../db_pg");
+const {
+  shuffleLength,
+  mustShuffle,
+  scrambledOrder,
+  translationFits,
+  validateQuestions,
+  publicQuestion
+} = require("./grading");
+const { DEFAULT_LOCALE, LOCALE_CATALOG, pickLocalized } = require("./locales");
+
+function safeJsonParse(str, fallback = null) {
+  try {
+    if (str && typeof str === "object") return str; // already JSON (pg jsonb)
+    return JSON.parse(str);
+  } catch {
+    return fallback;
+  }
+}
+
+// What a student may see after submitting (exam_defs.review_policy)
+const REVIEW_POLICIES = ["score_only", "correctness", "full", "full_after_pass"];
+
+// Which attempt decides pass/fail and the certificate (exam_defs.score_policy)
+const SCORE_POLICIES = ["latest", "best"];
+
+// Used when a course has no exam_defs row yet
+const DEFAULT_ATTEMPT_POLICY = {
+  max_attempts: 3,
+  cooldown_minutes: 0,
+  time_limit_minutes: null,
+  score_policy: "latest"
+};
+
+/**
+ * Blueprint: how to draw an attempt from the question bank.
+ * { count, minPerLesson, minPerTopic: { topic: n }, shuffleOptions }
+ * Returns null when there is no usable blueprint (fixed exam is used).
+ */
+function normalizeBlueprint(raw) {
+  const b = safeJsonParse(raw, null);
+  if (!b || typeof b !== "object") return null;
+
+  const count = Number(b.count);
+  if (!Number.isInteger(count) || count < 1) return null;
+
+  const minPerTopic = {};
+  for (const [topic, n] of Object.entries(b.minPerTopic || {})) {
+    if (Number.isInteger(n) && n > 0) minPerTopic[String(topic)] = n;
+  }
+
+  return {
+    count,
+    minPerLesson: Number.isInteger(b.minPerLesson) && b.minPerLesson > 0 ? b.minPerLesson : 0,
+    minPerTopic,
+    shuffleOptions: b.shuffleOptions !== false
+  };
+}
+
+const DEF_COLUMNS = `pass_score, exam_json, review_policy, blueprint,
+  max_attempts, cooldown_minutes, time_limit_minutes, score_policy`;
+
+/**
+ * exam_json / admin input -> { locale: { questions: [...] } }: known locales only,
+ * English always present, translations without questions left out.
+ */
+function examsFromJson(raw) {
+  const map = safeJsonParse(raw, null);
+  const exams = { [DEFAULT_LOCALE]: { questions: [] } };
+  for (const [locale, exam] of Object.entries(map && typeof map === "object" ? map : {})) {
+    const questions = safeJsonParse(exam, null)?.questions;
+    if (!LOCALE_CATALOG[locale] || !Array.isArray(questions)) continue;
+    if (questions.length || locale === DEFAULT_LOCALE) exams[locale] = { questions };
+  }
+  return exams;
+}
+
+/** Check the English questions and every translation against them. Returns an error message or null. */
+function validateExams(exams) {
+  const en = examQuestions({ exams });
+  const err = validateQuestions(en);
+  if (err) return err;
+  for (const [locale, exam] of Object.entries(exams)) {
+    if (locale === DEFAULT_LOCALE) continue;
+    const trErr = validateQuestions(en, { translations: exam.questions });
+    if (trErr) return `(${locale}) ${trErr}`;
+  }
+  return null;
+}
+
+/** Questions of a definition in one language (English = the graded ones) */
+function examQuestions(def, locale = DEFAULT_LOCALE) {
+  return def?.exams?.[locale]?.questions || [];
+}
+
+function examDefFromRow(row) {
+  return {
+    revision_id: row.revision_id ?? null,
+    pass_score: row.pass_score,
+    review_policy: REVIEW_POLICIES.includes(row.review_policy) ? row.review_policy : "correctness",
+    blueprint: normalizeBlueprint(row.blueprint),
+    max_attempts: row.max_attempts ?? null,
+    cooldown_minutes: row.cooldown_minutes || 0,
+    time_limit_minutes: row.time_limit_minutes || null,
+    score_policy: SCORE_POLICIES.includes(row.score_policy) ? row.score_policy : "latest",
+    exams: examsFromJson(row.exam_json)
+  };
+}
+
+/** Current exam definition of a course (revision_id = its exam_def_revisions row) */
+async function loadExamDef(courseId) {
+  const r = await query(
+    `SELECT revision_id, ${DEF_COLUMNS}
+     FROM exam_defs
+     WHERE course_id = $1`,
+    [courseId]
+  );
+  return r.rows.length ? examDefFromRow(r.rows[0]) : null;
+}
+
+/**
+ * The exam students take: the course's published revision (utils/publishing.js).
+ * null until an exam has been published.
+ */
+async function loadPublishedExamDef(courseId) {
+  const r = await query("SELECT published_revision_id FROM exam_defs WHERE course_id = $1", [courseId]);
+  return loadExamRevision(r.rows[0]?.published_revision_id ?? null);
+}
+
+/** One stored revision, in the same shape as loadExamDef (+ course_id, created_at, created_by) */
+async function loadExamRevision(revisionId) {
+  if (revisionId == null) return null;
+  const r = await query(
+    `SELECT id AS revision_id, course_id, created_at, created_by, restored_from, ${DEF_COLUMNS}
+     FROM exam_def_revisions
+     WHERE id = $1`,
+    [revisionId]
+  );
+  if (!r.rows.length) return null;
+  const row = r.rows[0];
+  return {
+    ...examDefFromRow(row),
+    course_id: row.course_id,
+    created_at: row.created_at,
+    created_by: row.created_by,
+    restored_from: row.restored_from
+  };
+}
+
+/**
+ * The definition an attempt was drawn from / graded against.
+ * Falls back to the current definition for attempts from before revisions existed.
+ */
+async function examDefForRevision(def, revisionId) {
+  if (revisionId == null || revisionId === def?.revision_id) return def;
+  return (await loadExamRevision(revisionId)) || def;
+}
+
+/**
+ * Store a new immutable revision and make it the course's current exam (exam_defs).
+ * db: the pool helper or a transaction client (anything with .query).
+ * Returns the new revision id.
+ */
+async function saveExamRevision(db, courseId, def, { adminId = null, restoredFrom = null } = {}) {
+  const values = [
+    courseId,
+    def.pass_score,
+    JSON.stringify(def.exams || {}),
+    def.review_policy,
+    def.blueprint ? JSON.stringify(def.blueprint) : null,
+    def.max_attempts ?? null,
+    def.cooldown_minutes || 0,
+    def.time_limit_minutes ?? null,
+    def.score_policy
+  ];
+
+  const rev = await db.query(
+    `INSERT INTO exam_def_revisions
+       (course_id, pass_score, exam_json, review_policy, blueprint,
+        max_attempts, cooldown_minutes, time_limit_minutes, score_policy, restored_from, created_by)
+     VALUES ($1,$2,$3::jsonb,$4,$5::jsonb,$6,$7,$8,$9,$10,$11)
+     RETURNING id`,
+    [...values, restoredFrom, adminId]
+  );
+  const revisionId = rev.rows[0].id;
+
+  await db.query(
+    `INSERT INTO exam_defs
+       (course_id, pass_score, exam_json, review_policy, blueprint,
+        max_attempts, cooldown_minutes, time_limit_minutes, score_policy, revision_id)
+     VALUES ($1,$2,$3::jsonb,$4,$5::jsonb,$6,$7,$8,$9,$10)
+     ON CONFLICT (course_id) DO UPDATE SET
+       pass_score=EXCLUDED.pass_score,
+       exam_json=EXCLUDED.exam_json,
+       review_policy=EXCLUDED.review_policy,
+       blueprint=EXCLUDED.blueprint,
+       max_attempts=EXCLUDED.max_attempts,
+       cooldown_minutes=EXCLUDED.cooldown_minutes,
+       time_limit_minutes=EXCLUDED.time_limit_minutes,
+       score_policy=EXCLUDED.score_policy,
+       revision_id=EXCLUDED.revision_id`,
+    [...values, revisionId]
+  );
+
+  return revisionId;
+}
+
+/**
+ * Store a bank question's content as a new immutable revision and make it the question's
+ * current content (exam_questions.question / revision_id).
+ * db: the pool helper or a transaction client (anything with .query). Returns the revision id.
+ */
+async function saveQuestionRevision(db, questionId, question, { adminId = null } = {}) {
+  const rev = await db.query(
+    `INSERT INTO exam_question_revisions (question_id, question, created_by)
+     VALUES ($1, $2::jsonb, $3)
+     RETURNING id`,
+    [questionId, JSON.stringify(question), adminId]
+  );
+  const revisionId = rev.rows[0].id;
+  await db.query(
+    "UPDATE exam_questions SET question = $2::jsonb, revision_id = $3, updated_at = NOW() WHERE id = $1",
+    [questionId, JSON.stringify(question), revisionId]
+  );
+  return revisionId;
+}
+
+/**
+ * Question bank rows for a course (inactive ones too, so old attempts can still be graded).
+ * question / revision_id: the draft content, or with `published` what students draw (questions
+ * that were never published are left out).
+ */
+async function loadQuestionPool(courseId, { published = false } = {}) {
+  const revisionColumn = published ? "published_revision_id" : "revision_id";
+  const r = await query(
+    `SELECT q.id, q.lesson_index, q.topic, q.active, r.id AS revision_id, r.question
+     FROM exam_questions q
+     JOIN exam_question_revisions r ON r.id = q.${revisionColumn}
+     WHERE q.course_id = $1
+     ORDER BY q.id`,
+    [courseId]
+  );
+  return r.rows;
+}
+
+function shuffle(list) {
+  const a = list.slice();
+  for (let i = a.length - 1; i > 0; i--) {
+    const j = crypto.randomInt(i + 1);
+    [a[i], a[j]] = [a[j], a[i]];
+  }
+  return a;
+}
+
+function optionOrderFor(q, shuffleOptions) {
+  const n = shuffleLength(q);
+  if (mustShuffle(q)) return scrambledOrder(n, crypto.randomInt);
+  const ids = Array.from({ length: n }, (_, i) => i);
+  return shuffleOptions ? shuffle(ids) : ids;
+}
+
+/**
+ * Random draw honouring the blueprint minimums, then topped up to `count`.
+ * Minimums that the bank cannot satisfy are filled as far as possible.
+ */
+function drawFromPool(pool, blueprint) {
+  const available = shuffle(pool.filter((row) => row.active));
+  const picked = new Set();
+
+  const takeMatching = (match, n) => {
+    for (const row of available) {
+      if (n <= 0 || picked.size >= blueprint.count) break;
+      if (!picked.has(row.id) && match(row)) {
+        picked.add(row.id);
+        n--;
+      }
+    }
+  };
+
+  if (blueprint.minPerLesson) {
+    const lessons = [...new Set(available.map((row) => row.lesson_index).filter((x) => x != null))];
+    for (const li of shuffle(lessons)) takeMatching((row) => row.lesson_index === li, blueprint.minPerLesson);
+  }
+  for (const [topic, n] of Object.entries(blueprint.minPerTopic)) {
+    const already = available.filter((row) => picked.has(row.id) && row.topic === topic).length;
+    takeMatching((row) => row.topic === topic, n - already);
+  }
+  takeMatching(() => true, blueprint.count - picked.size);
+
+  return shuffle(available.filter((row) => picked.has(row.id)));
+}
+
+/**
+ * Build the items of a new attempt.
+ * Uses the question bank when the exam has a blueprint and active bank questions,
+ * otherwise all questions of the fixed exam JSON (in random order).
+ */
+function drawAttemptItems(def, pool) {
+  const bp = def.blueprint;
+
+  if (bp && pool.some((row) => row.active)) {
+    return drawFromPool(pool, bp).map((row) => ({
+      qid: row.id,
+      rev: row.revision_id,
+      optionOrder: optionOrderFor(row.question?.[DEFAULT_LOCALE], bp.shuffleOptions)
+    }));
+  }
+
+  const questions = examQuestions(def);
+  return shuffle(questions.map((q, qi) => ({ qi, optionOrder: optionOrderFor(q, false) })));
+}
+
+/**
+ * Content of the bank question revisions that `items` were drawn in and `poolById` doesn't hold
+ * (the question was edited since): Map revision id -> question, for resolveItem.
+ */
+async function loadItemRevisions(items, poolById) {
+  const ids = [...new Set(
+    (items || [])
+      .filter((item) => item?.rev != null && poolById.get(item.qid)?.revision_id !== item.rev)
+      .map((item) => item.rev)
+  )];
+  if (!ids.length) return new Map();
+  const r = await query("SELECT id, question FROM exam_question_revisions WHERE id = ANY($1::int[])", [ids]);
+  return new Map(r.rows.map((row) => [row.id, row.question]));
+}
+
+/** The bank question of an item as it was drawn (current content for items without a revision) */
+function bankQuestion(item, poolById, revisions) {
+  const row = poolById.get(item.qid);
+  if (item.rev == null || row?.revision_id === item.rev) return row?.question;
+  return revisions?.get(item.rev);
+}
+
+/**
+ * Look up the question behind an item in every language.
+ * revisions: loadItemRevisions() of the items, for bank questions edited since they were drawn.
+ * Returns { en (graded), byLocale: { locale: question } } or null when the question
+ * no longer exists / no longer fits the item.
+ */
+function resolveItem(item, def, poolById, revisions = null) {
+  let byLocale = {};
+  if (item.qid != null) {
+    byLocale = { ...(bankQuestion(item, poolById, revisions) || {}) };
+  } else {
+    for (const [locale, exam] of Object.entries(def.exams || {})) {
+      if (exam.questions?.[item.qi]) byLocale[locale] = exam.questions[item.qi];
+    }
+  }
+
+  const en = byLocale[DEFAULT_LOCALE];
+  if (!en || typeof en !== "object") return null;
+  if ((item.optionOrder || []).length !== shuffleLength(en)) return null;
+  return { en, byLocale };
+}
+
+/**
+ * The question to show a student in `locale`: the first translation along the locale's
+ * fallback chain that fits the English question (same type and list lengths), else English.
+ */
+function localizedQuestion({ en, byLocale }, locale) {
+  const picked = pickLocalized(byLocale, locale, (q) => q === en || translationFits(en, q));
+  return picked && picked.value !== en ? { ...picked.value, type: en.type } : en;
+}
+
+/** Student view of a started attempt (NO answer keys) */
+function attemptPayload({ courseId, def, lang, session, resolved }) {
+  // EN is the grading source of truth; translations are parallel to it (fallback chain, then EN)
+  const questions = resolved.map((r, i) => publicQuestion(localizedQuestion(r, lang), session.items[i].optionOrder));
+
+  return {
+    courseId,
+    started: true,
+    attemptId: session.id,
+    passScore: def.pass_score,
+    reviewPolicy: def.review_policy,
+    timeLimitMinutes: def.time_limit_minutes,
+    startedAt: session.started_at,
+    deadlineAt: session.deadline_at,
+    serverNow: new Date(),
+    savedAnswers: Array.isArray(session.saved_answers) ? session.saved_answers : null,
+    exam: { questions }
+  };
+}
+
+// Submissions this long after the deadline still count as on time (slow networks)
+const LATE_GRACE_SECONDS = 30;
+
+/** A timed session whose deadline (+ LATE_GRACE_SECONDS) has passed */
+function isPastDeadline(session, now = Date.now()) {
+  if (!session.deadline_at) return false;
+  return now > new Date(session.deadline_at).getTime() + LATE_GRACE_SECONDS * 1000;
+}
+
+/**
+ * What a submit grades: the posted answers, or once the session is past its deadline the ones
+ * autosaved before it (the attempt is then late). Returns { late, answers }.
+ */
+function submissionAnswers(session, posted, now = Date.now()) {
+  const late = isPastDeadline(session, now);
+  return { late, answers: late ? session.saved_answers : posted };
+}
+
+/**
+ * Attempt state of one student for one exam, following the exam's attempt policy.
+ * Voided (reset) attempts are ignored; grants since the last reset add to max_attempts.
+ * Returns { attemptCount, maxAttempts (null = unlimited), extraAttempts, remainingAttempts,
+ *           nextAttemptAt, canAttempt, blockedReason, counted, latest, scorePolicy, ... }
+ */
+async function attemptSummary({ userId, courseId, def }) {
+  const attemptsR = await query(
+    `SELECT id, score, passed, created_at, updated_at
+     FROM exam_attempts
+     WHERE user_id = $1 AND course_id = $2 AND voided_at IS NULL
+     ORDER BY created_at DESC NULLS LAST, id DESC`,
+    [userId, courseId]
+  );
+  const attempts = attemptsR.rows;
+
+  const grantR = await query(
+    `SELECT COALESCE(SUM(extra_attempts), 0)::int AS extra
+     FROM exam_attempt_adjustments
+     WHERE user_id = $1 AND course_id = $2 AND kind = 'grant'
+       AND created_at > COALESCE((
+         SELECT MAX(created_at) FROM exam_attempt_adjustments
+         WHERE user_id = $1 AND course_id = $2 AND kind = 'reset'
+       ), '-infinity'::timestamp)`,
+    [userId, courseId]
+  );
+  const extraAttempts = grantR.rows[0]?.extra ?? 0;
+
+  return attemptAllowance({ attempts, extraAttempts, def });
+}
+
+/**
+ * attemptSummary() from the counted attempts (newest first) and the extra attempts granted.
+ * def null = DEFAULT_ATTEMPT_POLICY.
+ */
+function attemptAllowance({ attempts, extraAttempts = 0, def, now = new Date() }) {
+  const policy = def || DEFAULT_ATTEMPT_POLICY;
+
+  const latest = attempts[0] || null;
+  const best = attempts.reduce((b, a) => (!b || a.score > b.score ? a : b), null);
+  const counted = policy.score_policy === "best" ? best : latest;
+
+  const maxAttempts = policy.max_attempts == null ? null : policy.max_attempts + extraAttempts;
+  const attemptCount = attempts.length;
+  const remainingAttempts = maxAttempts == null ? null : Math.max(0, maxAttempts - attemptCount);
+
+  const cooldownMs = (policy.cooldown_minutes || 0) * 60 * 1000;
+  const cooldownUntil = latest && cooldownMs ? new Date(new Date(latest.created_at).getTime() + cooldownMs) : null;
+  const nextAttemptAt = cooldownUntil && cooldownUntil > now ? cooldownUntil : null;
+
+  let blockedReason = null;
+  if (remainingAttempts === 0) blockedReason = "max_attempts";
+  else if (nextAttemptAt) blockedReason = "cooldown";
+
+  return {
+    attemptCount,
+    maxAttempts,
+    baseMaxAttempts: policy.max_attempts ?? null,
+    extraAttempts,
+    remainingAttempts,
+    cooldownMinutes: policy.cooldown_minutes || 0,
+    timeLimitMinutes: policy.time_limit_minutes || null,
+    scorePolicy: policy.score_policy,
+    nextAttemptAt,
+    canAttempt: !blockedReason,
+    blockedReason,
+    counted,
+    latest
+  };
+}
+
+/** 403 body for a blocked student, matching attemptSummary().blockedReason */
+function attemptBlockedError(summary) {
+  return {
+    error: summary.blockedReason === "cooldown"
+      ? "Please wait before your next attempt"
+      : "Maximum attempts reached",
+    attemptCount: summary.attemptCount,
+    maxAttempts: summary.maxAttempts,
+    nextAttemptAt: summary.nextAttemptAt
+  };
+}
+
+/** Trim graded results down to what the review policy allows */
+function reviewResults(results, policy, passed) {
+  const full = policy === "full" || (policy === "full_after_pass" && passed);
+  if (policy === "score_only") return [];
+  return results.map((r) => (
+    full
+      ? { index: r.index, picked: r.picked, correct: r.correct, isCorrect: r.isCorrect, credit: r.credit, explanation: r.explanation }
+      : { index: r.index, picked: r.picked, isCorrect: r.isCorrect, credit: r.credit }
+  ));
+}
+
+module.exports = {
+  REVIEW_POLICIES,
+  SCORE_POLICIES,
+  DEFAULT_ATTEMPT_POLICY,
+  safeJsonParse,
+  normalizeBlueprint,
+  DEF_COLUMNS,
+  examsFromJson,
+  examQuestions,
+  validateExams,
+  examDefFromRow,
+  loadExamDef,
+  loadPublishedExamDef,
+  loadExamRevision,
+  examDefForRevision,
+  saveExamRevision,
+  saveQuestionRevision,
+  loadQuestionPool,
+  drawAttemptItems,
+  loadItemRevisions,
+  resolveItem,
+  localizedQuestion,
+  attemptPayload,
+  LATE_GRACE_SECONDS,
+  isPastDeadline,
+  submissionAnswers,
+  attemptSummary,
+  attemptAllowance,
+  attemptBlockedError,
+  reviewResults
+};
@@ -0,0 +1,360 @@
+// backend/utils/grading.js
+// Server-side grading for lesson quizzes and final exams.
+//
+// Question shapes (type defaults to "single"):
+//   single    { text, options: string[], correctIndex }
+//   multi     { type, text, options: string[], correctIndexes: number[] }
+//   truefalse { type, text, answer: boolean, explanation? }
+//   short     { type, text, accepted: string[] }
+//   order     { type, text, items: string[] }                  (items in the correct order)
+//   match     { type, text, pairs: [{ left, right }] }         (each left matches its own right)
+//
+// "order" is a per-attempt permutation of the shuffled list (options / items / match right side):
+// order[shown] = original index. Answers come in shown positions and are mapped back here.
+// All types score 0..1 credit; multi/order/match give partial credit.
+
+const crypto = require("crypto");
+
+const QUESTION_TYPES = ["single", "multi", "truefalse", "short", "order", "match"];
+
+function arr(v) {
+  return Array.isArray(v) ? v : [];
+}
+
+function identity(n) {
+  return Array.from({ length: n }, (_, i) => i);
+}
+
+function questionType(q) {
+  return QUESTION_TYPES.includes(q?.type) ? q.type : "single";
+}
+
+/** Length of the list that may be shuffled per attempt (0 = nothing to shuffle) */
+function shuffleLength(q) {
+  switch (questionType(q)) {
+    case "single":
+    case "multi":
+      return arr(q.options).length;
+    case "order":
+      return arr(q.items).length;
+    case "match":
+      return arr(q.pairs).length;
+    default:
+      return 0;
+  }
+}
+
+/** Order/match questions give the answer away unless shown shuffled */
+function mustShuffle(q) {
+  const type = questionType(q);
+  return type === "order" || type === "match";
+}
+
+/** Fisher-Yates with the given randomInt(max); never returns the identity for n > 1 */
+function scrambledOrder(n, randomInt) {
+  const a = identity(n);
+  for (let i = a.length - 1; i > 0; i--) {
+    const j = randomInt(i + 1);
+    [a[i], a[j]] = [a[j], a[i]];
+  }
+  if (n > 1 && a.every((v, i) => v === i)) a.push(a.shift());
+  return a;
+}
+
+/**
+ * Lesson quizzes have no server-side attempt, so order/match questions use a
+ * permutation derived from the question itself (same on GET and on submit).
+ */
+function stableOrder(q) {
+  const n = shuffleLength(q);
+  if (!mustShuffle(q)) return identity(n);
+
+  const seed = crypto.createHash("sha256").update(JSON.stringify(q)).digest();
+  let counter = 0;
+  const randomInt = (max) => {
+    const h = crypto.createHash("sha256").update(seed).update(String(counter++)).digest();
+    return h.readUInt32BE(0) % max;
+  };
+  return scrambledOrder(n, randomInt);
+}
+
+/** Student-safe question (no answer keys), lists reordered by `order` */
+function publicQuestion(q, order) {
+  const type = questionType(q);
+  const perm = Array.isArray(order) ? order : identity(shuffleLength(q));
+  const pick = (list) => perm.map((oi) => list[oi] ?? "");
+  const base = { type, text: q?.text || "" };
+
+  switch (type) {
+    case "single":
+    case "multi":
+      return { ...base, options: pick(arr(q.options)) };
+    case "order":
+      return { ...base, items: pick(arr(q.items)) };
+    case "match":
+      return {
+        ...base,
+        left: arr(q.pairs).map((p) => p?.left || ""),
+        right: pick(arr(q.pairs).map((p) => p?.right || ""))
+      };
+    default:
+      return base;
+  }
+}
+
+// Ethiopic homophone series that are spelled interchangeably in everyday
+// Tigrinya/Amharic: ሐ/ኀ -> ሀ, ሠ -> ሰ, ዐ -> አ, ፀ -> ጸ  ([from, to, series length])
+const ETHIOPIC_HOMOPHONES = [
+  [0x1210, 0x1200, 8],
+  [0x1280, 0x1200, 7],
+  [0x1220, 0x1230, 8],
+  [0x12d0, 0x12a0, 7],
+  [0x1340, 0x1338, 8]
+];
+
+function foldEthiopic(ch) {
+  const c = ch.codePointAt(0);
+  for (const [from, to, len] of ETHIOPIC_HOMOPHONES) {
+    if (c >= from && c < from + len) return String.fromCodePoint(to + (c - from));
+  }
+  return ch;
+}
+
+/**
+ * Comparable form of a short answer (Ge'ez and Latin script):
+ * case, accents, apostrophes (Ge'ez = Geez), Ethiopic/Latin punctuation, spacing and Ethiopic homophones.
+ */
+function normalizeAnswerText(s) {
+  const out = String(s ?? "")
+    .normalize("NFD")
+    .replace(/\p{M}/gu, "") // Latin accents (Ethiopic syllables do not decompose)
+    .toLowerCase()
+    .replace(/['’ʼ‘`´]/g, "")
+    .replace(/[\u1361-\u1368]/g, " ") // Ethiopic word space, full stop, comma, ...
+    .replace(/[^\p{L}\p{N}\s]/gu, " ");
+  return Array.from(out, foldEthiopic).join("").replace(/\s+/g, " ").trim();
+}
+
+/**
+ * Grade one answer given in shown positions.
+ * Returns { picked, correct, pickedOriginal, isCorrect, credit (0..1), explanation? }
+ * picked/correct are in shown positions (what the student saw).
+ */
+function gradeQuestion(q, answer, order) {
+  const type = questionType(q);
+  const perm = Array.isArray(order) ? order : identity(shuffleLength(q));
+  const n = perm.length;
+  const validShown = (x) => Number.isInteger(x) && x >= 0 && x < n;
+  const toOriginal = (shown) => (validShown(shown) ? perm[shown] : -1);
+  const toShown = (orig) => perm.indexOf(orig);
+
+  switch (type) {
+    case "multi": {
+      const picked = [...new Set(arr(answer).filter(validShown))].sort((a, b) => a - b);
+      const pickedOriginal = picked.map(toOriginal);
+      const key = new Set(arr(q.correctIndexes));
+      const hits = pickedOriginal.filter((oi) => key.has(oi)).length;
+      const wrong = pickedOriginal.length - hits;
+      const credit = key.size ? Math.max(0, (hits - wrong) / key.size) : 0;
+      return {
+        picked,
+        correct: [...key].map(toShown).sort((a, b) => a - b),
+        pickedOriginal,
+        isCorrect: hits === key.size && wrong === 0,
+        credit
+      };
+    }
+
+    case "truefalse": {
+      const picked = typeof answer === "boolean" ? answer : null;
+      const correct = q.answer === true;
+      const isCorrect = picked === correct;
+      return {
+        picked,
+        correct,
+        pickedOriginal: picked,
+        isCorrect,
+        credit: isCorrect ? 1 : 0,
+        explanation: q.explanation || ""
+      };
+    }
+
+    case "short": {
+      const picked = String(answer ?? "").trim().slice(0, 200);
+      const given = normalizeAnswerText(picked);
+      const accepted = arr(q.accepted);
+      const isCorrect = !!given && accepted.some((a) => normalizeAnswerText(a) === given);
+      return { picked, correct: accepted[0] ?? "", pickedOriginal: picked, isCorrect, credit: isCorrect ? 1 : 0 };
+    }
+
+    case "order": {
+      // answer = shown item positions in the order the student put them
+      const picked = identity(n).map((pos) => (validShown(arr(answer)[pos]) ? answer[pos] : -1));
+      const pickedOriginal = picked.map(toOriginal);
+      const inPlace = pickedOriginal.filter((oi, pos) => oi === pos).length;
+      return {
+        picked,
+        correct: identity(n).map(toShown),
+        pickedOriginal,
+        isCorrect: n > 0 && inPlace === n,
+        credit: n ? inPlace / n : 0
+      };
+    }
+
+    case "match": {
+      // answer[leftIndex] = shown position of the chosen right side
+      const picked = identity(n).map((li) => (validShown(arr(answer)[li]) ? answer[li] : -1));
+      const pickedOriginal = picked.map(toOriginal);
+      const hits = pickedOriginal.filter((oi, li) => oi === li).length;
+      return {
+        picked,
+        correct: identity(n).map(toShown),
+        pickedOriginal,
+        isCorrect: n > 0 && hits === n,
+        credit: n ? hits / n : 0
+      };
+    }
+
+    default: {
+      const picked = validShown(answer) ? answer : -1;
+      const pickedOriginal = toOriginal(picked);
+      const isCorrect = pickedOriginal !== -1 && pickedOriginal === q.correctIndex;
+      return { picked, correct: toShown(q.correctIndex), pickedOriginal, isCorrect, credit: isCorrect ? 1 : 0 };
+    }
+  }
+}
+
+/**
+ * Grade a whole question list against answers in the same order.
+ * `orders[i]` is the permutation question i was shown with (identity when omitted).
+ * Returns { score (0..100), results: [{ index, picked, correct, pickedOriginal, isCorrect, credit, ... }] }
+ */
+function gradeQuestions(questions, answers, orders = []) {
+  const list = Array.isArray(questions) ? questions : [];
+  const given = Array.isArray(answers) ? answers : [];
+
+  let total = 0;
+  const results = list.map((q, i) => {
+    const r = gradeQuestion(q, given[i], orders[i]);
+    total += r.credit;
+    return { index: i, ...r };
+  });
+
+  const score = list.length ? Math.round((total / list.length) * 100) : 0;
+  return { score, results };
+}
+
+/** Short-answer questions also accept the answers listed in the translation */
+function withTranslatedAnswers(q, tr) {
+  if (questionType(q) !== "short" || !tr) return q;
+  return { ...q, accepted: [...arr(q.accepted), ...arr(tr.accepted)] };
+}
+
+/** Can `tr` be shown instead of `q` (same type and same list lengths)? */
+function translationFits(q, tr) {
+  if (!tr || typeof tr !== "object" || !String(tr.text || "").trim()) return false;
+  const type = questionType(q);
+  const trType = tr.type ? questionType(tr) : type;
+  if (trType !== type) return false;
+  return shuffleLength({ ...tr, type }) === shuffleLength(q);
+}
+
+function nonEmptyStrings(list) {
+  return Array.isArray(list) && list.every((s) => typeof s === "string" && s.trim());
+}
+
+/**
+ * Validate a question for saving. Returns an error message or null.
+ * With { original } q is a translation: only its student-visible parts are checked against the original.
+ */
+function validateQuestion(q, { original } = {}) {
+  if (!q || typeof q !== "object") return "question must be an object";
+  if (q.type !== undefined && !QUESTION_TYPES.includes(q.type)) {
+    return `type must be one of: ${QUESTION_TYPES.join(", ")}`;
+  }
+  if (!String(q.text || "").trim()) return "text is required";
+
+  if (original) {
+    return translationFits(original, q) ? null : "translation must match the English question (type and number of options/items)";
+  }
+
+  switch (questionType(q)) {
+    case "single":
+    case "multi": {
+      if (!nonEmptyStrings(q.options) || q.options.length < 2) return "options needs at least 2 non-empty strings";
+      if (q.type === "multi") {
+        const key = arr(q.correctIndexes);
+        if (!key.length) return "correctIndexes needs at least one option";
+        if (!key.every((i) => Number.isInteger(i) && i >= 0 && i < q.options.length)) {
+          return "correctIndexes has an out-of-range index";
+        }
+        return null;
+      }
+      const ci = q.correctIndex;
+      return Number.isInteger(ci) && ci >= 0 && ci < q.options.length ? null : "correctIndex is out of range";
+    }
+    case "truefalse":
+      return typeof q.answer === "boolean" ? null : "answer must be true or false";
+    case "short":
+      return nonEmptyStrings(q.accepted) && q.accepted.length ? null : "accepted needs at least one answer";
+    case "order":
+      return nonEmptyStrings(q.items) && q.items.length >= 2 ? null : "items needs at least 2 non-empty strings";
+    case "match":
+      return Array.isArray(q.pairs) && q.pairs.length >= 2 && q.pairs.every((p) => p && String(p.left || "").trim() && String(p.right || "").trim())
+        ? null
+        : "pairs needs at least 2 { left, right } entries";
+    default:
+      return null;
+  }
+}
+
+/** Validate a list; returns "question N: message" for the first problem, or null */
+function validateQuestions(questions, { translations } = {}) {
+  if (!Array.isArray(questions)) return "questions must be an array";
+  for (let i = 0; i < questions.length; i++) {
+    const err = validateQuestion(questions[i]);
+    if (err) return `question ${i + 1}: ${err}`;
+  }
+  for (let i = 0; i < arr(translations).length; i++) {
+    if (!questions[i]) return `translated question ${i + 1} has no English question`;
+    const err = validateQuestion(translations[i], { original: questions[i] });
+    if (err) return `translated question ${i + 1}: ${err}`;
+  }
+  return null;
+}
+
+/**
+ * Short fingerprint of what an answer to `q` refers to: type, options / items / pairs and the key.
+ * Stored with each exam result (qv) so analytics only break down answers given to the same version.
+ */
+function questionVersion(q) {
+  const parts = [
+    questionType(q),
+    arr(q?.options),
+    arr(q?.items),
+    arr(q?.pairs).map((p) => [p?.left, p?.right]),
+    q?.correctIndex,
+    arr(q?.correctIndexes),
+    q?.answer,
+    arr(q?.accepted)
+  ];
+  return crypto.createHash("sha256").update(JSON.stringify(parts)).digest("hex").slice(0, 12);
+}
+
+module.exports = {
+  QUESTION_TYPES,
+  questionType,
+  questionVersion,
+  shuffleLength,
+  mustShuffle,
+  scrambledOrder,
+  stableOrder,
+  publicQuestion,
+  normalizeAnswerText,
+  gradeQuestion,
+  gradeQuestions,
+  withTranslatedAnswers,
+  translationFits,
+  validateQuestion,
+  validateQuestions
+};
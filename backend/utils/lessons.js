@@ -0,0 +1,162 @@
+// backend/utils/lessons.js
+// Lesson content history and placement shared by the admin lesson routes.
+//
+// Every admin save / restore / bundle import stores a snapshot of the lesson's content in
+// lesson_revisions (kind: "save" | "restore" | "import"). Deleting a lesson only sets
+// lessons.deleted_at (trash, trashLesson).
+//
+// lesson_index is only placement: live lessons of a course are numbered 0..n-1 and renumbered
+// together (placeLesson / reorderLessons) so inserting or moving a lesson never collides.
+// Student data (progress, quiz attempts) is keyed by lessons.id and follows the lesson around.
+
+// Localized text of a lesson: JSONB maps keyed by locale (utils/locales.js)
+const LESSON_TEXT_FIELDS = ["title", "learn", "task"];
+
+// Content that is versioned (lesson_index / course are placement, not content)
+const LESSON_CONTENT_FIELDS = [...LESSON_TEXT_FIELDS, "quiz"];
+
+function sameLessonContent(a, b) {
+  return LESSON_CONTENT_FIELDS.every((f) => JSON.stringify(a?.[f] ?? null) === JSON.stringify(b?.[f] ?? null));
+}
+
+/**
+ * Snapshot a lesson row into lesson_revisions.
+ * db: the pool helper or a transaction client (anything with .query). Returns the revision id.
+ */
+async function recordLessonRevision(db, lesson, { adminId = null, kind = "save", restoredFrom = null } = {}) {
+  const r = await db.query(
+    `INSERT INTO lesson_revisions
+       (lesson_id, course_id, lesson_index, title, learn, task, quiz, kind, restored_from, created_by)
+     VALUES ($1,$2,$3,$4::jsonb,$5::jsonb,$6::jsonb,$7::jsonb,$8,$9,$10)
+     RETURNING id`,
+    [
+      lesson.id,
+      lesson.course_id,
+      lesson.lesson_index,
+      JSON.stringify(lesson.title ?? {}),
+      JSON.stringify(lesson.learn ?? {}),
+      JSON.stringify(lesson.task ?? {}),
+      JSON.stringify(lesson.quiz ?? { questions: [] }),
+      kind,
+      restoredFrom,
+      adminId
+    ]
+  );
+  return r.rows[0].id;
+}
+
+function placementError(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+/**
+ * Renumber the live lessons of a course to 0..n-1 in the order of `ids`, which must list each of
+ * them exactly once. db must be a transaction client. Exam bank questions tagged with a lesson
+ * (exam_questions.lesson_index) move with it. Returns [{ id, lessonIndex }].
+ */
+async function reorderLessons(db, courseId, ids) {
+  const curR = await db.query(
+    `SELECT id, lesson_index FROM lessons
+      WHERE course_id=$1 AND deleted_at IS NULL
+      ORDER BY lesson_index
+      FOR UPDATE`,
+    [courseId]
+  );
+
+  const oldIndex = new Map(curR.rows.map((r) => [r.id, r.lesson_index]));
+  if (ids.length !== oldIndex.size || new Set(ids).size !== ids.length || !ids.every((id) => oldIndex.has(id))) {
+    throw placementError("The list must contain every lesson of the course exactly once");
+  }
+
+  const moved = ids.map((id, i) => ({ id, from: oldIndex.get(id), lessonIndex: i })).filter((m) => m.from !== m.lessonIndex);
+  if (!moved.length) return ids.map((id, i) => ({ id, lessonIndex: i }));
+
+  // two passes: the unique (course_id, lesson_index) index is checked row by row
+  await db.query(
+    "UPDATE lessons SET lesson_index = -1 - lesson_index WHERE id = ANY($1::int[])",
+    [moved.map((m) => m.id)]
+  );
+  await db.query(
+    `UPDATE lessons l SET lesson_index = m.idx
+       FROM UNNEST($1::int[], $2::int[]) AS m(id, idx)
+      WHERE l.id = m.id`,
+    [moved.map((m) => m.id), moved.map((m) => m.lessonIndex)]
+  );
+
+  await db.query(
+    `UPDATE exam_questions q SET lesson_index = m.to_idx
+       FROM UNNEST($2::int[], $3::int[]) AS m(from_idx, to_idx)
+      WHERE q.course_id = $1 AND q.lesson_index = m.from_idx`,
+    [courseId, moved.map((m) => m.from), moved.map((m) => m.lessonIndex)]
+  );
+
+  return ids.map((id, i) => ({ id, lessonIndex: i }));
+}
+
+/**
+ * Put one live lesson at `position` (clamped; null = last) and shift the others around it.
+ * Used when creating, moving or undeleting a lesson. db must be a transaction client.
+ * Returns the lesson's new index.
+ */
+async function placeLesson(db, courseId, lessonId, position = null) {
+  const r = await db.query(
+    "SELECT id FROM lessons WHERE course_id=$1 AND deleted_at IS NULL ORDER BY lesson_index, id FOR UPDATE",
+    [courseId]
+  );
+  const ids = r.rows.map((row) => row.id).filter((id) => id !== lessonId);
+  const at = position == null ? ids.length : Math.max(0, Math.min(Number(position), ids.length));
+  ids.splice(at, 0, lessonId);
+
+  await reorderLessons(db, courseId, ids);
+  return at;
+}
+
+/**
+ * Move a live lesson to the trash and renumber the remaining ones. db must be a transaction
+ * client. Exam bank questions tagged with the trashed lesson lose the tag; otherwise the
+ * renumbering would hand them to the lesson that takes its index. Returns false when the
+ * lesson isn't live.
+ */
+async function trashLesson(db, courseId, lessonId, adminId = null) {
+  const r = await db.query(
+    `UPDATE lessons SET deleted_at=NOW(), deleted_by=$2
+      WHERE id=$1 AND deleted_at IS NULL
+      RETURNING lesson_index`,
+    [lessonId, adminId]
+  );
+  if (!r.rows.length) return false;
+
+  await db.query(
+    "UPDATE exam_questions SET lesson_index = NULL WHERE course_id = $1 AND lesson_index = $2",
+    [courseId, r.rows[0].lesson_index]
+  );
+
+  const liveR = await db.query(
+    "SELECT id FROM lessons WHERE course_id=$1 AND deleted_at IS NULL ORDER BY lesson_index, id",
+    [courseId]
+  );
+  await reorderLessons(db, courseId, liveR.rows.map((row) => row.id));
+  return true;
+}
+
+/** Next free index at the end of a course (where new lessons start before placeLesson) */
+async function nextLessonIndex(db, courseId) {
+  const r = await db.query(
+    "SELECT COALESCE(MAX(lesson_index) + 1, 0)::int AS n FROM lessons WHERE course_id=$1 AND deleted_at IS NULL",
+    [courseId]
+  );
+  return r.rows[0].n;
+}
+
+module.exports = {
+  LESSON_TEXT_FIELDS,
+  LESSON_CONTENT_FIELDS,
+  sameLessonContent,
+  recordLessonRevision,
+  reorderLessons,
+  placeLesson,
+  trashLesson,
+  nextLessonIndex
+};
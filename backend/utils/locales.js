@@ -0,0 +1,177 @@
+// backend/utils/locales.js
+// Languages of the platform and localized text.
+//
+// Localized text is stored as JSONB maps keyed by locale (courses.title, lessons.learn,
+// exam_defs.exam_json, exam_questions.question, ...):
+//   { "en": "Budgeting basics", "ti": "...", "ar": "..." }
+// English is the source language: it is required, and exam questions are graded against it.
+//
+// Configuration (env):
+//   LOCALES=en,ti,ar,am        enabled locales (default en,ti; English is always enabled)
+//   LOCALE_FALLBACKS=am:ti     what to show when a text is missing: am -> ti -> en
+// Without a fallback entry a locale falls back to English directly.
+// Adding a language = one LOCALE_CATALOG entry + listing it in LOCALES.
+
+const { z } = require("zod");
+
+const DEFAULT_LOCALE = "en";
+
+const ETHIOPIC_RE = /[\u1200-\u139F\u2D80-\u2DDF\uAB00-\uAB2F]/;
+
+// script: letters a real translation contains (utils/translation_report.js)
+const LOCALE_CATALOG = {
+  en: { name: "English", nativeName: "English", dir: "ltr", script: null },
+  ti: { name: "Tigrinya", nativeName: "ትግርኛ", dir: "ltr", script: ETHIOPIC_RE },
+  am: { name: "Amharic", nativeName: "አማርኛ", dir: "ltr", script: ETHIOPIC_RE },
+  ar: { name: "Arabic", nativeName: "العربية", dir: "rtl", script: /[\u0600-\u06FF\u0750-\u077F\u08A0-\u08FF]/ }
+};
+
+const LOCALE_CODES = Object.keys(LOCALE_CATALOG);
+
+let config = null;
+
+function loadConfig() {
+  if (config) return config;
+
+  const listed = String(process.env.LOCALES || "en,ti")
+    .split(",")
+    .map((s) => s.trim().toLowerCase())
+    .filter(Boolean);
+  for (const code of listed) {
+    if (!LOCALE_CATALOG[code]) console.warn(`LOCALES: unknown locale "${code}" ignored`);
+  }
+  const enabled = [DEFAULT_LOCALE, ...listed.filter((c) => LOCALE_CATALOG[c] && c !== DEFAULT_LOCALE)];
+
+  const next = {};
+  for (const pair of String(process.env.LOCALE_FALLBACKS || "").split(",")) {
+    const [from, to] = pair.split(":").map((s) => String(s || "").trim().toLowerCase());
+    if (LOCALE_CATALOG[from] && LOCALE_CATALOG[to]) next[from] = to;
+  }
+
+  config = { enabled: [...new Set(enabled)], next };
+  return config;
+}
+
+/** Enabled locale codes, English first */
+function enabledLocales() {
+  return loadConfig().enabled.slice();
+}
+
+function isEnabledLocale(code) {
+  return loadConfig().enabled.includes(code);
+}
+
+/** ?lang= value -> an enabled locale (English when missing / unknown / disabled) */
+function resolveLocale(raw) {
+  const code = String(raw || "").trim().toLowerCase();
+  return isEnabledLocale(code) ? code : DEFAULT_LOCALE;
+}
+
+/** Locales to try for `locale`, in order, always ending with English: "am" -> ["am", "ti", "en"] */
+function fallbackChain(locale) {
+  const { enabled, next } = loadConfig();
+  const chain = [];
+  let code = resolveLocale(locale);
+  while (code && !chain.includes(code)) {
+    if (enabled.includes(code)) chain.push(code);
+    code = next[code];
+  }
+  if (!chain.includes(DEFAULT_LOCALE)) chain.push(DEFAULT_LOCALE);
+  return chain;
+}
+
+/** Public description of a locale (GET /api/locales, admin editors) */
+function localeInfo(code) {
+  const c = LOCALE_CATALOG[code];
+  return c ? { code, name: c.name, nativeName: c.nativeName, dir: c.dir } : null;
+}
+
+/** Letters a real `code` translation contains (null: any text will do) */
+function localeScript(code) {
+  return LOCALE_CATALOG[code]?.script || null;
+}
+
+function asMap(v) {
+  if (typeof v === "string") {
+    try {
+      v = JSON.parse(v);
+    } catch {
+      return {};
+    }
+  }
+  return v && typeof v === "object" && !Array.isArray(v) ? v : {};
+}
+
+/**
+ * First value along the fallback chain of `locale` that `usable` accepts.
+ * Returns { locale, value } or null.
+ */
+function pickLocalized(map, locale, usable = (v) => v != null && v !== "") {
+  const m = asMap(map);
+  for (const code of fallbackChain(locale)) {
+    if (usable(m[code])) return { locale: code, value: m[code] };
+  }
+  return null;
+}
+
+/** Localized string for students: `locale`, else its fallbacks, else "" */
+function localizedText(map, locale) {
+  return pickLocalized(map, locale, (v) => typeof v === "string" && v.trim() !== "")?.value || "";
+}
+
+/**
+ * Clean text map from admin input / bundles: known locales only, `clean` applied, empty
+ * values dropped. Disabled (but known) locales are kept so turning a language off loses nothing.
+ */
+function cleanTextMap(raw, clean = (s) => String(s).trim()) {
+  const out = {};
+  const m = asMap(raw);
+  for (const code of LOCALE_CODES) {
+    if (m[code] == null) continue;
+    const v = clean(m[code]);
+    if (v) out[code] = v;
+  }
+  return out;
+}
+
+/**
+ * Text map of `field` from a request body / old bundle: { title: { en, ti } } or the
+ * per-language keys of the old API ({ title_en, title_ti, title_ar, ... }).
+ */
+function textMapFrom(obj, field) {
+  const o = obj || {};
+  if (o[field] && typeof o[field] === "object") return o[field];
+  const out = {};
+  for (const code of LOCALE_CODES) {
+    if (o[`${field}_${code}`] != null) out[code] = o[`${field}_${code}`];
+  }
+  return out;
+}
+
+/** zod schema for a text map; English is required (at least `min` characters) */
+function textMapSchema({ min = 1, clean } = {}) {
+  return z
+    .record(z.string())
+    .transform((m) => cleanTextMap(m, clean))
+    .refine((m) => (m[DEFAULT_LOCALE] || "").length >= min, {
+      message: `${LOCALE_CATALOG[DEFAULT_LOCALE].name} text is required`
+    });
+}
+
+module.exports = {
+  DEFAULT_LOCALE,
+  ETHIOPIC_RE,
+  LOCALE_CATALOG,
+  LOCALE_CODES,
+  enabledLocales,
+  isEnabledLocale,
+  resolveLocale,
+  fallbackChain,
+  localeInfo,
+  localeScript,
+  pickLocalized,
+  localizedText,
+  cleanTextMap,
+  textMapFrom,
+  textMapSchema
+};
@@ -0,0 +1,68 @@
+// backend/utils/mailer.js
+// Pluggable mail delivery.
+//
+// Pick a transport with MAIL_TRANSPORT:
+//   console (default) - logs recipient and subject only (local dev; the body may hold a reset link)
+//   file              - writes each message as JSON into MAIL_DIR (default ./mail-outbox)
+//
+// A real provider (SMTP, SES, Postmark...) can be added with
+// registerTransport("name", async (message) => { ... }) at startup.
+// Production refuses to start with console or file (server.js checks mailTransport()).
+
+const path = require("path");
+const fs = require("fs");
+
+const transports = {
+  async console(message) {
+    console.log("📧 MAIL (console transport)");
+    console.log("   To:", message.to);
+    console.log("   Subject:", message.subject);
+  },
+
+  async file(message) {
+    const dir = process.env.MAIL_DIR || path.join(__dirname, "..", "mail-outbox");
+    await fs.promises.mkdir(dir, { recursive: true });
+
+    const safeTo = String(message.to).replace(/[^a-z0-9@._-]+/gi, "_");
+    const file = path.join(dir, `${Date.now()}-${safeTo}.json`);
+    await fs.promises.writeFile(file, JSON.stringify(message, null, 2), "utf8");
+    console.log("📧 MAIL written to", file);
+  }
+};
+
+const DEV_TRANSPORTS = ["console", "file"];
+
+function registerTransport(name, fn) {
+  if (typeof fn !== "function") throw new Error("Mail transport must be a function");
+  transports[String(name)] = fn;
+}
+
+/** The configured transport name; production refuses the dev transports and unknown names */
+function mailTransport() {
+  const name = process.env.MAIL_TRANSPORT || "console";
+  if (!transports[name]) throw new Error(`Unknown MAIL_TRANSPORT: ${name}`);
+  if (process.env.NODE_ENV === "production" && DEV_TRANSPORTS.includes(name)) {
+    throw new Error("MAIL_TRANSPORT must name a real mail provider in production");
+  }
+  return name;
+}
+
+/**
+ * Send one message: { to, subject, text, html? }
+ * `from` defaults to MAIL_FROM.
+ */
+async function sendMail({ to, subject, text, html }) {
+  const transport = transports[mailTransport()];
+
+  const message = {
+    from: process.env.MAIL_FROM || "Eritrean Success Journey <no-reply@riseeritrea.com>",
+    to,
+    subject,
+    text,
+    html: html || null
+  };
+
+  await transport(message);
+}
+
+module.exports = { sendMail, registerTransport, mailTransport };
@@ -0,0 +1,182 @@
+// backend/utils/markdown.js
+// Lesson rich text (learn_* / task_*): a small Markdown subset, rendered on the server.
+//
+//   # / ## / ###        headings
+//   - item, 1. item     lists (one level)
+//   **bold**, *em*, `code`, [text](url), ![alt](url)
+//   > quote             blockquote;  > [!NOTE] / [!TIP] / [!WARNING] on the first line: callout
+//   ---                 divider;  a single newline is a line break, a blank line a new paragraph
+//
+// sanitizeMarkdown() runs on admin save / bundle import and strips raw HTML and unsafe links
+// from the stored source (code spans and ``` fenced blocks are kept as written). renderMarkdown() escapes all text itself, so its output is safe to put
+// in innerHTML even for content saved before sanitizing existed.
+
+const CALLOUTS = { NOTE: "ℹ️", TIP: "💡", WARNING: "⚠️" };
+
+// (url) may contain one level of balanced parentheses ("Asmara_(city)"), or be written as (<url>)
+const DESTINATION = String.raw`\(\s*(?:<([^<>\n]+)>|((?:[^()\s]|\([^()\s]*\))+))\s*\)`;
+const IMAGE_RE = new RegExp(String.raw`!\[([^\]\n]*)\]` + DESTINATION, "g");
+const LINK_RE = new RegExp(String.raw`\[([^\]\n]+)\]` + DESTINATION, "g");
+
+function escapeHtml(s) {
+  return String(s).replace(/[&<>"']/g, (m) => ({
+    "&": "&amp;",
+    "<": "&lt;",
+    ">": "&gt;",
+    '"': "&quot;",
+    "'": "&#39;"
+  }[m]));
+}
+
+/**
+ * http(s), mailto, site-relative and #anchor links only. The scheme is checked
+ * with whitespace and control characters removed, as browsers ignore them there.
+ */
+function safeUrl(url) {
+  const u = String(url || "").trim();
+  const probe = u.replace(/[\u0000-\u0020\u007f]/g, "");
+  if (/^(https?:|mailto:)/i.test(probe)) return u;
+  if (/^[a-z][a-z0-9+.-]*:/i.test(probe) || /^[/\\]{2}/.test(probe)) return null;
+  return u;
+}
+
+/* ---------------- sanitize (stored source) ---------------- */
+
+// ``` / ~~~ fenced blocks (to the closing fence or the end) and `code` spans
+const CODE_RE = /^(`{3,}|~{3,}).*$[\s\S]*?(?:^\1.*$|(?![\s\S]))|`[^`\n]+`/gm;
+
+function sanitizeMarkdown(src) {
+  // code may show HTML on purpose: it is held out of the stripping below
+  const code = [];
+  const held = String(src ?? "")
+    .replace(/\r\n?/g, "\n")
+    .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f\u007f]/g, "")
+    .replace(CODE_RE, (m) => `\u0000${code.push(m) - 1}\u0000`);
+
+  return held
+    .replace(/<!--[\s\S]*?(-->|$)/g, "")
+    .replace(/<\/?[a-z][a-z0-9-]*(\s[^>]*)?\/?>/gi, "") // raw HTML is not part of the format
+    .replace(IMAGE_RE, (m, alt, angled, bare) => (safeUrl(angled ?? bare) ? m : alt))
+    .replace(LINK_RE, (m, text, angled, bare) => (safeUrl(angled ?? bare) ? m : text))
+    .replace(/\u0000(\d+)\u0000/g, (m, i) => code[Number(i)])
+    .trim();
+}
+
+/* ---------------- render ---------------- */
+
+function emphasis(escaped) {
+  return escaped
+    .replace(/\*\*(?=\S)(.+?)(?<=\S)\*\*/g, "<strong>$1</strong>")
+    .replace(/__(?=\S)(.+?)(?<=\S)__/g, "<strong>$1</strong>")
+    .replace(/\*(?=\S)(.+?)(?<=\S)\*/g, "<em>$1</em>")
+    .replace(/(^|[^\w])_(?=\S)(.+?)(?<=\S)_(?!\w)/g, "$1<em>$2</em>");
+}
+
+/** One line (or paragraph) of inline Markdown -> HTML */
+function renderInline(text) {
+  // code, images and links become placeholders so emphasis can't reach into them
+  const tokens = [];
+  const hold = (html) => `\u0000${tokens.push(html) - 1}\u0000`;
+
+  const held = String(text)
+    .replace(/\u0000/g, "")
+    .replace(/`([^`\n]+)`/g, (m, code) => hold(`<code>${escapeHtml(code)}</code>`))
+    .replace(IMAGE_RE, (m, alt, angled, bare) => {
+      const src = safeUrl(angled ?? bare);
+      return src ? hold(`<img src="${escapeHtml(src)}" alt="${escapeHtml(alt)}" loading="lazy" />`) : alt;
+    })
+    .replace(LINK_RE, (m, label, angled, bare) => {
+      const href = safeUrl(angled ?? bare);
+      if (!href) return label;
+      const external = /^https?:/i.test(href) ? ` target="_blank" rel="noopener noreferrer"` : "";
+      return hold(`<a href="${escapeHtml(href)}"${external}>${emphasis(escapeHtml(label))}</a>`);
+    });
+
+  // link labels hold placeholders of their own (an image inside a link): replace until none are left
+  let html = emphasis(escapeHtml(held));
+  while (/\u0000\d+\u0000/.test(html)) html = html.replace(/\u0000(\d+)\u0000/g, (m, i) => tokens[Number(i)]);
+  return html;
+}
+
+const LIST_RE = { ul: /^\s*[-*+]\s+(.*)$/, ol: /^\s*\d+[.)]\s+(.*)$/ };
+
+function blockStart(line) {
+  return /^(#{1,3})\s+/.test(line) || /^\s*(-{3,}|\*{3,})\s*$/.test(line) || /^\s*>/.test(line) ||
+    LIST_RE.ul.test(line) || LIST_RE.ol.test(line);
+}
+
+function renderBlocks(lines) {
+  const out = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+
+    if (!line.trim()) {
+      i++;
+      continue;
+    }
+
+    const heading = /^(#{1,3})\s+(.*)$/.exec(line);
+    if (heading) {
+      const tag = `h${heading[1].length + 2}`;
+      out.push(`<${tag}>${renderInline(heading[2].trim())}</${tag}>`);
+      i++;
+      continue;
+    }
+
+    if (/^\s*(-{3,}|\*{3,})\s*$/.test(line)) {
+      out.push("<hr />");
+      i++;
+      continue;
+    }
+
+    if (/^\s*>/.test(line)) {
+      const inner = [];
+      while (i < lines.length && /^\s*>/.test(lines[i])) inner.push(lines[i++].replace(/^\s*>\s?/, ""));
+
+      const callout = /^\[!(NOTE|TIP|WARNING)\]\s*(.*)$/i.exec(inner[0] || "");
+      if (callout) {
+        const kind = callout[1].toUpperCase();
+        if (callout[2]) inner[0] = callout[2];
+        else inner.shift();
+        out.push(
+          `<div class="callout callout-${kind.toLowerCase()}"><span class="calloutIcon">${CALLOUTS[kind]}</span>` +
+          `<div>${renderBlocks(inner)}</div></div>`
+        );
+      } else {
+        out.push(`<blockquote>${renderBlocks(inner)}</blockquote>`);
+      }
+      continue;
+    }
+
+    const listType = LIST_RE.ul.test(line) ? "ul" : LIST_RE.ol.test(line) ? "ol" : null;
+    if (listType) {
+      const items = [];
+      while (i < lines.length && lines[i].trim()) {
+        const item = LIST_RE[listType].exec(lines[i]);
+        if (item) items.push(item[1]);
+        else if (/^\s+/.test(lines[i]) && items.length) items[items.length - 1] += `\n${lines[i].trim()}`;
+        else break;
+        i++;
+      }
+      const lis = items.map((t) => `<li>${t.split("\n").map(renderInline).join("<br />")}</li>`).join("");
+      out.push(`<${listType}>${lis}</${listType}>`);
+      continue;
+    }
+
+    const para = [];
+    while (i < lines.length && lines[i].trim() && (!para.length || !blockStart(lines[i]))) para.push(lines[i++]);
+    out.push(`<p>${para.map((l) => renderInline(l.trim())).join("<br />")}</p>`);
+  }
+
+  return out.join("");
+}
+
+/** Markdown source -> safe HTML (empty string for empty input) */
+function renderMarkdown(src) {
+  const text = String(src ?? "").replace(/\r\n?/g, "\n");
+  return text.trim() ? renderBlocks(text.split("\n")) : "";
+}
+
+module.exports = { sanitizeMarkdown, renderMarkdown, safeUrl };
@@ -0,0 +1,125 @@
+// backend/utils/media.js
+// Lesson media (lesson_media rows + files in utils/storage.js): images for the Learn / Task
+// Markdown and audio narration of the Learn text, attached to a lesson per language.
+// Media is not drafted: uploads and deletes apply to students right away.
+
+const crypto = require("crypto");
+const { query } = require("../db_pg");
+const { mediaUrl } = require("./storage");
+const { fallbackChain } = require("./locales");
+
+// accepted uploads: content type -> kind, extension, size limit
+const MEDIA_TYPES = {
+  "image/png": { kind: "image", ext: "png" },
+  "image/jpeg": { kind: "image", ext: "jpg" },
+  "image/gif": { kind: "image", ext: "gif" },
+  "image/webp": { kind: "image", ext: "webp" },
+  "audio/mpeg": { kind: "audio", ext: "mp3" },
+  "audio/mp4": { kind: "audio", ext: "m4a" },
+  "audio/ogg": { kind: "audio", ext: "ogg" },
+  "audio/webm": { kind: "audio", ext: "webm" },
+  "audio/wav": { kind: "audio", ext: "wav" }
+};
+const MAX_BYTES = { image: 5 * 1024 * 1024, audio: 25 * 1024 * 1024 };
+
+// browsers label some of these differently
+const TYPE_ALIASES = { "audio/mp3": "audio/mpeg", "audio/x-m4a": "audio/mp4", "audio/x-wav": "audio/wav", "audio/wave": "audio/wav" };
+
+function normalizeType(contentType) {
+  const t = String(contentType || "").split(";")[0].trim().toLowerCase();
+  return TYPE_ALIASES[t] || t;
+}
+
+/** Content type from the file's first bytes (null when it is none of MEDIA_TYPES) */
+function sniffType(buf) {
+  const ascii = (from, to) => buf.toString("latin1", from, to);
+  if (buf.length < 12) return null;
+  if (buf[0] === 0x89 && ascii(1, 4) === "PNG") return "image/png";
+  if (buf[0] === 0xff && buf[1] === 0xd8 && buf[2] === 0xff) return "image/jpeg";
+  if (ascii(0, 4) === "GIF8") return "image/gif";
+  if (ascii(0, 4) === "RIFF" && ascii(8, 12) === "WEBP") return "image/webp";
+  if (ascii(0, 4) === "RIFF" && ascii(8, 12) === "WAVE") return "audio/wav";
+  if (ascii(0, 4) === "OggS") return "audio/ogg";
+  if (ascii(4, 8) === "ftyp") return "audio/mp4";
+  if (buf[0] === 0x1a && buf[1] === 0x45 && buf[2] === 0xdf && buf[3] === 0xa3) return "audio/webm";
+  if (ascii(0, 3) === "ID3" || (buf[0] === 0xff && (buf[1] & 0xe0) === 0xe0)) return "audio/mpeg";
+  return null;
+}
+
+function mediaError(message, status = 400) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+/**
+ * Check an upload and pick its type: the declared type must be allowed and match the bytes.
+ * Returns { contentType, kind, ext }.
+ */
+function checkUpload(buf, declaredType) {
+  if (!Buffer.isBuffer(buf) || !buf.length) throw mediaError("Empty upload");
+
+  const contentType = normalizeType(declaredType);
+  const type = MEDIA_TYPES[contentType];
+  if (!type) throw mediaError("Only PNG, JPEG, GIF, WebP images and MP3, M4A, OGG, WebM, WAV audio are allowed", 415);
+  if (sniffType(buf) !== contentType) throw mediaError("The file content does not match its type", 415);
+  if (buf.length > MAX_BYTES[type.kind]) {
+    throw mediaError(`${type.kind === "image" ? "Images" : "Audio files"} can be at most ${MAX_BYTES[type.kind] / 1024 / 1024} MB`, 413);
+  }
+
+  return { contentType, ...type };
+}
+
+/** Storage key for a new upload: lesson-<id>-<lang>-<random>.<ext> */
+function newMediaKey(lessonId, lang, ext) {
+  return `lesson-${lessonId}-${lang}-${crypto.randomBytes(8).toString("hex")}.${ext}`;
+}
+
+function mediaRowToJson(req, row) {
+  return {
+    id: row.id,
+    lessonId: row.lesson_id,
+    lang: row.lang,
+    kind: row.kind,
+    url: mediaUrl(req, row.storage_key),
+    contentType: row.content_type,
+    sizeBytes: row.size_bytes,
+    name: row.original_name,
+    createdAt: row.created_at
+  };
+}
+
+/**
+ * Audio narration for student lessons: lessonId -> [{ url, contentType }] in `lang`,
+ * or in its fallback languages when a lesson has none in that language (like the text).
+ */
+async function lessonAudio(req, lessonIds, lang) {
+  if (!lessonIds.length) return {};
+  const r = await query(
+    `SELECT lesson_id, lang, storage_key, content_type
+       FROM lesson_media
+      WHERE lesson_id = ANY($1::int[]) AND kind = 'audio'
+      ORDER BY id`,
+    [lessonIds]
+  );
+
+  const out = {};
+  for (const id of lessonIds) {
+    const rows = r.rows.filter((row) => row.lesson_id === id);
+    const found = fallbackChain(lang).find((code) => rows.some((row) => row.lang === code));
+    out[id] = rows.filter((row) => row.lang === found).map((row) => ({
+      url: mediaUrl(req, row.storage_key),
+      contentType: row.content_type
+    }));
+  }
+  return out;
+}
+
+module.exports = {
+  MEDIA_TYPES,
+  MAX_BYTES,
+  checkUpload,
+  newMediaKey,
+  mediaRowToJson,
+  lessonAudio
+};
@@ -0,0 +1,59 @@
+// backend/utils/password_resets.js
+// Password reset tokens (password_resets table, used by routes/auth.js).
+//
+// The emailed link carries a random token; only its SHA-256 hash is stored. Issuing a token
+// retires the user's older ones (only the newest link works), and a token can be claimed once,
+// before it expires. db: the pool helper or a transaction client (anything with .query).
+
+const crypto = require("crypto");
+
+// Reset links are valid for this long (minutes)
+const RESET_TOKEN_TTL_MINUTES = Number(process.env.RESET_TOKEN_TTL_MINUTES || 60);
+
+/** Reset tokens are stored hashed; only the emailed link carries the raw value */
+function hashResetToken(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+/** Issue a new reset token for a user. Returns the raw token (for the link only). */
+async function issueResetToken(db, userId) {
+  const token = crypto.randomBytes(32).toString("hex");
+
+  // only the newest link works
+  await db.query(
+    `UPDATE password_resets SET used_at=NOW()
+      WHERE user_id=$1 AND used_at IS NULL`,
+    [userId]
+  );
+  await db.query(
+    `INSERT INTO password_resets (user_id, token_hash, expires_at)
+     VALUES ($1, $2, NOW() + make_interval(mins => $3))`,
+    [userId, hashResetToken(token), RESET_TOKEN_TTL_MINUTES]
+  );
+  return token;
+}
+
+/**
+ * Use up a reset token and every other open token of its user.
+ * Returns the user id, or null when the token is unknown, used or expired.
+ */
+async function claimResetToken(db, token) {
+  // claim the token atomically so it can only be used once
+  const claimed = await db.query(
+    `UPDATE password_resets SET used_at=NOW()
+      WHERE token_hash=$1 AND used_at IS NULL AND expires_at > NOW()
+      RETURNING user_id`,
+    [hashResetToken(token)]
+  );
+  if (!claimed.rows.length) return null;
+
+  const userId = claimed.rows[0].user_id;
+  await db.query(
+    `UPDATE password_resets SET used_at=NOW()
+      WHERE user_id=$1 AND used_at IS NULL`,
+    [userId]
+  );
+  return userId;
+}
+
+module.exports = { RESET_TOKEN_TTL_MINUTES, hashResetToken, issueResetToken, claimResetToken };
@@ -0,0 +1,189 @@
+// backend/utils/publishing.js
+// Draft / published course content.
+//
+// Admin saves are drafts: the lessons rows (+ their latest lesson_revisions row),
+// exam_defs.revision_id and exam_questions.revision_id always hold the newest content.
+// Students only see what was published:
+//   lessons.published_revision_id        -> lesson_revisions        (NULL = never published, hidden)
+//   exam_defs.published_revision_id      -> exam_def_revisions      (NULL = no exam yet)
+//   exam_questions.published_revision_id -> exam_question_revisions (NULL = never drawn)
+// Publishing promotes all drafts of a course in one transaction; courses.scheduled_publish_at
+// does the same at a set time (publishDueCourses, run by server.js and before student reads).
+//
+// Not drafted, they apply right away (the admin screens say so): lesson placement
+// (lesson_index), trash, lesson media, and a bank question's active flag and lesson/topic tags.
+
+const { pool, query } = require("../db_pg");
+
+/** "published" | "changed" (published, newer draft) | "draft" (never published) */
+function publishStatus(publishedRevisionId, draftRevisionId) {
+  if (publishedRevisionId == null) return "draft";
+  return publishedRevisionId === draftRevisionId ? "published" : "changed";
+}
+
+/**
+ * Lessons of a course that differ from what students see.
+ * status: "new" (never published) | "changed"
+ */
+async function lessonDrafts(db, courseId) {
+  const r = await db.query(
+    `SELECT l.id, l.lesson_index, l.title->>'en' AS title_en, l.published_revision_id, d.draft_id
+       FROM lessons l
+       JOIN LATERAL (SELECT MAX(r.id) AS draft_id FROM lesson_revisions r WHERE r.lesson_id = l.id) d ON TRUE
+      WHERE l.course_id = $1 AND l.deleted_at IS NULL
+        AND d.draft_id IS NOT NULL
+        AND l.published_revision_id IS DISTINCT FROM d.draft_id
+      ORDER BY l.lesson_index`,
+    [courseId]
+  );
+  return r.rows.map((row) => ({
+    id: row.id,
+    lessonIndex: row.lesson_index,
+    title_en: row.title_en,
+    status: row.published_revision_id ? "changed" : "new",
+    draftRevisionId: row.draft_id,
+    publishedRevisionId: row.published_revision_id
+  }));
+}
+
+/**
+ * Bank questions of a course whose content differs from what students draw.
+ * status: "new" (never published) | "changed"
+ */
+async function questionDrafts(db, courseId) {
+  const r = await db.query(
+    `SELECT id, question->'en'->>'text' AS text_en, revision_id, published_revision_id
+       FROM exam_questions
+      WHERE course_id = $1 AND revision_id IS NOT NULL
+        AND published_revision_id IS DISTINCT FROM revision_id
+      ORDER BY id`,
+    [courseId]
+  );
+  return r.rows.map((row) => ({
+    id: row.id,
+    text_en: row.text_en,
+    status: row.published_revision_id ? "changed" : "new",
+    draftRevisionId: row.revision_id,
+    publishedRevisionId: row.published_revision_id
+  }));
+}
+
+/** What publishing the course would change, plus its schedule */
+async function draftStatus(db, courseId) {
+  const [lessons, questions, examR, courseR] = await Promise.all([
+    lessonDrafts(db, courseId),
+    questionDrafts(db, courseId),
+    db.query("SELECT revision_id, published_revision_id FROM exam_defs WHERE course_id=$1", [courseId]),
+    db.query(
+      `SELECT c.scheduled_publish_at, c.content_published_at, u.name AS content_published_by_name
+         FROM courses c
+         LEFT JOIN users u ON u.id = c.content_published_by
+        WHERE c.id = $1`,
+      [courseId]
+    )
+  ]);
+
+  const exam = examR.rows[0];
+  const course = courseR.rows[0] || {};
+  const examChanged = !!exam && exam.revision_id != null && exam.revision_id !== exam.published_revision_id;
+
+  return {
+    courseId,
+    lessons,
+    questions,
+    exam: exam
+      ? { draftRevisionId: exam.revision_id, publishedRevisionId: exam.published_revision_id, changed: examChanged }
+      : null,
+    hasDrafts: lessons.length > 0 || questions.length > 0 || examChanged,
+    scheduledPublishAt: course.scheduled_publish_at || null,
+    publishedAt: course.content_published_at || null,
+    publishedByName: course.content_published_by_name || null
+  };
+}
+
+/**
+ * Promote every draft of a course (inside the caller's transaction) and clear its schedule.
+ * db must be a transaction client. Returns { lessons: [ids], questions: [ids], examRevisionId | null }.
+ */
+async function publishCourseDrafts(db, courseId, { adminId = null } = {}) {
+  // serializes concurrent publishes (admin button vs schedule) of the same course
+  await db.query("SELECT id FROM courses WHERE id=$1 FOR UPDATE", [courseId]);
+
+  const lessonsR = await db.query(
+    `UPDATE lessons l
+        SET published_revision_id = d.draft_id
+       FROM (SELECT lesson_id, MAX(id) AS draft_id FROM lesson_revisions GROUP BY lesson_id) d
+      WHERE d.lesson_id = l.id
+        AND l.course_id = $1 AND l.deleted_at IS NULL
+        AND l.published_revision_id IS DISTINCT FROM d.draft_id
+      RETURNING l.id`,
+    [courseId]
+  );
+
+  const examR = await db.query(
+    `UPDATE exam_defs
+        SET published_revision_id = revision_id
+      WHERE course_id = $1 AND revision_id IS NOT NULL
+        AND published_revision_id IS DISTINCT FROM revision_id
+      RETURNING revision_id`,
+    [courseId]
+  );
+
+  const questionsR = await db.query(
+    `UPDATE exam_questions
+        SET published_revision_id = revision_id
+      WHERE course_id = $1 AND revision_id IS NOT NULL
+        AND published_revision_id IS DISTINCT FROM revision_id
+      RETURNING id`,
+    [courseId]
+  );
+
+  await db.query(
+    `UPDATE courses
+        SET scheduled_publish_at = NULL, content_published_at = NOW(), content_published_by = $2
+      WHERE id = $1`,
+    [courseId, adminId]
+  );
+
+  return {
+    lessons: lessonsR.rows.map((r) => r.id),
+    questions: questionsR.rows.map((r) => r.id),
+    examRevisionId: examR.rows[0]?.revision_id ?? null
+  };
+}
+
+/**
+ * Publish every course whose scheduled time has passed (or just `courseId`).
+ * A single query when nothing is due.
+ */
+async function publishDueCourses(courseId = null) {
+  const due = await query(
+    `SELECT id FROM courses
+      WHERE scheduled_publish_at IS NOT NULL AND scheduled_publish_at <= NOW()
+        AND ($1::text IS NULL OR id = $1)`,
+    [courseId]
+  );
+
+  for (const { id } of due.rows) {
+    const client = await pool.connect();
+    try {
+      await client.query("BEGIN");
+      // re-check under the lock: another request may have published it meanwhile
+      const r = await client.query(
+        `SELECT 1 FROM courses
+          WHERE id=$1 AND scheduled_publish_at IS NOT NULL AND scheduled_publish_at <= NOW()
+          FOR UPDATE`,
+        [id]
+      );
+      if (r.rows.length) await publishCourseDrafts(client, id);
+      await client.query("COMMIT");
+    } catch (e) {
+      await client.query("ROLLBACK").catch(() => {});
+      console.error("SCHEDULED PUBLISH ERROR:", id, e);
+    } finally {
+      client.release();
+    }
+  }
+}
+
+module.exports = { publishStatus, draftStatus, publishCourseDrafts, publishDueCourses };
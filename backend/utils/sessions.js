@@ -0,0 +1,21 @@
+// backend/utils/sessions.js
+// Helpers for the connect-pg-simple "session" table.
+
+const { query } = require("../db_pg");
+
+/**
+ * Remove every stored session that belongs to a user (forces logout everywhere).
+ * Pass exceptSid to keep the caller's own session alive.
+ * Returns the number of sessions removed.
+ */
+async function destroyUserSessions(userId, { exceptSid = null } = {}) {
+  const r = await query(
+    `DELETE FROM "session"
+      WHERE (sess->'user'->>'id') = $1::text
+        AND ($2::text IS NULL OR sid <> $2::text)`,
+    [String(userId), exceptSid]
+  );
+  return r.rowCount || 0;
+}
+
+module.exports = { destroyUserSessions };
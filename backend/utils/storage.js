@@ -0,0 +1,69 @@
+// backend/utils/storage.js
+// Pluggable file storage for uploaded media (lesson images / audio).
+//
+// Pick a driver with MEDIA_STORAGE:
+//   local (default) - files in MEDIA_DIR (default ./media-uploads), served by GET /api/media/:key
+//
+// A driver is { put(key, buffer, { contentType }), remove(key), url(key), filePath?(key) }:
+// url() is the public address of the file (root-relative = served by this API, see mediaUrl);
+// filePath() is only for drivers that keep files on this server's disk.
+// An S3-compatible bucket can be added with registerStorage("s3", () => ({ ... })) at startup.
+
+const path = require("path");
+const fs = require("fs");
+const { publicBase } = require("./urls");
+
+// keys are generated by the upload route; anything else never reaches the disk
+const KEY_RE = /^[a-z0-9][a-z0-9._-]{0,199}$/;
+
+function checkKey(key) {
+  if (!KEY_RE.test(String(key)) || String(key).includes("..")) throw new Error(`Invalid media key: ${key}`);
+  return String(key);
+}
+
+const drivers = {
+  local() {
+    const dir = path.resolve(process.env.MEDIA_DIR || path.join(__dirname, "..", "media-uploads"));
+    return {
+      async put(key, buffer) {
+        await fs.promises.mkdir(dir, { recursive: true });
+        await fs.promises.writeFile(path.join(dir, checkKey(key)), buffer);
+      },
+      async remove(key) {
+        await fs.promises.rm(path.join(dir, checkKey(key)), { force: true });
+      },
+      url(key) {
+        return `/api/media/${encodeURIComponent(checkKey(key))}`;
+      },
+      filePath(key) {
+        return path.join(dir, checkKey(key));
+      }
+    };
+  }
+};
+
+let current = null;
+
+function registerStorage(name, factory) {
+  if (typeof factory !== "function") throw new Error("Storage driver factory must be a function");
+  drivers[String(name)] = factory;
+  current = null;
+}
+
+/** The configured driver (created once) */
+function getStorage() {
+  if (current) return current;
+  const name = process.env.MEDIA_STORAGE || "local";
+  const factory = drivers[name];
+  if (!factory) throw new Error(`Unknown MEDIA_STORAGE: ${name}`);
+  current = factory();
+  return current;
+}
+
+/** Absolute URL of a stored file (the frontends live on another origin) */
+function mediaUrl(req, key) {
+  const url = getStorage().url(key);
+  return url.startsWith("/") ? `${publicBase(req)}${url}` : url;
+}
+
+module.exports = { KEY_RE, getStorage, registerStorage, mediaUrl };
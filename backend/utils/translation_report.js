@@ -0,0 +1,260 @@
+// backend/utils/translation_report.js
+// Which translations are still missing, per course and enabled language
+// (GET /api/admin/translations/report).
+//
+// Every localized field is compared English -> each other enabled locale; a field is reported once
+// per locale, with the first issue of:
+//   empty        - English text but no translation
+//   placeholder  - "TI: ...", "[TI] ...", "TODO" / "TBD" (seed_all_pg.js fills fields with "TI: <english>")
+//   same_as_en   - identical to the English text
+//   wrong_script - none of the locale's letters (usually an English copy; utils/locales.js)
+//   missing      - exam question without a translation
+//   mismatch     - exam translation that doesn't fit the English question (students get English)
+// Scans what admins edit: latest lesson / exam drafts, active question-bank rows, courses.
+// Lesson quizzes are stored in one language, so a quiz counts as translated for a locale when it
+// has text in that locale's script.
+
+const { query } = require("../db_pg");
+const { loadExamDef, examQuestions } = require("./exams");
+const { questionType, translationFits } = require("./grading");
+const { DEFAULT_LOCALE, enabledLocales, localeInfo, localeScript } = require("./locales");
+
+/** "TI: ...", "[TI] ...", "TODO", "TBD" for a locale code */
+function placeholderRe(locale) {
+  const code = String(locale).toUpperCase();
+  return new RegExp(`^\\s*(${code}\\s*:|\\[${code}\\]|TODO\\b|TBD\\b)`, "i");
+}
+
+const ISSUE_LABELS = {
+  empty: "empty",
+  placeholder: "placeholder",
+  same_as_en: "same as English",
+  wrong_script: "not in the language's script",
+  missing: "no translation",
+  mismatch: "doesn't match the English question"
+};
+
+function squash(s) {
+  return String(s ?? "").replace(/\s+/g, " ").trim();
+}
+
+function snippet(s, max = 80) {
+  const t = squash(s);
+  return t.length > max ? `${t.slice(0, max - 1)}…` : t;
+}
+
+/** Issue of an English text and its `locale` translation, or null when it looks translated */
+function textIssue(en, tr, locale) {
+  const e = squash(en);
+  const t = squash(tr);
+  if (!e && !t) return null;
+  if (!t) return "empty";
+  if (placeholderRe(locale).test(t)) return "placeholder";
+  if (e && t.toLowerCase() === e.toLowerCase()) return "same_as_en";
+  const script = localeScript(locale);
+  if (script && !script.test(t)) return "wrong_script";
+  return null;
+}
+
+/** Student-visible strings of a question, in a fixed order */
+function questionStrings(q) {
+  if (!q || typeof q !== "object") return [];
+  const list = [q.text];
+  switch (questionType(q)) {
+    case "single":
+    case "multi":
+      list.push(...(q.options || []));
+      break;
+    case "order":
+      list.push(...(q.items || []));
+      break;
+    case "match":
+      for (const p of q.pairs || []) list.push(p?.left, p?.right);
+      break;
+    default:
+      break;
+  }
+  return list.map((s) => String(s ?? ""));
+}
+
+/** Issue of an English question and its `locale` translation */
+function questionIssue(en, tr, locale) {
+  if (!tr) return "missing";
+  if (!translationFits(en, tr)) return "mismatch";
+  const e = questionStrings(en);
+  const t = questionStrings(tr);
+  for (let i = 0; i < e.length; i++) {
+    const issue = textIssue(e[i], t[i], locale);
+    // options like "A" / "42" may rightly stay the same
+    if (issue && !(i > 0 && (issue === "same_as_en" || issue === "wrong_script"))) return issue;
+  }
+  return null;
+}
+
+/** One-language lesson quiz: translated when any of its text is in the locale's script */
+function quizIssue(quiz, locale) {
+  const strings = (quiz?.questions || []).flatMap(questionStrings).filter((s) => s.trim());
+  if (!strings.length) return null;
+  if (strings.some((s) => placeholderRe(locale).test(s))) return "placeholder";
+  const script = localeScript(locale);
+  if (!script) return null;
+  return strings.some((s) => script.test(s)) ? null : "wrong_script";
+}
+
+function parseJson(v) {
+  if (!v) return null;
+  if (typeof v === "object") return v;
+  try {
+    return JSON.parse(v);
+  } catch {
+    return null;
+  }
+}
+
+function percent(checked, missing) {
+  return checked ? Math.round(((checked - missing) / checked) * 100) : 100;
+}
+
+/** Issues of one course in every locale of `locales` */
+async function courseReport(course, locales) {
+  const items = [];
+  const counts = Object.fromEntries(locales.map((code) => [code, { checked: 0, missing: 0 }]));
+  const check = (locale, issue, item) => {
+    counts[locale].checked++;
+    if (!issue) return;
+    counts[locale].missing++;
+    items.push({ locale, ...item, issue, issueLabel: ISSUE_LABELS[issue] });
+  };
+  const eachLocale = (fn) => locales.forEach(fn);
+
+  for (const [field, label] of [["title", "Title"], ["intro", "Intro"]]) {
+    const map = parseJson(course[field]) || {};
+    const en = map[DEFAULT_LOCALE];
+    eachLocale((locale) => {
+      const tr = map[locale];
+      check(locale, textIssue(en, tr, locale), { area: "course", field, label, en: snippet(en), tr: snippet(tr) });
+    });
+  }
+
+  const lessonsR = await query(
+    `SELECT id, lesson_index, title, learn, task, quiz
+       FROM lessons
+      WHERE course_id=$1 AND deleted_at IS NULL
+      ORDER BY lesson_index`,
+    [course.id]
+  );
+  for (const l of lessonsR.rows) {
+    const title = parseJson(l.title) || {};
+    const where = { lessonId: l.id, lessonIndex: l.lesson_index, lessonTitle: title[DEFAULT_LOCALE] || "" };
+    for (const [field, label] of [["title", "Title"], ["learn", "Learn"], ["task", "Task"]]) {
+      const map = parseJson(l[field]) || {};
+      const en = map[DEFAULT_LOCALE];
+      eachLocale((locale) => {
+        const tr = map[locale];
+        check(locale, textIssue(en, tr, locale), {
+          area: "lesson", ...where, field, label, en: snippet(en), tr: snippet(tr)
+        });
+      });
+    }
+    const quiz = parseJson(l.quiz);
+    if (quiz?.questions?.length) {
+      eachLocale((locale) => {
+        check(locale, quizIssue(quiz, locale), {
+          area: "quiz",
+          ...where,
+          field: "quiz",
+          label: `Quiz (${quiz.questions.length} questions)`,
+          en: snippet(quiz.questions[0]?.text),
+          tr: ""
+        });
+      });
+    }
+  }
+
+  const def = await loadExamDef(course.id);
+  examQuestions(def).forEach((q, i) => {
+    eachLocale((locale) => {
+      const tr = examQuestions(def, locale)[i];
+      check(locale, questionIssue(q, tr, locale), {
+        area: "exam",
+        questionIndex: i,
+        field: "question",
+        label: `Question ${i + 1}`,
+        en: snippet(q?.text),
+        tr: snippet(tr?.text)
+      });
+    });
+  });
+
+  const bankR = await query(
+    `SELECT id, lesson_index, topic, question
+       FROM exam_questions
+      WHERE course_id=$1 AND active
+      ORDER BY id`,
+    [course.id]
+  );
+  for (const row of bankR.rows) {
+    const question = parseJson(row.question) || {};
+    const en = question[DEFAULT_LOCALE];
+    eachLocale((locale) => {
+      const tr = question[locale];
+      check(locale, questionIssue(en, tr, locale), {
+        area: "bank",
+        questionId: row.id,
+        field: "question",
+        label: `Bank question #${row.id}${row.topic ? ` (${row.topic})` : ""}`,
+        en: snippet(en?.text),
+        tr: snippet(tr?.text)
+      });
+    });
+  }
+
+  const checked = locales.reduce((n, code) => n + counts[code].checked, 0);
+  return {
+    courseId: course.id,
+    title_en: parseJson(course.title)?.[DEFAULT_LOCALE] || course.id,
+    archived: !!course.archived_at,
+    checked,
+    missing: items.length,
+    percent: percent(checked, items.length),
+    byLocale: Object.fromEntries(locales.map((code) => [
+      code,
+      { ...counts[code], percent: percent(counts[code].checked, counts[code].missing) }
+    ])),
+    items
+  };
+}
+
+/**
+ * Report for every course (or just `courseId`), for every enabled translation locale
+ * (or just `locale`).
+ */
+async function translationReport({ courseId = null, locale = null } = {}) {
+  const locales = enabledLocales().filter((code) => code !== DEFAULT_LOCALE && (!locale || code === locale));
+
+  const coursesR = await query(
+    `SELECT id, title, intro, archived_at
+       FROM courses
+      WHERE ($1::text IS NULL OR id = $1)
+      ORDER BY archived_at IS NOT NULL, sort_order, id`,
+    [courseId]
+  );
+
+  const courses = [];
+  for (const c of coursesR.rows) courses.push(await courseReport(c, locales));
+
+  const checked = courses.reduce((n, c) => n + c.checked, 0);
+  const missing = courses.reduce((n, c) => n + c.missing, 0);
+  const byLocale = Object.fromEntries(locales.map((code) => {
+    const sum = (key) => courses.reduce((n, c) => n + c.byLocale[code][key], 0);
+    return [code, { checked: sum("checked"), missing: sum("missing"), percent: percent(sum("checked"), sum("missing")) }];
+  }));
+  return {
+    generatedAt: new Date().toISOString(),
+    locales: locales.map(localeInfo),
+    totals: { checked, missing, percent: percent(checked, missing), byLocale },
+    courses
+  };
+}
+
+module.exports = { ISSUE_LABELS, textIssue, questionIssue, quizIssue, translationReport };
@@ -0,0 +1,17 @@
+// backend/utils/urls.js
+// Absolute links to this API (certificate PDFs / verify pages, media files)
+
+// public base for links embedded in PDF / verify pages / lesson media
+function publicBase(req) {
+  // Recommended: set this in Render env
+  // PUBLIC_SITE_BASE_URL=https://api.riseeritrea.com
+  const env = process.env.PUBLIC_SITE_BASE_URL;
+  if (env) return env.replace(/\/+$/, "");
+
+  // fallback: infer from request
+  const proto = req.headers["x-forwarded-proto"] || req.protocol || "http";
+  const host = req.headers["x-forwarded-host"] || req.get("host");
+  return `${proto}://${host}`.replace(/\/+$/, "");
+}
+
+module.exports = { publicBase };
@@ -0,0 +1,149 @@
+// backend/utils/zip.js
+// Minimal ZIP read/write for course bundles (utils/bundles.js).
+//
+// Writes deflated entries without zip64 / encryption / comments; reads "stored" and "deflate"
+// entries, which covers archives made by this module and by the usual zip tools.
+
+const zlib = require("zlib");
+
+const LOCAL_SIG = 0x04034b50;
+const CENTRAL_SIG = 0x02014b50;
+const END_SIG = 0x06054b50;
+const UTF8_FLAG = 0x0800;
+
+const CRC_TABLE = (() => {
+  const t = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    t[n] = c >>> 0;
+  }
+  return t;
+})();
+
+function crc32(buf) {
+  let c = 0xffffffff;
+  for (let i = 0; i < buf.length; i++) c = CRC_TABLE[(c ^ buf[i]) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+function dosDateTime(d) {
+  const time = (d.getHours() << 11) | (d.getMinutes() << 5) | Math.floor(d.getSeconds() / 2);
+  const date = ((d.getFullYear() - 1980) << 9) | ((d.getMonth() + 1) << 5) | d.getDate();
+  return { time, date };
+}
+
+function isZip(buf) {
+  return Buffer.isBuffer(buf) && buf.length >= 4 && buf.readUInt32LE(0) === LOCAL_SIG;
+}
+
+/** files: [{ name, data: Buffer | string }] -> zip Buffer */
+function createZip(files, { date = new Date() } = {}) {
+  const { time, date: day } = dosDateTime(date);
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  for (const f of files) {
+    const name = Buffer.from(f.name, "utf8");
+    const data = Buffer.isBuffer(f.data) ? f.data : Buffer.from(String(f.data), "utf8");
+    const packed = zlib.deflateRawSync(data);
+    const crc = crc32(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(LOCAL_SIG, 0);
+    local.writeUInt16LE(20, 4); // version needed
+    local.writeUInt16LE(UTF8_FLAG, 6);
+    local.writeUInt16LE(8, 8); // deflate
+    local.writeUInt16LE(time, 10);
+    local.writeUInt16LE(day, 12);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(packed.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(name.length, 26);
+    local.writeUInt16LE(0, 28);
+    locals.push(local, name, packed);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(CENTRAL_SIG, 0);
+    central.writeUInt16LE(20, 4); // version made by
+    central.writeUInt16LE(20, 6); // version needed
+    central.writeUInt16LE(UTF8_FLAG, 8);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt16LE(time, 12);
+    central.writeUInt16LE(day, 14);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(packed.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(name.length, 28);
+    central.writeUInt32LE(offset, 42); // extra/comment/disk/attrs stay 0
+    centrals.push(central, name);
+
+    offset += local.length + name.length + packed.length;
+  }
+
+  const centralSize = centrals.reduce((n, b) => n + b.length, 0);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(END_SIG, 0);
+  end.writeUInt16LE(files.length, 8);
+  end.writeUInt16LE(files.length, 10);
+  end.writeUInt32LE(centralSize, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...locals, ...centrals, end]);
+}
+
+/**
+ * zip Buffer -> Map(name -> Buffer). Directories are skipped.
+ * maxBytes caps the total uncompressed size (zip bombs). Throws on anything it can't read.
+ */
+function readZip(buf, { maxBytes = 20 * 1024 * 1024 } = {}) {
+  let endAt = -1;
+  for (let i = buf.length - 22; i >= Math.max(0, buf.length - 22 - 0xffff); i--) {
+    if (buf.readUInt32LE(i) === END_SIG) {
+      endAt = i;
+      break;
+    }
+  }
+  if (endAt < 0) throw new Error("Not a zip file");
+
+  const count = buf.readUInt16LE(endAt + 10);
+  let p = buf.readUInt32LE(endAt + 16);
+  const files = new Map();
+  let total = 0;
+
+  for (let n = 0; n < count; n++) {
+    if (p + 46 > buf.length || buf.readUInt32LE(p) !== CENTRAL_SIG) throw new Error("Corrupt zip directory");
+    const method = buf.readUInt16LE(p + 10);
+    const crc = buf.readUInt32LE(p + 16);
+    const packedSize = buf.readUInt32LE(p + 20);
+    const size = buf.readUInt32LE(p + 24);
+    const nameLen = buf.readUInt16LE(p + 28);
+    const extraLen = buf.readUInt16LE(p + 30);
+    const commentLen = buf.readUInt16LE(p + 32);
+    const localAt = buf.readUInt32LE(p + 42);
+    const name = buf.toString("utf8", p + 46, p + 46 + nameLen);
+    p += 46 + nameLen + extraLen + commentLen;
+
+    if (name.endsWith("/")) continue;
+
+    total += size;
+    if (total > maxBytes) throw new Error("Zip content too large");
+
+    if (buf.readUInt32LE(localAt) !== LOCAL_SIG) throw new Error(`Corrupt zip entry: ${name}`);
+    const start = localAt + 30 + buf.readUInt16LE(localAt + 26) + buf.readUInt16LE(localAt + 28);
+    const packed = buf.subarray(start, start + packedSize);
+
+    let data;
+    if (method === 0) data = Buffer.from(packed);
+    else if (method === 8) data = zlib.inflateRawSync(packed, { maxOutputLength: Math.max(size, 1) });
+    else throw new Error(`Unsupported zip compression in ${name}`);
+
+    if (data.length !== size || crc32(data) !== crc) throw new Error(`Zip entry failed its checksum: ${name}`);
+    files.set(name, data);
+  }
+
+  return files;
+}
+
+module.exports = { isZip, createZip, readZip };
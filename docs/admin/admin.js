@@ -5,12 +5,6 @@ const appEl = document.getElementById("app");
 document.getElementById("year").textContent = new Date().getFullYear();
 const logoutBtn = document.getElementById("logoutBtn");
 
-const COURSE_ID_BY_KEY = {
-  foundation: "foundation",
-  growth: "growth",
-  excellence: "excellence"
-};
-
 function escapeHtml(str = "") {
   return String(str).replace(/[&<>"']/g, (m) => ({
     "&": "&amp;",
@@ -39,14 +33,152 @@ function normalizeQuiz(quiz) {
   return { questions: [] };
 }
 
+/* Question JSON templates for every type graded by the server (backend/utils/grading.js) */
+const QUESTION_TEMPLATES = {
+  single: { text: "Question", options: ["Option A", "Option B"], correctIndex: 0 },
+  multi: { type: "multi", text: "Select all that apply", options: ["Option A", "Option B", "Option C"], correctIndexes: [0, 2] },
+  truefalse: { type: "truefalse", text: "Statement", answer: true, explanation: "Why it is true" },
+  short: { type: "short", text: "Question", accepted: ["answer", "other accepted spelling"] },
+  order: { type: "order", text: "Put these in order", items: ["First", "Second", "Third"] },
+  match: { type: "match", text: "Match each item", pairs: [{ left: "A", right: "1" }, { left: "B", right: "2" }] }
+};
+
+const QUESTION_TYPE_LABELS = {
+  single: "Single choice",
+  multi: "Multiple select",
+  truefalse: "True / false",
+  short: "Short answer",
+  order: "Ordering",
+  match: "Matching"
+};
+
+/** Type picker that adds a template to a { questions } JSON textarea (or replaces a single-question one) */
+function questionToolbarHtml(targetId, { single = false } = {}) {
+  return `
+    <div class="row" style="gap:8px; justify-content:flex-start; margin:6px 0;">
+      <select id="${targetId}_tpl" style="max-width:220px;">
+        ${Object.keys(QUESTION_TEMPLATES).map(t => `<option value="${t}">${QUESTION_TYPE_LABELS[t]}</option>`).join("")}
+      </select>
+      <button class="btn" type="button" onclick="insertQuestionTemplate('${targetId}', ${single})">
+        ${single ? "Use template" : "+ Add question"}
+      </button>
+    </div>`;
+}
+
+window.insertQuestionTemplate = (targetId, single) => {
+  const area = document.getElementById(targetId);
+  const type = document.getElementById(`${targetId}_tpl`).value;
+  const tpl = JSON.parse(JSON.stringify(QUESTION_TEMPLATES[type]));
+
+  if (single) {
+    area.value = JSON.stringify(tpl, null, 2);
+    return;
+  }
+
+  let data;
+  try {
+    data = normalizeQuiz(JSON.parse(area.value || "{}"));
+  } catch {
+    alert("Fix the JSON first (it is not valid).");
+    return;
+  }
+  data.questions.push(tpl);
+  area.value = JSON.stringify(data, null, 2);
+};
+
+async function loadCourses() {
+  const r = await api("/admin/courses");
+  state.courses = r.courses || [];
+  if (!state.courses.some(c => c.id === state.selectedCourse)) {
+    state.selectedCourse = state.courses[0]?.id || null;
+  }
+}
+
+function courseOptionsHtml() {
+  return state.courses.map(c => `
+    <option value="${escapeHtml(c.id)}">${escapeHtml(c.id)} — ${escapeHtml(c.title?.en || "")}${c.archived ? " (archived)" : ""}</option>`
+  ).join("");
+}
+
+/* ---------- Languages (GET /api/locales; English is the required source language) ---------- */
+const FALLBACK_LOCALES = [{ code: "en", name: "English", nativeName: "English", dir: "ltr" }];
+
+async function loadLocales() {
+  if (state.locales.length) return;
+  try {
+    const r = await api("/locales");
+    state.locales = r.locales?.length ? r.locales : FALLBACK_LOCALES;
+  } catch {
+    state.locales = FALLBACK_LOCALES;
+  }
+}
+
+function localeName(code) {
+  return state.locales.find(l => l.code === code)?.name || String(code || "").toUpperCase();
+}
+
+function localeDir(code) {
+  return state.locales.find(l => l.code === code)?.dir || "ltr";
+}
+
+/** Translations of a text map on one line ("ትግርኛ · العربية"), for lists under the English text */
+function translationsLine(map) {
+  return state.locales
+    .filter(l => l.code !== "en" && map?.[l.code])
+    .map(l => `<span dir="${l.dir}">${escapeHtml(map[l.code])}</span>`)
+    .join(" · ");
+}
+
+function localeOptionsHtml(selected) {
+  return state.locales.map(l => `
+    <option value="${l.code}" ${l.code === selected ? "selected" : ""}>${escapeHtml(l.name)}</option>`).join("");
+}
+
+/** One input (or textarea) per enabled language, ids `${idPrefix}_${code}` */
+function localizedFieldsHtml(idPrefix, label, map, { multiline = false, style = "" } = {}) {
+  return state.locales.map(l => {
+    const value = escapeHtml(map?.[l.code] || "");
+    const attrs = `id="${idPrefix}_${l.code}" dir="${l.dir}"${style ? ` style="${style}"` : ""}`;
+    return `
+    <label>${label} (${escapeHtml(l.name)})${l.code === "en" ? "" : ` <span class="small">optional, falls back when empty</span>`}</label>
+    ${multiline ? `<textarea ${attrs}>${value}</textarea>` : `<input ${attrs} type="text" value="${value}" />`}`;
+  }).join("");
+}
+
+/**
+ * Text map from localizedFieldsHtml inputs: empty languages left out, languages that are
+ * not enabled right now kept from `base` (saving replaces the whole map)
+ */
+function readLocalized(idPrefix, base = {}) {
+  const out = { ...(base || {}) };
+  for (const l of state.locales) {
+    const v = document.getElementById(`${idPrefix}_${l.code}`)?.value.trim();
+    if (v) out[l.code] = v;
+    else delete out[l.code];
+  }
+  return out;
+}
+
 function routeParts() { return (location.hash || "#/").replace("#/", "").split("/"); }
 function isVerifyRoute() { return (location.hash || "").startsWith("#/verify/"); }
 
 let state = {
   user: null,
-  selectedCourse: "foundation",
+  courses: [],
+  selectedCourse: null,
   lessons: [],
-  editingLessonId: null
+  editingLessonId: null,
+  historyLessonId: null,
+  lessonMedia: [],
+  bankQuestions: [],
+  editingBankQuestionId: null,
+  examAnalytics: null,
+  translationReport: null,
+  loadedExams: null,
+  usersQuery: null,
+  revokeReasons: {},
+  certTemplateEdit: null,
+  locales: []
 };
 
 logoutBtn.addEventListener("click", async () => {
@@ -67,7 +199,7 @@ window.addEventListener("hashchange", render);
 async function render() {
   try { await loadMe(); } catch { state.user = null; }
 
-  const [page, param] = routeParts();
+  const [page, param, ...rest] = routeParts();
 
   // ✅ PUBLIC: certificate verification route (NO LOGIN)
   if (page === "verify") {
@@ -97,9 +229,17 @@ async function render() {
     return;
   }
 
+  await loadLocales();
   if (!page || page === "dashboard") return renderDashboard();
-  if (page === "lessons") return renderLessons();
-  if (page === "exams") return renderExams();
+  // deep links (translation report): #/courses/<id>, #/lessons/<courseId>/<lessonId>,
+  // #/exams/<courseId>[/bank/<questionId>]
+  if (param && ["courses", "lessons", "exams"].includes(page)) state.selectedCourse = decodeURIComponent(param);
+  if (page === "courses") return renderCourses(param ? state.selectedCourse : null);
+  if (page === "lessons") return renderLessons(Number(rest[0]) || null);
+  if (page === "exams") return renderExams(rest[0] === "bank" ? Number(rest[1]) || null : null);
+  if (page === "users") return param ? renderUserDetail(param) : renderUsers();
+  if (page === "translations") return renderTranslations();
+  if (page === "certificates") return param ? renderCertificateTemplateEditor(param) : renderCertificateTemplates();
   return renderDashboard();
 }
 
@@ -140,13 +280,22 @@ function renderDashboard() {
           <div class="small">Logged in as <b>${escapeHtml(state.user.name)}</b></div>
         </div>
         <div class="row" style="justify-content:flex-end;">
+          <button class="btn" onclick="location.hash='#/courses'">Manage Courses</button>
           <button class="btn primary" onclick="location.hash='#/lessons'">Manage Lessons</button>
           <button class="btn ok" onclick="location.hash='#/exams'">Manage Final Exams</button>
+          <button class="btn" onclick="location.hash='#/translations'">Translations</button>
+          <button class="btn" onclick="location.hash='#/certificates'">Certificates</button>
+          <button class="btn" onclick="location.hash='#/users'">Users</button>
         </div>
       </div>
     </div>`;
 }
 
+/** Scroll an editor card into view after a deep link opened it */
+function focusCard(id) {
+  document.getElementById(id)?.scrollIntoView({ behavior: "smooth", block: "start" });
+}
+
 /* =========================
    ✅ PUBLIC VERIFY VIEW
    QR should point to:
@@ -169,14 +318,31 @@ async function renderVerify(token) {
   }
 
   try {
-    // IMPORTANT: your backend must have GET /api/verify/:token
+    // GET /api/verify/:token (backend/routes/verify.js); valid = signature intact
     const r = await api(`/verify/${encodeURIComponent(token)}`);
 
+    if (r?.intact && r.status === "revoked") {
+      appEl.innerHTML = `
+        <div class="card">
+          <div class="h1">❌ Certificate Revoked</div>
+          <p class="p">Revoked on ${escapeHtml(fmtDateTime(r.revokedAt))}. Reason: ${escapeHtml(String(r.revokedReason || ""))}.</p>
+        </div>`;
+      return;
+    }
+    if (r?.intact && r.status === "superseded") {
+      appEl.innerHTML = `
+        <div class="card">
+          <div class="h1">⚠️ Certificate Replaced</div>
+          <p class="p">This certificate was reissued on ${escapeHtml(fmtDateTime(r.supersededAt))}.</p>
+          ${r.replacedBy ? `<a class="btn" href="#/verify/${encodeURIComponent(r.replacedBy)}">View the current certificate</a>` : ""}
+        </div>`;
+      return;
+    }
     if (!r || r.valid === false) {
       appEl.innerHTML = `
         <div class="card">
           <div class="h1">❌ Certificate Invalid</div>
-          <p class="p">This certificate could not be verified.</p>
+          <p class="p">This certificate could not be verified${r?.signed ? ": its data does not match its signature" : ""}.</p>
         </div>`;
       return;
     }
@@ -187,7 +353,11 @@ async function renderVerify(token) {
         <div class="h1">✅ Certificate Valid</div>
         <p class="p"><b>Certificate ID:</b> ${escapeHtml(String(r.certificateId ?? token))}</p>
         ${r.name ? `<p class="p"><b>Name:</b> ${escapeHtml(String(r.name))}</p>` : ""}
+        ${r.courseTitle ? `<p class="p"><b>Course:</b> ${escapeHtml(String(r.courseTitle))}</p>` : ""}
         ${r.issuedOn ? `<p class="p"><b>Issued on:</b> ${escapeHtml(String(r.issuedOn))}</p>` : ""}
+        ${r.signed?.signature ? `
+          <p class="small">Signed (${escapeHtml(String(r.signed.algorithm || ""))}):
+            <code style="word-break:break-all;">${escapeHtml(String(r.signed.signature))}</code></p>` : ""}
       </div>`;
   } catch (e) {
     appEl.innerHTML = `
@@ -198,13 +368,284 @@ async function renderVerify(token) {
   }
 }
 
-async function renderLessons() {
+/* =========================
+   COURSES
+========================= */
+async function renderCourses(focusCourseId = null) {
+  appEl.innerHTML = `
+    <div class="card">
+      <div class="row">
+        <div>
+          <div class="h1">Manage Courses</div>
+          <div class="small">Create, edit, reorder, publish, archive and delete courses.</div>
+        </div>
+        <div class="row" style="justify-content:flex-end;">
+          <button class="btn" onclick="location.hash='#/dashboard'">Back</button>
+        </div>
+      </div>
+      <span class="small" id="coursesMsg"></span>
+    </div>
+
+    <div class="grid two">
+      <div class="card" id="coursesListCard"></div>
+      <div class="card" id="courseEditorCard"></div>
+    </div>
+
+    <div class="card" id="courseImportCard">
+      <div class="h2">Import course bundle</div>
+      <div class="small">A .json or .zip bundle exported from this or another site. Lessons are matched by index; changes become drafts unless published now.</div>
+      <div style="height:8px"></div>
+      <input id="bundleFile" type="file" accept=".json,.zip,application/json,application/zip" />
+      <label><input id="bundlePublish" type="checkbox" /> Publish the course after importing</label>
+      <div class="row" style="justify-content:flex-start; gap:8px; margin-top:8px;">
+        <button class="btn" onclick="importBundle(true)">Dry run</button>
+        <button class="btn ok" onclick="importBundle(false)">Import</button>
+        <span class="small" id="bundleMsg"></span>
+      </div>
+      <div id="bundlePlan"></div>
+    </div>`;
+
+  await reloadCoursesList();
+  renderCourseEditor(state.courses.find(c => c.id === focusCourseId) || null);
+  if (focusCourseId) focusCard("courseEditorCard");
+}
+
+async function reloadCoursesList() {
+  const msg = document.getElementById("coursesMsg");
+  try {
+    await loadCourses();
+    msg.textContent = "";
+  } catch (e) {
+    msg.textContent = "Load failed: " + e.message;
+  }
+  renderCoursesList();
+}
+
+function renderCoursesList() {
+  const el = document.getElementById("coursesListCard");
+  const active = state.courses.filter(c => !c.archived);
+
+  const rows = state.courses.map(c => {
+    const pos = active.indexOf(c);
+    return `
+      <tr>
+        <td style="white-space:nowrap;">
+          ${c.archived ? "" : `
+            <button class="btn" onclick="moveCourse('${escapeHtml(c.id)}', -1)" ${pos <= 0 ? "disabled" : ""}>↑</button>
+            <button class="btn" onclick="moveCourse('${escapeHtml(c.id)}', 1)" ${pos >= active.length - 1 ? "disabled" : ""}>↓</button>`}
+        </td>
+        <td>
+          <div><b>${escapeHtml(c.title?.en || "")}</b></div>
+          <div class="small">${translationsLine(c.title)}</div>
+          <div class="small">${escapeHtml(c.id)} • ${c.lessonCount ?? 0} lessons</div>
+        </td>
+        <td>
+          <span class="badge">${c.archived ? "archived" : (c.published ? "published" : "hidden")}</span>
+        </td>
+        <td style="white-space:nowrap;">
+          <button class="btn" onclick="editCourse('${escapeHtml(c.id)}')">Edit</button>
+          <button class="btn" onclick="exportCourse('${escapeHtml(c.id)}', 'json')" title="Download the course as a JSON bundle">JSON</button>
+          <button class="btn" onclick="exportCourse('${escapeHtml(c.id)}', 'zip')" title="Download the course as a ZIP bundle">ZIP</button>
+          ${c.archived
+            ? `<button class="btn ok" onclick="courseAction('${escapeHtml(c.id)}', 'unarchive')">Unarchive</button>
+               <button class="btn danger" onclick="deleteCourse('${escapeHtml(c.id)}')">Delete</button>`
+            : `<button class="btn danger" onclick="courseAction('${escapeHtml(c.id)}', 'archive')">Archive</button>`}
+        </td>
+      </tr>`;
+  }).join("");
+
+  el.innerHTML = `
+    <div class="row">
+      <div class="h2">Courses</div>
+      <button class="btn ok" onclick="renderCourseEditor(null)">+ New course</button>
+    </div>
+    <table class="table">
+      <thead><tr><th style="width:110px">Order</th><th>Course</th><th>Status</th><th style="width:300px">Actions</th></tr></thead>
+      <tbody>${rows || `<tr><td colspan="4" class="small">No courses yet.</td></tr>`}</tbody>
+    </table>`;
+}
+
+function renderCourseEditor(course) {
+  const el = document.getElementById("courseEditorCard");
+  const isEdit = !!course;
+  const c = course || { id: "", title: {}, intro: {}, published: false };
+
+  el.innerHTML = `
+    <div class="row">
+      <div class="h2">${isEdit ? "Edit course" : "Create course"}</div>
+      <span class="badge">${isEdit ? escapeHtml(c.id) : "New"}</span>
+    </div>
+
+    <label>Course id (lowercase, a-z 0-9 - _)</label>
+    <input id="course_id" type="text" value="${escapeHtml(c.id)}" ${isEdit ? "disabled" : ""} />
+
+    ${localizedFieldsHtml("course_title", "Title", c.title)}
+    ${localizedFieldsHtml("course_intro", "Intro", c.intro, { multiline: true })}
+
+    <label><input id="course_published" type="checkbox" ${c.published ? "checked" : ""} /> Published (visible to students)</label>
+
+    <div style="height:10px"></div>
+    <button class="btn ok" id="saveCourseBtn">${isEdit ? "Save changes" : "Create course"}</button>
+    <div class="small" id="saveCourseMsg" style="margin-top:10px"></div>`;
+
+  document.getElementById("saveCourseBtn").onclick = async () => {
+    const msg = document.getElementById("saveCourseMsg");
+    const body = {
+      title: readLocalized("course_title", c.title),
+      intro: readLocalized("course_intro", c.intro),
+      published: document.getElementById("course_published").checked
+    };
+
+    try {
+      if (isEdit) {
+        await api(`/admin/courses/${encodeURIComponent(c.id)}`, { method: "PUT", body });
+      } else {
+        body.id = document.getElementById("course_id").value.trim();
+        await api("/admin/courses", { method: "POST", body });
+      }
+      msg.textContent = "Saved ✅";
+      await reloadCoursesList();
+    } catch (e) {
+      msg.textContent = "Save failed: " + e.message;
+    }
+  };
+}
+
+window.editCourse = (id) => {
+  renderCourseEditor(state.courses.find(c => c.id === id) || null);
+};
+
+window.moveCourse = async (id, delta) => {
+  const ids = state.courses.filter(c => !c.archived).map(c => c.id);
+  const i = ids.indexOf(id);
+  const j = i + delta;
+  if (i < 0 || j < 0 || j >= ids.length) return;
+  [ids[i], ids[j]] = [ids[j], ids[i]];
+
+  try {
+    await api("/admin/courses/reorder", { method: "POST", body: { ids } });
+  } catch (e) {
+    alert("Reorder failed: " + e.message);
+  }
+  await reloadCoursesList();
+};
+
+window.courseAction = async (id, action) => {
+  if (action === "archive" && !confirm(`Archive "${id}"? Students will no longer see it.`)) return;
+  try {
+    await api(`/admin/courses/${encodeURIComponent(id)}/${action}`, { method: "POST", body: {} });
+  } catch (e) {
+    alert("Failed: " + e.message);
+  }
+  await reloadCoursesList();
+};
+
+window.deleteCourse = async (id) => {
+  if (!confirm(`Permanently delete "${id}" with all its lessons and exam? This cannot be undone.`)) return;
+  try {
+    await api(`/admin/courses/${encodeURIComponent(id)}`, { method: "DELETE" });
+    renderCourseEditor(null);
+  } catch (e) {
+    alert("Delete failed: " + e.message);
+  }
+  await reloadCoursesList();
+};
+
+/* ---------- Course bundles (backend/utils/bundles.js) ---------- */
+window.exportCourse = async (id, format) => {
+  try {
+    const res = await fetch(`${API_BASE}/admin/courses/${encodeURIComponent(id)}/export?format=${format}`, {
+      credentials: "include"
+    });
+    if (!res.ok) {
+      const data = await res.json().catch(() => ({}));
+      throw new Error(typeof data.error === "string" ? data.error : "Request failed");
+    }
+    const name = /filename="([^"]+)"/.exec(res.headers.get("Content-Disposition") || "")?.[1] || `${id}.${format}`;
+    const url = URL.createObjectURL(await res.blob());
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = name;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    URL.revokeObjectURL(url);
+  } catch (e) {
+    alert("Export failed: " + e.message);
+  }
+};
+
+const BUNDLE_ACTION_LABELS = { create: "new", update: "changed", unchanged: "unchanged", none: "—" };
+
+function bundlePlanHtml(plan, dryRun) {
+  const fields = (x) => (x.fields?.length ? `<div class="small">${x.fields.map(escapeHtml).join(", ")}</div>` : "");
+  const row = (label, x) => `
+    <tr>
+      <td>${label}</td>
+      <td><span class="badge">${escapeHtml(BUNDLE_ACTION_LABELS[x.action] || x.action)}</span>${fields(x)}</td>
+    </tr>`;
+
+  return `
+    <div class="small" style="margin-top:10px;">
+      ${dryRun ? "Dry run for" : "Imported"} <b>${escapeHtml(plan.courseId)}</b>:
+      ${plan.summary.create} new, ${plan.summary.update} changed, ${plan.summary.unchanged} unchanged${plan.published ? " — published" : ""}.
+    </div>
+    <table class="table">
+      <thead><tr><th>Item</th><th>Change</th></tr></thead>
+      <tbody>
+        ${row("Course", plan.course)}
+        ${plan.lessons.map(l => row(`Lesson ${l.lessonIndex}: ${escapeHtml(l.title_en)}`, l)).join("")}
+        ${row("Exam", plan.exam)}
+      </tbody>
+    </table>
+    ${plan.notInBundle.length
+      ? `<div class="small">Not in the bundle (left as is): lessons ${plan.notInBundle.join(", ")}</div>`
+      : ""}`;
+}
+
+window.importBundle = async (dryRun) => {
+  const msg = document.getElementById("bundleMsg");
+  const out = document.getElementById("bundlePlan");
+  const file = document.getElementById("bundleFile").files[0];
+  if (!file) { msg.textContent = "Choose a bundle file first."; return; }
+
+  const publish = document.getElementById("bundlePublish").checked;
+  if (!dryRun && !confirm(`Import "${file.name}"${publish ? " and publish the course" : ""}?`)) return;
+
+  const params = new URLSearchParams();
+  if (dryRun) params.set("dryRun", "1");
+  if (publish) params.set("publish", "1");
+
+  msg.textContent = dryRun ? "Checking…" : "Importing…";
+  out.innerHTML = "";
+  try {
+    // the file goes up as-is: zip bundles raw, JSON bundles through the normal JSON parser
+    const res = await fetch(`${API_BASE}/admin/courses/import?${params}`, {
+      method: "POST",
+      headers: { "Content-Type": /\.zip$/i.test(file.name) ? "application/zip" : "application/json" },
+      credentials: "include",
+      body: file
+    });
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(typeof data.error === "string" ? data.error : "Request failed");
+
+    msg.textContent = dryRun ? "Nothing was written." : "Imported ✅";
+    out.innerHTML = bundlePlanHtml(data.plan, dryRun);
+    if (!dryRun) await reloadCoursesList();
+  } catch (e) {
+    msg.textContent = (dryRun ? "Check failed: " : "Import failed: ") + e.message;
+  }
+};
+
+async function renderLessons(focusLessonId = null) {
+  await loadCourses();
   appEl.innerHTML = `
     <div class="card">
       <div class="row">
         <div>
           <div class="h1">Manage Lessons</div>
-          <div class="small">Create / edit / delete lessons.</div>
+          <div class="small">Create / edit / delete lessons. Saves are drafts until the course is published;
+            lesson order, deleting and media apply right away.</div>
         </div>
         <div class="row" style="justify-content:flex-end;">
           <button class="btn" onclick="location.hash='#/dashboard'">Back</button>
@@ -213,9 +654,7 @@ async function renderLessons() {
 
       <label>Course</label>
       <select id="courseSelect">
-        <option value="foundation">foundation</option>
-        <option value="growth">growth</option>
-        <option value="excellence">excellence</option>
+        ${courseOptionsHtml()}
       </select>
 
       <div style="height:10px"></div>
@@ -223,10 +662,15 @@ async function renderLessons() {
       <span class="small" id="lessonsMsg"></span>
     </div>
 
+    <div class="card" id="publishCard"></div>
+
     <div class="grid two">
       <div class="card" id="lessonsListCard"></div>
       <div class="card" id="lessonEditorCard"></div>
-    </div>`;
+    </div>
+
+    <div class="card" id="lessonHistoryCard" style="display:none"></div>
+    <div class="card" id="lessonTrashCard"></div>`;
 
   const courseSelect = document.getElementById("courseSelect");
   courseSelect.value = state.selectedCourse;
@@ -236,24 +680,28 @@ async function renderLessons() {
     await loadLessonsList();
     renderLessonsList();
     renderLessonEditor(null);
+    closeLessonHistory();
+    await loadLessonTrash();
   };
 
   await loadLessonsList();
   renderLessonsList();
-  renderLessonEditor(null);
+  renderLessonEditor(state.lessons.find(l => l.id === focusLessonId) || null);
+  await loadLessonTrash();
+  if (focusLessonId) focusCard("lessonEditorCard");
 }
 
 async function loadLessonsList() {
   const msg = document.getElementById("lessonsMsg");
   msg.textContent = " Loading...";
   try {
-    const courseId = COURSE_ID_BY_KEY[state.selectedCourse];
-    const r = await api(`/admin/lessons/${courseId}`);
+    const r = await api(`/admin/lessons/${encodeURIComponent(state.selectedCourse)}`);
     state.lessons = r.lessons || [];
     msg.textContent = ` Loaded ✅ (${state.lessons.length})`;
   } catch (e) {
     msg.textContent = " Load failed: " + e.message;
   }
+  await loadPublishCard();
 }
 
 function renderLessonsList() {
@@ -261,14 +709,16 @@ function renderLessonsList() {
   const rows = state.lessons
     .sort((a, b) => a.lesson_index - b.lesson_index)
     .map(l => `
-      <tr>
-        <td>${l.lesson_index}</td>
+      <tr draggable="true" data-lesson-id="${l.id}">
+        <td><span class="dragHandle" title="Drag to reorder">⠿</span> ${l.lesson_index}</td>
         <td>
-          <div><b>${escapeHtml(l.title_en || "")}</b></div>
-          <div class="small">${escapeHtml(l.title_ti || "")}</div>
+          <div><b>${escapeHtml(l.title?.en || "")}</b> ${publishBadgeHtml(l.publishStatus)}</div>
+          <div class="small">${translationsLine(l.title)}</div>
         </td>
         <td style="white-space:nowrap;">
           <button class="btn" onclick="editLesson(${l.id})">Edit</button>
+          <button class="btn" onclick="previewAsStudent('lesson/${encodeURIComponent(l.course_id)}/${l.lesson_index}')">Preview</button>
+          <button class="btn" onclick="showLessonHistory(${l.id})">History</button>
           <button class="btn danger" onclick="deleteLesson(${l.id})">Delete</button>
         </td>
       </tr>`).join("");
@@ -278,12 +728,63 @@ function renderLessonsList() {
       <div class="h2">Lessons list</div>
       <button class="btn ok" onclick="renderLessonEditor(null)">+ New lesson</button>
     </div>
-    <div class="small">Course: <b>${escapeHtml(state.selectedCourse)}</b></div>
+    <div class="small">Course: <b>${escapeHtml(state.selectedCourse)}</b> • drag rows to reorder</div>
     <div style="height:10px"></div>
     <table class="table">
-      <thead><tr><th style="width:70px">Index</th><th>Title</th><th style="width:210px">Actions</th></tr></thead>
-      <tbody>${rows || `<tr><td colspan="3" class="small">No lessons yet.</td></tr>`}</tbody>
+      <thead><tr><th style="width:70px">Index</th><th>Title</th><th style="width:360px">Actions</th></tr></thead>
+      <tbody id="lessonsTbody">${rows || `<tr><td colspan="3" class="small">No lessons yet.</td></tr>`}</tbody>
     </table>`;
+
+  bindLessonDrag();
+}
+
+/* Rows move while dragging; the new order is saved on drop (student progress follows lesson ids) */
+function bindLessonDrag() {
+  const tbody = document.getElementById("lessonsTbody");
+  const rowIds = () => [...tbody.querySelectorAll("tr[data-lesson-id]")].map(tr => Number(tr.dataset.lessonId));
+  let dragged = null;
+  let before = [];
+
+  tbody.addEventListener("dragstart", (e) => {
+    dragged = e.target.closest("tr[data-lesson-id]");
+    if (!dragged) return;
+    before = rowIds();
+    dragged.classList.add("dragging");
+    e.dataTransfer.effectAllowed = "move";
+    e.dataTransfer.setData("text/plain", dragged.dataset.lessonId);
+  });
+
+  tbody.addEventListener("dragover", (e) => {
+    const over = e.target.closest("tr[data-lesson-id]");
+    if (!dragged || !over) return;
+    e.preventDefault();
+    if (over === dragged) return;
+    const box = over.getBoundingClientRect();
+    const after = e.clientY > box.top + box.height / 2;
+    tbody.insertBefore(dragged, after ? over.nextSibling : over);
+  });
+
+  tbody.addEventListener("drop", (e) => e.preventDefault());
+
+  tbody.addEventListener("dragend", async () => {
+    if (!dragged) return;
+    dragged.classList.remove("dragging");
+    dragged = null;
+    const ids = rowIds();
+    if (ids.join(",") !== before.join(",")) await saveLessonOrder(ids);
+  });
+}
+
+async function saveLessonOrder(ids) {
+  const msg = document.getElementById("lessonsMsg");
+  try {
+    await api(`/admin/lessons/${encodeURIComponent(state.selectedCourse)}/reorder`, { method: "POST", body: { ids } });
+    msg.textContent = " Order saved ✅";
+  } catch (e) {
+    alert("Reorder failed: " + e.message);
+  }
+  await loadLessonsList();
+  renderLessonsList();
 }
 
 window.editLesson = (id) => {
@@ -292,13 +793,15 @@ window.editLesson = (id) => {
 };
 
 window.deleteLesson = async (id) => {
-  if (!confirm("Delete this lesson?")) return;
+  if (!confirm("Move this lesson to the trash? Student progress is kept and it can be restored.")) return;
   try {
     await api(`/admin/lesson/${id}`, { method: "DELETE" });
     await loadLessonsList();
     renderLessonsList();
     renderLessonEditor(null);
-    alert("Deleted ✅");
+    closeLessonHistory();
+    await loadLessonTrash();
+    alert("Moved to trash ✅");
   } catch (e) {
     alert("Delete failed: " + e.message);
   }
@@ -310,7 +813,7 @@ function renderLessonEditor(lesson) {
   state.editingLessonId = isEdit ? lesson.id : null;
 
   const courseKey = state.selectedCourse;
-  const lessonIndex = isEdit ? lesson.lesson_index : 0;
+  const lessonIndex = isEdit ? lesson.lesson_index : "";
 
   el.innerHTML = `
     <div class="row">
@@ -319,36 +822,49 @@ function renderLessonEditor(lesson) {
     </div>
 
     <label>Course</label>
-    <select id="editCourseKey">
-      <option value="foundation">foundation</option>
-      <option value="growth">growth</option>
-      <option value="excellence">excellence</option>
+    <select id="editCourseKey" ${isEdit ? "disabled" : ""}>
+      ${courseOptionsHtml()}
     </select>
 
-    <label>Lesson index (0..9)</label>
-    <input id="editLessonIndex" type="number" value="${lessonIndex}" />
+    <label>Lesson index (0 = first; lessons from there on move down; empty = add at the end)</label>
+    <input id="editLessonIndex" type="number" min="0" value="${lessonIndex}" />
 
     <hr/>
 
-    <label>Title (English)</label>
-    <input id="title_en" type="text" value="${isEdit ? escapeHtml(lesson.title_en || "") : ""}" />
-
-    <label>Title (Tigrinya)</label>
-    <input id="title_ti" type="text" value="${isEdit ? escapeHtml(lesson.title_ti || "") : ""}" />
-
-    <label>Learn text (English)</label>
-    <textarea id="learn_en"></textarea>
-
-    <label>Learn text (Tigrinya)</label>
-    <textarea id="learn_ti"></textarea>
-
-    <label>Task (English)</label>
-    <input id="task_en" type="text" />
+    ${localizedFieldsHtml("title", "Title", lesson?.title)}
+    ${localizedFieldsHtml("learn", "Learn text", lesson?.learn, { multiline: true })}
+    ${localizedFieldsHtml("task", "Task", lesson?.task, { multiline: true, style: "min-height:70px;" })}
 
-    <label>Task (Tigrinya)</label>
-    <input id="task_ti" type="text" />
+    <div class="small" style="margin-top:6px;">
+      Learn and Task use Markdown: <code># Heading</code>, <code>- list</code>, <code>**bold**</code>, <code>*italic*</code>,
+      <code>[link](https://…)</code>, <code>![image](https://…)</code>, <code>&gt; [!TIP] callout</code> (also NOTE, WARNING).
+    </div>
+    <div class="row" style="justify-content:flex-start; gap:8px; margin-top:10px;">
+      <div class="h2" style="font-size:16px;">Preview</div>
+      <select id="previewLang" style="max-width:160px;">
+        ${localeOptionsHtml("en")}
+      </select>
+    </div>
+    <div class="card" id="lessonPreview" style="margin-top:6px;"><div class="small">Loading preview…</div></div>
+
+    <div class="h2" style="font-size:16px; margin-top:10px;">Media</div>
+    ${isEdit ? `
+      <div class="small">Images (PNG, JPEG, GIF, WebP, up to 5 MB) can be inserted into the Learn text; audio
+        (MP3, M4A, OGG, WebM, WAV, up to 25 MB) plays above the Learn text for students of that language.
+        Media changes apply right away.</div>
+      <div class="row" style="justify-content:flex-start; gap:8px; margin-top:6px;">
+        <input id="mediaFile" type="file" accept="image/png,image/jpeg,image/gif,image/webp,audio/*" style="max-width:260px;" />
+        <select id="mediaLang" style="max-width:130px;">
+          ${localeOptionsHtml("en")}
+        </select>
+        <button class="btn" onclick="uploadLessonMedia()">Upload</button>
+        <span class="small" id="mediaMsg"></span>
+      </div>
+      <div id="lessonMediaList" style="margin-top:6px;"></div>`
+    : `<div class="small">Save the lesson first to add images or audio.</div>`}
 
     <label>Quiz JSON</label>
+    ${questionToolbarHtml("quiz_json")}
     <textarea id="quiz_json" class="codeHint"></textarea>
 
     <div style="height:10px"></div>
@@ -359,22 +875,148 @@ function renderLessonEditor(lesson) {
   document.getElementById("editCourseKey").value = courseKey;
 
   if (isEdit) {
-    document.getElementById("learn_en").value = "";
-    document.getElementById("learn_ti").value = "";
-    document.getElementById("task_en").value = "";
-    document.getElementById("task_ti").value = "";
-    document.getElementById("quiz_json").value = JSON.stringify({ questions: [] }, null, 2);
+    document.getElementById("quiz_json").value = JSON.stringify(normalizeQuiz(lesson.quiz), null, 2);
   } else {
-    document.getElementById("learn_en").value = "";
-    document.getElementById("learn_ti").value = "";
-    document.getElementById("task_en").value = "";
-    document.getElementById("task_ti").value = "";
     document.getElementById("quiz_json").value = JSON.stringify({
       questions: [{ text: "Question 1", options: ["Option A", "Option B"], correctIndex: 0 }]
     }, null, 2);
   }
 
   document.getElementById("saveLessonBtn").onclick = saveLesson;
+
+  state.locales.forEach(l => {
+    document.getElementById(`learn_${l.code}`).addEventListener("input", scheduleLessonPreview);
+    document.getElementById(`task_${l.code}`).addEventListener("input", scheduleLessonPreview);
+  });
+  document.getElementById("previewLang").onchange = updateLessonPreview;
+  updateLessonPreview();
+  if (isEdit) loadLessonMedia();
+}
+
+/* ---------- Lesson media (backend/routes/admin_lesson_media.js) ---------- */
+
+async function loadLessonMedia() {
+  const el = document.getElementById("lessonMediaList");
+  const lessonId = state.editingLessonId;
+  if (!el || !lessonId) return;
+
+  try {
+    const r = await api(`/admin/lesson/${lessonId}/media`);
+    if (state.editingLessonId !== lessonId) return;
+    const media = r.media || [];
+
+    el.innerHTML = media.length ? `
+      <table class="table">
+        <tbody>
+          ${media.map(m => `
+            <tr>
+              <td style="width:170px;">
+                ${m.kind === "image"
+                  ? `<img src="${escapeHtml(m.url)}" alt="" style="max-width:150px; max-height:90px; border-radius:8px;" />`
+                  : `<audio controls preload="none" src="${escapeHtml(m.url)}" style="width:160px;"></audio>`}
+              </td>
+              <td>
+                <div>${escapeHtml(m.name || m.kind)}</div>
+                <div class="small">${m.kind} • ${escapeHtml(localeName(m.lang))} • ${Math.ceil(m.sizeBytes / 1024)} KB</div>
+              </td>
+              <td style="white-space:nowrap; width:170px;">
+                ${m.kind === "image" ? `<button class="btn" onclick="insertLessonImage(${m.id})">Insert</button>` : ""}
+                <button class="btn danger" onclick="deleteLessonMedia(${m.id})">Delete</button>
+              </td>
+            </tr>`).join("")}
+        </tbody>
+      </table>`
+      : `<div class="small">No media yet.</div>`;
+    state.lessonMedia = media;
+  } catch (e) {
+    el.innerHTML = `<div class="small">Media load failed: ${escapeHtml(e.message)}</div>`;
+  }
+}
+
+window.uploadLessonMedia = async () => {
+  const msg = document.getElementById("mediaMsg");
+  const file = document.getElementById("mediaFile").files[0];
+  if (!file) { msg.textContent = "Choose a file first."; return; }
+
+  const params = new URLSearchParams({ lang: document.getElementById("mediaLang").value, name: file.name });
+  msg.textContent = "Uploading…";
+  try {
+    const res = await fetch(`${API_BASE}/admin/lesson/${state.editingLessonId}/media?${params}`, {
+      method: "POST",
+      headers: { "Content-Type": file.type || "application/octet-stream" },
+      credentials: "include",
+      body: file
+    });
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(typeof data.error === "string" ? data.error : "Upload failed");
+
+    msg.textContent = "Uploaded ✅";
+    document.getElementById("mediaFile").value = "";
+    await loadLessonMedia();
+  } catch (e) {
+    msg.textContent = "Upload failed: " + e.message;
+  }
+};
+
+/* Adds ![name](url) at the cursor of the Learn text in the image's language */
+window.insertLessonImage = (id) => {
+  const m = (state.lessonMedia || []).find(x => x.id === id);
+  if (!m) return;
+  const ta = document.getElementById(`learn_${m.lang}`);
+  if (!ta) { alert(`${localeName(m.lang)} is not an enabled language.`); return; }
+  const alt = String(m.name || "image").replace(/\.[a-z0-9]+$/i, "").replace(/[\[\]]/g, "");
+  const snippet = `\n![${alt}](${m.url})\n`;
+  const at = ta.selectionStart ?? ta.value.length;
+  ta.value = ta.value.slice(0, at) + snippet + ta.value.slice(ta.selectionEnd ?? at);
+  ta.focus();
+  scheduleLessonPreview();
+};
+
+window.deleteLessonMedia = async (id) => {
+  if (!confirm("Delete this file? Lesson text that shows it will show a broken image.")) return;
+  try {
+    await api(`/admin/media/${id}`, { method: "DELETE" });
+    await loadLessonMedia();
+  } catch (e) {
+    alert("Delete failed: " + e.message);
+  }
+};
+
+/* Live preview: rendered by the server, exactly as students will see it (backend/utils/markdown.js) */
+let lessonPreviewTimer = null;
+let lessonPreviewSeq = 0;
+
+function scheduleLessonPreview() {
+  clearTimeout(lessonPreviewTimer);
+  lessonPreviewTimer = setTimeout(updateLessonPreview, 300);
+}
+
+async function updateLessonPreview() {
+  const el = document.getElementById("lessonPreview");
+  if (!el) return;
+  const lang = document.getElementById("previewLang").value;
+  const seq = ++lessonPreviewSeq;
+  el.dir = localeDir(lang);
+
+  try {
+    const r = await api("/admin/markdown/preview", {
+      method: "POST",
+      body: {
+        texts: {
+          learn: document.getElementById(`learn_${lang}`).value,
+          task: document.getElementById(`task_${lang}`).value
+        }
+      }
+    });
+    if (seq !== lessonPreviewSeq) return; // a newer preview is on its way
+
+    const block = (title, html) => `
+      <div class="h2" style="font-size:16px;">${title}</div>
+      ${html ? `<div class="p md">${html}</div>` : `<div class="small">(empty)</div>`}`;
+    el.innerHTML = block("Learn", r.html.learn) + `<div style="height:10px"></div>` + block("Task", r.html.task);
+  } catch (e) {
+    if (seq === lessonPreviewSeq) el.innerHTML = `<div class="small">Preview failed: ${escapeHtml(e.message)}</div>`;
+  }
 }
 
 async function saveLesson() {
@@ -382,124 +1024,1836 @@ async function saveLesson() {
   msg.textContent = "";
 
   const id = state.editingLessonId;
-  const courseKey = document.getElementById("editCourseKey").value;
-  const courseId = COURSE_ID_BY_KEY[courseKey];
+  const lesson = state.lessons.find(x => x.id === id);
+  const courseId = document.getElementById("editCourseKey").value;
 
-  const lessonIndex = Number(document.getElementById("editLessonIndex").value);
+  const rawIndex = document.getElementById("editLessonIndex").value.trim();
   const payload = {
     ...(id ? { id } : {}),
     courseId,
-    lessonIndex,
-    title_en: document.getElementById("title_en").value.trim(),
-    title_ti: document.getElementById("title_ti").value.trim(),
-    learn_en: document.getElementById("learn_en").value.trim(),
-    learn_ti: document.getElementById("learn_ti").value.trim(),
-    task_en: document.getElementById("task_en").value.trim(),
-    task_ti: document.getElementById("task_ti").value.trim(),
+    ...(rawIndex === "" ? {} : { lessonIndex: Number(rawIndex) }),
+    title: readLocalized("title", lesson?.title),
+    learn: readLocalized("learn", lesson?.learn),
+    task: readLocalized("task", lesson?.task),
     quiz: normalizeQuiz(JSON.parse(document.getElementById("quiz_json").value || "{}"))
   };
 
   try {
-    await api("/admin/lesson/save", { method: "POST", body: payload });
-    msg.textContent = "Saved ✅";
-    state.selectedCourse = courseKey;
+    const r = await api("/admin/lesson/save", { method: "POST", body: payload });
+    state.selectedCourse = courseId;
     await loadLessonsList();
     renderLessonsList();
+    // reopen the saved lesson: its index may have changed, and a second save must not create a copy
+    renderLessonEditor(state.lessons.find(x => x.id === r.id) || null);
+    document.getElementById("saveLessonMsg").textContent = `Saved ✅ (index ${r.lessonIndex})`;
+    if (id && state.historyLessonId === id) await showLessonHistory(id);
   } catch (e) {
     msg.textContent = "Save failed: " + e.message;
   }
 }
 
-async function renderExams() {
-  appEl.innerHTML = `
-    <div class="card">
-      <div class="row">
-        <div><div class="h1">Manage Final Exams</div></div>
-        <div class="row" style="justify-content:flex-end;">
-          <button class="btn" onclick="location.hash='#/dashboard'">Back</button>
-        </div>
-      </div>
+/* ---------- Lesson history + trash ---------- */
+const LESSON_DIFF_FIELDS = [
+  ["Title", "title"],
+  ["Learn text", "learn"],
+  ["Task", "task"]
+];
+
+function diffHtml(ops) {
+  if (!ops || !ops.length) return `<pre class="diff codeHint"><div class="same">(empty)</div></pre>`;
+  const lines = ops.map(o => {
+    const mark = o.op === "add" ? "+ " : o.op === "del" ? "- " : "  ";
+    return `<div class="${o.op}">${escapeHtml(mark + o.text)}</div>`;
+  }).join("");
+  return `<pre class="diff codeHint">${lines}</pre>`;
+}
 
-      <label>Course</label>
-      <select id="examCourseSelect">
-        <option value="foundation">foundation</option>
-        <option value="growth">growth</option>
-        <option value="excellence">excellence</option>
-      </select>
+function diffChanged(ops) {
+  return (ops || []).some(o => o.op !== "same");
+}
 
-      <label>Pass score (0–100)</label>
-      <input id="passScore" type="number" value="70" />
+function closeLessonHistory() {
+  state.historyLessonId = null;
+  const el = document.getElementById("lessonHistoryCard");
+  if (el) {
+    el.style.display = "none";
+    el.innerHTML = "";
+  }
+}
+window.closeLessonHistory = closeLessonHistory;
 
-      <hr/>
+window.showLessonHistory = async (id) => {
+  const el = document.getElementById("lessonHistoryCard");
+  state.historyLessonId = id;
+  el.style.display = "";
+  el.innerHTML = `<div class="small">Loading history...</div>`;
 
-      <label>Exam JSON (English)</label>
-      <textarea id="examJsonEn" class="codeHint"></textarea>
+  let r;
+  try {
+    r = await api(`/admin/lesson/${id}/revisions`);
+  } catch (e) {
+    el.innerHTML = `<div class="small">History failed to load: ${escapeHtml(e.message)}</div>`;
+    return;
+  }
 
-      <label>Exam JSON (Tigrinya)</label>
-      <textarea id="examJsonTi" class="codeHint"></textarea>
+  const KIND_LABELS = { save: "saved", restore: "restored", import: "imported" };
+  const rows = (r.revisions || []).map(rev => `
+    <tr>
+      <td>${rev.id} ${rev.current ? `<span class="badge">current</span>` : ""}</td>
+      <td class="small">${escapeHtml(fmtDateTime(rev.createdAt))}</td>
+      <td>
+        ${escapeHtml(KIND_LABELS[rev.kind] || rev.kind)} by ${escapeHtml(rev.createdByName || "—")}
+        ${rev.restoredFrom ? `<div class="small">from revision ${rev.restoredFrom}</div>` : ""}
+      </td>
+      <td>
+        <div>${escapeHtml(rev.title?.en || "")}</div>
+        <div class="small">${translationsLine(rev.title)}</div>
+      </td>
+      <td style="white-space:nowrap;">
+        <button class="btn" onclick="diffLessonRevision(${id}, ${rev.id})">Changes</button>
+        ${rev.current ? "" : `
+          <button class="btn" onclick="diffLessonRevision(${id}, ${rev.id}, 'current')">Diff vs current</button>
+          <button class="btn danger" onclick="restoreLessonRevision(${id}, ${rev.id})">Restore</button>`}
+      </td>
+    </tr>`).join("");
 
-      <div style="height:10px"></div>
-      <div class="row">
-        <button class="btn primary" id="loadExamBtn">Load</button>
-        <button class="btn ok" id="saveExamBtn">Save</button>
+  el.innerHTML = `
+    <div class="row">
+      <div>
+        <div class="h2">History: lesson ${r.lesson.lessonIndex} — ${escapeHtml(r.lesson.title?.en || "")}</div>
+        <div class="small">Every save is kept. Restoring copies an old revision's content into a new revision.</div>
       </div>
-
-      <div class="small" id="examMsg" style="margin-top:10px"></div>
+      <button class="btn" onclick="closeLessonHistory()">Close</button>
     </div>
-  `;
+    <div style="height:10px"></div>
+    <table class="table">
+      <thead><tr><th style="width:110px">Revision</th><th style="width:170px">When</th><th style="width:200px">What</th>
+        <th>Title</th><th style="width:330px">Actions</th></tr></thead>
+      <tbody>${rows || `<tr><td colspan="5" class="small">No revisions yet.</td></tr>`}</tbody>
+    </table>
+    <div id="lessonDiff"></div>`;
+};
 
-  document.getElementById("examCourseSelect").value = state.selectedCourse;
+// against: undefined = the revision before, "current" = the live lesson
+window.diffLessonRevision = async (id, revId, against) => {
+  const el = document.getElementById("lessonDiff");
+  try {
+    const qs = against ? `?against=${encodeURIComponent(against)}` : "";
+    const d = await api(`/admin/lesson/${id}/revisions/${revId}/diff${qs}`);
+    const fromLabel = d.from === null ? "nothing" : d.from === "current" ? "current" : `revision ${d.from}`;
+
+    // every language either side has (d.fields keys: "title_en", "learn_ti", ...)
+    const codes = [...new Set(Object.keys(d.fields).filter(k => k !== "quiz").map(k => k.split("_")[1]))]
+      .sort((a, b) => (a === "en" ? -1 : b === "en" ? 1 : 0));
+    const pairs = LESSON_DIFF_FIELDS.map(([label, field]) => `
+      <div class="grid two">
+        ${codes.filter(code => d.fields[`${field}_${code}`]).map(code => `
+          <div dir="${localeDir(code)}">
+            <label>${label} (${escapeHtml(localeName(code))})${diffChanged(d.fields[`${field}_${code}`]) ? "" : ` <span class="small">— unchanged</span>`}</label>
+            ${diffHtml(d.fields[`${field}_${code}`])}
+          </div>`).join("")}
+      </div>`).join("");
+
+    el.innerHTML = `
+      <hr/>
+      <div class="h2">${escapeHtml(fromLabel)} → revision ${d.to}</div>
+      <div class="small">Lines starting with − were removed, + were added.</div>
+      ${pairs}
+      <label>Quiz JSON${diffChanged(d.fields.quiz) ? "" : ` <span class="small">— unchanged</span>`}</label>
+      ${diffHtml(d.fields.quiz)}`;
+  } catch (e) {
+    el.innerHTML = `<div class="small">Failed: ${escapeHtml(e.message)}</div>`;
+  }
+};
+
+window.restoreLessonRevision = async (id, revId) => {
+  if (!confirm(`Restore revision ${revId}? The current content is kept in the history.`)) return;
+  try {
+    const r = await api(`/admin/lesson/${id}/revisions/${revId}/restore`, { method: "POST", body: {} });
+    await loadLessonsList();
+    renderLessonsList();
+    if (state.editingLessonId === id) renderLessonEditor(state.lessons.find(x => x.id === id) || null);
+    await showLessonHistory(id);
+    alert(r.unchanged ? "Already identical to the current content." : `Restored as revision ${r.revisionId} ✅`);
+  } catch (e) {
+    alert("Restore failed: " + e.message);
+  }
+};
+
+async function loadLessonTrash() {
+  const el = document.getElementById("lessonTrashCard");
+  if (!el) return;
+
+  let r;
+  try {
+    r = await api(`/admin/lessons/${encodeURIComponent(state.selectedCourse)}/trash`);
+  } catch (e) {
+    el.innerHTML = `<div class="small">Trash failed to load: ${escapeHtml(e.message)}</div>`;
+    return;
+  }
+
+  const rows = (r.lessons || []).map(l => `
+    <tr>
+      <td>${l.lessonIndex}${l.indexTaken ? `<div class="small">index in use</div>` : ""}</td>
+      <td>
+        <div><b>${escapeHtml(l.title?.en || "")}</b></div>
+        <div class="small">${translationsLine(l.title)}</div>
+      </td>
+      <td class="small">${escapeHtml(fmtDateTime(l.deletedAt))}<div>${escapeHtml(l.deletedByName || "")}</div></td>
+      <td style="white-space:nowrap;">
+        <button class="btn ok" onclick="undeleteLesson(${l.id}, ${l.lessonIndex}, ${l.indexTaken})">Restore</button>
+        <button class="btn" onclick="showLessonHistory(${l.id})">History</button>
+      </td>
+    </tr>`).join("");
+
+  el.innerHTML = `
+    <div class="h2">Trash</div>
+    <div class="small">Deleted lessons stay here with their history; student progress is not touched.</div>
+    <div style="height:10px"></div>
+    <table class="table">
+      <thead><tr><th style="width:90px">Index</th><th>Title</th><th style="width:190px">Deleted</th><th style="width:210px">Actions</th></tr></thead>
+      <tbody>${rows || `<tr><td colspan="4" class="small">Trash is empty.</td></tr>`}</tbody>
+    </table>`;
+}
+
+window.undeleteLesson = async (id, lessonIndex, indexTaken) => {
+  let body = {};
+  if (indexTaken) {
+    const raw = prompt(
+      `Lesson index ${lessonIndex} is used by another lesson. Restore at which index? (lessons from there on move down)`,
+      String(lessonIndex)
+    );
+    if (raw === null) return;
+    body = { lessonIndex: Number(raw) };
+  } else if (!confirm(`Restore this lesson at index ${lessonIndex}?`)) {
+    return;
+  }
+
+  try {
+    const r = await api(`/admin/lesson/${id}/undelete`, { method: "POST", body });
+    await loadLessonsList();
+    renderLessonsList();
+    await loadLessonTrash();
+    alert(`Restored at index ${r.lessonIndex} ✅`);
+  } catch (e) {
+    alert("Restore failed: " + e.message);
+  }
+};
+
+async function renderExams(focusBankQuestionId = null) {
+  await loadCourses();
+  appEl.innerHTML = `
+    <div class="card">
+      <div class="row">
+        <div>
+          <div class="h1">Manage Final Exams</div>
+          <div class="small">Saves are drafts until the course is published, bank questions too.
+            A bank question's lesson, topic and active flag apply right away.</div>
+        </div>
+        <div class="row" style="justify-content:flex-end;">
+          <button class="btn" onclick="location.hash='#/dashboard'">Back</button>
+        </div>
+      </div>
+
+      <label>Course</label>
+      <select id="examCourseSelect">
+        ${courseOptionsHtml()}
+      </select>
+
+      <label>Pass score (0–100)</label>
+      <input id="passScore" type="number" value="70" />
+
+      <label>Review after submit (what students see)</label>
+      <select id="reviewPolicy">
+        <option value="score_only">Score only</option>
+        <option value="correctness">Which answers were right / wrong</option>
+        <option value="full">Right / wrong + correct answers</option>
+        <option value="full_after_pass">Correct answers only once passed</option>
+      </select>
+
+      <label>Max attempts (empty = unlimited)</label>
+      <input id="maxAttempts" type="number" min="1" />
+
+      <label>Cooldown between attempts (minutes, 0 = none)</label>
+      <input id="cooldownMinutes" type="number" min="0" value="0" />
+
+      <label>Time limit (minutes, empty = no limit)</label>
+      <input id="timeLimitMinutes" type="number" min="1" />
+
+      <label>Which attempt counts</label>
+      <select id="scorePolicy">
+        <option value="latest">Latest attempt</option>
+        <option value="best">Best attempt</option>
+      </select>
+
+      <hr/>
+
+      <div class="h2">Question draw (blueprint)</div>
+      <div class="small">Leave "Questions per attempt" empty to use the fixed exam JSON below (shuffled order).
+        Otherwise each attempt draws from the question bank.</div>
+
+      <label>Questions per attempt</label>
+      <input id="bpCount" type="number" min="1" placeholder="e.g. 10" />
+
+      <label>At least N questions from every lesson</label>
+      <input id="bpMinPerLesson" type="number" min="0" value="0" />
+
+      <label>At least N per topic (JSON, e.g. {"budgeting": 2})</label>
+      <input id="bpMinPerTopic" placeholder="{}" />
+
+      <label><input id="bpShuffleOptions" type="checkbox" checked /> Shuffle answer options</label>
+
+      <hr/>
+
+      ${state.locales.map(l => l.code === "en" ? `
+      <label>Exam JSON (English, graded)</label>
+      ${questionToolbarHtml("examJson_en")}
+      <textarea id="examJson_en" class="codeHint"></textarea>` : `
+      <label>Exam JSON (${escapeHtml(l.name)}: same questions, types and option order as English; empty = English is shown)</label>
+      <textarea id="examJson_${l.code}" class="codeHint" dir="${l.dir}"></textarea>`).join("")}
+
+      <div style="height:10px"></div>
+      <div class="row">
+        <button class="btn primary" id="loadExamBtn">Load</button>
+        <button class="btn ok" id="saveExamBtn">Save</button>
+      </div>
+
+      <div class="small" id="examMsg" style="margin-top:10px"></div>
+    </div>
+
+    <div class="card" id="publishCard"></div>
+    <div class="card" id="bankListCard"></div>
+    <div class="card" id="bankEditorCard"></div>
+    <div class="card" id="analyticsCard"></div>
+    <div class="card" id="revisionsCard"></div>
+  `;
+
+  document.getElementById("examCourseSelect").value = state.selectedCourse;
   document.getElementById("loadExamBtn").onclick = loadExam;
   document.getElementById("saveExamBtn").onclick = saveExam;
 
   await loadExam();
+  if (focusBankQuestionId) {
+    window.editBankQuestion(focusBankQuestionId);
+    focusCard("bankEditorCard");
+  }
+}
+
+function blueprintFromForm() {
+  const count = document.getElementById("bpCount").value.trim();
+  if (!count) return null;
+
+  const minPerTopicRaw = document.getElementById("bpMinPerTopic").value.trim();
+  return {
+    count: Number(count),
+    minPerLesson: Number(document.getElementById("bpMinPerLesson").value || 0),
+    minPerTopic: minPerTopicRaw ? JSON.parse(minPerTopicRaw) : {},
+    shuffleOptions: document.getElementById("bpShuffleOptions").checked
+  };
+}
+
+function fillBlueprintForm(bp) {
+  document.getElementById("bpCount").value = bp?.count ?? "";
+  document.getElementById("bpMinPerLesson").value = bp?.minPerLesson ?? 0;
+  document.getElementById("bpMinPerTopic").value = bp && Object.keys(bp.minPerTopic || {}).length
+    ? JSON.stringify(bp.minPerTopic)
+    : "";
+  document.getElementById("bpShuffleOptions").checked = bp ? bp.shuffleOptions !== false : true;
 }
 
 async function loadExam() {
-  const courseKey = document.getElementById("examCourseSelect").value;
-  const courseId = COURSE_ID_BY_KEY[courseKey];
+  const courseId = document.getElementById("examCourseSelect").value;
   const msg = document.getElementById("examMsg");
   msg.textContent = "Loading...";
 
   try {
-    const r = await api(`/admin/exam/${courseId}`);
+    const r = await api(`/admin/exam/${encodeURIComponent(courseId)}`);
     document.getElementById("passScore").value = r.passScore ?? 70;
-    document.getElementById("examJsonEn").value = JSON.stringify(r.exam_en || { questions: [] }, null, 2);
-    document.getElementById("examJsonTi").value = JSON.stringify(r.exam_ti || { questions: [] }, null, 2);
+    document.getElementById("reviewPolicy").value = r.reviewPolicy || "correctness";
+    document.getElementById("maxAttempts").value = r.maxAttempts ?? "";
+    document.getElementById("cooldownMinutes").value = r.cooldownMinutes ?? 0;
+    document.getElementById("timeLimitMinutes").value = r.timeLimitMinutes ?? "";
+    document.getElementById("scorePolicy").value = r.scorePolicy || "latest";
+    fillBlueprintForm(r.blueprint);
+    state.loadedExams = r.exams || {};
+    for (const l of state.locales) {
+      const exam = state.loadedExams[l.code] || (l.code === "en" ? { questions: [] } : null);
+      document.getElementById(`examJson_${l.code}`).value = exam ? JSON.stringify(exam, null, 2) : "";
+    }
     msg.textContent = "Loaded ✅";
-    state.selectedCourse = courseKey;
+    state.selectedCourse = courseId;
+    await loadExamAnalytics();
+    await loadQuestionBank();
+    await loadExamRevisions();
   } catch (e) {
     msg.textContent = "Load failed: " + e.message;
   }
 }
 
 async function saveExam() {
-  const courseKey = document.getElementById("examCourseSelect").value;
-  const courseId = COURSE_ID_BY_KEY[courseKey];
+  const courseId = document.getElementById("examCourseSelect").value;
   const msg = document.getElementById("examMsg");
   msg.textContent = "";
 
   const passScore = Number(document.getElementById("passScore").value);
+  const reviewPolicy = document.getElementById("reviewPolicy").value;
+  const attemptPolicy = {
+    maxAttempts: document.getElementById("maxAttempts").value.trim() || null,
+    cooldownMinutes: document.getElementById("cooldownMinutes").value.trim() || 0,
+    timeLimitMinutes: document.getElementById("timeLimitMinutes").value.trim() || null,
+    scorePolicy: document.getElementById("scorePolicy").value
+  };
 
-  let exam_en, exam_ti;
+  // languages that aren't enabled right now are saved back as loaded
+  const exams = { ...(state.loadedExams || {}) };
+  let blueprint;
   try {
-    exam_en = JSON.parse(document.getElementById("examJsonEn").value || "{}");
-    exam_ti = JSON.parse(document.getElementById("examJsonTi").value || "{}");
+    for (const l of state.locales) {
+      const raw = document.getElementById(`examJson_${l.code}`).value.trim();
+      if (raw || l.code === "en") exams[l.code] = JSON.parse(raw || "{}");
+      else delete exams[l.code];
+    }
+    blueprint = blueprintFromForm();
   } catch {
     msg.textContent = "Invalid JSON.";
     return;
   }
 
   try {
-    await api("/admin/exam/save", { method: "POST", body: { courseId, passScore, exam_en, exam_ti } });
-    msg.textContent = "Saved ✅";
+    const r = await api("/admin/exam/save", {
+      method: "POST",
+      body: { courseId, passScore, reviewPolicy, ...attemptPolicy, blueprint, exams }
+    });
+    msg.textContent = `Saved ✅ (revision ${r.revisionId})`;
+    await loadExamRevisions();
+  } catch (e) {
+    msg.textContent = "Save failed: " + e.message;
+  }
+}
+
+/* ---------- Question bank ---------- */
+async function loadQuestionBank() {
+  const el = document.getElementById("bankListCard");
+  el.innerHTML = `<div class="small">Loading question bank...</div>`;
+  try {
+    const r = await api(`/admin/exam/${encodeURIComponent(state.selectedCourse)}/questions`);
+    state.bankQuestions = r.questions || [];
+    renderQuestionBankList();
+    renderBankEditor(null);
+  } catch (e) {
+    el.innerHTML = `<div class="small">Question bank failed to load: ${escapeHtml(e.message)}</div>`;
+  }
+}
+
+function renderQuestionBankList() {
+  const el = document.getElementById("bankListCard");
+  const list = state.bankQuestions || [];
+  const activeCount = list.filter(q => q.active).length;
+
+  const rows = list.map(q => `
+    <tr style="${q.active ? "" : "opacity:.55"}">
+      <td>${q.id}</td>
+      <td>${q.lesson_index ?? ""}</td>
+      <td>${escapeHtml(q.topic || "")}</td>
+      <td>
+        <div>${escapeHtml(q.question?.en?.text || "")}
+          <span class="badge">${QUESTION_TYPE_LABELS[q.question?.en?.type] || QUESTION_TYPE_LABELS.single}</span>
+          ${publishBadgeHtml(q.publishStatus)}</div>
+        ${state.locales.filter(l => l.code !== "en").map(l => `
+          <div class="small" dir="${l.dir}">${q.question?.[l.code]
+            ? escapeHtml(q.question[l.code].text || "")
+            : `<i>No ${escapeHtml(l.name)} (English is shown)</i>`}</div>`).join("")}
+      </td>
+      <td>${analyticsSummaryHtml(analyticsFor(`qid:${q.id}`))}</td>
+      <td style="white-space:nowrap;">
+        <button class="btn" onclick="editBankQuestion(${q.id})">Edit</button>
+        <button class="btn ${q.active ? "danger" : "ok"}" onclick="toggleBankQuestion(${q.id})">
+          ${q.active ? "Deactivate" : "Activate"}
+        </button>
+      </td>
+    </tr>`).join("");
+
+  el.innerHTML = `
+    <div class="row">
+      <div class="h2">Question bank</div>
+      <div class="row" style="justify-content:flex-end;">
+        <button class="btn" onclick="importFixedQuestions()">Import exam JSON</button>
+        <button class="btn ok" onclick="renderBankEditor(null)">+ New question</button>
+      </div>
+    </div>
+    <div class="small">Course: <b>${escapeHtml(state.selectedCourse)}</b> · ${activeCount} active of ${list.length}</div>
+    <div style="height:10px"></div>
+    <table class="table">
+      <thead><tr><th style="width:50px">ID</th><th style="width:60px">Lesson</th><th style="width:110px">Topic</th><th>Question</th><th style="width:170px">Stats</th><th style="width:210px">Actions</th></tr></thead>
+      <tbody>${rows || `<tr><td colspan="6" class="small">No bank questions yet.</td></tr>`}</tbody>
+    </table>`;
+}
+
+function renderBankEditor(q) {
+  const el = document.getElementById("bankEditorCard");
+  state.editingBankQuestionId = q ? q.id : null;
+
+  const question = { en: { text: "", options: ["", ""], correctIndex: 0 }, ...(q?.question || {}) };
+
+  el.innerHTML = `
+    <div class="h2">${q ? `Edit question #${q.id}` : "New question"}</div>
+
+    <label>Lesson index (optional)</label>
+    <input id="bq_lesson" type="number" min="0" value="${q?.lesson_index ?? ""}" />
+
+    <label>Topic (optional)</label>
+    <input id="bq_topic" value="${escapeHtml(q?.topic || "")}" />
+
+    <label>Question (English) JSON</label>
+    ${questionToolbarHtml("bq_en", { single: true })}
+    <textarea id="bq_en" class="codeHint">${escapeHtml(JSON.stringify(question.en, null, 2))}</textarea>
+    ${state.locales.filter(l => l.code !== "en").map(l => `
+    <label>Question (${escapeHtml(l.name)}) JSON: same type, options/items in the same order (optional).
+      Short answers: its "accepted" list is accepted too.</label>
+    <textarea id="bq_${l.code}" class="codeHint" dir="${l.dir}">${question[l.code] ? escapeHtml(JSON.stringify(question[l.code], null, 2)) : ""}</textarea>`).join("")}
+
+    <div style="height:10px"></div>
+    <button class="btn ok" onclick="saveBankQuestion()">Save question</button>
+    <div class="small" id="bankMsg" style="margin-top:10px"></div>
+  `;
+}
+
+window.renderBankEditor = renderBankEditor;
+
+window.editBankQuestion = (id) => {
+  renderBankEditor(state.bankQuestions.find(q => q.id === id) || null);
+};
+
+window.saveBankQuestion = async () => {
+  const msg = document.getElementById("bankMsg");
+  msg.textContent = "";
+
+  // languages that aren't enabled right now are saved back unchanged
+  const current = state.bankQuestions.find(q => q.id === state.editingBankQuestionId);
+  const question = { ...(current?.question || {}) };
+  try {
+    for (const l of state.locales) {
+      const raw = document.getElementById(`bq_${l.code}`).value.trim();
+      if (raw || l.code === "en") question[l.code] = JSON.parse(raw);
+      else delete question[l.code];
+    }
+  } catch {
+    msg.textContent = "Invalid JSON.";
+    return;
+  }
+
+  const lessonRaw = document.getElementById("bq_lesson").value.trim();
+  const body = {
+    lesson_index: lessonRaw === "" ? null : Number(lessonRaw),
+    topic: document.getElementById("bq_topic").value.trim() || null,
+    question
+  };
+
+  const base = `/admin/exam/${encodeURIComponent(state.selectedCourse)}/questions`;
+  try {
+    if (state.editingBankQuestionId) {
+      await api(`${base}/${state.editingBankQuestionId}`, { method: "PUT", body });
+    } else {
+      await api(base, { method: "POST", body });
+    }
+    await loadQuestionBank();
+    await loadPublishCard();
+    document.getElementById("bankMsg").textContent = "Saved ✅ (draft until the course is published)";
   } catch (e) {
     msg.textContent = "Save failed: " + e.message;
   }
+};
+
+window.toggleBankQuestion = async (id) => {
+  const q = state.bankQuestions.find(x => x.id === id);
+  if (!q) return;
+  try {
+    await api(`/admin/exam/${encodeURIComponent(state.selectedCourse)}/questions/${id}`, {
+      method: "PUT",
+      body: { active: !q.active }
+    });
+    await loadQuestionBank();
+  } catch (e) {
+    alert("Update failed: " + e.message);
+  }
+};
+
+window.importFixedQuestions = async () => {
+  if (!confirm("Copy the saved exam JSON questions into the question bank?")) return;
+  try {
+    const r = await api(`/admin/exam/${encodeURIComponent(state.selectedCourse)}/questions/import-fixed`, { method: "POST" });
+    await loadQuestionBank();
+    await loadPublishCard();
+    alert(`Imported ${r.imported} question(s)` + (r.skipped ? `, skipped ${r.skipped} invalid` : "") + " ✅");
+  } catch (e) {
+    alert("Import failed: " + e.message);
+  }
+};
+
+/* ---------- Publishing (drafts) ---------- */
+const STUDENT_APP_URL = "../student/";
+
+const PUBLISH_BADGES = {
+  draft: "draft — not visible to students",
+  changed: "unpublished changes"
+};
+
+function publishBadgeHtml(status) {
+  return PUBLISH_BADGES[status] ? `<span class="badge">${PUBLISH_BADGES[status]}</span>` : "";
+}
+
+// value for <input type="datetime-local"> in the browser's time zone
+function toLocalInputValue(v) {
+  const d = new Date(v);
+  if (isNaN(d)) return "";
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}T${pad(d.getHours())}:${pad(d.getMinutes())}`;
+}
+
+// opens the student app on `route` (e.g. "course/foundation") showing drafts
+window.previewAsStudent = (route) => {
+  window.open(`${STUDENT_APP_URL}?preview=1#/${route}`, "_blank", "noopener");
+};
+
+async function loadPublishCard() {
+  const el = document.getElementById("publishCard");
+  if (!el) return;
+  const courseId = state.selectedCourse;
+
+  let d;
+  try {
+    d = await api(`/admin/courses/${encodeURIComponent(courseId)}/drafts`);
+  } catch (e) {
+    el.innerHTML = `<div class="small">Publishing status failed to load: ${escapeHtml(e.message)}</div>`;
+    return;
+  }
+
+  const lessonItems = d.lessons.map(l => `
+    <li>Lesson ${l.lessonIndex}: ${escapeHtml(l.title_en || "")}
+      <span class="small">(${l.status === "new" ? "new" : "changed"})</span></li>`).join("");
+  const questionItems = (d.questions || []).map(q => `
+    <li>Bank question #${q.id}: ${escapeHtml(q.text_en || "")}
+      <span class="small">(${q.status === "new" ? "new" : "changed"})</span></li>`).join("");
+  const examItem = d.exam?.changed
+    ? `<li>Final exam: revision ${d.exam.draftRevisionId}
+        <span class="small">(published: ${d.exam.publishedRevisionId ?? "none"})</span></li>`
+    : "";
+
+  el.innerHTML = `
+    <div class="row">
+      <div>
+        <div class="h2">Publishing</div>
+        <div class="small">
+          ${d.publishedAt
+            ? `Last published ${escapeHtml(fmtDateTime(d.publishedAt))}${d.publishedByName ? ` by ${escapeHtml(d.publishedByName)}` : ""}.`
+            : "Not published from here yet."}
+          ${d.scheduledPublishAt ? ` <b>Scheduled: ${escapeHtml(fmtDateTime(d.scheduledPublishAt))}</b>` : ""}
+        </div>
+      </div>
+      <div class="row" style="gap:8px; justify-content:flex-end;">
+        <button class="btn" onclick="previewAsStudent('course/${encodeURIComponent(courseId)}')">Preview course</button>
+        <button class="btn" onclick="previewAsStudent('exam/${encodeURIComponent(courseId)}')">Preview exam</button>
+      </div>
+    </div>
+
+    ${d.hasDrafts
+      ? `<div class="small" style="margin-top:10px;">Not yet visible to students:</div><ul class="small">${lessonItems}${questionItems}${examItem}</ul>`
+      : `<div class="small" style="margin-top:10px;">Students see the latest saved content ✅</div>`}
+    <div class="small">Applied right away, without publishing: lesson order, deleted lessons, lesson media
+      and a bank question's lesson, topic and active flag.</div>
+
+    <div class="row" style="gap:8px; align-items:flex-end;">
+      <button class="btn ok" onclick="publishCourse()" ${d.hasDrafts ? "" : "disabled"}>Publish now</button>
+      <div>
+        <label>Publish at</label>
+        <input id="publishAt" type="datetime-local" value="${d.scheduledPublishAt ? toLocalInputValue(d.scheduledPublishAt) : ""}" />
+      </div>
+      <button class="btn" onclick="schedulePublish()">Schedule</button>
+      ${d.scheduledPublishAt ? `<button class="btn danger" onclick="cancelScheduledPublish()">Cancel schedule</button>` : ""}
+    </div>
+    <div class="small" id="publishMsg" style="margin-top:10px;"></div>`;
+}
+
+window.publishCourse = async () => {
+  const courseId = state.selectedCourse;
+  if (!confirm(`Publish all drafts of "${courseId}"? Students see them immediately.`)) return;
+  try {
+    const r = await api(`/admin/courses/${encodeURIComponent(courseId)}/publish`, { method: "POST", body: {} });
+    // both reload the publish card too
+    if (document.getElementById("lessonsListCard")) {
+      await loadLessonsList();
+      renderLessonsList();
+    } else {
+      await loadExamRevisions();
+      await loadQuestionBank();
+    }
+    document.getElementById("publishMsg").textContent =
+      `Published ✅ (${r.lessons.length} lesson(s), ${r.questions.length} bank question(s)` +
+      `${r.examRevisionId ? `, exam revision ${r.examRevisionId}` : ""})`;
+  } catch (e) {
+    alert("Publish failed: " + e.message);
+  }
+};
+
+window.schedulePublish = async () => {
+  const raw = document.getElementById("publishAt").value;
+  if (!raw) return alert("Pick a date and time first.");
+  try {
+    await api(`/admin/courses/${encodeURIComponent(state.selectedCourse)}/schedule`, {
+      method: "POST",
+      body: { publishAt: new Date(raw).toISOString() }
+    });
+    await loadPublishCard();
+    document.getElementById("publishMsg").textContent = "Scheduled ✅ Drafts saved until then are published at that time.";
+  } catch (e) {
+    alert("Schedule failed: " + e.message);
+  }
+};
+
+window.cancelScheduledPublish = async () => {
+  try {
+    await api(`/admin/courses/${encodeURIComponent(state.selectedCourse)}/schedule`, {
+      method: "POST",
+      body: { publishAt: null }
+    });
+    await loadPublishCard();
+  } catch (e) {
+    alert("Cancel failed: " + e.message);
+  }
+};
+
+/* ---------- Exam revisions ---------- */
+function examRevisionsBase() {
+  return `/admin/exam/${encodeURIComponent(state.selectedCourse)}/revisions`;
+}
+
+async function loadExamRevisions() {
+  const el = document.getElementById("revisionsCard");
+  if (!el) return;
+  await loadPublishCard();
+
+  let r;
+  try {
+    r = await api(examRevisionsBase());
+  } catch (e) {
+    el.innerHTML = `<div class="small">Revisions failed to load: ${escapeHtml(e.message)}</div>`;
+    return;
+  }
+
+  const rows = (r.revisions || []).map(rev => `
+    <tr>
+      <td>${rev.id} ${rev.current ? `<span class="badge">current</span>` : ""}
+        ${rev.published ? `<span class="badge">published</span>` : ""}</td>
+      <td class="small">${escapeHtml(fmtDateTime(rev.createdAt))}</td>
+      <td>${escapeHtml(rev.createdByName || "—")}${rev.restoredFrom ? `<div class="small">restored from ${rev.restoredFrom}</div>` : ""}</td>
+      <td>${rev.questionCount}</td>
+      <td>${rev.attemptCount}</td>
+      <td style="white-space:nowrap;">
+        <button class="btn" onclick="viewExamRevision(${rev.id})">View</button>
+        ${rev.current ? "" : `
+          <button class="btn" onclick="diffExamRevision(${rev.id})">Diff vs current</button>
+          <button class="btn danger" onclick="restoreExamRevision(${rev.id})">Restore</button>`}
+      </td>
+    </tr>`).join("");
+
+  el.innerHTML = `
+    <div class="h2">Revision history</div>
+    <div class="small">Every save is kept. Students take the published revision; attempts are always reviewed
+      against the revision they were taken with. Restoring copies an old revision into a new (draft) one.</div>
+    <div style="height:10px"></div>
+    <table class="table">
+      <thead><tr><th style="width:110px">Revision</th><th style="width:170px">Saved</th><th>By</th>
+        <th style="width:90px">Questions</th><th style="width:80px">Attempts</th><th style="width:300px">Actions</th></tr></thead>
+      <tbody>${rows || `<tr><td colspan="6" class="small">Not saved yet.</td></tr>`}</tbody>
+    </table>
+    <div id="revisionDetail"></div>`;
+}
+
+window.viewExamRevision = async (id) => {
+  const el = document.getElementById("revisionDetail");
+  try {
+    const { revision: rev } = await api(`${examRevisionsBase()}/${id}`);
+    const settings = {
+      passScore: rev.passScore,
+      reviewPolicy: rev.reviewPolicy,
+      maxAttempts: rev.maxAttempts,
+      cooldownMinutes: rev.cooldownMinutes,
+      timeLimitMinutes: rev.timeLimitMinutes,
+      scorePolicy: rev.scorePolicy,
+      blueprint: rev.blueprint
+    };
+    el.innerHTML = `
+      <hr/>
+      <div class="h2">Revision ${rev.id}</div>
+      <label>Settings</label>
+      <textarea class="codeHint" readonly>${escapeHtml(JSON.stringify(settings, null, 2))}</textarea>
+      ${Object.entries(rev.exams || {}).map(([code, exam]) => `
+      <label>Exam JSON (${escapeHtml(localeName(code))})</label>
+      <textarea class="codeHint" readonly dir="${localeDir(code)}">${escapeHtml(JSON.stringify(exam, null, 2))}</textarea>`).join("")}`;
+  } catch (e) {
+    el.innerHTML = `<div class="small">Failed: ${escapeHtml(e.message)}</div>`;
+  }
+};
+
+const REVISION_CHANGE_LABELS = {
+  added: "added in current",
+  removed: "removed in current",
+  changed: "changed",
+  translation: "translation changed"
+};
+
+window.diffExamRevision = async (id) => {
+  const el = document.getElementById("revisionDetail");
+  try {
+    // from revision `id` to the current one
+    const current = (await api(examRevisionsBase())).currentRevisionId;
+    const d = await api(`${examRevisionsBase()}/${current}/diff?against=${id}`);
+    const show = (v) => escapeHtml(typeof v === "object" && v !== null ? JSON.stringify(v) : String(v ?? "—"));
+
+    const settingRows = d.settings.map(x => `
+      <tr><td>${escapeHtml(x.field)}</td><td>${show(x.from)}</td><td>${show(x.to)}</td></tr>`).join("");
+    const questionRows = d.questions.map(x => `
+      <tr>
+        <td>${x.index + 1}</td>
+        <td>${escapeHtml(REVISION_CHANGE_LABELS[x.change] || x.change)}${x.locale ? ` (${escapeHtml(localeName(x.locale))})` : ""}</td>
+        <td class="small">${x.from ? show(x.from) : "—"}</td>
+        <td class="small">${x.to ? show(x.to) : "—"}</td>
+      </tr>`).join("");
+
+    el.innerHTML = `
+      <hr/>
+      <div class="h2">Revision ${d.from} → current (${d.to})</div>
+      ${!settingRows && !questionRows ? `<div class="small">No differences.</div>` : ""}
+      ${settingRows ? `
+        <table class="table">
+          <thead><tr><th style="width:150px">Setting</th><th>Revision ${d.from}</th><th>Current</th></tr></thead>
+          <tbody>${settingRows}</tbody>
+        </table>` : ""}
+      ${questionRows ? `
+        <div style="height:10px"></div>
+        <table class="table">
+          <thead><tr><th style="width:50px">#</th><th style="width:140px">Change</th><th>Revision ${d.from}</th><th>Current</th></tr></thead>
+          <tbody>${questionRows}</tbody>
+        </table>` : ""}`;
+  } catch (e) {
+    el.innerHTML = `<div class="small">Failed: ${escapeHtml(e.message)}</div>`;
+  }
+};
+
+window.restoreExamRevision = async (id) => {
+  if (!confirm(`Restore revision ${id}? It is saved as a new revision; nothing is deleted.`)) return;
+  try {
+    const r = await api(`${examRevisionsBase()}/${id}/restore`, { method: "POST", body: {} });
+    await loadExam();
+    document.getElementById("examMsg").textContent = `Restored revision ${id} as revision ${r.revisionId} ✅`;
+  } catch (e) {
+    alert("Restore failed: " + e.message);
+  }
+};
+
+/* ---------- Item analytics ---------- */
+const ANALYTICS_FLAG_LABELS = {
+  too_easy: "too easy",
+  too_hard: "too hard",
+  low_discrimination: "doesn't separate strong / weak",
+  misleading_distractor: "a wrong option beats the right one",
+  language_gap: "a translation differs from English"
+};
+
+function pct(x) {
+  return x == null ? "—" : `${Math.round(x * 100)}%`;
+}
+
+function analyticsFor(key) {
+  return (state.examAnalytics?.questions || []).find(x => x.key === key) || null;
+}
+
+function analyticsSummaryHtml(a) {
+  if (!a) return `<span class="small">No answers yet</span>`;
+  const gapCode = a.langGapLocale;
+  const lang = a.langGap != null && gapCode
+    ? ` · EN ${pct(a.byLang.en?.correctRate)} / ${escapeHtml(gapCode.toUpperCase())} ${pct(a.byLang[gapCode]?.correctRate)}`
+    : "";
+  return `
+    <div class="small"><b>${pct(a.correctRate)}</b> correct · n=${a.responses}
+      ${a.discrimination != null ? ` · D ${a.discrimination.toFixed(2)}` : ""}${lang}</div>
+    ${(a.flags || []).map(f => `<span class="badge">${escapeHtml(ANALYTICS_FLAG_LABELS[f] || f)}</span>`).join(" ")}`;
+}
+
+function analyticsDetailHtml(a) {
+  const partial = a.breakdownResponses < a.responses
+    ? `<div class="small">Answer breakdown of ${a.breakdownResponses} of ${a.responses} answers (the others were given to an earlier version of the question).</div>`
+    : "";
+  return partial + analyticsBreakdownHtml(a);
+}
+
+function analyticsBreakdownHtml(a) {
+  if (a.options) {
+    return a.options.map(o => `
+      <div class="small">${o.correct ? "✅" : "▫️"} ${escapeHtml(o.text)} — ${o.picked} (${pct(o.rate)})</div>`).join("") +
+      (a.blank ? `<div class="small">No answer — ${a.blank}</div>` : "");
+  }
+  if (a.positions) {
+    return a.positions.map(p => `<div class="small">${escapeHtml(p.text)} — placed right ${pct(p.rate)}</div>`).join("");
+  }
+  if (a.wrongAnswers?.length) {
+    return `<div class="small">Common wrong answers: ${a.wrongAnswers.map(w => `${escapeHtml(w.answer)} (${w.count})`).join(", ")}</div>`;
+  }
+  return "";
+}
+
+async function loadExamAnalytics() {
+  try {
+    state.examAnalytics = await api(`/admin/exam/${encodeURIComponent(state.selectedCourse)}/analytics`);
+  } catch (e) {
+    state.examAnalytics = null;
+    document.getElementById("analyticsCard").innerHTML =
+      `<div class="small">Analytics failed to load: ${escapeHtml(e.message)}</div>`;
+    return;
+  }
+  renderExamAnalytics();
 }
 
+function renderExamAnalytics() {
+  const el = document.getElementById("analyticsCard");
+  const a = state.examAnalytics;
+  if (!el || !a) return;
+
+  const rows = (a.questions || []).map(x => `
+    <tr style="${x.exists ? "" : "opacity:.55"}">
+      <td>${x.qid != null
+        ? `Bank #${x.qid}`
+        : `Exam JSON ${x.qi + 1}${x.revisionId != null ? ` <span class="small">rev ${x.revisionId}${x.currentRevision ? " (current)" : ""}</span>` : ""}`
+      }</td>
+      <td>
+        <div>${x.exists ? escapeHtml(x.text || "") : "<i>Question no longer exists</i>"}</div>
+        ${analyticsDetailHtml(x)}
+      </td>
+      <td>${analyticsSummaryHtml(x)}</td>
+    </tr>`).join("");
+
+  el.innerHTML = `
+    <div class="h2">Question analytics</div>
+    <div class="small">${a.attemptCount} attempt(s) · ${Object.entries(a.byLang || {})
+      .map(([code, n]) => `${escapeHtml(code.toUpperCase())} ${n}`).join(" / ")}.
+      D = correct rate of the top 27% minus the bottom 27% of attempts
+      ${a.discriminationAvailable ? "" : "(shown from 10 attempts)"}; below 0.10 the question doesn't separate strong from weak students.</div>
+    <div style="height:10px"></div>
+    <table class="table">
+      <thead><tr><th style="width:110px">Question</th><th>Answers</th><th style="width:220px">Stats</th></tr></thead>
+      <tbody>${rows || `<tr><td colspan="3" class="small">No attempts yet.</td></tr>`}</tbody>
+    </table>`;
+}
+
+/* =========================
+   TRANSLATIONS (what is still missing, per enabled language)
+========================= */
+const TRANSLATION_AREAS = { course: "Course", lesson: "Lesson", quiz: "Lesson quiz", exam: "Final exam", bank: "Question bank" };
+
+function translationLink(courseId, item) {
+  const c = encodeURIComponent(courseId);
+  if (item.area === "course") return `#/courses/${c}`;
+  if (item.area === "lesson" || item.area === "quiz") return `#/lessons/${c}/${item.lessonId}`;
+  if (item.area === "bank") return `#/exams/${c}/bank/${item.questionId}`;
+  return `#/exams/${c}`;
+}
+
+async function renderTranslations() {
+  await loadCourses();
+  appEl.innerHTML = `
+    <div class="card">
+      <div class="row">
+        <div>
+          <div class="h1">Translations</div>
+          <div class="small">Translations that are empty, "TI:"-style placeholders, copies of the English or not in the language's script (drafts included).</div>
+        </div>
+        <div class="row" style="justify-content:flex-end;">
+          <button class="btn" onclick="location.hash='#/dashboard'">Back</button>
+        </div>
+      </div>
+
+      <div class="grid two">
+        <div>
+          <label>Course</label>
+          <select id="trCourse">
+            <option value="">All courses</option>
+            ${courseOptionsHtml()}
+          </select>
+        </div>
+        <div>
+          <label>Language</label>
+          <select id="trLocale">
+            <option value="">All languages</option>
+            ${state.locales.filter(l => l.code !== "en").map(l => `<option value="${l.code}">${escapeHtml(l.name)}</option>`).join("")}
+          </select>
+        </div>
+        <div>
+          <label>Issue</label>
+          <select id="trIssue">
+            <option value="">all</option>
+            <option value="empty">empty</option>
+            <option value="placeholder">placeholder</option>
+            <option value="same_as_en">same as English</option>
+            <option value="wrong_script">not in the language's script</option>
+            <option value="missing">no translation</option>
+            <option value="mismatch">doesn't match the English question</option>
+          </select>
+        </div>
+      </div>
+
+      <div style="height:10px"></div>
+      <button class="btn primary" id="trLoadBtn">Check</button>
+      <span class="small" id="trMsg"></span>
+    </div>
+
+    <div id="trReport"></div>`;
+
+  document.getElementById("trLoadBtn").onclick = loadTranslationReport;
+  document.getElementById("trIssue").onchange = renderTranslationReport;
+
+  await loadTranslationReport();
+}
+
+async function loadTranslationReport() {
+  const msg = document.getElementById("trMsg");
+  const params = new URLSearchParams();
+  const courseId = document.getElementById("trCourse").value;
+  const locale = document.getElementById("trLocale").value;
+  if (courseId) params.set("courseId", courseId);
+  if (locale) params.set("locale", locale);
+  msg.textContent = " Checking...";
+  try {
+    const qs = params.toString();
+    state.translationReport = await api(`/admin/translations/report${qs ? `?${qs}` : ""}`);
+    const t = state.translationReport.totals;
+    msg.textContent = ` ${t.missing} of ${t.checked} texts need work (${t.percent}% translated)`;
+  } catch (e) {
+    state.translationReport = null;
+    msg.textContent = " Check failed: " + e.message;
+  }
+  renderTranslationReport();
+}
+
+function renderTranslationReport() {
+  const el = document.getElementById("trReport");
+  const report = state.translationReport;
+  if (!report) { el.innerHTML = ""; return; }
+  const issue = document.getElementById("trIssue").value;
+
+  el.innerHTML = report.courses.map(c => {
+    const items = c.items.filter(x => !issue || x.issue === issue);
+    const rows = items.map(x => `
+      <tr>
+        <td>
+          <div><b>${escapeHtml(TRANSLATION_AREAS[x.area] || x.area)}</b></div>
+          ${x.lessonId ? `<div class="small">#${x.lessonIndex} ${escapeHtml(x.lessonTitle || "")}</div>` : ""}
+        </td>
+        <td>${escapeHtml(x.label)}</td>
+        <td>${escapeHtml(localeName(x.locale))}</td>
+        <td><span class="badge">${escapeHtml(x.issueLabel)}</span></td>
+        <td>
+          <div class="small">EN: ${escapeHtml(x.en || "—")}</div>
+          ${x.tr ? `<div class="small" dir="${localeDir(x.locale)}">${escapeHtml(x.locale.toUpperCase())}: ${escapeHtml(x.tr)}</div>` : ""}
+        </td>
+        <td style="white-space:nowrap;">
+          <button class="btn" onclick="location.hash='${translationLink(c.courseId, x)}'">Edit</button>
+        </td>
+      </tr>`).join("");
+
+    return `
+      <div class="card">
+        <div class="row">
+          <div>
+            <div class="h2">${escapeHtml(c.title_en || c.courseId)}${c.archived ? " (archived)" : ""}</div>
+            <div class="small">${escapeHtml(c.courseId)} • ${c.percent}% translated • ${c.missing} of ${c.checked} texts need work</div>
+            <div class="small">${Object.entries(c.byLocale || {})
+              .map(([code, x]) => `${escapeHtml(localeName(code))}: ${x.percent}%`).join(" • ")}</div>
+          </div>
+        </div>
+        ${items.length ? `
+          <table class="table">
+            <thead><tr><th>Where</th><th>Field</th><th>Language</th><th>Issue</th><th>Text</th><th style="width:80px">Actions</th></tr></thead>
+            <tbody>${rows}</tbody>
+          </table>` : `<p class="p">Nothing to translate ✅</p>`}
+      </div>`;
+  }).join("");
+}
+
+/* =========================
+   USERS
+========================= */
+function fmtDateTime(v) {
+  if (!v) return "";
+  const d = new Date(v);
+  return isNaN(d) ? String(v) : d.toLocaleString();
+}
+
+async function renderUsers() {
+  if (!state.usersQuery) state.usersQuery = { search: "", role: "", page: 1 };
+  const u = state.usersQuery;
+
+  appEl.innerHTML = `
+    <div class="card">
+      <div class="row">
+        <div>
+          <div class="h1">Users</div>
+          <div class="small">Search, promote / demote, disable and log out users.</div>
+        </div>
+        <div class="row" style="justify-content:flex-end;">
+          <button class="btn" onclick="location.hash='#/dashboard'">Back</button>
+        </div>
+      </div>
+
+      <div class="grid two">
+        <div>
+          <label>Search (name or email)</label>
+          <input id="userSearch" type="text" value="${escapeHtml(u.search)}" />
+        </div>
+        <div>
+          <label>Role</label>
+          <select id="userRole">
+            <option value="">all</option>
+            <option value="student">student</option>
+            <option value="admin">admin</option>
+          </select>
+        </div>
+      </div>
+
+      <div style="height:10px"></div>
+      <button class="btn primary" id="userSearchBtn">Search</button>
+      <span class="small" id="usersMsg"></span>
+    </div>
+
+    <div class="card" id="usersListCard"></div>`;
+
+  document.getElementById("userRole").value = u.role;
+
+  const runSearch = () => {
+    u.search = document.getElementById("userSearch").value.trim();
+    u.role = document.getElementById("userRole").value;
+    u.page = 1;
+    loadUsersList();
+  };
+  document.getElementById("userSearchBtn").onclick = runSearch;
+  document.getElementById("userSearch").onkeydown = (e) => { if (e.key === "Enter") runSearch(); };
+
+  await loadUsersList();
+}
+
+async function loadUsersList() {
+  const u = state.usersQuery;
+  const msg = document.getElementById("usersMsg");
+  const el = document.getElementById("usersListCard");
+  msg.textContent = " Loading...";
+
+  try {
+    const qs = new URLSearchParams({ search: u.search, role: u.role, page: String(u.page), pageSize: "25" });
+    const r = await api(`/admin/users?${qs}`);
+    const pages = Math.max(1, Math.ceil((r.total || 0) / r.pageSize));
+    msg.textContent = ` ${r.total} user(s)`;
+
+    const rows = (r.users || []).map(x => `
+      <tr>
+        <td>${x.id}</td>
+        <td>
+          <div><b>${escapeHtml(x.name || "")}</b></div>
+          <div class="small">${escapeHtml(x.email || "")}</div>
+        </td>
+        <td><span class="badge">${escapeHtml(x.role)}</span></td>
+        <td>${x.disabled ? `<span class="badge">disabled</span>` : "active"}</td>
+        <td style="white-space:nowrap;">
+          <button class="btn" onclick="location.hash='#/users/${x.id}'">Open</button>
+        </td>
+      </tr>`).join("");
+
+    el.innerHTML = `
+      <table class="table">
+        <thead><tr><th style="width:70px">ID</th><th>User</th><th>Role</th><th>Status</th><th style="width:100px"></th></tr></thead>
+        <tbody>${rows || `<tr><td colspan="5" class="small">No users found.</td></tr>`}</tbody>
+      </table>
+      <div style="height:10px"></div>
+      <div class="row" style="justify-content:flex-start;">
+        <button class="btn" id="usersPrev" ${u.page <= 1 ? "disabled" : ""}>Previous</button>
+        <span class="small">Page ${u.page} / ${pages}</span>
+        <button class="btn" id="usersNext" ${u.page >= pages ? "disabled" : ""}>Next</button>
+      </div>`;
+
+    document.getElementById("usersPrev").onclick = () => { u.page -= 1; loadUsersList(); };
+    document.getElementById("usersNext").onclick = () => { u.page += 1; loadUsersList(); };
+  } catch (e) {
+    msg.textContent = " Load failed: " + e.message;
+  }
+}
+
+async function renderUserDetail(id) {
+  appEl.innerHTML = `<div class="card"><div class="small">Loading user...</div></div>`;
+
+  let r;
+  try {
+    r = await api(`/admin/users/${encodeURIComponent(id)}`);
+  } catch (e) {
+    appEl.innerHTML = `<div class="card"><div class="small">Load failed: ${escapeHtml(e.message)}</div></div>`;
+    return;
+  }
+
+  const u = r.user;
+  const isSelf = state.user && Number(state.user.id) === u.id;
+
+  const progressRows = (r.progress || []).map(p => `
+    <tr>
+      <td><b>${escapeHtml(p.courseTitle || p.courseId)}</b><div class="small">${escapeHtml(p.courseId)}</div></td>
+      <td>${p.completedLessons} / ${p.totalLessons}</td>
+      <td>${p.avgQuizScore != null ? p.avgQuizScore + "%" : "—"}</td>
+      <td class="small">${escapeHtml(fmtDateTime(p.lastActivityAt)) || "—"}</td>
+    </tr>`).join("");
+
+  const attemptRows = (r.examAttempts || []).map(a => `
+    <tr style="${a.voidedAt ? "opacity:.55" : ""}">
+      <td>${a.id}</td>
+      <td>${escapeHtml(a.courseId)}</td>
+      <td>${a.score}%</td>
+      <td>${a.passed ? "✅" : "❌"}${a.late ? ` <span class="small">late</span>` : ""}</td>
+      <td class="small">${escapeHtml(fmtDateTime(a.createdAt))}${a.voidedAt ? `<div>reset ${escapeHtml(fmtDateTime(a.voidedAt))}</div>` : ""}</td>
+    </tr>`).join("");
+
+  const allowanceRows = (r.examStatus || []).map(x => `
+    <tr>
+      <td>${escapeHtml(x.courseId)}</td>
+      <td>${x.attemptCount} / ${x.maxAttempts ?? "∞"}${x.extraAttempts ? ` <span class="small">(+${x.extraAttempts} granted)</span>` : ""}</td>
+      <td class="small">${x.scorePolicy}${x.passed ? " • ✅ passed" : ""}
+        ${x.nextAttemptAt ? `<div>next attempt after ${escapeHtml(fmtDateTime(x.nextAttemptAt))}</div>` : ""}</td>
+      <td style="white-space:nowrap;">
+        <button class="btn" onclick="grantExamAttempts(${u.id}, '${escapeHtml(x.courseId)}')">Grant attempts</button>
+        <button class="btn danger" onclick="resetExamAttempts(${u.id}, '${escapeHtml(x.courseId)}')">Reset</button>
+      </td>
+    </tr>`).join("");
+
+  const adjustmentRows = (r.examAdjustments || []).map(a => `
+    <tr>
+      <td class="small">${escapeHtml(fmtDateTime(a.createdAt))}</td>
+      <td>${escapeHtml(a.courseId)}</td>
+      <td>${a.kind === "grant" ? `+${a.extraAttempts} attempt(s)` : "reset"}</td>
+      <td>${escapeHtml(a.reason)}</td>
+      <td class="small">${escapeHtml(a.adminName || "—")}</td>
+    </tr>`).join("");
+
+  const revokeReasons = r.revokeReasons || {};
+  const certRows = (r.certificates || []).map(c => `
+    <tr style="${c.status === "active" ? "" : "opacity:.7"}">
+      <td>${c.id}</td>
+      <td>${escapeHtml(c.courseId)}</td>
+      <td>${escapeHtml(c.name || "—")}</td>
+      <td class="small">${escapeHtml(fmtDateTime(c.issuedAt))}${c.issuedByName ? `<div>reissued by ${escapeHtml(c.issuedByName)}</div>` : ""}</td>
+      <td class="small">
+        <span class="badge">${escapeHtml(c.status)}</span>
+        ${c.revokedAt ? `<div>revoked ${escapeHtml(fmtDateTime(c.revokedAt))}: ${escapeHtml(revokeReasons[c.revokedReason] || c.revokedReason || "")}${c.revokedNote ? ` — ${escapeHtml(c.revokedNote)}` : ""}${c.revokedByName ? ` (${escapeHtml(c.revokedByName)})` : ""}</div>` : ""}
+        ${c.supersededAt ? `<div>replaced by #${c.supersededBy ?? "?"} ${escapeHtml(fmtDateTime(c.supersededAt))}</div>` : ""}
+      </td>
+      <td style="white-space:nowrap;">
+        <a class="btn" href="${escapeHtml(c.verifyUrl)}" target="_blank" rel="noreferrer">Verify page</a>
+        ${c.status === "superseded" ? "" : `
+          <button class="btn" onclick="reissueCertificate(${u.id}, ${c.id})">Reissue</button>
+          ${c.status === "active" ? `<button class="btn danger" onclick="revokeCertificate(${u.id}, ${c.id})">Revoke</button>` : ""}`}
+      </td>
+    </tr>`).join("");
+  state.revokeReasons = revokeReasons;
+
+  appEl.innerHTML = `
+    <div class="card">
+      <div class="row">
+        <div>
+          <div class="h1">${escapeHtml(u.name || "")}</div>
+          <div class="small">${escapeHtml(u.email)} • ID ${u.id} • joined ${escapeHtml(fmtDateTime(u.createdAt))}</div>
+        </div>
+        <div class="row" style="justify-content:flex-end;">
+          <button class="btn" onclick="location.hash='#/users'">Back</button>
+        </div>
+      </div>
+
+      <div style="height:10px"></div>
+      <div class="row" style="justify-content:flex-start;">
+        <span class="badge">role: ${escapeHtml(u.role)}</span>
+        <span class="badge">${u.disabled ? "disabled " + escapeHtml(fmtDateTime(u.disabledAt)) : "active"}</span>
+      </div>
+
+      <hr/>
+      <div class="row" style="justify-content:flex-start;">
+        ${u.role === "admin"
+          ? `<button class="btn" id="roleBtn" data-role="student" ${isSelf ? "disabled" : ""}>Demote to student</button>`
+          : `<button class="btn primary" id="roleBtn" data-role="admin">Promote to admin</button>`}
+        ${u.disabled
+          ? `<button class="btn ok" id="enableBtn">Enable account</button>`
+          : `<button class="btn danger" id="disableBtn" ${isSelf ? "disabled" : ""}>Disable account</button>`}
+        <button class="btn" id="forceLogoutBtn">Force logout</button>
+      </div>
+      <div class="small" id="userMsg" style="margin-top:10px"></div>
+    </div>
+
+    <div class="card">
+      <div class="h2">Course progress</div>
+      <table class="table">
+        <thead><tr><th>Course</th><th>Lessons</th><th>Avg quiz</th><th>Last activity</th></tr></thead>
+        <tbody>${progressRows || `<tr><td colspan="4" class="small">No courses.</td></tr>`}</tbody>
+      </table>
+    </div>
+
+    <div class="card">
+      <div class="h2">Exam attempts</div>
+      <table class="table">
+        <thead><tr><th>Course</th><th>Used / allowed</th><th>Counts</th><th style="width:230px">Actions</th></tr></thead>
+        <tbody>${allowanceRows || `<tr><td colspan="4" class="small">No courses.</td></tr>`}</tbody>
+      </table>
+      <div style="height:10px"></div>
+      <table class="table">
+        <thead><tr><th style="width:70px">ID</th><th>Course</th><th>Score</th><th>Passed</th><th>When</th></tr></thead>
+        <tbody>${attemptRows || `<tr><td colspan="5" class="small">No attempts yet.</td></tr>`}</tbody>
+      </table>
+      ${adjustmentRows ? `
+        <div style="height:10px"></div>
+        <div class="h2" style="font-size:15px;">Grants &amp; resets</div>
+        <table class="table">
+          <thead><tr><th>When</th><th>Course</th><th>Change</th><th>Reason</th><th>By</th></tr></thead>
+          <tbody>${adjustmentRows}</tbody>
+        </table>` : ""}
+    </div>
+
+    <div class="card">
+      <div class="h2">Certificates</div>
+      <div class="small">Revoked and replaced certificates show as such on their verify pages.</div>
+      <table class="table">
+        <thead><tr><th style="width:70px">ID</th><th>Course</th><th>Name on certificate</th><th>Issued</th><th>Status</th><th style="width:260px">Actions</th></tr></thead>
+        <tbody>${certRows || `<tr><td colspan="6" class="small">None yet.</td></tr>`}</tbody>
+      </table>
+    </div>`;
+
+  const msg = document.getElementById("userMsg");
+  const act = async (path, body, confirmText) => {
+    if (confirmText && !confirm(confirmText)) return;
+    msg.textContent = "Working...";
+    try {
+      await api(path, { method: "POST", body: body || {} });
+      await renderUserDetail(id);
+    } catch (e) {
+      msg.textContent = "Failed: " + e.message;
+    }
+  };
+
+  const roleBtn = document.getElementById("roleBtn");
+  roleBtn.onclick = () => {
+    const role = roleBtn.getAttribute("data-role");
+    act(`/admin/users/${u.id}/role`, { role }, `Change role of ${u.email} to ${role}?`);
+  };
+
+  const enableBtn = document.getElementById("enableBtn");
+  if (enableBtn) enableBtn.onclick = () => act(`/admin/users/${u.id}/enable`);
+
+  const disableBtn = document.getElementById("disableBtn");
+  if (disableBtn) disableBtn.onclick = () => act(`/admin/users/${u.id}/disable`, null, `Disable ${u.email}? They will be logged out.`);
+
+  document.getElementById("forceLogoutBtn").onclick = async () => {
+    if (!confirm(`Log ${u.email} out of every device?`)) return;
+    try {
+      const r2 = await api(`/admin/users/${u.id}/logout`, { method: "POST", body: {} });
+      msg.textContent = `Logged out ✅ (${r2.sessionsRemoved} session(s) removed)`;
+    } catch (e) {
+      msg.textContent = "Failed: " + e.message;
+    }
+  };
+}
+
+window.grantExamAttempts = async (userId, courseId) => {
+  const extra = Number(prompt(`Extra attempts for ${courseId}:`, "1"));
+  if (!Number.isInteger(extra) || extra < 1) return;
+  const reason = prompt("Reason (recorded):", "");
+  if (!reason || !reason.trim()) return alert("A reason is required.");
+  try {
+    await api(`/admin/users/${userId}/exams/${encodeURIComponent(courseId)}/grant`, {
+      method: "POST",
+      body: { extraAttempts: extra, reason: reason.trim() }
+    });
+    await renderUserDetail(userId);
+  } catch (e) {
+    alert("Grant failed: " + e.message);
+  }
+};
+
+window.resetExamAttempts = async (userId, courseId) => {
+  const reason = prompt(`Reset all ${courseId} exam attempts? Reason (recorded):`, "");
+  if (!reason || !reason.trim()) return;
+  try {
+    const r = await api(`/admin/users/${userId}/exams/${encodeURIComponent(courseId)}/reset`, {
+      method: "POST",
+      body: { reason: reason.trim() }
+    });
+    await renderUserDetail(userId);
+    alert(`Reset ✅ (${r.attemptsVoided} attempt(s) voided)`);
+  } catch (e) {
+    alert("Reset failed: " + e.message);
+  }
+};
+
+window.revokeCertificate = async (userId, certId) => {
+  const reasons = state.revokeReasons || {};
+  const codes = Object.keys(reasons);
+  const reason = prompt(
+    `Revoke certificate #${certId}? Reason (${codes.map(k => `${k} = ${reasons[k]}`).join(", ")}):`,
+    codes[0] || ""
+  );
+  if (reason == null) return;
+  if (!codes.includes(reason.trim())) return alert("Unknown reason.");
+  const note = prompt("Note for admins (optional, not shown publicly):", "");
+  if (note == null) return;
+  try {
+    await api(`/admin/users/${userId}/certificates/${certId}/revoke`, {
+      method: "POST",
+      body: { reason: reason.trim(), note: note.trim() }
+    });
+    await renderUserDetail(userId);
+  } catch (e) {
+    alert("Revoke failed: " + e.message);
+  }
+};
+
+window.reissueCertificate = async (userId, certId) => {
+  const name = prompt(`Reissue certificate #${certId} with a new ID and date. Name on the certificate (empty: account name):`, "");
+  if (name == null) return;
+  try {
+    const r = await api(`/admin/users/${userId}/certificates/${certId}/reissue`, {
+      method: "POST",
+      body: { name: name.trim() }
+    });
+    await renderUserDetail(userId);
+    alert(`Reissued ✅ (#${r.certificateId}${r.name ? `, ${r.name}` : ""})`);
+  } catch (e) {
+    alert("Reissue failed: " + e.message);
+  }
+};
+
+/* =========================
+   CERTIFICATE TEMPLATES
+   (backend/routes/admin_certificate_templates.js)
+========================= */
+
+const CERT_COLOR_LABELS = {
+  background: "Background",
+  border: "Border",
+  borderInner: "Inner border",
+  heading: "Heading",
+  text: "Text",
+  muted: "Small text",
+  quote: "Quote",
+  certified: "“Certified” line",
+  seal: "Seal",
+  watermark: "Watermark",
+  link: "Link",
+  line: "Signature line"
+};
+
+const CERT_LAYOUT_FLAGS = [
+  ["watermark", "Watermark"],
+  ["quote", "Quote"],
+  ["certified", "“Officially certified” line"],
+  ["seal", "Seal"]
+];
+
+async function renderCertificateTemplates() {
+  appEl.innerHTML = `<div class="card"><div class="small">Loading certificate templates...</div></div>`;
+
+  let r;
+  try {
+    r = await api("/admin/certificate-templates");
+  } catch (e) {
+    appEl.innerHTML = `<div class="card"><div class="small">Load failed: ${escapeHtml(e.message)}</div></div>`;
+    return;
+  }
+
+  const def = r.templates.find(t => t.isDefault);
+  const templateRows = r.templates.map(t => `
+    <tr>
+      <td><b>${escapeHtml(t.name)}</b> ${t.isDefault ? `<span class="badge">default</span>` : ""}</td>
+      <td class="small">${t.courseIds.length ? t.courseIds.map(escapeHtml).join(", ") : "—"}</td>
+      <td class="small">${escapeHtml(fmtDateTime(t.updatedAt))}${t.updatedByName ? ` • ${escapeHtml(t.updatedByName)}` : ""}</td>
+      <td style="white-space:nowrap;">
+        <button class="btn" onclick="location.hash='#/certificates/${t.id}'">Edit</button>
+        <button class="btn danger" onclick="deleteCertificateTemplate(${t.id})">Delete</button>
+      </td>
+    </tr>`).join("");
+
+  const courseRows = r.courses.map(c => `
+    <tr style="${c.archived ? "opacity:.55" : ""}">
+      <td><b>${escapeHtml(c.title_en)}</b><div class="small">${escapeHtml(c.id)}</div></td>
+      <td>
+        <select onchange="setCourseCertificateTemplate('${escapeHtml(c.id)}', this.value)">
+          <option value="">Default (${escapeHtml(def ? def.name : "built-in")})</option>
+          ${r.templates.map(t => `<option value="${t.id}" ${t.id === c.templateId ? "selected" : ""}>${escapeHtml(t.name)}</option>`).join("")}
+        </select>
+      </td>
+    </tr>`).join("");
+
+  appEl.innerHTML = `
+    <div class="card">
+      <div class="row">
+        <div>
+          <div class="h1">Certificate templates</div>
+          <div class="small">The look of the certificate PDF per course. Courses without a template use the default one, else the built-in look.</div>
+        </div>
+        <div class="row" style="justify-content:flex-end;">
+          <button class="btn primary" onclick="location.hash='#/certificates/new'">New template</button>
+          <button class="btn" onclick="location.hash='#/dashboard'">Back</button>
+        </div>
+      </div>
+    </div>
+
+    <div class="card">
+      <div class="h2">Templates</div>
+      ${templateRows ? `
+        <table class="table">
+          <thead><tr><th>Name</th><th>Courses</th><th>Updated</th><th></th></tr></thead>
+          <tbody>${templateRows}</tbody>
+        </table>` : `<div class="small">No templates yet: every certificate uses the built-in look.</div>`}
+    </div>
+
+    <div class="card">
+      <div class="h2">Courses</div>
+      <table class="table">
+        <thead><tr><th>Course</th><th>Template</th></tr></thead>
+        <tbody>${courseRows}</tbody>
+      </table>
+    </div>`;
+}
+
+window.setCourseCertificateTemplate = async (courseId, value) => {
+  try {
+    await api(`/admin/courses/${encodeURIComponent(courseId)}/certificate-template`, {
+      method: "PUT",
+      body: { templateId: value ? Number(value) : null }
+    });
+    await renderCertificateTemplates();
+  } catch (e) {
+    alert("Saving failed: " + e.message);
+  }
+};
+
+window.deleteCertificateTemplate = async (id) => {
+  if (!confirm("Delete this template? Its courses go back to the default template.")) return;
+  try {
+    await api(`/admin/certificate-templates/${id}`, { method: "DELETE" });
+    if (routeParts()[1]) setHash("#/certificates");
+    else await renderCertificateTemplates();
+  } catch (e) {
+    alert("Delete failed: " + e.message);
+  }
+};
+
+async function renderCertificateTemplateEditor(id) {
+  appEl.innerHTML = `<div class="card"><div class="small">Loading template...</div></div>`;
+
+  let meta;
+  let t = null;
+  try {
+    meta = await api("/admin/certificate-templates");
+    if (id !== "new") t = (await api(`/admin/certificate-templates/${encodeURIComponent(id)}`)).template;
+  } catch (e) {
+    appEl.innerHTML = `<div class="card"><div class="small">Load failed: ${escapeHtml(e.message)}</div></div>`;
+    return;
+  }
+
+  // new templates start from the built-in look; missing parts of a stored one come from it too
+  const base = t ? t.config : meta.builtin;
+  state.certTemplateEdit = {
+    id: t?.id || null,
+    name: t?.name || "",
+    isDefault: !!t?.isDefault,
+    meta,
+    imageUrls: { ...(t?.imageUrls || {}) },
+    config: {
+      colors: { ...meta.builtin.colors, ...(base.colors || {}) },
+      layout: { ...meta.builtin.layout, ...(base.layout || {}) },
+      texts: { ...(base.texts || {}) },
+      logo: base.logo !== undefined ? base.logo : meta.builtin.logo,
+      signatories: (Array.isArray(base.signatories) ? base.signatories : meta.builtin.signatories)
+        .map(s => ({ name: s.name, title: { ...(s.title || {}) }, signature: s.signature || null }))
+    },
+    previewUrl: null
+  };
+
+  appEl.innerHTML = `
+    <div class="card">
+      <div class="row">
+        <div>
+          <div class="h1">${t ? `Template: ${escapeHtml(t.name)}` : "New certificate template"}</div>
+          <div class="small">${t && t.courseIds.length ? `Used by ${t.courseIds.map(escapeHtml).join(", ")}` : "Not used by a course yet (choose it on the templates page)."}</div>
+        </div>
+        <div class="row" style="justify-content:flex-end;">
+          <button class="btn primary" onclick="saveCertificateTemplate()">Save</button>
+          ${t ? `<button class="btn danger" onclick="deleteCertificateTemplate(${t.id})">Delete</button>` : ""}
+          <button class="btn" onclick="location.hash='#/certificates'">Back</button>
+        </div>
+      </div>
+      <div class="small" id="ctMsg" style="margin-top:8px;"></div>
+    </div>
+
+    <div class="grid two">
+      <div class="card" id="ctForm"></div>
+
+      <div class="card">
+        <div class="h2" style="font-size:16px;">Preview</div>
+        <div class="grid two">
+          <div>
+            <label>Language</label>
+            <select id="ctPreviewLang">${localeOptionsHtml("en")}</select>
+          </div>
+          <div>
+            <label>Course</label>
+            <select id="ctPreviewCourse">
+              <option value="">Sample course</option>
+              ${meta.courses.map(c => `<option value="${escapeHtml(c.id)}">${escapeHtml(c.title_en)}</option>`).join("")}
+            </select>
+          </div>
+          <div>
+            <label>Student name</label>
+            <input id="ctPreviewStudent" type="text" placeholder="Sample Student" />
+          </div>
+          <div>
+            <label><input id="ctPreviewBilingual" type="checkbox" /> Bilingual (with English)</label>
+          </div>
+        </div>
+        <div class="small" id="ctPreviewMsg" style="margin:6px 0;"></div>
+        <iframe id="ctPreview" title="Certificate preview" style="width:100%; height:640px; border:1px solid #e5e7eb; border-radius:10px; background:#fff;"></iframe>
+      </div>
+    </div>`;
+
+  renderCertificateTemplateForm();
+  for (const elId of ["ctForm", "ctPreviewLang", "ctPreviewCourse", "ctPreviewStudent", "ctPreviewBilingual"]) {
+    const el = document.getElementById(elId);
+    el.addEventListener("input", scheduleCertificatePreview);
+    el.addEventListener("change", scheduleCertificatePreview);
+  }
+  await updateCertificatePreview();
+}
+
+/** Thumbnail + upload / remove buttons of an image slot: "logo", "sig0", "sig1" */
+function certificateImageHtml(slot, ref) {
+  const url = ref?.key ? state.certTemplateEdit.imageUrls[ref.key] : null;
+  const current = url
+    ? `<img src="${escapeHtml(url)}" alt="" style="max-height:48px; max-width:160px; background:#fff; border:1px solid #e5e7eb; border-radius:6px;" />`
+    : `<span class="small">${ref?.asset ? `file backend/assets/${escapeHtml(ref.asset)} (when present)` : "none"}</span>`;
+  return `
+    <div class="row" style="gap:8px; justify-content:flex-start; align-items:center; margin:6px 0;">
+      ${current}
+      <input id="ctFile_${slot}" type="file" accept="image/png,image/jpeg" style="max-width:220px;" />
+      <button class="btn" onclick="uploadCertificateImage('${slot}')">Upload</button>
+      ${ref ? `<button class="btn danger" onclick="removeCertificateImage('${slot}')">Remove</button>` : ""}
+    </div>`;
+}
+
+function renderCertificateTemplateForm() {
+  const ed = state.certTemplateEdit;
+  const c = ed.config;
+  const en = ed.meta.builtinTexts.en || {};
+
+  const signatories = c.signatories.map((s, i) => `
+    <div class="card" style="margin:8px 0;">
+      <div class="row">
+        <b>Signatory ${i + 1}</b>
+        <button class="btn danger" onclick="removeCertificateSignatory(${i})">Remove</button>
+      </div>
+      <label>Name</label>
+      <input id="ctSigName${i}" type="text" value="${escapeHtml(s.name || "")}" />
+      ${localizedFieldsHtml(`ctSigTitle${i}`, "Title", s.title)}
+      <label>Signature image</label>
+      ${certificateImageHtml(`sig${i}`, s.signature)}
+    </div>`).join("");
+
+  const texts = ed.meta.textKeys.map(k => `
+    <div style="margin-top:10px;">
+      <b>${escapeHtml(k)}</b> <span class="small">built-in: “${escapeHtml(en[k] || "")}”</span>
+      ${localizedFieldsHtml(`ctText_${k}`, "Text", c.texts[k])}
+    </div>`).join("");
+
+  document.getElementById("ctForm").innerHTML = `
+    <label>Name</label>
+    <input id="ctName" type="text" value="${escapeHtml(ed.name)}" placeholder="e.g. Finance courses" />
+    <label><input id="ctDefault" type="checkbox" ${ed.isDefault ? "checked" : ""} /> Default template (courses without their own template)</label>
+
+    <div class="h2" style="font-size:16px; margin-top:10px;">Colors</div>
+    <div class="grid two">
+      ${ed.meta.colorKeys.map(k => `
+        <div>
+          <label>${escapeHtml(CERT_COLOR_LABELS[k] || k)}</label>
+          <input id="ctColor_${k}" type="color" value="${escapeHtml(c.colors[k])}" />
+        </div>`).join("")}
+    </div>
+
+    <div class="h2" style="font-size:16px; margin-top:10px;">Layout</div>
+    <label>Border</label>
+    <select id="ctBorder">
+      ${["double", "single", "none"].map(b => `<option value="${b}" ${c.layout.border === b ? "selected" : ""}>${b}</option>`).join("")}
+    </select>
+    ${CERT_LAYOUT_FLAGS.map(([k, label]) => `
+      <label><input id="ctLayout_${k}" type="checkbox" ${c.layout[k] ? "checked" : ""} /> ${label}</label>`).join("")}
+    <label>Logo (above the heading)</label>
+    ${certificateImageHtml("logo", c.logo)}
+
+    <div class="h2" style="font-size:16px; margin-top:10px;">Signatories</div>
+    ${signatories || `<div class="small">None: the certificate shows “${escapeHtml(en.authorizedBy || "")} / ${escapeHtml(en.programTeam || "")}”.</div>`}
+    ${c.signatories.length < ed.meta.maxSignatories ? `<button class="btn" onclick="addCertificateSignatory()">Add signatory</button>` : ""}
+
+    <div class="h2" style="font-size:16px; margin-top:10px;">Wording</div>
+    <details>
+      <summary class="small">Replace the built-in texts (empty fields keep the built-in text of that language)</summary>
+      ${texts}
+    </details>`;
+}
+
+/** Copies the form into state.certTemplateEdit; returns the body for saving */
+function readCertificateTemplateForm() {
+  const ed = state.certTemplateEdit;
+  const c = ed.config;
+  const el = (id) => document.getElementById(id);
+
+  ed.name = el("ctName").value.trim();
+  ed.isDefault = el("ctDefault").checked;
+  for (const k of ed.meta.colorKeys) c.colors[k] = el(`ctColor_${k}`).value;
+  c.layout.border = el("ctBorder").value;
+  for (const [k] of CERT_LAYOUT_FLAGS) c.layout[k] = el(`ctLayout_${k}`).checked;
+  c.signatories = c.signatories.map((s, i) => ({
+    name: el(`ctSigName${i}`).value.trim(),
+    title: readLocalized(`ctSigTitle${i}`, s.title),
+    signature: s.signature || null
+  }));
+  const texts = {};
+  for (const k of ed.meta.textKeys) {
+    const map = readLocalized(`ctText_${k}`, c.texts[k]);
+    if (Object.keys(map).length) texts[k] = map;
+  }
+  c.texts = texts;
+
+  return { name: ed.name, isDefault: ed.isDefault, config: c };
+}
+
+let certPreviewTimer = null;
+let certPreviewSeq = 0;
+
+function scheduleCertificatePreview() {
+  clearTimeout(certPreviewTimer);
+  certPreviewTimer = setTimeout(updateCertificatePreview, 700);
+}
+
+async function updateCertificatePreview() {
+  const frame = document.getElementById("ctPreview");
+  if (!frame || !document.getElementById("ctName")) return; // left the editor
+  const msg = document.getElementById("ctPreviewMsg");
+  const seq = ++certPreviewSeq;
+  const { config } = readCertificateTemplateForm();
+
+  msg.textContent = "Rendering…";
+  try {
+    const res = await fetch(`${API_BASE}/admin/certificate-templates/preview`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      credentials: "include",
+      body: JSON.stringify({
+        config,
+        lang: document.getElementById("ctPreviewLang").value,
+        bilingual: document.getElementById("ctPreviewBilingual").checked,
+        courseId: document.getElementById("ctPreviewCourse").value || undefined,
+        student: document.getElementById("ctPreviewStudent").value.trim() || undefined
+      })
+    });
+    if (!res.ok) {
+      const data = await res.json().catch(() => ({}));
+      throw new Error(typeof data.error === "string" ? data.error : "Preview failed");
+    }
+    const blob = await res.blob();
+    if (seq !== certPreviewSeq) return; // a newer preview is on its way
+
+    const ed = state.certTemplateEdit;
+    if (ed.previewUrl) URL.revokeObjectURL(ed.previewUrl);
+    ed.previewUrl = URL.createObjectURL(blob);
+    frame.src = ed.previewUrl;
+    msg.textContent = "";
+  } catch (e) {
+    if (seq === certPreviewSeq) msg.textContent = "Preview failed: " + e.message;
+  }
+}
+
+function setCertificateImage(slot, ref) {
+  const c = state.certTemplateEdit.config;
+  if (slot === "logo") c.logo = ref;
+  else c.signatories[Number(slot.slice(3))].signature = ref;
+}
+
+window.uploadCertificateImage = async (slot) => {
+  const msg = document.getElementById("ctMsg");
+  const file = document.getElementById(`ctFile_${slot}`).files[0];
+  if (!file) { msg.textContent = "Choose a file first."; return; }
+
+  msg.textContent = "Uploading…";
+  try {
+    const res = await fetch(`${API_BASE}/admin/certificate-templates/images`, {
+      method: "POST",
+      headers: { "Content-Type": file.type || "application/octet-stream" },
+      credentials: "include",
+      body: file
+    });
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(typeof data.error === "string" ? data.error : "Upload failed");
+
+    readCertificateTemplateForm();
+    state.certTemplateEdit.imageUrls[data.image.key] = data.url;
+    setCertificateImage(slot, data.image);
+    renderCertificateTemplateForm();
+    msg.textContent = "Uploaded ✅ Save the template to keep it.";
+    scheduleCertificatePreview();
+  } catch (e) {
+    msg.textContent = "Upload failed: " + e.message;
+  }
+};
+
+window.removeCertificateImage = (slot) => {
+  readCertificateTemplateForm();
+  setCertificateImage(slot, null);
+  renderCertificateTemplateForm();
+  scheduleCertificatePreview();
+};
+
+window.addCertificateSignatory = () => {
+  readCertificateTemplateForm();
+  const ed = state.certTemplateEdit;
+  if (ed.config.signatories.length >= ed.meta.maxSignatories) return;
+  ed.config.signatories.push({ name: "", title: {}, signature: null });
+  renderCertificateTemplateForm();
+  document.getElementById(`ctSigName${ed.config.signatories.length - 1}`)?.focus();
+};
+
+window.removeCertificateSignatory = (i) => {
+  readCertificateTemplateForm();
+  state.certTemplateEdit.config.signatories.splice(i, 1);
+  renderCertificateTemplateForm();
+  scheduleCertificatePreview();
+};
+
+window.saveCertificateTemplate = async () => {
+  const ed = state.certTemplateEdit;
+  const msg = document.getElementById("ctMsg");
+  const body = readCertificateTemplateForm();
+
+  msg.textContent = "Saving…";
+  try {
+    const r = ed.id
+      ? await api(`/admin/certificate-templates/${ed.id}`, { method: "PUT", body })
+      : await api("/admin/certificate-templates", { method: "POST", body });
+    msg.textContent = "Saved ✅";
+    if (!ed.id) setHash(`#/certificates/${r.id}`);
+  } catch (e) {
+    msg.textContent = "Save failed: " + e.message;
+  }
+};
+
 // ✅ Needed for inline onclick in HTML
 window.renderLessonEditor = renderLessonEditor;
+window.renderCourseEditor = renderCourseEditor;
 
 (function boot() {
   if (!location.hash) setHash("#/login");
@@ -17,26 +17,69 @@ const navEl = document.getElementById("nav");
 // ================= STATE =================
 const state = {
   user: null,
-  lang: "en", // "en" | "ti"
+  lang: "en", // an enabled locale code (GET /api/locales)
+  locales: [], // [{ code, name, nativeName, dir, fallbacks }]
   courses: [],
   lessonsByCourse: {},     // courseId -> lessons[]
-  progressByCourse: {},    // courseId -> { courseId, byLessonIndex }
+  progressByCourse: {},    // courseId -> { courseId, byLessonId, byLessonIndex }
   progressStatus: null,    // { status: [{courseId,totalLessons,completedLessons,hasCertificate}] }
   examStatusByCourse: {},  // courseId -> { passed, score, ... }
+  examTimers: [],          // countdown / autosave timers of the open exam
+  // admin "preview as student" (?preview=1): drafts are shown, nothing is saved
+  preview: new URLSearchParams(location.search).get("preview") === "1",
 };
 
 // ================= HELPERS =================
+// used until GET /api/locales answers (or when it fails)
+const FALLBACK_LOCALES = [
+  { code: "en", name: "English", nativeName: "English", dir: "ltr" },
+  { code: "ti", name: "Tigrinya", nativeName: "ትግርኛ", dir: "ltr" }
+];
+
+function localeInfo(code) {
+  return state.locales.find(l => l.code === code) || null;
+}
+
+async function loadLocales() {
+  try {
+    const r = await api("/locales");
+    state.locales = r.locales?.length ? r.locales : FALLBACK_LOCALES;
+  } catch {
+    state.locales = FALLBACK_LOCALES;
+  }
+}
+
+// ?lang= in the page URL wins over the saved choice (shareable links)
 function getLang() {
-  const saved = localStorage.getItem("lang");
-  return (saved === "ti" || saved === "en") ? saved : "en";
+  const wanted = new URLSearchParams(location.search).get("lang") || localStorage.getItem("lang");
+  return localeInfo(wanted) ? wanted : "en";
 }
 function setLang(lang) {
-  const v = (lang === "ti" || lang === "en") ? lang : "en";
+  const v = localeInfo(lang) ? lang : "en";
   localStorage.setItem("lang", v);
   state.lang = v;
+  applyLang();
   return v;
 }
 
+// <html lang dir>: right-to-left languages flip the whole layout (styles.css uses logical sides)
+function applyLang() {
+  const info = localeInfo(state.lang);
+  document.documentElement.lang = state.lang;
+  document.documentElement.dir = info?.dir === "rtl" ? "rtl" : "ltr";
+}
+
+function langPickerHtml() {
+  return state.locales.map(l => `
+    <button class="btn ${l.code === state.lang ? "primary" : ""}" lang="${l.code}" dir="${l.dir}"
+      onclick="pickLang('${l.code}')">${escapeHtml(l.nativeName)}</button>`).join("");
+}
+
+window.pickLang = (code) => {
+  setLang(code);
+  render();
+};
+
 function escapeHtml(str = "") {
   return String(str).replace(/[&<>"']/g, (m) => ({
     "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;"
@@ -53,7 +96,7 @@ function withLang(path) {
   const needsLang =
     path.startsWith("/courses") ||
     path.startsWith("/lessons/") ||
-    (path.startsWith("/exams/") && !path.includes("/submit"));
+    path.startsWith("/exams/");
 
   if (!needsLang) return path;
 
@@ -61,8 +104,15 @@ function withLang(path) {
   return `${path}${sep}lang=${encodeURIComponent(state.lang)}`;
 }
 
+// preview: every request asks for drafts (the API ignores it unless the session is an admin)
+function withPreview(path) {
+  if (!state.preview) return path;
+  const sep = path.includes("?") ? "&" : "?";
+  return `${path}${sep}preview=1`;
+}
+
 async function api(path, { method = "GET", body } = {}) {
-  const fullPath = withLang(path);
+  const fullPath = withPreview(withLang(path));
 
   const res = await fetch(API_BASE + fullPath, {
     method,
@@ -87,17 +137,43 @@ function normalizeLesson(raw = {}) {
       raw.learn ?? raw.learnText ?? raw.learn_en ?? raw.learn_ti ?? raw.learnTi ?? raw.learnEn ?? "",
     task:
       raw.task ?? raw.taskText ?? raw.task_en ?? raw.task_ti ?? raw.taskTi ?? raw.taskEn ?? "",
+    // server-rendered Markdown (already sanitized); null falls back to plain text
+    learnHtml: raw.learnHtml ?? null,
+    taskHtml: raw.taskHtml ?? null,
+    audio: Array.isArray(raw.audio) ? raw.audio : [],
     quiz: raw.quiz || null
   };
 }
 
-function progressFor(courseId, lessonIndex) {
-  const p = state.progressByCourse[courseId]?.byLessonIndex?.[lessonIndex];
+// progress follows lesson ids (lessons can be reordered); byLessonIndex is the older shape
+function progressFor(courseId, lesson) {
+  const prog = state.progressByCourse[courseId];
+  const p = prog?.byLessonId ? prog.byLessonId[lesson.id] : prog?.byLessonIndex?.[lesson.lessonIndex];
   return p || { completed: false, reflectionText: "" };
 }
 
-function courseFallbackOrder(courseId) {
-  return ({ foundation: 1, growth: 2, excellence: 3 }[courseId] || 999);
+// dir="auto": untranslated text shown from a fallback language keeps its own direction
+function richTextHtml(html, text) {
+  return html != null
+    ? `<div class="p md" dir="auto">${html}</div>`
+    : `<div class="p" dir="auto">${escapeHtml(text || "")}</div>`;
+}
+
+// narration of the Learn text (uploaded per language in the admin)
+function lessonAudioHtml(audio) {
+  if (!audio || !audio.length) return "";
+  return `
+    <div class="lessonAudio">
+      <div class="small">🔊 Listen</div>
+      ${audio.map(a => `
+        <audio controls preload="none">
+          <source src="${escapeHtml(a.url)}" type="${escapeHtml(a.contentType || "")}" />
+        </audio>`).join("")}
+    </div>`;
+}
+
+function sortedLessons(courseId) {
+  return (state.lessonsByCourse[courseId] || []).slice().sort((a, b) => a.lessonIndex - b.lessonIndex);
 }
 
 function getProgressStatusRow(courseId) {
@@ -148,8 +224,8 @@ async function loadMe() {
 
 async function loadCourses() {
   const r = await api("/courses");
+  // already ordered by the admin-defined sort order
   state.courses = Array.isArray(r.courses) ? r.courses : [];
-  state.courses.sort((a, b) => courseFallbackOrder(a.id) - courseFallbackOrder(b.id));
 }
 
 async function loadLessons(courseId) {
@@ -206,7 +282,14 @@ async function loadCertificateStatus(courseId) {
     ? !!certApi.eligible
     : (totalLessons > 0 && completedLessons >= totalLessons && examPassed);
 
-  return { totalLessons, completedLessons, examPassed, issued, eligible };
+  // revoked by an admin: no PDF and no re-claiming
+  const revoked = certApi.revoked || null;
+
+  return {
+    totalLessons, completedLessons, examPassed, issued: issued && !revoked, eligible, revoked,
+    // Open Badges PNG for digital wallets (assertion embedded)
+    badgeUrl: certApi.badgeUrl || null
+  };
 }
 
 async function claimCertificate(courseId) {
@@ -217,6 +300,7 @@ async function claimCertificate(courseId) {
 window.addEventListener("hashchange", render);
 
 async function render() {
+  stopExamTimers();
   try { await loadMe(); } catch { state.user = null; updateNav(); }
 
   const parts = routeParts();
@@ -224,6 +308,8 @@ async function render() {
 
   if (page === "login") return renderLogin();
   if (page === "register") return renderRegister();
+  if (page === "forgot") return renderForgotPassword();
+  if (page === "reset") return renderResetPassword(parts[1]);
 
   if (!isLoggedIn()) {
     setHash("#/login");
@@ -255,6 +341,7 @@ function renderLogin() {
       <div style="height:12px"></div>
       <button class="btn primary" id="loginBtn">Login</button>
       <div class="small" id="msg" style="margin-top:10px"></div>
+      <div class="small" style="margin-top:10px"><a href="#/forgot">Forgot your password?</a></div>
     </div>
   `;
 
@@ -276,6 +363,95 @@ function renderLogin() {
   };
 }
 
+// ================= FORGOT / RESET PASSWORD =================
+function renderForgotPassword() {
+  appEl.innerHTML = `
+    <div class="card">
+      <div class="h1">Forgot password</div>
+      <div class="small">Enter your email and we will send you a link to choose a new password.</div>
+
+      <label>Email</label>
+      <input id="email" type="email" placeholder="you@example.com" />
+
+      <div style="height:12px"></div>
+      <button class="btn primary" id="forgotBtn">Send reset link</button>
+      <div class="small" id="msg" style="margin-top:10px"></div>
+      <div class="small" style="margin-top:10px"><a href="#/login">Back to login</a></div>
+    </div>
+  `;
+
+  document.getElementById("forgotBtn").onclick = async () => {
+    const email = document.getElementById("email").value.trim();
+    const msg = document.getElementById("msg");
+    msg.textContent = "";
+
+    if (!email) {
+      msg.textContent = "Email is required";
+      return;
+    }
+
+    try {
+      await api("/auth/forgot-password", { method: "POST", body: { email } });
+      msg.textContent = "If this email is registered, a reset link is on its way ✅";
+    } catch (e) {
+      msg.textContent = "Request failed: " + e.message;
+    }
+  };
+}
+
+function renderResetPassword(token) {
+  if (!token) { setHash("#/forgot"); return renderForgotPassword(); }
+
+  appEl.innerHTML = `
+    <div class="card">
+      <div class="h1">Choose a new password</div>
+
+      <label>New password</label>
+      <input id="password" type="password" placeholder="min 6 characters" />
+
+      <label>Repeat new password</label>
+      <input id="password2" type="password" placeholder="min 6 characters" />
+
+      <div style="height:12px"></div>
+      <button class="btn primary" id="resetBtn">Save new password</button>
+      <div class="small" id="msg" style="margin-top:10px"></div>
+    </div>
+  `;
+
+  document.getElementById("resetBtn").onclick = async () => {
+    const password = document.getElementById("password").value;
+    const password2 = document.getElementById("password2").value;
+    const msg = document.getElementById("msg");
+    msg.textContent = "";
+
+    if (password.length < 6) {
+      msg.textContent = "Password must be at least 6 characters";
+      return;
+    }
+    if (password !== password2) {
+      msg.textContent = "Passwords do not match";
+      return;
+    }
+
+    try {
+      await api("/auth/reset-password", { method: "POST", body: { token, password } });
+      state.user = null;
+      updateNav();
+      appEl.innerHTML = `
+        <div class="card">
+          <div class="h1">Password updated ✅</div>
+          <div class="small">You can now log in with your new password.</div>
+          <div style="height:12px"></div>
+          <button class="btn primary" id="toLogin">Login</button>
+        </div>
+      `;
+      document.getElementById("toLogin").onclick = () => { setHash("#/login"); render(); };
+    } catch (e) {
+      msg.textContent = "Reset failed: " + e.message;
+    }
+  };
+}
+
 // ================= REGISTER =================
 function renderRegister() {
   appEl.innerHTML = `
@@ -349,17 +525,13 @@ async function renderDashboard() {
           <div class="small">Welcome, <b>${escapeHtml(state.user?.name || "")}</b></div>
         </div>
         <div class="row" style="gap:8px; justify-content:flex-end;">
-          <button class="btn" id="langEn">English</button>
-          <button class="btn" id="langTi">ትግርኛ</button>
+          ${langPickerHtml()}
         </div>
       </div>
     </div>
     <div id="coursesWrap"></div>
   `;
 
-  document.getElementById("langEn").onclick = () => { setLang("en"); renderDashboard(); };
-  document.getElementById("langTi").onclick = () => { setLang("ti"); renderDashboard(); };
-
   try {
     // ✅ Faster + avoids undefined: one call for all lesson counts
     await Promise.all([loadCourses(), loadProgressStatus()]);
@@ -447,11 +619,10 @@ async function renderCourse(courseId) {
     return;
   }
 
-  const lessons = state.lessonsByCourse[courseId] || [];
-  const pmap = state.progressByCourse[courseId]?.byLessonIndex || {};
+  const lessons = sortedLessons(courseId);
 
   const total = lessons.length;
-  const completed = Object.values(pmap).filter(x => x && x.completed).length;
+  const completed = lessons.filter(l => progressFor(courseId, l).completed).length;
   const pct = total > 0 ? Math.round((completed / total) * 100) : 0;
 
   document.getElementById("courseProgress").innerHTML = `
@@ -460,16 +631,14 @@ async function renderCourse(courseId) {
   `;
 
   const listHtml = lessons
-    .slice()
-    .sort((a, b) => a.lessonIndex - b.lessonIndex)
-    .map(l => {
-      const done = !!pmap[l.lessonIndex]?.completed;
+    .map((l, i) => {
+      const done = !!progressFor(courseId, l).completed;
       return `
         <div class="card">
           <div class="row" style="justify-content:space-between;">
             <div>
               <div class="h2">${escapeHtml(l.title || "")}</div>
-              <div class="small">Lesson ${l.lessonIndex + 1} ${done ? "✅ Completed" : ""}</div>
+              <div class="small">Lesson ${i + 1} ${done ? "✅ Completed" : ""}</div>
             </div>
             <button class="btn primary" data-open-lesson="${l.lessonIndex}">Open</button>
           </div>
@@ -499,7 +668,7 @@ async function renderLesson(courseId, lessonIndex) {
   appEl.innerHTML = `
     <div class="card">
       <div class="h1">Lesson</div>
-      <div class="small">Course: <b>${escapeHtml(courseId)}</b> • Lesson: <b>${lessonIndex + 1}</b></div>
+      <div class="small">Course: <b>${escapeHtml(courseId)}</b></div>
       <div id="bars" style="margin-top:10px;"></div>
     </div>
     <div class="card" id="lessonCard"><div class="small">Loading...</div></div>
@@ -513,39 +682,45 @@ async function renderLesson(courseId, lessonIndex) {
     return;
   }
 
-  const lessons = state.lessonsByCourse[courseId] || [];
-  const lesson = lessons.find(x => x.lessonIndex === lessonIndex);
+  const lessons = sortedLessons(courseId);
+  const pos = lessons.findIndex(x => x.lessonIndex === lessonIndex);
+  const lesson = lessons[pos];
 
   if (!lesson) {
     document.getElementById("lessonCard").innerHTML = `<div class="small">Lesson not found.</div>`;
     return;
   }
 
-  const pmap = state.progressByCourse[courseId]?.byLessonIndex || {};
   const total = lessons.length;
-  const doneCount = Object.values(pmap).filter(x => x && x.completed).length;
+  const doneCount = lessons.filter(l => progressFor(courseId, l).completed).length;
   const pct = total > 0 ? Math.round((doneCount / total) * 100) : 0;
 
   document.getElementById("bars").innerHTML = `
     <div class="small">Course progress: <b>${doneCount}</b> / ${total} (${pct}%)</div>
     <div class="progressWrap" style="margin-top:6px;"><div class="progressBar" style="width:${pct}%"></div></div>
-    <div class="small" style="margin-top:10px;">Lesson ${lessonIndex + 1} of ${total}</div>
+    <div class="small" style="margin-top:10px;">Lesson ${pos + 1} of ${total}</div>
   `;
 
-  const p = progressFor(courseId, lessonIndex);
-  const prevExists = lessons.some(x => x.lessonIndex === lessonIndex - 1);
-  const nextExists = lessons.some(x => x.lessonIndex === lessonIndex + 1);
+  // neighbours by position: indexes of lessons students can't see yet leave gaps
+  const p = progressFor(courseId, lesson);
+  const prevLesson = lessons[pos - 1];
+  const nextLesson = lessons[pos + 1];
+  const prevExists = !!prevLesson;
+  const nextExists = !!nextLesson;
 
   document.getElementById("lessonCard").innerHTML = `
     <div class="h2">${escapeHtml(lesson.title || "")}</div>
 
     <div style="height:10px"></div>
     <div class="h2" style="font-size:16px;">Learn</div>
-    <div class="p">${escapeHtml(lesson.learnText || "")}</div>
+    ${lessonAudioHtml(lesson.audio)}
+    ${richTextHtml(lesson.learnHtml, lesson.learnText)}
 
     <div style="height:10px"></div>
     <div class="h2" style="font-size:16px;">Task</div>
-    <div class="p">${escapeHtml(lesson.task || "")}</div>
+    ${richTextHtml(lesson.taskHtml, lesson.task)}
+
+    ${quizHtml(lesson.quiz, p.quizScore)}
 
     <div style="height:10px"></div>
     <div class="h2" style="font-size:16px;">Reflection</div>
@@ -557,38 +732,44 @@ async function renderLesson(courseId, lessonIndex) {
       <button class="btn" id="returnBtn">Return</button>
       <button class="btn" id="prevBtn" ${prevExists ? "" : "disabled"}>Back</button>
       <button class="btn primary" id="saveBtn">Save & Complete</button>
-      <button class="btn" id="nextBtn" ${(nextExists && p.completed) ? "" : "disabled"}>Next</button>
+      <button class="btn" id="nextBtn" ${(nextExists && (p.completed || state.preview)) ? "" : "disabled"}>Next</button>
     </div>
 
     <div class="small" id="saveMsg" style="margin-top:10px;"></div>
-    <div class="lockNote" id="nextNote" style="display:${p.completed ? "none" : "block"};">
+    <div class="lockNote" id="nextNote" style="display:${(p.completed || state.preview) ? "none" : "block"};">
       🔒 “Next” unlocks after you press <b>Save & Complete</b>.
     </div>
   `;
 
+  bindLessonQuiz(courseId, lessonIndex, lesson.quiz);
+
   document.getElementById("returnBtn").onclick = () => { setHash(`#/course/${courseId}`); render(); };
   document.getElementById("prevBtn").onclick = () => {
     if (!prevExists) return;
-    setHash(`#/lesson/${courseId}/${lessonIndex - 1}`);
+    setHash(`#/lesson/${courseId}/${prevLesson.lessonIndex}`);
     render();
   };
   document.getElementById("nextBtn").onclick = () => {
     if (!nextExists) return;
-    const nowP = progressFor(courseId, lessonIndex);
-    if (!nowP.completed) return;
-    setHash(`#/lesson/${courseId}/${lessonIndex + 1}`);
+    const nowP = progressFor(courseId, lesson);
+    if (!nowP.completed && !state.preview) return;
+    setHash(`#/lesson/${courseId}/${nextLesson.lessonIndex}`);
     render();
   };
 
   document.getElementById("saveBtn").onclick = async () => {
     const msg = document.getElementById("saveMsg");
+    if (state.preview) {
+      msg.textContent = "Preview: progress is not saved.";
+      return;
+    }
     msg.textContent = "Saving...";
     const reflection = document.getElementById("reflection").value || "";
 
     try {
       await api("/progress/update", {
         method: "POST",
-        body: { courseId, lessonIndex, reflection, completed: true }
+        body: { courseId, lessonId: lesson.id, reflection, completed: true }
       });
 
       msg.textContent = "Saved ✅";
@@ -604,6 +785,281 @@ async function renderLesson(courseId, lessonIndex) {
   };
 }
 
+// ---- Question widgets (lesson quizzes + final exam) ----
+// Element ids use a prefix per page: `${p}_card_${i}`, `${p}_${i}_opt_${oi}`, `${p}_${i}_msg`.
+// Answers are sent in the positions shown; the server maps them back (see backend/utils/grading.js).
+const OUTLINE_OK = "2px solid rgba(34,197,94,.7)";
+const OUTLINE_BAD = "2px solid rgba(239,68,68,.7)";
+const OUTLINE_PARTIAL = "2px solid rgba(234,179,8,.7)";
+
+function questionBodyHtml(q, p, i) {
+  const name = `${p}_${i}`;
+  const row = (oi, input, label) => `
+    <label class="quizOption" id="${name}_opt_${oi}">
+      ${input}
+      <div>${escapeHtml(label)}</div>
+    </label>`;
+
+  switch (q.type) {
+    case "multi":
+      return `<div class="small">Select all that apply.</div>` + (q.options || []).map((opt, oi) =>
+        row(oi, `<input type="checkbox" name="${name}" value="${oi}" />`, opt)).join("");
+
+    case "truefalse":
+      return row(0, `<input type="radio" name="${name}" value="true" />`, "True") +
+        row(1, `<input type="radio" name="${name}" value="false" />`, "False");
+
+    case "short":
+      return `<input type="text" id="${name}_text" name="${name}" autocomplete="off" placeholder="Your answer" />`;
+
+    case "order":
+      return `<div class="small">Put these in the right order (top = first).</div>
+        <div id="${name}_order">
+          ${(q.items || []).map((item, oi) => `
+            <div class="quizOption" id="${name}_opt_${oi}" data-item="${oi}" style="align-items:center;">
+              <div style="flex:1;">${escapeHtml(item)}</div>
+              <button class="btn" type="button" name="${name}" onclick="moveOrderItem(this, -1)">↑</button>
+              <button class="btn" type="button" name="${name}" onclick="moveOrderItem(this, 1)">↓</button>
+            </div>`).join("")}
+        </div>`;
+
+    case "match":
+      return (q.left || []).map((left, li) => `
+        <div class="quizOption" id="${name}_opt_${li}" style="align-items:center;">
+          <div style="flex:1;">${escapeHtml(left)}</div>
+          <select name="${name}" data-left="${li}" style="max-width:50%;">
+            <option value="-1">—</option>
+            ${(q.right || []).map((r, ri) => `<option value="${ri}">${escapeHtml(r)}</option>`).join("")}
+          </select>
+        </div>`).join("");
+
+    default:
+      return (q.options || []).map((opt, oi) =>
+        row(oi, `<input type="radio" name="${name}" value="${oi}" />`, opt)).join("");
+  }
+}
+
+window.moveOrderItem = function (btn, dir) {
+  const rowEl = btn.closest("[data-item]");
+  const sibling = dir < 0 ? rowEl?.previousElementSibling : rowEl?.nextElementSibling;
+  if (!rowEl || !sibling) return;
+  if (dir < 0) rowEl.parentNode.insertBefore(rowEl, sibling);
+  else rowEl.parentNode.insertBefore(sibling, rowEl);
+};
+
+/** Current answer for question i, or undefined when not answered yet */
+function readAnswer(q, p, i) {
+  const name = `${p}_${i}`;
+  const checked = () => Array.from(document.querySelectorAll(`input[name="${name}"]:checked`));
+
+  switch (q.type) {
+    case "multi": {
+      const picked = checked().map(el => Number(el.value));
+      return picked.length ? picked : undefined;
+    }
+    case "truefalse": {
+      const el = checked()[0];
+      return el ? el.value === "true" : undefined;
+    }
+    case "short": {
+      const v = (document.getElementById(`${name}_text`)?.value || "").trim();
+      return v || undefined;
+    }
+    case "order":
+      return Array.from(document.querySelectorAll(`#${name}_order [data-item]`)).map(el => Number(el.dataset.item));
+    case "match": {
+      const picked = Array.from(document.querySelectorAll(`select[name="${name}"]`)).map(el => Number(el.value));
+      return picked.some(x => x < 0) ? undefined : picked;
+    }
+    default: {
+      const el = checked()[0];
+      return el ? Number(el.value) : undefined;
+    }
+  }
+}
+
+/** Put a previously read answer back into question i (restoring autosaved exam answers) */
+function applyAnswer(q, p, i, value) {
+  if (value === undefined || value === null) return;
+  const name = `${p}_${i}`;
+  const setChecked = (values) => document.querySelectorAll(`input[name="${name}"]`).forEach(el => {
+    el.checked = values.includes(el.value);
+  });
+
+  switch (q.type) {
+    case "multi":
+      if (Array.isArray(value)) setChecked(value.map(String));
+      break;
+    case "short": {
+      const el = document.getElementById(`${name}_text`);
+      if (el) el.value = String(value);
+      break;
+    }
+    case "order": {
+      const list = document.getElementById(`${name}_order`);
+      if (!list || !Array.isArray(value)) break;
+      value.forEach(oi => {
+        const el = list.querySelector(`[data-item="${oi}"]`);
+        if (el) list.appendChild(el);
+      });
+      break;
+    }
+    case "match":
+      if (!Array.isArray(value)) break;
+      document.querySelectorAll(`select[name="${name}"]`).forEach(el => {
+        const v = value[Number(el.dataset.left)];
+        if (v != null) el.value = String(v);
+      });
+      break;
+    default:
+      // single / truefalse
+      setChecked([String(value)]);
+  }
+}
+
+function setQuestionDisabled(p, i, disabled) {
+  document.querySelectorAll(`[name="${p}_${i}"]`).forEach(el => { el.disabled = disabled; });
+}
+
+function outlineEl(id, outline) {
+  const el = document.getElementById(id);
+  if (!el) return;
+  el.style.opacity = "1";
+  el.style.outline = outline;
+  el.style.borderRadius = "10px";
+}
+
+/**
+ * Show a graded result. r.correct is only present when the answer may be revealed
+ * (lesson quizzes always, exams depending on the review policy).
+ */
+function markQuestion(q, p, i, r) {
+  const name = `${p}_${i}`;
+  const reveal = r.correct !== undefined && r.correct !== null;
+  const partial = !r.isCorrect && r.credit > 0;
+
+  // lesson quizzes can be re-checked: clear earlier marks first
+  document.querySelectorAll(`[id^="${name}_opt_"]`).forEach(el => {
+    el.style.outline = "none";
+    el.style.opacity = "1";
+  });
+
+  const card = document.getElementById(`${p}_card_${i}`);
+  if (card) {
+    card.style.outline = r.isCorrect ? OUTLINE_OK : (partial ? OUTLINE_PARTIAL : OUTLINE_BAD);
+    card.style.borderRadius = "10px";
+  }
+
+  let answerText = "";
+
+  if (q.type === "order") {
+    const items = q.items || [];
+    if (reveal) answerText = "Correct order: " + r.correct.map(oi => items[oi]).join(" → ");
+  } else if (q.type === "match") {
+    (q.left || []).forEach((_, li) => {
+      if (!reveal) return;
+      outlineEl(`${name}_opt_${li}`, r.picked?.[li] === r.correct[li] ? OUTLINE_OK : OUTLINE_BAD);
+    });
+    if (reveal) {
+      answerText = "Correct pairs: " + (q.left || []).map((l, li) => `${l} = ${(q.right || [])[r.correct[li]] ?? ""}`).join(" • ");
+    }
+  } else if (q.type === "short") {
+    if (reveal && !r.isCorrect) answerText = `Accepted answer: ${r.correct}`;
+  } else {
+    // single / multi / truefalse: highlight rows (true/false rows are 0 = True, 1 = False)
+    const toRows = (v) => (Array.isArray(v) ? v : [v]).map(x => (typeof x === "boolean" ? (x ? 0 : 1) : x));
+    const rowCount = q.type === "truefalse" ? 2 : (q.options || []).length;
+    for (let oi = 0; oi < rowCount; oi++) {
+      const el = document.getElementById(`${name}_opt_${oi}`);
+      if (el) el.style.opacity = "0.65";
+    }
+    const correctRows = reveal ? toRows(r.correct) : [];
+    correctRows.forEach(oi => outlineEl(`${name}_opt_${oi}`, OUTLINE_OK));
+    toRows(r.picked).forEach(oi => {
+      outlineEl(`${name}_opt_${oi}`, correctRows.includes(oi) || (!reveal && r.isCorrect) ? OUTLINE_OK : OUTLINE_BAD);
+    });
+  }
+
+  const msgEl = document.getElementById(`${name}_msg`);
+  if (msgEl) {
+    const head = r.isCorrect
+      ? "✅ Correct"
+      : partial
+        ? `◐ Partly correct (${Math.round(r.credit * 100)}%)`
+        : (reveal && !answerText && q.type !== "short" ? "❌ Wrong (correct answer highlighted)" : "❌ Wrong");
+    msgEl.textContent = [head, answerText, r.explanation || ""].filter(Boolean).join(" — ");
+  }
+}
+
+function questionCardHtml(q, p, i, headingHtml) {
+  return `
+    <div class="card" id="${p}_card_${i}" style="background:rgba(255,255,255,.03)">
+      ${headingHtml}
+      <div style="height:8px"></div>
+      ${questionBodyHtml(q, p, i)}
+      <div class="small" id="${p}_${i}_msg" style="margin-top:8px;"></div>
+    </div>
+  `;
+}
+
+// ---- Lesson quiz (graded on the server) ----
+function quizHtml(quiz, bestScore) {
+  const questions = quiz?.questions || [];
+  if (!questions.length) return "";
+
+  const qHtml = questions.map((q, i) =>
+    questionCardHtml(q, "lq", i, `<div class="p"><b>${i + 1}. ${escapeHtml(q.text || "")}</b></div>`)
+  ).join("");
+
+  return `
+    <div style="height:10px"></div>
+    <div class="h2" style="font-size:16px;">Quiz</div>
+    ${bestScore != null ? `<div class="small">Best score so far: <b>${bestScore}%</b></div>` : ""}
+    <div style="height:8px"></div>
+    ${qHtml}
+    <button class="btn secondary" id="quizSubmitBtn">Check answers</button>
+    <div class="small" id="quizMsg" style="margin-top:8px;"></div>
+  `;
+}
+
+function bindLessonQuiz(courseId, lessonIndex, quiz) {
+  const questions = quiz?.questions || [];
+  const btn = document.getElementById("quizSubmitBtn");
+  if (!btn || !questions.length) return;
+
+  btn.onclick = async () => {
+    const msg = document.getElementById("quizMsg");
+    const answers = questions.map((q, i) => readAnswer(q, "lq", i));
+
+    if (answers.some(x => x === undefined)) {
+      msg.textContent = "Please answer every question.";
+      return;
+    }
+
+    btn.disabled = true;
+    msg.textContent = "Checking...";
+
+    try {
+      const r = await api(`/lessons/${courseId}/${lessonIndex}/quiz/submit`, {
+        method: "POST",
+        body: { answers }
+      });
+
+      for (const res of r.results || []) {
+        if (questions[res.index]) markQuestion(questions[res.index], "lq", res.index, res);
+      }
+
+      msg.textContent = r.preview
+        ? `Score: ${r.score}% (preview, not saved)`
+        : `Score: ${r.score}% • Best: ${r.bestScore}%`;
+    } catch (e) {
+      msg.textContent = "Quiz failed: " + e.message;
+    } finally {
+      btn.disabled = false;
+    }
+  };
+}
+
 // ================= EXAM =================
 async function renderExam(courseId) {
   if (!courseId) { setHash("#/dashboard"); return render(); }
@@ -624,14 +1080,24 @@ async function renderExam(courseId) {
     </div>
 
     <div class="card" id="examCard"><div class="small">Loading exam...</div></div>
+
+    <div class="card" id="examHistory" style="display:none;"></div>
   `;
 
   document.getElementById("backCourse").onclick = () => { setHash(`#/course/${courseId}`); render(); };
   document.getElementById("goCert").onclick = () => { setHash(`#/cert/${courseId}`); render(); };
 
+  // status first (attempt allowance, cooldown etc.)
+  let st = null;
+  try {
+    st = await api(`/exams/status/${courseId}`);
+  } catch {}
+
+  document.getElementById("examMeta").innerHTML = examMetaHtml(st, st?.passScore);
+  renderExamHistory(courseId);
+
   let examData;
   try {
-    // if you have language support, use: `/exams/${courseId}?lang=${state.lang}`
     examData = await api(`/exams/${courseId}`);
   } catch (e) {
     document.getElementById("examCard").innerHTML =
@@ -639,27 +1105,63 @@ async function renderExam(courseId) {
     return;
   }
 
-  const passScore = examData.passScore ?? 70;
-  const questions = examData.exam?.questions || [];
+  // an attempt in progress is always shown (its deadline keeps running)
+  if (examData.started) return showExamAttempt(courseId, st, examData);
 
-  // status first (attempt count etc.)
-  let st = null;
-  try {
-    st = await api(`/exams/status/${courseId}`);
-  } catch {}
+  if (!examData.canAttempt) {
+    document.getElementById("examCard").innerHTML =
+      `<div class="small">${escapeHtml(examLockMessage(examData))}</div>`;
+    return;
+  }
 
-  // meta line
-  document.getElementById("examMeta").innerHTML = `
-    Pass score: <b>${passScore}%</b>
-    ${st?.attemptCount != null
-      ? ` • Attempts: <b>${st.attemptCount}</b>${st.maxAttempts ? ` / ${st.maxAttempts}` : ""}`
-      : ""
-    }
-    ${st?.score != null
-      ? ` • Last score: <b>${st.score}%</b> ${st.passed ? "✅ PASSED" : "❌"}`
-      : ""
+  const startExam = async () => {
+    const btn = document.getElementById("startExam");
+    if (btn) btn.disabled = true;
+    try {
+      const started = await api(`/exams/${courseId}/start`, { method: "POST", body: {} });
+      showExamAttempt(courseId, st, started);
+    } catch (e) {
+      document.getElementById("examCard").innerHTML =
+        `<div class="small">Failed: ${escapeHtml(e.message)}</div>`;
     }
+  };
+
+  // untimed exams start right away; timed ones wait for the student
+  if (!examData.timeLimitMinutes) return startExam();
+
+  document.getElementById("examCard").innerHTML = `
+    <div class="small">
+      You will have <b>${examData.timeLimitMinutes} minutes</b> once you start.
+      The timer keeps running if you leave this page; your answers are saved as you go
+      and are submitted automatically when the time is up.
+    </div>
+    <div style="height:10px"></div>
+    <button class="btn primary" id="startExam">Start exam</button>
   `;
+  document.getElementById("startExam").onclick = startExam;
+}
+
+function stopExamTimers() {
+  state.examTimers.forEach(t => clearInterval(t));
+  state.examTimers = [];
+}
+
+function formatCountdown(ms) {
+  const total = Math.max(0, Math.ceil(ms / 1000));
+  const m = Math.floor(total / 60);
+  const s = total % 60;
+  return `${m}:${String(s).padStart(2, "0")}`;
+}
+
+// Started attempt: questions, countdown (timed exams), autosave and submit
+function showExamAttempt(courseId, st, examData) {
+  stopExamTimers();
+
+  const passScore = examData.passScore ?? 70;
+  const attemptId = examData.attemptId;
+  const questions = examData.exam?.questions || [];
+
+  document.getElementById("examMeta").innerHTML = examMetaHtml(st, passScore);
 
   if (!questions.length) {
     document.getElementById("examCard").innerHTML =
@@ -667,210 +1169,306 @@ async function renderExam(courseId) {
     return;
   }
 
-  const lockedByAttempts =
-    st?.maxAttempts != null &&
-    st?.attemptCount != null &&
-    st.attemptCount >= st.maxAttempts;
-
   // Build UI with ids so we can mark results later
-  const qHtml = questions.map((q, i) => {
-    const opts = (q.options || []).map((opt, oi) => `
-      <label class="quizOption" id="q_${i}_opt_${oi}" data-q="${i}" data-opt="${oi}">
-        <input type="radio" name="q_${i}" value="${oi}" />
-        <div><b>${escapeHtml(opt)}</b></div>
-      </label>
-    `).join("");
-
-    return `
-      <div class="card" id="qcard_${i}" style="background:rgba(255,255,255,.03)">
-        <div class="h2" style="font-size:16px;">${i + 1}. ${escapeHtml(q.text || "")}</div>
-        <div style="height:8px"></div>
-        ${opts}
-        <div class="small" id="q_${i}_msg" style="margin-top:8px;"></div>
-      </div>
-    `;
-  }).join("");
+  const qHtml = questions.map((q, i) =>
+    questionCardHtml(q, "q", i, `<div class="h2" style="font-size:16px;">${i + 1}. ${escapeHtml(q.text || "")}</div>`)
+  ).join("");
 
   document.getElementById("examCard").innerHTML = `
-    <div class="small">Answer all questions, then submit.</div>
+    ${examData.deadlineAt
+      ? `<div class="h2" id="examTimer" style="font-size:16px; position:sticky; top:0;"></div>`
+      : ""
+    }
+    <div class="small">${examData.preview
+      ? "Preview of the draft exam (a fresh draw each time). Answers are not submitted."
+      : "Answer all questions, then submit."}</div>
     <div style="height:10px"></div>
     ${qHtml}
     <div class="row" style="gap:10px; margin-top:10px;">
       <button class="btn primary" id="submitExam">Submit Exam</button>
       <button class="btn" id="retryExam" style="display:none;">Retry</button>
     </div>
+    <div class="small" id="examSaved" style="margin-top:10px;"></div>
     <div class="small" id="examMsg" style="margin-top:10px;"></div>
   `;
 
+  (examData.savedAnswers || []).forEach((a, i) => {
+    if (questions[i]) applyAnswer(questions[i], "q", i, a);
+  });
+
   const btnSubmit = document.getElementById("submitExam");
   const btnRetry = document.getElementById("retryExam");
   const msg = document.getElementById("examMsg");
+  const savedEl = document.getElementById("examSaved");
 
-  function clearMarks() {
-    for (let i = 0; i < questions.length; i++) {
-      const c = document.getElementById(`qcard_${i}`);
-      const m = document.getElementById(`q_${i}_msg`);
-      if (c) c.style.outline = "none";
-      if (m) m.textContent = "";
-      for (let oi = 0; oi < (questions[i].options || []).length; oi++) {
-        const el = document.getElementById(`q_${i}_opt_${oi}`);
-        if (!el) continue;
-        el.style.outline = "none";
-        el.style.opacity = "1";
-      }
-    }
-  }
+  let submitted = false;
+  let dirty = false;
+  let saveTimer = null;
 
-  function applyResults(results) {
-    clearMarks();
-    for (const r of results || []) {
-      const i = r.index;
-
-      const qCard = document.getElementById(`qcard_${i}`);
-      if (qCard) {
-        qCard.style.outline = r.isCorrect
-          ? "2px solid rgba(34,197,94,.6)"
-          : "2px solid rgba(239,68,68,.6)";
-        qCard.style.borderRadius = "10px";
-      }
+  // preview: no attempt behind it, so no autosave / countdown / submit
+  if (examData.preview) {
+    btnSubmit.disabled = true;
+    msg.textContent = "Preview: submitting is disabled.";
+    return;
+  }
 
-      const optCount = (questions[i]?.options || []).length;
-      for (let oi = 0; oi < optCount; oi++) {
-        const el = document.getElementById(`q_${i}_opt_${oi}`);
-        if (el) el.style.opacity = "0.65";
-      }
+  const currentAnswers = () => questions.map((q, i) => readAnswer(q, "q", i) ?? null);
 
-      const correctEl = document.getElementById(`q_${i}_opt_${r.correct}`);
-      if (correctEl) {
-        correctEl.style.opacity = "1";
-        correctEl.style.outline = "2px solid rgba(34,197,94,.7)";
-        correctEl.style.borderRadius = "10px";
-      }
+  async function saveAnswers() {
+    if (!dirty || submitted) return;
+    dirty = false;
+    try {
+      await api(`/exams/${courseId}/save`, { method: "POST", body: { attemptId, answers: currentAnswers() } });
+      savedEl.textContent = `Answers saved ${new Date().toLocaleTimeString()}`;
+    } catch (e) {
+      dirty = true;
+      savedEl.textContent = "Autosave failed: " + e.message;
+    }
+  }
 
-      const pickedEl = document.getElementById(`q_${i}_opt_${r.picked}`);
-      if (pickedEl) {
-        pickedEl.style.opacity = "1";
-        pickedEl.style.outline = r.isCorrect
-          ? "2px solid rgba(34,197,94,.7)"
-          : "2px solid rgba(239,68,68,.7)";
-        pickedEl.style.borderRadius = "10px";
+  // autosave shortly after each change, and every 30s as a fallback
+  const onChange = () => {
+    if (submitted) return;
+    dirty = true;
+    clearTimeout(saveTimer);
+    saveTimer = setTimeout(saveAnswers, 1500);
+  };
+  const examCard = document.getElementById("examCard");
+  examCard.addEventListener("change", onChange);
+  examCard.addEventListener("input", onChange);
+  examCard.addEventListener("click", (e) => { if (e.target.closest("[data-item] button")) onChange(); });
+  state.examTimers.push(setInterval(saveAnswers, 30000));
+
+  // countdown uses the server clock (deadline is enforced there too)
+  if (examData.deadlineAt) {
+    const skew = new Date(examData.serverNow).getTime() - Date.now();
+    const deadline = new Date(examData.deadlineAt).getTime();
+    const timerEl = document.getElementById("examTimer");
+
+    const tick = () => {
+      if (submitted) return stopExamTimers();
+      const left = deadline - (Date.now() + skew);
+      timerEl.textContent = `⏱ Time left: ${formatCountdown(left)}`;
+      if (left <= 60000) timerEl.style.color = "rgba(239,68,68,.9)";
+      if (left <= 0) {
+        stopExamTimers();
+        msg.textContent = "⏰ Time is up — submitting your answers...";
+        submitExam({ auto: true });
       }
+    };
+    tick();
+    state.examTimers.push(setInterval(tick, 1000));
+  }
 
-      const msgEl = document.getElementById(`q_${i}_msg`);
-      if (msgEl) {
-        msgEl.textContent = r.isCorrect ? "✅ Correct" : "❌ Wrong (correct option highlighted)";
-      }
+  function applyResults(results) {
+    for (const r of results || []) {
+      if (questions[r.index]) markQuestion(questions[r.index], "q", r.index, r);
     }
   }
 
   function setAllInputsDisabled(disabled) {
-    for (let i = 0; i < questions.length; i++) {
-      document.querySelectorAll(`input[name="q_${i}"]`).forEach(inp => {
-        inp.disabled = disabled;
-      });
-    }
+    for (let i = 0; i < questions.length; i++) setQuestionDisabled("q", i, disabled);
   }
 
-  // ✅ lock immediately if max attempts reached
-  if (lockedByAttempts) {
-    msg.textContent = "Maximum attempts reached. Please contact admin to reset attempts.";
+  function lockExam(st2) {
+    msg.textContent = examLockMessage(st2);
     btnSubmit.disabled = true;
     btnRetry.style.display = "none";
     setAllInputsDisabled(true);
   }
 
   btnRetry.onclick = () => {
-    if (btnSubmit.disabled) return; // if locked, do nothing
+    if (btnRetry.style.display === "none") return; // hidden when locked
 
-    for (let i = 0; i < questions.length; i++) {
-      const picked = document.querySelector(`input[name="q_${i}"]:checked`);
-      if (picked) picked.checked = false;
-    }
-    clearMarks();
-    msg.textContent = "Try again when ready.";
-    btnRetry.style.display = "none";
-    btnSubmit.disabled = false;
+    // every try is a new server-issued attempt (new question order)
+    renderExam(courseId);
   };
 
-  btnSubmit.onclick = async () => {
-    if (btnSubmit.disabled) return;
+  async function submitExam({ auto = false } = {}) {
+    if (submitted || (btnSubmit.disabled && !auto)) return;
 
-    msg.textContent = "Submitting...";
-
-    const answers = [];
-    for (let i = 0; i < questions.length; i++) {
-      const picked = document.querySelector(`input[name="q_${i}"]:checked`);
-      answers[i] = picked ? Number(picked.value) : -1;
-    }
+    const answers = currentAnswers();
 
-    if (answers.some(x => x < 0)) {
+    // when the time is up, whatever is answered gets graded
+    if (!auto && answers.some(x => x === null)) {
       msg.textContent = "Please answer all questions before submitting.";
       return;
     }
 
+    msg.textContent = "Submitting...";
     btnSubmit.disabled = true;
+    submitted = true;
+    clearTimeout(saveTimer);
+    stopExamTimers();
 
     try {
       const r = await api(`/exams/${courseId}/submit`, {
         method: "POST",
-        body: { answers }
+        body: { attemptId, answers }
       });
 
-      msg.textContent = r.passed
+      msg.textContent = (r.passed
         ? `✅ Passed! Score: ${r.score}% (Pass: ${r.passScore}%)`
-        : `❌ Not passed. Score: ${r.score}% (Pass: ${r.passScore}%)`;
+        : `❌ Not passed. Score: ${r.score}% (Pass: ${r.passScore}%)`) +
+        (r.late ? " — submitted after the time limit, your last saved answers were graded." : "");
 
       if (Array.isArray(r.results)) applyResults(r.results);
+      setAllInputsDisabled(true);
 
       // show retry only if not passed AND not locked
       btnRetry.style.display = (!r.passed ? "inline-block" : "none");
 
       // refresh attempts/meta
       const st2 = await api(`/exams/status/${courseId}`);
-      document.getElementById("examMeta").innerHTML = `
-        Pass score: <b>${passScore}%</b>
-        • Attempts: <b>${st2.attemptCount}</b>${st2.maxAttempts ? ` / ${st2.maxAttempts}` : ""}
-        ${st2.score != null ? ` • Last score: <b>${st2.score}%</b> ${st2.passed ? "✅ PASSED" : "❌"}` : ""}
-      `;
-
-      // ✅ if they just hit the limit, lock now
-      if (st2.maxAttempts != null && st2.attemptCount >= st2.maxAttempts) {
-        msg.textContent = "Maximum attempts reached. Please contact admin to reset attempts.";
-        btnSubmit.disabled = true;
-        btnRetry.style.display = "none";
-        setAllInputsDisabled(true);
-      } else {
-        // allow retry if failed and attempts still available
-        if (!r.passed) btnSubmit.disabled = false;
+      document.getElementById("examMeta").innerHTML = examMetaHtml(st2, passScore);
+      renderExamHistory(courseId);
+
+      // ✅ out of attempts or cooling down: lock now (keep the result message)
+      if (!st2.canAttempt && !r.passed) {
+        const resultText = msg.textContent;
+        lockExam(st2);
+        msg.textContent = `${resultText} — ${examLockMessage(st2)}`;
       }
 
     } catch (e) {
-      // If backend says attempts reached (403), lock the exam immediately
-      const errMsg = String(e.message || "");
-      if (errMsg.toLowerCase().includes("maximum attempts")) {
-        msg.textContent = "Maximum attempts reached. Please contact admin to reset attempts.";
-        btnSubmit.disabled = true;
-        btnRetry.style.display = "none";
-        setAllInputsDisabled(true);
-
+      // If backend says attempts are blocked (403), lock the exam immediately
+      const errMsg = String(e.message || "").toLowerCase();
+      if (errMsg.includes("maximum attempts") || errMsg.includes("before your next attempt")) {
         try {
           const st2 = await api(`/exams/status/${courseId}`);
-          document.getElementById("examMeta").innerHTML = `
-            Pass score: <b>${passScore}%</b>
-            • Attempts: <b>${st2.attemptCount}</b>${st2.maxAttempts ? ` / ${st2.maxAttempts}` : ""}
-            ${st2.score != null ? ` • Last score: <b>${st2.score}%</b> ${st2.passed ? "✅ PASSED" : "❌"}` : ""}
-          `;
-        } catch {}
+          document.getElementById("examMeta").innerHTML = examMetaHtml(st2, passScore);
+          lockExam(st2);
+        } catch {
+          lockExam({ blockedReason: "max_attempts" });
+        }
         return;
       }
 
       msg.textContent = "Submit failed: " + e.message;
+      submitted = false;
       btnSubmit.disabled = false;
     }
-  };
+  }
+
+  btnSubmit.onclick = () => submitExam();
+}
+
+// ---- Past attempts (review follows the exam's review policy) ----
+async function renderExamHistory(courseId) {
+  const box = document.getElementById("examHistory");
+  if (!box) return;
+
+  let r;
+  try {
+    r = await api(`/exams/${courseId}/attempts`);
+  } catch {
+    box.style.display = "none";
+    return;
+  }
+
+  const attempts = r.attempts || [];
+  box.style.display = attempts.length ? "block" : "none";
+  if (!attempts.length) return;
+
+  const rows = attempts.map((a, i) => `
+    <div class="row" style="gap:10px; padding:6px 0; border-top:1px solid rgba(255,255,255,.08); ${a.voided ? "opacity:.6;" : ""}">
+      <div class="small">
+        <b>#${attempts.length - i}</b> • ${escapeHtml(new Date(a.createdAt).toLocaleString())}
+        • <b>${a.score}%</b> ${a.passed ? "✅" : "❌"}
+        ${a.questionCount ? ` • ${a.correctCount}/${a.questionCount} correct` : ""}
+        ${a.late ? " • ⏰ late" : ""}
+        ${a.counted ? " • counts" : ""}
+        ${a.voided ? " • reset by admin" : ""}
+      </div>
+      ${r.reviewPolicy !== "score_only"
+        ? `<button class="btn" onclick="reviewExamAttempt('${escapeHtml(courseId)}', ${a.id})">Review</button>`
+        : ""
+      }
+    </div>`).join("");
+
+  box.innerHTML = `
+    <div class="h2" style="font-size:16px;">Your attempts</div>
+    <div style="height:6px"></div>
+    ${rows}
+    <div id="examReview"></div>
+  `;
+}
+
+window.reviewExamAttempt = async function (courseId, attemptId) {
+  const box = document.getElementById("examReview");
+  if (!box) return;
+  box.innerHTML = `<div class="small" style="margin-top:10px;">Loading...</div>`;
+
+  let r;
+  try {
+    r = await api(`/exams/${courseId}/attempts/${attemptId}`);
+  } catch (e) {
+    box.innerHTML = `<div class="small" style="margin-top:10px;">Failed: ${escapeHtml(e.message)}</div>`;
+    return;
+  }
+
+  const items = r.questions || [];
+  const heading = (q, i) => `<div class="p"><b>${i + 1}. ${escapeHtml(q?.text || "")}</b></div>`;
+
+  box.innerHTML = `
+    <div style="height:12px"></div>
+    <div class="row">
+      <div class="h2" style="font-size:16px;">Review: ${r.attempt.score}% ${r.attempt.passed ? "✅" : "❌"}</div>
+      <button class="btn" onclick="document.getElementById('examReview').innerHTML = ''">Close</button>
+    </div>
+    ${items.length && !items.some(x => x.correct !== undefined)
+      ? `<div class="small">Correct answers are ${r.reviewPolicy === "full_after_pass" ? "shown once you pass" : "not shown for this exam"}.</div>`
+      : ""
+    }
+    <div style="height:8px"></div>
+    ${items.map((x, i) => x.question
+      ? questionCardHtml(x.question, "rv", i, heading(x.question, i))
+      : `<div class="card" id="rv_card_${i}" style="background:rgba(255,255,255,.03)">
+           <div class="small">${i + 1}. This question was changed or removed since this attempt.
+           ${x.isCorrect ? "✅ Correct" : (x.credit > 0 ? `◐ Partly correct (${Math.round(x.credit * 100)}%)` : "❌ Wrong")}</div>
+         </div>`
+    ).join("")}
+  `;
+
+  items.forEach((x, i) => {
+    if (!x.question) return;
+    applyAnswer(x.question, "rv", i, x.picked);
+    setQuestionDisabled("rv", i, true);
+    markQuestion(x.question, "rv", i, x);
+  });
+};
+
+function examMetaHtml(st, passScore) {
+  const scoreLabel = st?.scorePolicy === "best" ? "Best score" : "Last score";
+  return `
+    ${passScore != null ? `Pass score: <b>${passScore}%</b>` : ""}
+    ${st?.attemptCount != null
+      ? ` • Attempts: <b>${st.attemptCount}</b>${st.maxAttempts ? ` / ${st.maxAttempts}` : ""}`
+      : ""
+    }
+    ${st?.timeLimitMinutes ? ` • Time limit: <b>${st.timeLimitMinutes} min</b>` : ""}
+    ${st?.score != null
+      ? ` • ${scoreLabel}: <b>${st.score}%</b> ${st.passed ? "✅ PASSED" : "❌"}`
+      : ""
+    }
+  `;
+}
+
+function examLockMessage(st) {
+  if (st?.blockedReason === "cooldown" && st.nextAttemptAt) {
+    return `Next attempt available after ${new Date(st.nextAttemptAt).toLocaleString()}.`;
+  }
+  return "Maximum attempts reached. Please contact admin to reset attempts.";
 }
 
 // ================= CERTIFICATE =================
+// PDF in the chosen language; bilingual adds English under it
+function certificatePdfUrl(courseId, { bilingual = false } = {}) {
+  const params = new URLSearchParams({ lang: state.lang });
+  if (bilingual) params.set("layout", "bilingual");
+  return `${API_BASE}/certificates/${courseId}/pdf?${params}`;
+}
+
 async function renderCert(courseId) {
   if (!courseId) { setHash("#/dashboard"); return render(); }
 
@@ -906,14 +1504,34 @@ async function renderCert(courseId) {
   const top = document.getElementById("certTop");
   top.innerHTML = `Lessons completed: <b>${status.completedLessons}</b> / ${status.totalLessons} • Exam passed: <b>${status.examPassed ? "YES ✅" : "NO ❌"}</b>`;
 
+  if (status.revoked) {
+    document.getElementById("certCard").innerHTML = `
+      <div class="h2">Certificate revoked</div>
+      <div class="small">
+        This certificate was revoked on ${escapeHtml(new Date(status.revoked.revokedAt).toLocaleDateString())}
+        (${escapeHtml(status.revoked.reason || "")}). Please contact us if you think this is a mistake.
+      </div>
+    `;
+    return;
+  }
+
   if (status.issued) {
     document.getElementById("certCard").innerHTML = `
       <div class="h2">Certificate issued ✅</div>
       <div class="small">Download your PDF:</div>
       <div style="height:12px"></div>
-      <a class="btn primary" href="${API_BASE}/certificates/${courseId}/pdf" target="_blank" rel="noreferrer">
+      <a class="btn primary" href="${certificatePdfUrl(courseId)}" target="_blank" rel="noreferrer">
         Download PDF
       </a>
+      ${state.lang === "en" ? "" : `
+      <a class="btn" href="${certificatePdfUrl(courseId, { bilingual: true })}" target="_blank" rel="noreferrer">
+        Bilingual PDF (with English)
+      </a>`}
+      ${status.badgeUrl ? `
+      <div style="height:16px"></div>
+      <div class="small">Add it to a digital wallet or portfolio (Open Badges):</div>
+      <div style="height:8px"></div>
+      <a class="btn" href="${escapeHtml(status.badgeUrl)}" rel="noreferrer">Download badge</a>` : ""}
     `;
     return;
   }
@@ -948,7 +1566,7 @@ async function renderCert(courseId) {
     try {
       await claimCertificate(courseId);
       m.textContent = "Claimed ✅ Opening PDF...";
-      window.open(`${API_BASE}/certificates/${courseId}/pdf`, "_blank");
+      window.open(certificatePdfUrl(courseId), "_blank");
       setTimeout(() => renderCert(courseId), 400);
     } catch (e) {
       m.textContent = "Failed: " + e.message;
@@ -959,11 +1577,25 @@ async function renderCert(courseId) {
 // ================= BOOT =================
 (function boot() {
   if (!location.hash) setHash("#/dashboard");
+  state.locales = FALLBACK_LOCALES;
   state.lang = getLang();
+  applyLang();
   updateNav();
 
+  if (state.preview) {
+    const banner = document.getElementById("previewBanner");
+    banner.innerHTML = `<div class="small">👀 <b>Preview as student</b> — showing unpublished drafts.
+      Progress, quiz and exam answers are not saved.</div>`;
+    banner.style.display = "block";
+  }
+
   // 🔥 Wake up API (Render cold start)
   api("/health").catch(() => {});
 
-  render();
+  // the saved language may only be known once the server lists its locales
+  loadLocales().then(() => {
+    state.lang = getLang();
+    applyLang();
+    render();
+  });
 })();
\ No newline at end of file